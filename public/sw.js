@@ -0,0 +1,177 @@
+// Service Worker
+// Offline support for the treasure hunt (registered by src/pwa.js):
+// - app shell: precached on install, pages are network-first with the cached shell as fallback
+// - code: built assets and the CDN modules (three, spark) are versioned URLs, cache-first
+// - site data (sites/index.json, hunts): network-first so edits show up, cached copy when offline
+// - splats, images and video: cache-first; splats get their own cache so app updates keep them
+// - the page posts the URLs it loaded before the worker took over (see src/pwa.js), so the
+//   hashed build assets of the first visit are cached too
+// Bump CACHE_VERSION to drop the shell and asset caches, SPLAT_CACHE_VERSION to drop downloaded splats.
+
+const CACHE_VERSION = 'v1';
+const SPLAT_CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'treasure-hunt-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+const SPLAT_CACHE = `${CACHE_PREFIX}splats-${SPLAT_CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, ASSET_CACHE, SPLAT_CACHE];
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/GAMELOGO.png',
+  '/Asset 4@4x-8.png',
+  '/Asset 9@4x-8.png',
+  '/joystick.svg',
+  '/sites/index.json'
+];
+
+const SPLAT_EXTENSIONS = /\.(splat|ksplat|spz|ply|sog)$/i;
+const MEDIA_EXTENSIONS = /\.(png|jpe?g|webp|gif|svg|mp4|webm|mov|mp3|ogg|wav|obj|glb|gltf)$/i;
+const CODE_HOSTS = ['cdn.jsdelivr.net', 'unpkg.com', 'sparkjs.dev', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mov)$/i;
+
+// Media files being downloaded in full in the background (one download per URL)
+const pendingDownloads = new Set();
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // One missing file must not stop the worker from installing
+      .then(cache => Promise.all(SHELL_FILES.map(file =>
+        cache.add(encodeURI(file)).catch(error => console.warn('Precache failed:', file, error))
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page loaded its scripts and styles before this worker controlled it; cache them now.
+// Splats and videos are large and get cached on their next use instead.
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'cache-loaded-assets' || !Array.isArray(event.data.urls)) return;
+
+  const urls = event.data.urls.filter(isLoadedAssetWorthCaching);
+  event.waitUntil(
+    caches.open(ASSET_CACHE).then(cache => Promise.all(urls.map(async (url) => {
+      if (await cache.match(url, { ignoreVary: true })) return;
+      await cache.add(url).catch(error => console.warn('Caching loaded asset failed:', url, error));
+    })))
+  );
+});
+
+function isLoadedAssetWorthCaching(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return false;
+  }
+  if (SPLAT_EXTENSIONS.test(url.pathname) || VIDEO_EXTENSIONS.test(url.pathname)) return false;
+  return CODE_HOSTS.includes(url.hostname) || (url.origin === self.location.origin && url.pathname.startsWith('/assets/'));
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (SPLAT_EXTENSIONS.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, SPLAT_CACHE));
+  } else if (MEDIA_EXTENSIONS.test(url.pathname)) {
+    event.respondWith(request.headers.has('range') ? rangeFromCache(event, ASSET_CACHE) : cacheFirst(request, ASSET_CACHE));
+  } else if (CODE_HOSTS.includes(url.hostname) || (url.origin === self.location.origin && url.pathname.startsWith('/assets/'))) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreVary: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Only complete, readable responses are worth keeping
+  if (response.ok && response.status === 200 && response.type !== 'opaque') {
+    cache.put(request, response.clone()).catch(error => console.warn('Cache write failed:', request.url, error));
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.status === 200) {
+      cache.put(request, response.clone()).catch(error => console.warn('Cache write failed:', request.url, error));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+      (fallbackUrl ? await cache.match(fallbackUrl) : null);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Video elements ask for byte ranges; answer from the full cached file, or go to the
+// network and store the full file in the background for next time
+async function rangeFromCache(event, cacheName) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request.url);
+
+  if (!cached) {
+    if (!pendingDownloads.has(request.url)) {
+      pendingDownloads.add(request.url);
+      event.waitUntil(
+        fetch(request.url)
+          .then(response => response.ok && response.status === 200 ? cache.put(request.url, response) : null)
+          .catch(error => console.warn('Background download failed:', request.url, error))
+          .finally(() => pendingDownloads.delete(request.url))
+      );
+    }
+    return fetch(request);
+  }
+
+  const blob = await cached.blob();
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range'));
+  let start = match && match[1] ? Number(match[1]) : 0;
+  let end = match && match[2] ? Number(match[2]) : blob.size - 1;
+  // "bytes=-500" means the last 500 bytes
+  if (match && !match[1] && match[2]) {
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  }
+  if (start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  end = Math.min(end, blob.size - 1);
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// Convert a Gaussian-splat capture into the game's preferred streaming format: a .splat file
+// sorted most significant splat first, so the loader can open the scene on any prefix of it
+// (see streamSplat in src/splatLoader.js).
+//
+// Inputs: 3DGS .ply (binary little-endian), .spz (versions 2 and 3) and .splat (re-sorted).
+//
+// Usage: npm run convert-splat -- <input> <output.splat> [--max-splats N] [--rub-to-rdf]
+//   --max-splats N  keep only the N most significant splats
+//   --rub-to-rdf    flip Y and Z; for .spz files written by Niantic's tools, which store
+//                   right-up-back axes while .ply captures use right-down-front
+import { readFileSync, writeFileSync } from 'node:fs';
+import { gunzipSync } from 'node:zlib';
+import { extname } from 'node:path';
+
+const SPLAT_RECORD_BYTES = 32;
+const SH_C0 = 0.28209479177387814;   // Degree-0 spherical harmonic, turns f_dc into a colour
+const SPZ_MAGIC = 0x5053474e;        // "NGSP"
+
+// Every reader returns the same decoded layout (linear scales, 0-1 colours and opacity)
+function createSplats(count) {
+  return {
+    count,
+    positions: new Float32Array(count * 3),
+    scales: new Float32Array(count * 3),
+    rotations: new Float32Array(count * 4),   // w, x, y, z
+    colors: new Float32Array(count * 3),
+    opacities: new Float32Array(count)
+  };
+}
+
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+const clamp01 = x => Math.min(1, Math.max(0, x));
+
+// --- PLY ---
+const PLY_TYPES = {
+  char: ['getInt8', 1], int8: ['getInt8', 1],
+  uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+  short: ['getInt16', 2], int16: ['getInt16', 2],
+  ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+  int: ['getInt32', 4], int32: ['getInt32', 4],
+  uint: ['getUint32', 4], uint32: ['getUint32', 4],
+  float: ['getFloat32', 4], float32: ['getFloat32', 4],
+  double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+function parsePlyHeader(buffer) {
+  const headerEnd = buffer.indexOf('end_header\n');
+  if (headerEnd < 0) throw new Error('PLY header has no end_header line');
+  const lines = buffer.subarray(0, headerEnd).toString('latin1').split('\n');
+
+  const format = lines.find(line => line.startsWith('format '));
+  if (!format || !format.includes('binary_little_endian')) {
+    throw new Error(`only binary little-endian PLY is supported (${format || 'no format line'})`);
+  }
+
+  // Properties of the vertex element, with byte offsets inside one vertex
+  const properties = {};
+  let vertexCount = 0;
+  let stride = 0;
+  let element = null;
+  lines.forEach(line => {
+    const words = line.trim().split(/\s+/);
+    if (words[0] === 'element') {
+      element = words[1];
+      if (element === 'vertex') {
+        vertexCount = Number(words[2]);
+      } else if (vertexCount === 0 && Number(words[2]) > 0) {
+        // Vertex data is read from the start of the body
+        throw new Error(`PLY element "${element}" before the vertices is not supported`);
+      }
+    } else if (words[0] === 'property' && element === 'vertex') {
+      if (words[1] === 'list') throw new Error('PLY list properties are not supported');
+      const type = PLY_TYPES[words[1]];
+      if (!type) throw new Error(`unknown PLY property type "${words[1]}"`);
+      properties[words[2]] = { getter: type[0], offset: stride };
+      stride += type[1];
+    }
+  });
+
+  return { dataStart: headerEnd + 'end_header\n'.length, vertexCount, stride, properties };
+}
+
+function readPly(buffer) {
+  const { dataStart, vertexCount, stride, properties } = parsePlyHeader(buffer);
+  const required = ['x', 'y', 'z', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3', 'opacity'];
+  const missing = required.filter(name => !properties[name]);
+  if (missing.length > 0) throw new Error(`not a 3DGS PLY, missing: ${missing.join(', ')}`);
+  const hasDc = properties.f_dc_0 && properties.f_dc_1 && properties.f_dc_2;
+  if (!hasDc && !(properties.red && properties.green && properties.blue)) {
+    throw new Error('PLY has neither f_dc_0..2 nor red/green/blue colours');
+  }
+  if (buffer.length < dataStart + vertexCount * stride) throw new Error('PLY file is truncated');
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset + dataStart, vertexCount * stride);
+  const read = (name, base) => view[properties[name].getter](base + properties[name].offset, true);
+  const splats = createSplats(vertexCount);
+
+  for (let i = 0; i < vertexCount; i++) {
+    const base = i * stride;
+    ['x', 'y', 'z'].forEach((name, axis) => {
+      splats.positions[i * 3 + axis] = read(name, base);
+    });
+    ['scale_0', 'scale_1', 'scale_2'].forEach((name, axis) => {
+      splats.scales[i * 3 + axis] = Math.exp(read(name, base));
+    });
+    ['rot_0', 'rot_1', 'rot_2', 'rot_3'].forEach((name, component) => {
+      splats.rotations[i * 4 + component] = read(name, base);
+    });
+    if (hasDc) {
+      ['f_dc_0', 'f_dc_1', 'f_dc_2'].forEach((name, channel) => {
+        splats.colors[i * 3 + channel] = clamp01(0.5 + SH_C0 * read(name, base));
+      });
+    } else {
+      ['red', 'green', 'blue'].forEach((name, channel) => {
+        splats.colors[i * 3 + channel] = read(name, base) / 255;
+      });
+    }
+    splats.opacities[i] = sigmoid(read('opacity', base));
+  }
+  return splats;
+}
+
+// --- SPZ ---
+// Header (16 bytes): magic, version, splat count, SH degree, fractional bits, flags, reserved.
+// Then per attribute for all splats: positions (3 x 24-bit fixed point), alphas, colours,
+// scales, rotations; spherical harmonics beyond degree 0 follow and are not needed here.
+function readSpz(compressed) {
+  const buffer = gunzipSync(compressed);
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (view.getUint32(0, true) !== SPZ_MAGIC) throw new Error('not an SPZ file (bad magic)');
+  const version = view.getUint32(4, true);
+  if (version !== 2 && version !== 3) throw new Error(`SPZ version ${version} is not supported (2 or 3 only)`);
+
+  const count = view.getUint32(8, true);
+  const fractionalBits = buffer[13];
+  const rotationBytes = version === 3 ? 4 : 3;
+  if (buffer.length < 16 + count * (9 + 1 + 3 + 3 + rotationBytes)) throw new Error('SPZ file is truncated');
+  const splats = createSplats(count);
+
+  let offset = 16;
+  const positionScale = 1 / (1 << fractionalBits);
+  for (let i = 0; i < count * 3; i++) {
+    let fixed = buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16);
+    if (fixed & 0x800000) fixed |= ~0xffffff;   // Sign-extend 24 bits
+    splats.positions[i] = fixed * positionScale;
+    offset += 3;
+  }
+  for (let i = 0; i < count; i++) {
+    splats.opacities[i] = buffer[offset++] / 255;
+  }
+  // Colours are the degree-0 harmonic scaled by 0.15 around mid grey
+  for (let i = 0; i < count * 3; i++) {
+    splats.colors[i] = clamp01(0.5 + SH_C0 * ((buffer[offset++] / 255 - 0.5) / 0.15));
+  }
+  for (let i = 0; i < count * 3; i++) {
+    splats.scales[i] = Math.exp(buffer[offset++] / 16 - 10);
+  }
+  for (let i = 0; i < count; i++) {
+    const [x, y, z, w] = version === 3 ?
+      unpackSmallestThree(buffer, offset) :
+      unpackFirstThree(buffer, offset);
+    splats.rotations.set([w, x, y, z], i * 4);
+    offset += rotationBytes;
+  }
+  return splats;
+}
+
+// Version 2: x, y, z as bytes, w >= 0 implied
+function unpackFirstThree(buffer, offset) {
+  const xyz = [0, 1, 2].map(i => buffer[offset + i] / 127.5 - 1);
+  const w = Math.sqrt(Math.max(0, 1 - xyz.reduce((sum, v) => sum + v * v, 0)));
+  return [...xyz, w];
+}
+
+// Version 3: index of the largest component in the top 2 bits, the other three as
+// 9-bit magnitude + sign, packed from the last component down
+function unpackSmallestThree(buffer, offset) {
+  let packed = (buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16) | (buffer[offset + 3] << 24)) >>> 0;
+  const largest = packed >>> 30;
+  const mask = (1 << 9) - 1;
+  const quaternion = [0, 0, 0, 0];
+  let sumSquares = 0;
+  for (let i = 3; i >= 0; i--) {
+    if (i === largest) continue;
+    const magnitude = packed & mask;
+    const negative = (packed >>> 9) & 1;
+    packed >>>= 10;
+    quaternion[i] = Math.SQRT1_2 * magnitude / mask * (negative ? -1 : 1);
+    sumSquares += quaternion[i] * quaternion[i];
+  }
+  quaternion[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+  return quaternion;
+}
+
+// --- SPLAT ---
+function readSplat(buffer) {
+  if (buffer.length % SPLAT_RECORD_BYTES !== 0) throw new Error('.splat size is not a multiple of 32 bytes');
+  const count = buffer.length / SPLAT_RECORD_BYTES;
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const splats = createSplats(count);
+  for (let i = 0; i < count; i++) {
+    const base = i * SPLAT_RECORD_BYTES;
+    for (let axis = 0; axis < 3; axis++) {
+      splats.positions[i * 3 + axis] = view.getFloat32(base + axis * 4, true);
+      splats.scales[i * 3 + axis] = view.getFloat32(base + 12 + axis * 4, true);
+      splats.colors[i * 3 + axis] = buffer[base + 24 + axis] / 255;
+    }
+    splats.opacities[i] = buffer[base + 27] / 255;
+    for (let component = 0; component < 4; component++) {
+      splats.rotations[i * 4 + component] = (buffer[base + 28 + component] - 128) / 128;
+    }
+  }
+  return splats;
+}
+
+// Right-up-back to right-down-front: a half turn about X
+function flipYZ(splats) {
+  for (let i = 0; i < splats.count; i++) {
+    splats.positions[i * 3 + 1] *= -1;
+    splats.positions[i * 3 + 2] *= -1;
+    splats.rotations[i * 4 + 2] *= -1;
+    splats.rotations[i * 4 + 3] *= -1;
+  }
+}
+
+// Largest, most opaque splats first (the order the streaming loader relies on)
+function importanceOrder(splats) {
+  const importance = new Float32Array(splats.count);
+  for (let i = 0; i < splats.count; i++) {
+    importance[i] = splats.scales[i * 3] * splats.scales[i * 3 + 1] * splats.scales[i * 3 + 2] * splats.opacities[i];
+  }
+  const order = new Uint32Array(splats.count).map((_, i) => i);
+  return order.sort((a, b) => importance[b] - importance[a]);
+}
+
+function writeSplat(splats, order) {
+  const output = Buffer.alloc(order.length * SPLAT_RECORD_BYTES);
+  const toByte = value => Math.round(clamp01(value) * 255);
+  order.forEach((index, i) => {
+    const base = i * SPLAT_RECORD_BYTES;
+    for (let axis = 0; axis < 3; axis++) {
+      output.writeFloatLE(splats.positions[index * 3 + axis], base + axis * 4);
+      output.writeFloatLE(splats.scales[index * 3 + axis], base + 12 + axis * 4);
+      output[base + 24 + axis] = toByte(splats.colors[index * 3 + axis]);
+    }
+    output[base + 27] = toByte(splats.opacities[index]);
+
+    const rotation = splats.rotations.subarray(index * 4, index * 4 + 4);
+    const length = Math.hypot(...rotation) || 1;
+    for (let component = 0; component < 4; component++) {
+      output[base + 28 + component] = Math.min(255, Math.max(0, Math.round(rotation[component] / length * 128 + 128)));
+    }
+  });
+  return output;
+}
+
+function parseArguments(args) {
+  const options = { maxSplats: Infinity, rubToRdf: false, files: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--max-splats') {
+      options.maxSplats = Number(args[++i]);
+      if (!Number.isInteger(options.maxSplats) || options.maxSplats <= 0) throw new Error('--max-splats needs a positive whole number');
+    } else if (args[i] === '--rub-to-rdf') {
+      options.rubToRdf = true;
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`unknown option ${args[i]}`);
+    } else {
+      options.files.push(args[i]);
+    }
+  }
+  if (options.files.length !== 2) {
+    throw new Error('usage: convert-splat <input.ply|.spz|.splat> <output.splat> [--max-splats N] [--rub-to-rdf]');
+  }
+  return options;
+}
+
+const READERS = { '.ply': readPly, '.spz': readSpz, '.splat': readSplat };
+
+function main() {
+  const { files: [input, output], maxSplats, rubToRdf } = parseArguments(process.argv.slice(2));
+  const reader = READERS[extname(input).toLowerCase()];
+  if (!reader) {
+    throw new Error(`cannot convert ${extname(input) || 'files without an extension'} (supported: ${Object.keys(READERS).join(', ')})`);
+  }
+
+  const splats = reader(readFileSync(input));
+  if (rubToRdf) flipYZ(splats);
+  const order = importanceOrder(splats).subarray(0, Math.min(maxSplats, splats.count));
+  writeFileSync(output, writeSplat(splats, order));
+  console.log(`${input}: ${splats.count} splats -> ${output}: ${order.length} splats, ${(order.length * SPLAT_RECORD_BYTES / (1024 * 1024)).toFixed(1)} MB`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`convert-splat: ${error.message}`);
+  process.exit(1);
+}
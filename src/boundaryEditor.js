@@ -0,0 +1,516 @@
+// Boundary Editor Module
+// Authoring tool for the walkable area: draws every polygon and hole as a ground overlay and
+// lets authors add, drag and delete vertices by raycasting against the ground plane.
+import * as THREE from "three";
+import { createEditorPanel, createEditorButton, createEditorToolbar, createEditorNote, downloadTextFile } from './editorPanel.js';
+
+const OVERLAY_HEIGHT = 0.02; // Lift above the ground so the overlay does not z-fight
+const HANDLE_RADIUS = 0.06;
+const NEW_POLYGON_HALF_SIZE = 1.0;
+const NEW_HOLE_HALF_SIZE = 0.4;
+const CLICK_MOVE_TOLERANCE = 4;
+const HISTORY_LIMIT = 100;
+
+const COLORS = {
+  fill: 0x00ff88,
+  outer: 0x00ff88,
+  hole: 0xff4444,
+  active: 0xffffff,
+  selected: 0xffcc00
+};
+
+function clonePolygons(polygons) {
+  return polygons.map(polygon => ({
+    outer: polygon.outer.map(point => [...point]),
+    holes: polygon.holes.map(hole => hole.map(point => [...point]))
+  }));
+}
+
+function roundPoint(point) {
+  return point.map(value => Math.round(value * 1000) / 1000);
+}
+
+// Squared distance from (x, z) to segment a-b on the XZ plane
+function distanceToSegmentSq(x, z, a, b) {
+  const dx = b[0] - a[0];
+  const dz = b[1] - a[1];
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? THREE.MathUtils.clamp(((x - a[0]) * dx + (z - a[1]) * dz) / lengthSq, 0, 1) : 0;
+  const px = a[0] + t * dx - x;
+  const pz = a[1] + t * dz - z;
+  return px * px + pz * pz;
+}
+
+class BoundaryEditor {
+  // options: {
+  //   getWalkableArea() -> [{ outer, holes }], getGroundLevel(), getSiteId(),
+  //   onAreaChanged(polygons), onLook(dx, dy)
+  // }
+  constructor(scene, camera, renderer, options) {
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.options = options;
+
+    this.isActive = false;
+    this.polygons = [];
+    this.activeRing = null;      // { polygon, ring } where ring -1 is the outer ring
+    this.selectedVertex = null;  // { polygon, ring, vertex }
+    this.dragging = null;
+    this.pointerDown = null;
+    this.undoStack = [];
+    this.redoStack = [];
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+    this.overlay = new THREE.Group();
+    this.overlay.name = 'walkable_area_overlay';
+    this.handleGeometry = new THREE.SphereGeometry(HANDLE_RADIUS, 12, 8);
+    this.handles = [];
+
+    this.panel = null;
+    this.statusLine = null;
+    this.createPanel();
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onContextMenu = (e) => e.preventDefault();
+  }
+
+  // --- ACTIVATION ---
+
+  toggle() {
+    if (this.isActive) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.isActive;
+  }
+
+  enable() {
+    if (this.isActive) return;
+    this.isActive = true;
+
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    document.body.style.cursor = 'default';
+
+    this.polygons = clonePolygons(this.options.getWalkableArea());
+    this.activeRing = this.polygons.length > 0 ? { polygon: 0, ring: -1 } : null;
+    this.selectedVertex = null;
+    this.undoStack = [];
+    this.redoStack = [];
+
+    this.groundPlane.constant = -(this.options.getGroundLevel() + OVERLAY_HEIGHT);
+    this.scene.add(this.overlay);
+    this.rebuildOverlay();
+    this.panel.style.display = 'flex';
+
+    document.addEventListener('keydown', this.onKeyDown);
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointermove', this.onPointerMove);
+    canvas.addEventListener('pointerup', this.onPointerUp);
+    canvas.addEventListener('contextmenu', this.onContextMenu);
+
+    this.setStatus('Click the ground to add a point to the active ring. Drag points to move them, Alt+click to delete.');
+    console.log('Boundary editor enabled');
+  }
+
+  disable() {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    this.scene.remove(this.overlay);
+    this.panel.style.display = 'none';
+    this.dragging = null;
+
+    document.removeEventListener('keydown', this.onKeyDown);
+    const canvas = this.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointermove', this.onPointerMove);
+    canvas.removeEventListener('pointerup', this.onPointerUp);
+    canvas.removeEventListener('contextmenu', this.onContextMenu);
+
+    console.log('Boundary editor disabled');
+  }
+
+  // --- RINGS ---
+
+  getRing(ref) {
+    const polygon = this.polygons[ref.polygon];
+    if (!polygon) return null;
+    return ref.ring < 0 ? polygon.outer : polygon.holes[ref.ring];
+  }
+
+  isActiveRing(polygonIndex, ringIndex) {
+    return this.activeRing && this.activeRing.polygon === polygonIndex && this.activeRing.ring === ringIndex;
+  }
+
+  // Square ring centred on the ground point the camera is looking at
+  createSquareRing(halfSize) {
+    const direction = new THREE.Vector3();
+    this.camera.getWorldDirection(direction);
+    direction.y = 0;
+    if (direction.lengthSq() < 1e-6) direction.set(0, 0, -1);
+    direction.normalize();
+
+    const center = this.camera.position.clone().addScaledVector(direction, 2);
+    return [
+      [center.x - halfSize, center.z - halfSize],
+      [center.x + halfSize, center.z - halfSize],
+      [center.x + halfSize, center.z + halfSize],
+      [center.x - halfSize, center.z + halfSize]
+    ].map(roundPoint);
+  }
+
+  addPolygon() {
+    this.recordHistory();
+    this.polygons.push({ outer: this.createSquareRing(NEW_POLYGON_HALF_SIZE), holes: [] });
+    this.activeRing = { polygon: this.polygons.length - 1, ring: -1 };
+    this.commit('Polygon added');
+  }
+
+  addHole() {
+    if (!this.activeRing) {
+      this.setStatus('Select a polygon first (click one of its points)');
+      return;
+    }
+    this.recordHistory();
+    const polygon = this.polygons[this.activeRing.polygon];
+    polygon.holes.push(this.createSquareRing(NEW_HOLE_HALF_SIZE));
+    this.activeRing = { polygon: this.activeRing.polygon, ring: polygon.holes.length - 1 };
+    this.commit('Hole added');
+  }
+
+  deleteActiveRing() {
+    if (!this.activeRing) return;
+    this.recordHistory();
+
+    const { polygon, ring } = this.activeRing;
+    if (ring < 0) {
+      this.polygons.splice(polygon, 1);
+    } else {
+      this.polygons[polygon].holes.splice(ring, 1);
+    }
+    this.activeRing = this.polygons.length > 0 ? { polygon: 0, ring: -1 } : null;
+    this.selectedVertex = null;
+    this.commit(ring < 0 ? 'Polygon deleted' : 'Hole deleted');
+  }
+
+  // Insert the point into the active ring's nearest edge
+  addVertex(point) {
+    if (!this.activeRing) {
+      this.setStatus('Add a polygon first');
+      return;
+    }
+    const ring = this.getRing(this.activeRing);
+
+    let bestEdge = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < ring.length; i++) {
+      const distance = distanceToSegmentSq(point.x, point.z, ring[i], ring[(i + 1) % ring.length]);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestEdge = i;
+      }
+    }
+
+    this.recordHistory();
+    ring.splice(bestEdge + 1, 0, roundPoint([point.x, point.z]));
+    this.selectedVertex = { ...this.activeRing, vertex: bestEdge + 1 };
+    this.commit('Point added');
+  }
+
+  deleteVertex(ref) {
+    const ring = this.getRing(ref);
+    if (!ring) return;
+    if (ring.length <= 3) {
+      this.setStatus('A ring needs at least 3 points - delete the ring instead');
+      return;
+    }
+    this.recordHistory();
+    ring.splice(ref.vertex, 1);
+    this.selectedVertex = null;
+    this.commit('Point deleted');
+  }
+
+  // --- HISTORY ---
+
+  recordHistory() {
+    this.undoStack.push(clonePolygons(this.polygons));
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) return;
+    this.redoStack.push(clonePolygons(this.polygons));
+    this.polygons = this.undoStack.pop();
+    this.resetSelection();
+    this.commit('Undo');
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) return;
+    this.undoStack.push(clonePolygons(this.polygons));
+    this.polygons = this.redoStack.pop();
+    this.resetSelection();
+    this.commit('Redo');
+  }
+
+  resetSelection() {
+    this.selectedVertex = null;
+    if (!this.activeRing || !this.getRing(this.activeRing)) {
+      this.activeRing = this.polygons.length > 0 ? { polygon: 0, ring: -1 } : null;
+    }
+  }
+
+  // Push the working copy to physics and redraw
+  commit(message) {
+    this.options.onAreaChanged(clonePolygons(this.polygons));
+    this.rebuildOverlay();
+    this.setStatus(message);
+  }
+
+  // --- POINTER INPUT ---
+
+  updatePointer(e) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+  }
+
+  getGroundPoint(e) {
+    this.updatePointer(e);
+    return this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+  }
+
+  pickHandle(e) {
+    this.updatePointer(e);
+    const hits = this.raycaster.intersectObjects(this.handles, false);
+    return hits.length > 0 ? hits[0].object.userData : null;
+  }
+
+  onPointerDown(e) {
+    this.pointerDown = { x: e.clientX, y: e.clientY, button: e.button };
+    if (e.button !== 0) return;
+
+    const handle = this.pickHandle(e);
+    if (!handle) return;
+
+    this.activeRing = { polygon: handle.polygon, ring: handle.ring };
+    this.selectedVertex = { ...handle };
+    if (e.altKey) {
+      this.deleteVertex(handle);
+      this.pointerDown = null;
+      return;
+    }
+
+    this.recordHistory();
+    this.dragging = { ...handle, moved: false };
+    this.rebuildOverlay();
+  }
+
+  onPointerMove(e) {
+    if (this.pointerDown && this.pointerDown.button === 2) {
+      this.options.onLook(e.movementX, e.movementY);
+      return;
+    }
+    if (!this.dragging) return;
+
+    const point = this.getGroundPoint(e);
+    if (!point) return;
+    this.getRing(this.dragging)[this.dragging.vertex] = roundPoint([point.x, point.z]);
+    this.dragging.moved = true;
+    this.rebuildOverlay();
+  }
+
+  onPointerUp(e) {
+    const down = this.pointerDown;
+    this.pointerDown = null;
+
+    if (this.dragging) {
+      const moved = this.dragging.moved;
+      this.dragging = null;
+      if (moved) {
+        this.commit('Point moved');
+      } else {
+        // Selecting a point without moving it is not an edit
+        this.undoStack.pop();
+        this.setStatus('Point selected - press Delete to remove it');
+      }
+      return;
+    }
+
+    if (!down || down.button !== 0) return;
+    if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_MOVE_TOLERANCE) return;
+
+    const point = this.getGroundPoint(e);
+    if (point) this.addVertex(point);
+  }
+
+  onKeyDown(e) {
+    // Typing in the panel's fields must not edit the polygon
+    const target = e.target;
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) return;
+
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (ctrl && e.code === 'KeyZ') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (ctrl && e.code === 'KeyY') {
+      e.preventDefault();
+      this.redo();
+    } else if ((e.code === 'Delete' || e.code === 'Backspace') && this.selectedVertex) {
+      this.deleteVertex(this.selectedVertex);
+    } else if (e.code === 'Escape') {
+      this.selectedVertex = null;
+      this.rebuildOverlay();
+    }
+  }
+
+  // --- OVERLAY ---
+
+  clearOverlay() {
+    this.overlay.children.slice().forEach(child => {
+      this.overlay.remove(child);
+      if (child.geometry !== this.handleGeometry) child.geometry.dispose();
+      child.material.dispose();
+    });
+    this.handles = [];
+  }
+
+  // Overlay draws on top of the splat so the boundary is always visible while editing
+  createOverlayMaterial(MaterialClass, color, opacity = 1) {
+    return new MaterialClass({
+      color,
+      transparent: true,
+      opacity,
+      depthTest: false,
+      side: THREE.DoubleSide
+    });
+  }
+
+  rebuildOverlay() {
+    this.clearOverlay();
+    const y = this.options.getGroundLevel() + OVERLAY_HEIGHT;
+
+    this.polygons.forEach((polygon, polygonIndex) => {
+      // Filled area (shape is built in XY and laid flat, so z maps to -y)
+      const shape = new THREE.Shape(polygon.outer.map(([x, z]) => new THREE.Vector2(x, -z)));
+      polygon.holes.forEach(hole => {
+        shape.holes.push(new THREE.Path(hole.map(([x, z]) => new THREE.Vector2(x, -z))));
+      });
+      const fill = new THREE.Mesh(new THREE.ShapeGeometry(shape), this.createOverlayMaterial(THREE.MeshBasicMaterial, COLORS.fill, 0.15));
+      fill.rotation.x = -Math.PI / 2;
+      fill.position.y = y;
+      fill.renderOrder = 998;
+      this.overlay.add(fill);
+
+      this.addRingOverlay(polygon.outer, polygonIndex, -1, y);
+      polygon.holes.forEach((hole, holeIndex) => this.addRingOverlay(hole, polygonIndex, holeIndex, y));
+    });
+  }
+
+  addRingOverlay(ring, polygonIndex, ringIndex, y) {
+    const active = this.isActiveRing(polygonIndex, ringIndex);
+    const color = active ? COLORS.active : (ringIndex < 0 ? COLORS.outer : COLORS.hole);
+
+    const points = ring.map(([x, z]) => new THREE.Vector3(x, y, z));
+    const line = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints(points),
+      this.createOverlayMaterial(THREE.LineBasicMaterial, color)
+    );
+    line.renderOrder = 999;
+    this.overlay.add(line);
+
+    ring.forEach(([x, z], vertexIndex) => {
+      const selected = this.selectedVertex &&
+        this.selectedVertex.polygon === polygonIndex &&
+        this.selectedVertex.ring === ringIndex &&
+        this.selectedVertex.vertex === vertexIndex;
+
+      const handle = new THREE.Mesh(
+        this.handleGeometry,
+        this.createOverlayMaterial(THREE.MeshBasicMaterial, selected ? COLORS.selected : color)
+      );
+      handle.position.set(x, y, z);
+      handle.renderOrder = 1000;
+      handle.userData = { polygon: polygonIndex, ring: ringIndex, vertex: vertexIndex };
+      this.overlay.add(handle);
+      this.handles.push(handle);
+    });
+  }
+
+  // --- EXPORT ---
+
+  exportWalkableArea() {
+    const walkableArea = this.polygons.map(polygon => {
+      const entry = { outer: polygon.outer.map(roundPoint) };
+      if (polygon.holes.length > 0) {
+        entry.holes = polygon.holes.map(hole => hole.map(roundPoint));
+      }
+      return entry;
+    });
+
+    // Paste into the site's entry in public/sites/index.json
+    const json = JSON.stringify({ walkableArea }, null, 2);
+    downloadTextFile(`${this.options.getSiteId()}-walkable-area.json`, json + '\n');
+    console.log('Walkable area exported:', walkableArea);
+    this.setStatus(`Exported ${walkableArea.length} polygon(s)`);
+    return walkableArea;
+  }
+
+  // --- PANEL ---
+
+  createPanel() {
+    const panel = createEditorPanel('boundary-editor-panel', 'Walkable Area', () => this.disable());
+
+    panel.appendChild(createEditorToolbar([
+      createEditorButton('New polygon', () => this.addPolygon()),
+      createEditorButton('Add hole', () => this.addHole()),
+      createEditorButton('Delete ring', () => this.deleteActiveRing()),
+      createEditorButton('Undo', () => this.undo()),
+      createEditorButton('Redo', () => this.redo()),
+      createEditorButton('Export JSON', () => this.exportWalkableArea())
+    ]));
+
+    this.statusLine = createEditorNote('');
+    panel.appendChild(this.statusLine);
+    panel.appendChild(createEditorNote('Green: walkable outline · Red: holes · White: active ring. Right-drag to look around, WASD to move. Ctrl+Z / Ctrl+Shift+Z: undo/redo', 10));
+    this.panel = panel;
+  }
+
+  setStatus(message) {
+    if (this.statusLine) {
+      this.statusLine.textContent = message;
+    }
+  }
+
+  destroy() {
+    this.disable();
+    this.clearOverlay();
+    this.handleGeometry.dispose();
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
+
+export { BoundaryEditor };
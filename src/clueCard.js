@@ -0,0 +1,307 @@
+// Clue Card Module
+// Shows a collected clue as a card with one or more pages. Each page can have a title,
+// markdown-lite text, an image and an audio narration from the site's public/ folder.
+// Markdown-lite: blank line = new paragraph, "# "/"## " headings, "- " lists,
+// **bold**, *italic* and [links](https://...). Everything else is shown as text.
+import { getHeritageSection } from './heritageContent.js';
+
+const ACCENT = '#429fb8';
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Links may only leave the game over http(s); relative links stay on the site
+function sanitizeLinkUrl(url) {
+  const value = String(url ?? '').trim();
+  if (!value) return null;
+  try {
+    const parsed = new URL(value, window.location.href);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Images and narration must be files shipped with the game (public/), not remote URLs
+function isLocalAssetPath(path) {
+  return typeof path === 'string' && path.length > 0 &&
+    !/^[a-z][a-z0-9+.-]*:/i.test(path) && !path.startsWith('//') && !path.split('/').includes('..');
+}
+
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const safeUrl = sanitizeLinkUrl(url.replace(/&amp;/g, '&'));
+      return safeUrl ?
+        `<a href="${escapeHtml(safeUrl).replace(/\*/g, '%2A')}" target="_blank" rel="noopener noreferrer" style="color:${ACCENT};">${label}</a>` :
+        label;
+    })
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+function renderMarkdownLite(text) {
+  return String(text ?? '').trim().split(/\n\s*\n/).map(block => {
+    const lines = block.split('\n');
+    const heading = block.match(/^(#{1,2})\s+(.*)$/);
+    if (heading && lines.length === 1) {
+      const size = heading[1].length === 1 ? 18 : 15;
+      return `<div style="font-weight:bold;font-size:${size}px;color:${ACCENT};margin:8px 0 4px;">${renderInline(heading[2])}</div>`;
+    }
+    if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+      const items = lines.map(line => `<li>${renderInline(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('');
+      return `<ul style="margin:6px 0;padding-left:20px;text-align:left;">${items}</ul>`;
+    }
+    return `<p style="margin:6px 0;">${lines.map(renderInline).join('<br>')}</p>`;
+  }).join('');
+}
+
+// Plain text for places that cannot show HTML (VR panels, event payloads)
+function markdownToPlainText(text) {
+  return String(text ?? '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/^#{1,2}\s+/gm, '')
+    .replace(/^\s*[-*]\s+/gm, '• ');
+}
+
+// Pages for a clue: its own pages (heritage references filled in) or just its message
+function resolveCluePages(clue) {
+  if (!Array.isArray(clue.pages) || clue.pages.length === 0) {
+    return [{ title: null, text: clue.message, image: null, imageAlt: '', audio: null }];
+  }
+
+  return clue.pages.map(page => {
+    const section = page.heritage ? getHeritageSection(page.heritage) : null;
+    if (page.heritage && !section) {
+      console.warn(`Unknown heritage section "${page.heritage}"`);
+    }
+    return {
+      title: page.title ?? section?.title ?? null,
+      text: page.text ?? section?.content ?? '',
+      image: page.image ?? section?.image ?? null,
+      imageAlt: page.imageAlt ?? page.title ?? section?.title ?? '',
+      audio: page.audio ?? null
+    };
+  });
+}
+
+class ClueCard {
+  constructor() {
+    this.card = null;
+    this.clue = null;
+    this.pages = [];
+    this.pageIndex = 0;
+    this.audio = null;
+  }
+
+  isOpen() {
+    return this.card !== null;
+  }
+
+  // clue: { title, message, pages, learnMore }
+  show(clue) {
+    this.hide();
+    this.clue = clue;
+    this.pages = resolveCluePages(clue);
+    this.pageIndex = 0;
+
+    this.card = document.createElement('div');
+    this.card.id = 'clue-card';
+    this.card.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.95);
+      color: #fff;
+      padding: 20px 24px;
+      border-radius: 12px;
+      font-family: 'Courier New', monospace;
+      font-size: 15px;
+      line-height: 1.5;
+      z-index: 20000;
+      border: 2px solid ${ACCENT};
+      box-shadow: 0 8px 32px rgba(66, 159, 184, 0.3);
+      width: min(560px, 92vw);
+      max-height: 82vh;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      text-align: center;
+    `;
+    // Reading and paging must not lock the pointer or interact with the scene
+    this.card.addEventListener('click', (e) => e.stopPropagation());
+    document.body.appendChild(this.card);
+
+    this.renderPage();
+  }
+
+  hide() {
+    this.stopAudio();
+    if (this.card) {
+      this.card.remove();
+      this.card = null;
+    }
+  }
+
+  goToPage(index) {
+    if (index < 0 || index >= this.pages.length) return;
+    this.stopAudio();
+    this.pageIndex = index;
+    this.renderPage();
+  }
+
+  renderPage() {
+    const page = this.pages[this.pageIndex];
+    this.card.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.textContent = this.clue.title;
+    title.style.cssText = `color: ${ACCENT}; font-weight: bold; font-size: 20px;`;
+    this.card.appendChild(title);
+
+    const body = document.createElement('div');
+    body.style.cssText = 'overflow-y: auto; display: flex; flex-direction: column; gap: 8px;';
+
+    if (page.title) {
+      const pageTitle = document.createElement('div');
+      pageTitle.textContent = page.title;
+      pageTitle.style.cssText = 'color: #00ff88; font-weight: bold; font-size: 16px;';
+      body.appendChild(pageTitle);
+    }
+
+    if (page.image && isLocalAssetPath(page.image)) {
+      const image = document.createElement('img');
+      image.src = page.image;
+      image.alt = page.imageAlt;
+      image.style.cssText = 'width: 100%; max-height: 240px; object-fit: cover; border-radius: 8px; border: 1px solid rgba(255, 255, 255, 0.1);';
+      image.onerror = () => {
+        console.warn('Clue image failed to load:', page.image);
+        image.remove();
+      };
+      body.appendChild(image);
+    }
+
+    if (page.audio && isLocalAssetPath(page.audio)) {
+      body.appendChild(this.createAudioControls(page.audio));
+    }
+
+    const text = document.createElement('div');
+    text.style.cssText = 'text-align: left;';
+    text.innerHTML = renderMarkdownLite(page.text);
+    body.appendChild(text);
+
+    this.card.appendChild(body);
+    this.card.appendChild(this.createFooter());
+  }
+
+  createAudioControls(src) {
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; align-items: center; justify-content: center; gap: 10px;';
+
+    this.audio = new Audio(src);
+    this.audio.preload = 'metadata';
+
+    const button = this.createButton('▶ Play narration', () => {
+      if (!this.audio) return;
+      if (this.audio.paused) {
+        this.audio.play().catch(error => console.warn('Narration playback failed:', error));
+      } else {
+        this.audio.pause();
+      }
+    });
+    const status = document.createElement('span');
+    status.style.cssText = 'font-size: 12px; color: #aaa; min-width: 48px;';
+
+    const formatSeconds = (seconds) => Number.isFinite(seconds) ?
+      `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}` : '';
+    const update = () => {
+      if (!this.audio) return;
+      button.textContent = this.audio.paused ? '▶ Play narration' : '❚❚ Pause';
+      status.textContent = formatSeconds(this.audio.duration - this.audio.currentTime);
+    };
+    ['play', 'pause', 'ended', 'timeupdate', 'loadedmetadata'].forEach(type => this.audio.addEventListener(type, update));
+    this.audio.addEventListener('error', () => {
+      console.warn('Narration failed to load:', src);
+      controls.remove();
+    });
+
+    controls.appendChild(button);
+    controls.appendChild(status);
+    return controls;
+  }
+
+  stopAudio() {
+    if (this.audio) {
+      this.audio.pause();
+      this.audio.src = '';
+      this.audio = null;
+    }
+  }
+
+  createFooter() {
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; flex-wrap: wrap;';
+
+    const isFirst = this.pageIndex === 0;
+    const isLast = this.pageIndex === this.pages.length - 1;
+
+    const previous = this.createButton('◀ Back', () => this.goToPage(this.pageIndex - 1));
+    previous.style.visibility = isFirst ? 'hidden' : 'visible';
+    footer.appendChild(previous);
+
+    const middle = document.createElement('div');
+    middle.style.cssText = 'display: flex; flex-direction: column; align-items: center; gap: 4px; font-size: 12px; color: #aaa;';
+    if (this.pages.length > 1) {
+      const indicator = document.createElement('span');
+      indicator.textContent = `${this.pageIndex + 1} / ${this.pages.length}`;
+      middle.appendChild(indicator);
+    }
+    const learnMore = this.clue.learnMore;
+    const learnMoreUrl = learnMore ? sanitizeLinkUrl(learnMore.url) : null;
+    if (learnMoreUrl) {
+      const link = document.createElement('a');
+      link.href = learnMoreUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = learnMore.label || 'Learn more';
+      link.style.cssText = `color: ${ACCENT}; font-size: 13px;`;
+      middle.appendChild(link);
+    }
+    footer.appendChild(middle);
+
+    footer.appendChild(isLast ?
+      this.createButton('Close', () => this.hide(), true) :
+      this.createButton('Next ▶', () => this.goToPage(this.pageIndex + 1), true));
+
+    return footer;
+  }
+
+  createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 6px 16px;
+      background: ${primary ? ACCENT : 'transparent'};
+      color: ${primary ? '#222' : ACCENT};
+      border: 1px solid ${ACCENT};
+      border-radius: 6px;
+      font-family: 'Courier New', monospace;
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+export { ClueCard, renderMarkdownLite, markdownToPlainText, resolveCluePages, sanitizeLinkUrl, isLocalAssetPath };
@@ -0,0 +1,375 @@
+// Clue Challenges Module
+// Questions that must be answered before a clue counts as found:
+// - quiz: multiple choice, "correctChoice" is the index into "choices"
+// - riddle: free text, matched against "answers" after normalising (case, accents, punctuation, articles)
+// - observation: like a riddle, about something the player has to find and look at in the scene,
+//   optionally with an image of the detail
+// Wrong answers use up attempts; after "maxAttempts" the clue locks for "lockoutSeconds"
+// of simulation time, then the player can try again.
+// In VR only quizzes can be answered (on an in-world panel, see main.js); riddles and
+// observations need typing, so hunt authors should expect players to answer them in flat mode.
+import { gameEvents } from './gameEvents.js';
+import { renderMarkdownLite, isLocalAssetPath } from './clueCard.js';
+
+const ACCENT = '#429fb8';
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_LOCKOUT = 30;   // Seconds
+const CHALLENGE_TYPES = ['quiz', 'riddle', 'observation'];
+const IGNORED_WORDS = new Set(['the', 'a', 'an']);
+
+// "The  Golden Window!" and "golden window" are the same answer
+function normalizeAnswer(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !IGNORED_WORDS.has(word))
+    .join(' ');
+}
+
+function isCorrectAnswer(challenge, response) {
+  if (challenge.type === 'quiz') {
+    return response === challenge.correctChoice;
+  }
+  const normalized = normalizeAnswer(response);
+  return normalized.length > 0 && challenge.answers.some(answer => normalizeAnswer(answer) === normalized);
+}
+
+// Cross-field checks the schema cannot express; used by huntDefinition.js
+function validateChallenge(challenge, path, errors) {
+  if (!challenge || typeof challenge !== 'object') return;
+  if (challenge.type === 'quiz') {
+    if (!Array.isArray(challenge.choices) || challenge.choices.length < 2) {
+      errors.push(`${path}.choices needs at least 2 choices for a quiz`);
+    } else if (!Number.isInteger(challenge.correctChoice) || challenge.correctChoice < 0 || challenge.correctChoice >= challenge.choices.length) {
+      errors.push(`${path}.correctChoice must be the index of one of the choices`);
+    }
+  } else if (CHALLENGE_TYPES.includes(challenge.type)) {
+    if (!Array.isArray(challenge.answers) || challenge.answers.length === 0) {
+      errors.push(`${path}.answers needs at least one accepted answer for a ${challenge.type}`);
+    } else if (challenge.answers.some(answer => normalizeAnswer(answer) === '')) {
+      errors.push(`${path}.answers contains an answer that is empty after normalising`);
+    }
+  }
+  if (typeof challenge.image === 'string' && !isLocalAssetPath(challenge.image)) {
+    errors.push(`${path}.image must be a path inside public/, not a URL`);
+  }
+}
+
+class ClueChallenges {
+  // clock: SimulationClock (lockouts pause with the game); input: InputActions
+  constructor(clock, input) {
+    this.clock = clock;
+    this.input = input;
+    this.progress = new Map();   // clue name -> { attempts, lockedUntil }
+    this.dialog = null;
+    this.active = null;          // { name, challenge, onSolved }
+    this.selectedChoice = null;
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  getProgress(name) {
+    if (!this.progress.has(name)) {
+      this.progress.set(name, { attempts: 0, lockedUntil: null });
+    }
+    return this.progress.get(name);
+  }
+
+  getMaxAttempts(challenge) {
+    return challenge.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  }
+
+  // Seconds until the clue can be tried again (0 when unlocked)
+  getLockRemaining(name) {
+    const progress = this.getProgress(name);
+    if (progress.lockedUntil === null) return 0;
+
+    const remaining = progress.lockedUntil - this.clock.getElapsed();
+    if (remaining <= 0) {
+      progress.lockedUntil = null;
+      progress.attempts = 0;
+      return 0;
+    }
+    return remaining;
+  }
+
+  isOpen() {
+    return this.dialog !== null;
+  }
+
+  // Ask the clue's question; onSolved runs once it is answered correctly
+  present(name, challenge, onSolved) {
+    this.close();
+    this.active = { name, challenge, onSolved };
+    this.selectedChoice = null;
+
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    document.body.style.cursor = 'default';
+    this.input.setEnabled(false);
+
+    this.createDialog();
+    document.addEventListener('keydown', this.onKeyDown);
+  }
+
+  close() {
+    if (!this.dialog) return;
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.dialog.remove();
+    this.dialog = null;
+    this.active = null;
+    this.input.setEnabled(true);
+  }
+
+  onKeyDown(e) {
+    if (e.code === 'Escape') {
+      this.close();
+    } else if (e.code === 'Enter' || e.code === 'NumpadEnter') {
+      e.preventDefault();
+      this.submit();
+    }
+  }
+
+  createDialog() {
+    const { name, challenge } = this.active;
+
+    this.dialog = document.createElement('div');
+    this.dialog.id = 'clue-challenge';
+    this.dialog.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.95);
+      color: #fff;
+      padding: 20px 24px;
+      border-radius: 12px;
+      font-family: 'Courier New', monospace;
+      font-size: 15px;
+      line-height: 1.5;
+      z-index: 20000;
+      border: 2px solid ${ACCENT};
+      box-shadow: 0 8px 32px rgba(66, 159, 184, 0.3);
+      width: min(520px, 92vw);
+      max-height: 82vh;
+      overflow-y: auto;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    `;
+    // Answering must not lock the pointer or interact with the scene
+    this.dialog.addEventListener('click', (e) => e.stopPropagation());
+
+    const title = document.createElement('div');
+    title.textContent = challenge.type === 'quiz' ? 'Quiz' : (challenge.type === 'riddle' ? 'Riddle' : 'Look closely');
+    title.style.cssText = `color: ${ACCENT}; font-weight: bold; font-size: 20px; text-align: center;`;
+    this.dialog.appendChild(title);
+
+    if (challenge.image && isLocalAssetPath(challenge.image)) {
+      const image = document.createElement('img');
+      image.src = challenge.image;
+      image.alt = 'Detail to find';
+      image.style.cssText = 'width: 100%; max-height: 220px; object-fit: cover; border-radius: 8px;';
+      image.onerror = () => image.remove();
+      this.dialog.appendChild(image);
+    }
+
+    const question = document.createElement('div');
+    question.innerHTML = renderMarkdownLite(challenge.question);
+    this.dialog.appendChild(question);
+
+    this.dialog.appendChild(challenge.type === 'quiz' ? this.createChoices(challenge) : this.createTextAnswer());
+
+    this.feedback = document.createElement('div');
+    this.feedback.style.cssText = 'min-height: 18px; font-size: 13px; color: #ffaa00; text-align: center;';
+    this.dialog.appendChild(this.feedback);
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; justify-content: space-between; gap: 8px;';
+    footer.appendChild(this.createButton('Not now', () => this.close()));
+    this.submitButton = this.createButton('Answer', () => this.submit(), true);
+    footer.appendChild(this.submitButton);
+    this.dialog.appendChild(footer);
+
+    document.body.appendChild(this.dialog);
+    if (this.textInput) {
+      this.textInput.focus();
+    }
+
+    const locked = this.getLockRemaining(name);
+    if (locked > 0) {
+      this.showLocked(locked);
+    } else {
+      this.showAttemptsLeft();
+    }
+  }
+
+  createChoices(challenge) {
+    this.textInput = null;
+    const list = document.createElement('div');
+    list.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+    this.choiceButtons = challenge.choices.map((choice, index) => {
+      const button = document.createElement('button');
+      button.textContent = choice;
+      button.style.cssText = `
+        padding: 8px 12px;
+        text-align: left;
+        background: rgba(66, 159, 184, 0.12);
+        color: #fff;
+        border: 1px solid rgba(66, 159, 184, 0.4);
+        border-radius: 6px;
+        font-family: 'Courier New', monospace;
+        font-size: 14px;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', () => this.selectChoice(index));
+      list.appendChild(button);
+      return button;
+    });
+    return list;
+  }
+
+  selectChoice(index) {
+    this.selectedChoice = index;
+    this.choiceButtons.forEach((button, i) => {
+      button.style.borderColor = i === index ? ACCENT : 'rgba(66, 159, 184, 0.4)';
+      button.style.background = i === index ? 'rgba(66, 159, 184, 0.35)' : 'rgba(66, 159, 184, 0.12)';
+    });
+  }
+
+  createTextAnswer() {
+    this.choiceButtons = null;
+    this.textInput = document.createElement('input');
+    this.textInput.type = 'text';
+    this.textInput.placeholder = 'Your answer';
+    this.textInput.autocomplete = 'off';
+    this.textInput.style.cssText = `
+      padding: 8px 10px;
+      background: rgba(66, 159, 184, 0.15);
+      color: #fff;
+      border: 1px solid ${ACCENT};
+      border-radius: 6px;
+      font-family: 'Courier New', monospace;
+      font-size: 15px;
+    `;
+    return this.textInput;
+  }
+
+  createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 6px 16px;
+      background: ${primary ? ACCENT : 'transparent'};
+      color: ${primary ? '#222' : ACCENT};
+      border: 1px solid ${ACCENT};
+      border-radius: 6px;
+      font-family: 'Courier New', monospace;
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  showAttemptsLeft() {
+    const { name, challenge } = this.active;
+    const left = this.getMaxAttempts(challenge) - this.getProgress(name).attempts;
+    this.feedback.style.color = '#aaa';
+    this.feedback.textContent = `${left} attempt${left === 1 ? '' : 's'} left`;
+  }
+
+  showLocked(seconds) {
+    this.feedback.style.color = '#ff6666';
+    this.feedback.textContent = `Too many wrong answers. Look around and try again in ${Math.ceil(seconds)}s.`;
+    this.submitButton.disabled = true;
+    this.submitButton.style.opacity = '0.5';
+  }
+
+  submit() {
+    if (!this.active) return;
+    const { name, challenge, onSolved } = this.active;
+
+    const locked = this.getLockRemaining(name);
+    if (locked > 0) {
+      this.showLocked(locked);
+      return;
+    }
+
+    const response = challenge.type === 'quiz' ? this.selectedChoice : this.textInput.value;
+    if (response === null || (typeof response === 'string' && normalizeAnswer(response) === '')) {
+      this.feedback.style.color = '#ffaa00';
+      this.feedback.textContent = challenge.type === 'quiz' ? 'Pick an answer first.' : 'Type an answer first.';
+      return;
+    }
+
+    const { correct, lockedFor } = this.answer(name, challenge, response);
+    if (correct) {
+      this.close();
+      onSolved();
+      return;
+    }
+    if (lockedFor > 0) {
+      this.showLocked(lockedFor);
+      return;
+    }
+
+    this.showAttemptsLeft();
+    this.feedback.style.color = '#ff6666';
+    this.feedback.textContent = `${challenge.wrongFeedback || 'Not quite.'} ${this.feedback.textContent}.`;
+    if (this.textInput) {
+      this.textInput.select();
+    }
+  }
+
+  // Count one attempt at a challenge; also used by the in-world quiz panel in VR.
+  // Returns { correct, lockedFor (seconds, 0 when not locked), attemptsLeft }
+  answer(name, challenge, response) {
+    const progress = this.getProgress(name);
+    progress.attempts++;
+    const correct = isCorrectAnswer(challenge, response);
+    const lockout = challenge.lockoutSeconds ?? DEFAULT_LOCKOUT;
+    if (correct) {
+      this.progress.delete(name);
+    } else if (progress.attempts >= this.getMaxAttempts(challenge)) {
+      progress.lockedUntil = this.clock.getElapsed() + lockout;
+    }
+    gameEvents.emit('challenge:answered', { name, type: challenge.type, correct, attempts: progress.attempts });
+
+    return {
+      correct,
+      lockedFor: !correct && progress.lockedUntil !== null ? lockout : 0,
+      attemptsLeft: correct ? 0 : this.getMaxAttempts(challenge) - progress.attempts
+    };
+  }
+
+  reset() {
+    this.close();
+    this.progress.clear();
+  }
+
+  // Lockouts are saved as remaining time; the clock starts from zero after a reload
+  serialize() {
+    const saved = {};
+    this.progress.forEach((progress, name) => {
+      saved[name] = { attempts: progress.attempts, lockRemaining: this.getLockRemaining(name) };
+    });
+    return saved;
+  }
+
+  restore(saved) {
+    this.progress.clear();
+    if (!saved) return;
+    Object.entries(saved).forEach(([name, progress]) => {
+      this.progress.set(name, {
+        attempts: progress.attempts ?? 0,
+        lockedUntil: progress.lockRemaining > 0 ? this.clock.getElapsed() + progress.lockRemaining : null
+      });
+    });
+  }
+}
+
+export { ClueChallenges, CHALLENGE_TYPES, normalizeAnswer, isCorrectAnswer, validateChallenge };
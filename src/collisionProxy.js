@@ -0,0 +1,305 @@
+// Collision Proxy Module
+// A low-poly OBJ/glTF mesh of the site, aligned with the splat, used for player collision
+// and surface raycasts. Triangles are baked to world space and stored in a BVH so capsule
+// and ray queries stay cheap on mobile.
+import * as THREE from "three";
+import { closestPointOnSegment, WALKABLE_NORMAL_Y } from './obstacleColliders.js';
+
+const BVH_LEAF_SIZE = 8;
+const CONTACT_ITERATIONS = 6;
+const CLOSEST_POINT_ITERATIONS = 3;
+
+// --- TRIANGLE BVH ---
+class TriangleBVH {
+  // positions: Float32Array with 9 floats (3 world-space vertices) per triangle
+  constructor(positions) {
+    this.positions = positions;
+    this.triangleCount = positions.length / 9;
+    this.order = new Uint32Array(this.triangleCount);
+    this.centroids = new Float32Array(this.triangleCount * 3);
+
+    for (let i = 0; i < this.triangleCount; i++) {
+      this.order[i] = i;
+      for (let axis = 0; axis < 3; axis++) {
+        this.centroids[i * 3 + axis] = (positions[i * 9 + axis] + positions[i * 9 + 3 + axis] + positions[i * 9 + 6 + axis]) / 3;
+      }
+    }
+
+    this.root = this.triangleCount > 0 ? this.buildNode(0, this.triangleCount) : null;
+  }
+
+  expandBoxByTriangle(box, triangleIndex) {
+    const p = this.positions;
+    const base = triangleIndex * 9;
+    for (let v = 0; v < 3; v++) {
+      const o = base + v * 3;
+      box.min.x = Math.min(box.min.x, p[o]);
+      box.min.y = Math.min(box.min.y, p[o + 1]);
+      box.min.z = Math.min(box.min.z, p[o + 2]);
+      box.max.x = Math.max(box.max.x, p[o]);
+      box.max.y = Math.max(box.max.y, p[o + 1]);
+      box.max.z = Math.max(box.max.z, p[o + 2]);
+    }
+  }
+
+  // Median split along the longest axis of the triangle centroids
+  buildNode(start, end) {
+    const box = new THREE.Box3();
+    for (let i = start; i < end; i++) {
+      this.expandBoxByTriangle(box, this.order[i]);
+    }
+
+    const count = end - start;
+    if (count <= BVH_LEAF_SIZE) {
+      return { box, start, count, left: null, right: null };
+    }
+
+    const centroidBox = new THREE.Box3();
+    const centroid = new THREE.Vector3();
+    for (let i = start; i < end; i++) {
+      centroidBox.expandByPoint(centroid.fromArray(this.centroids, this.order[i] * 3));
+    }
+    const extent = centroidBox.getSize(new THREE.Vector3());
+    const axis = extent.x >= extent.y && extent.x >= extent.z ? 0 : (extent.y >= extent.z ? 1 : 2);
+
+    const slice = Array.from(this.order.subarray(start, end));
+    slice.sort((a, b) => this.centroids[a * 3 + axis] - this.centroids[b * 3 + axis]);
+    this.order.set(slice, start);
+
+    const middle = start + Math.floor(count / 2);
+    return {
+      box,
+      start,
+      count: 0,
+      left: this.buildNode(start, middle),
+      right: this.buildNode(middle, end)
+    };
+  }
+
+  getTriangle(triangleIndex, triangle) {
+    const base = triangleIndex * 9;
+    triangle.a.fromArray(this.positions, base);
+    triangle.b.fromArray(this.positions, base + 3);
+    triangle.c.fromArray(this.positions, base + 6);
+    return triangle;
+  }
+
+  // Call visit(triangleIndex) for every triangle whose node overlaps the box
+  queryBox(box, visit) {
+    if (!this.root) return;
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node.box.intersectsBox(box)) continue;
+      if (node.left) {
+        stack.push(node.left, node.right);
+      } else {
+        for (let i = node.start; i < node.start + node.count; i++) {
+          visit(this.order[i]);
+        }
+      }
+    }
+  }
+
+  // Nearest triangle hit along the ray, or null
+  raycast(ray, far = Infinity) {
+    if (!this.root) return null;
+
+    const triangle = new THREE.Triangle();
+    const boxHit = new THREE.Vector3();
+    const hitPoint = new THREE.Vector3();
+    let best = null;
+    let bestDistance = far;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!ray.intersectBox(node.box, boxHit)) continue;
+      if (!node.box.containsPoint(ray.origin) && boxHit.distanceTo(ray.origin) > bestDistance) continue;
+
+      if (node.left) {
+        stack.push(node.left, node.right);
+        continue;
+      }
+
+      for (let i = node.start; i < node.start + node.count; i++) {
+        const triangleIndex = this.order[i];
+        this.getTriangle(triangleIndex, triangle);
+        if (!ray.intersectTriangle(triangle.a, triangle.b, triangle.c, false, hitPoint)) continue;
+
+        const distance = hitPoint.distanceTo(ray.origin);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          const normal = triangle.getNormal(new THREE.Vector3());
+          if (normal.dot(ray.direction) > 0) normal.negate();
+          best = { distance, point: hitPoint.clone(), normal, triangleIndex };
+        }
+      }
+    }
+
+    return best;
+  }
+}
+
+// --- COLLISION PROXY ---
+class CollisionProxy {
+  constructor(object, positions) {
+    this.object = object;
+    this.bvh = new TriangleBVH(positions);
+    console.log(`Collision proxy ready with ${this.bvh.triangleCount} triangles`);
+  }
+
+  raycast(origin, direction, far = Infinity) {
+    return this.bvh.raycast(new THREE.Ray(origin.clone(), direction.clone().normalize()), far);
+  }
+
+  // Deepest contact between the capsule (segment a-b, radius) and nearby triangles
+  findDeepestContact(a, b, radius, velocity) {
+    const queryBox = new THREE.Box3().setFromPoints([a, b]).expandByScalar(radius);
+    const triangle = new THREE.Triangle();
+    const segmentPoint = new THREE.Vector3();
+    const surfacePoint = new THREE.Vector3();
+    const offset = new THREE.Vector3();
+    let deepest = null;
+
+    this.bvh.queryBox(queryBox, triangleIndex => {
+      this.bvh.getTriangle(triangleIndex, triangle);
+
+      // Alternate closest points between segment and triangle until they settle
+      segmentPoint.addVectors(a, b).multiplyScalar(0.5);
+      for (let i = 0; i < CLOSEST_POINT_ITERATIONS; i++) {
+        triangle.closestPointToPoint(segmentPoint, surfacePoint);
+        closestPointOnSegment(surfacePoint, a, b, segmentPoint);
+      }
+      triangle.closestPointToPoint(segmentPoint, surfacePoint);
+
+      offset.subVectors(segmentPoint, surfacePoint);
+      const distance = offset.length();
+      if (distance >= radius) return;
+
+      let normal;
+      if (distance > 1e-6) {
+        normal = offset.clone().divideScalar(distance);
+      } else {
+        // Segment touches the surface: push back against the direction of travel
+        normal = triangle.getNormal(new THREE.Vector3());
+        if (normal.dot(velocity) > 0) normal.negate();
+      }
+
+      const depth = radius - distance;
+      if (!deepest || depth > deepest.depth) {
+        deepest = { normal, depth };
+      }
+    });
+
+    return deepest;
+  }
+
+  // Same contract as ObstacleColliderSet.resolvePlayer: position/velocity are modified in place
+  resolvePlayer(position, velocity, radius, height) {
+    const result = { collided: false, grounded: false };
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const v = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
+
+    for (let iteration = 0; iteration < CONTACT_ITERATIONS; iteration++) {
+      a.set(position.x, position.y, position.z);
+      b.set(position.x, position.y + Math.max(0, height - 2 * radius), position.z);
+
+      const contact = this.findDeepestContact(a, b, radius, v);
+      if (!contact) break;
+
+      position.x += contact.normal.x * contact.depth;
+      position.y += contact.normal.y * contact.depth;
+      position.z += contact.normal.z * contact.depth;
+
+      const into = v.dot(contact.normal);
+      if (into < 0) v.addScaledVector(contact.normal, -into);
+
+      if (contact.normal.y > WALKABLE_NORMAL_Y) result.grounded = true;
+      result.collided = true;
+    }
+
+    velocity.x = v.x;
+    velocity.y = v.y;
+    velocity.z = v.z;
+    return result;
+  }
+
+  // Indexed copy of the triangles for physics engines that build their own trimesh
+  getTriangleMesh() {
+    const indices = new Uint32Array(this.bvh.triangleCount * 3);
+    for (let i = 0; i < indices.length; i++) indices[i] = i;
+    return { vertices: this.bvh.positions, indices };
+  }
+}
+
+// --- LOADING ---
+function inferProxyFormat(url) {
+  const extension = url.split('?')[0].split('.').pop().toLowerCase();
+  return extension === 'obj' ? 'obj' : 'gltf';
+}
+
+async function loadProxyModel(url, format) {
+  if (format === 'obj') {
+    const { OBJLoader } = await import('three/examples/jsm/loaders/OBJLoader.js');
+    return new OBJLoader().loadAsync(url);
+  }
+  const { GLTFLoader } = await import('three/examples/jsm/loaders/GLTFLoader.js');
+  const gltf = await new GLTFLoader().loadAsync(url);
+  return gltf.scene;
+}
+
+// Bake every mesh triangle of the model into one world-space array
+function collectWorldTriangles(root) {
+  const triangles = [];
+  const vertex = new THREE.Vector3();
+
+  root.traverse(child => {
+    if (!child.isMesh || !child.geometry) return;
+    child.visible = false;
+
+    const positionAttribute = child.geometry.getAttribute('position');
+    if (!positionAttribute) return;
+    const index = child.geometry.getIndex();
+    const count = index ? index.count : positionAttribute.count;
+
+    for (let i = 0; i + 2 < count; i += 3) {
+      for (let corner = 0; corner < 3; corner++) {
+        const vertexIndex = index ? index.getX(i + corner) : i + corner;
+        vertex.fromBufferAttribute(positionAttribute, vertexIndex).applyMatrix4(child.matrixWorld);
+        triangles.push(vertex.x, vertex.y, vertex.z);
+      }
+    }
+  });
+
+  return new Float32Array(triangles);
+}
+
+// config: sceneConfig.collisionProxy, splatConfig: sceneConfig.splat.
+// The proxy inherits the splat transform; config position/rotation/scale fine-tune it inside that frame.
+async function loadCollisionProxy(config, splatConfig) {
+  const format = config.format === 'glb' ? 'gltf' : (config.format || inferProxyFormat(config.url));
+  console.log(`Loading collision proxy (${format}):`, config.url);
+
+  const model = await loadProxyModel(config.url, format);
+  model.position.set(...(config.position || [0, 0, 0]));
+  model.rotation.set(...(config.rotation || [0, 0, 0]));
+  model.scale.set(...(config.scale || [1, 1, 1]));
+
+  const group = new THREE.Group();
+  group.name = 'collision_proxy';
+  group.position.set(...splatConfig.position);
+  group.rotation.set(...splatConfig.rotation);
+  group.scale.set(...splatConfig.scale);
+  group.add(model);
+  group.updateMatrixWorld(true);
+
+  const positions = collectWorldTriangles(group);
+  if (positions.length === 0) {
+    throw new Error(`Collision proxy ${config.url} contains no triangles`);
+  }
+  return new CollisionProxy(group, positions);
+}
+
+export { TriangleBVH, CollisionProxy, loadCollisionProxy };
@@ -0,0 +1,420 @@
+// Completion Screen Module
+// End-of-hunt summary (time, hints, clues, route length) with "Play again" and "Explore freely",
+// plus a completion certificate drawn on a 2D canvas that players can download or share.
+// The certificate includes a snapshot of the 3D view taken when the hunt ends.
+import { services } from './gameEvents.js';
+import { formatTime } from './huntModes.js';
+import { renderMarkdownLite } from './clueCard.js';
+
+const ACCENT = '#429fb8';
+const GREEN = '#00ff88';
+const CERTIFICATE_WIDTH = 1200;
+const CERTIFICATE_HEIGHT = 850;
+const NAME_MAX_LENGTH = 40;
+
+class CompletionScreen {
+  // options: { onPlayAgain, onExplore }
+  constructor(options = {}) {
+    this.onPlayAgain = options.onPlayAgain || (() => {});
+    this.onExplore = options.onExplore || (() => {});
+    this.overlay = null;
+    this.summary = null;
+    this.snapshot = null;
+    this.certificate = null;
+    this.preview = null;
+    this.playerName = '';
+    this.isOpen = false;
+    this.xrSession = null;   // Headset session the full screen waits for (see show)
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onXRSessionEnd = this.onXRSessionEnd.bind(this);
+  }
+
+  // summary: { outcome, huntId, huntTitle, siteName, endMessage, finalClue, cluesFound, totalClues,
+  //            playTime, hintsUsed, routeLength, modeResults }
+  show(summary) {
+    this.hide();
+    this.summary = summary;
+
+    // In a headset the DOM overlay can't be seen or clicked, and disabling input would freeze
+    // the controllers; show the summary panel now and the full screen once the player leaves VR
+    const xr = services.optional('xr');
+    if (xr && xr.isPresenting() && xr.session) {
+      xr.showPanel(this.getTitle(), this.getPlainSummary(), { accent: GREEN });
+      this.xrSession = xr.session;
+      this.xrSession.addEventListener('end', this.onXRSessionEnd);
+      return;
+    }
+
+    this.isOpen = true;
+    // Grab the view before the overlay covers it
+    this.snapshot = this.captureSnapshot();
+
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    document.body.style.cursor = 'default';
+    const input = services.optional('input');
+    if (input) {
+      input.setEnabled(false);
+    }
+
+    this.createOverlay();
+    this.updateCertificate();
+    document.addEventListener('keydown', this.onKeyDown);
+  }
+
+  hide() {
+    this.stopWaitingForXR();
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    document.removeEventListener('keydown', this.onKeyDown);
+
+    const input = services.optional('input');
+    if (input) {
+      input.setEnabled(true);
+    }
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  stopWaitingForXR() {
+    if (this.xrSession) {
+      this.xrSession.removeEventListener('end', this.onXRSessionEnd);
+      this.xrSession = null;
+    }
+  }
+
+  // The renderer finishes leaving the session after this event, so show on the next tick
+  onXRSessionEnd() {
+    this.stopWaitingForXR();
+    const summary = this.summary;
+    setTimeout(() => this.show(summary), 0);
+  }
+
+  // Esc behaves like "Explore freely" (unless typing the name)
+  onKeyDown(e) {
+    if (e.code === 'Escape' && !(e.target instanceof HTMLInputElement)) {
+      this.explore();
+    }
+  }
+
+  explore() {
+    this.hide();
+    this.onExplore();
+  }
+
+  playAgain() {
+    this.hide();
+    this.onPlayAgain();
+  }
+
+  getTitle() {
+    return this.summary.outcome === 'timeUp' ? "Time's Up!" : 'Hunt Complete!';
+  }
+
+  getStats() {
+    const summary = this.summary;
+    const rows = [
+      ['Clues found', `${summary.cluesFound}/${summary.totalClues}`],
+      ['Time taken', formatTime(summary.playTime)],
+      ['Hints used', String(summary.hintsUsed)],
+      ['Route length', `${Math.round(summary.routeLength)} m`]
+    ];
+    // Extra rows from the hunt mode (score, time left, ...)
+    return rows.concat(summary.modeResults || []);
+  }
+
+  getPlainSummary() {
+    const message = this.summary.outcome === 'timeUp' ? '' : `${this.summary.endMessage}\n`;
+    return message + this.getStats().map(([label, value]) => `${label}: ${value}`).join('\n');
+  }
+
+  // Render one frame and copy it; the WebGL buffer is only readable right after drawing
+  captureSnapshot() {
+    const renderer = services.optional('renderer');
+    const scene = services.optional('scene');
+    const camera = services.optional('camera');
+    if (!renderer || !scene || !camera || renderer.xr.isPresenting) return null;
+
+    try {
+      renderer.render(scene, camera);
+      const source = renderer.domElement;
+      const snapshot = document.createElement('canvas');
+      snapshot.width = 480;
+      snapshot.height = Math.round(480 * source.height / source.width);
+      snapshot.getContext('2d').drawImage(source, 0, 0, snapshot.width, snapshot.height);
+      return snapshot;
+    } catch (error) {
+      console.warn('Failed to capture scene snapshot:', error);
+      return null;
+    }
+  }
+
+  createOverlay() {
+    const summary = this.summary;
+
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'completion-screen';
+    this.overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.85);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 25000;
+      font-family: 'Courier New', monospace;
+      opacity: 0;
+      transition: opacity 0.6s ease;
+    `;
+    // Clicks on the screen must not lock the pointer or interact with the scene
+    this.overlay.addEventListener('click', (e) => e.stopPropagation());
+
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+      background: rgba(0, 0, 0, 0.95);
+      color: #fff;
+      border: 2px solid ${ACCENT};
+      border-radius: 12px;
+      box-shadow: 0 8px 32px rgba(66, 159, 184, 0.3);
+      padding: 24px 28px;
+      width: min(760px, 94vw);
+      max-height: 92vh;
+      overflow-y: auto;
+      display: flex;
+      flex-direction: column;
+      gap: 14px;
+      text-align: center;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = this.getTitle();
+    title.style.cssText = `color: ${GREEN}; font-weight: bold; font-size: 26px;`;
+    panel.appendChild(title);
+
+    const message = document.createElement('div');
+    message.style.cssText = `color: ${ACCENT}; font-size: 16px; line-height: 1.4;`;
+    message.textContent = summary.outcome === 'timeUp' ?
+      `You found ${summary.cluesFound} of ${summary.totalClues} clues before the time ran out.` :
+      summary.endMessage;
+    panel.appendChild(message);
+
+    if (summary.finalClue) {
+      const clue = document.createElement('div');
+      clue.style.cssText = 'font-size: 13px; color: #ccc; border-top: 1px solid rgba(66, 159, 184, 0.3); padding-top: 10px;';
+      const clueTitle = document.createElement('div');
+      clueTitle.style.cssText = `color: ${ACCENT}; font-weight: bold; margin-bottom: 4px;`;
+      clueTitle.textContent = summary.finalClue.title;
+      const clueMessage = document.createElement('div');
+      clueMessage.innerHTML = renderMarkdownLite(summary.finalClue.message);
+      clue.append(clueTitle, clueMessage);
+      panel.appendChild(clue);
+    }
+
+    const stats = document.createElement('div');
+    stats.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 8px;';
+    this.getStats().forEach(([label, value]) => {
+      const cell = document.createElement('div');
+      cell.style.cssText = `
+        background: rgba(66, 159, 184, 0.12);
+        border: 1px solid rgba(66, 159, 184, 0.4);
+        border-radius: 8px;
+        padding: 8px;
+      `;
+      cell.innerHTML = `<div style="font-size:11px;color:#aaa;">${label}</div><div style="font-size:20px;font-weight:bold;color:${GREEN};">${value}</div>`;
+      stats.appendChild(cell);
+    });
+    panel.appendChild(stats);
+
+    panel.appendChild(this.createCertificateSection());
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; justify-content: center; gap: 10px; flex-wrap: wrap;';
+    actions.appendChild(this.createButton('Play again', () => this.playAgain(), true));
+    actions.appendChild(this.createButton('Explore freely', () => this.explore()));
+    panel.appendChild(actions);
+
+    this.overlay.appendChild(panel);
+    document.body.appendChild(this.overlay);
+    requestAnimationFrame(() => {
+      if (this.overlay) this.overlay.style.opacity = '1';
+    });
+  }
+
+  createCertificateSection() {
+    const section = document.createElement('div');
+    section.style.cssText = 'display: flex; flex-direction: column; align-items: center; gap: 8px; border-top: 1px solid rgba(66, 159, 184, 0.3); padding-top: 12px;';
+
+    const label = document.createElement('label');
+    label.textContent = 'Name on certificate: ';
+    label.style.cssText = 'font-size: 13px; color: #ccc;';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = NAME_MAX_LENGTH;
+    nameInput.placeholder = 'Your name';
+    nameInput.value = this.playerName;
+    nameInput.style.cssText = `
+      padding: 4px 8px;
+      background: rgba(66, 159, 184, 0.15);
+      color: #fff;
+      border: 1px solid ${ACCENT};
+      border-radius: 4px;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+    `;
+    nameInput.addEventListener('input', () => {
+      this.playerName = nameInput.value;
+      this.updateCertificate();
+    });
+    label.appendChild(nameInput);
+    section.appendChild(label);
+
+    this.preview = document.createElement('img');
+    this.preview.alt = 'Completion certificate';
+    this.preview.style.cssText = `width: min(420px, 80vw); border: 1px solid ${ACCENT}; border-radius: 6px;`;
+    section.appendChild(this.preview);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 8px;';
+    buttons.appendChild(this.createButton('Download certificate', () => this.downloadCertificate()));
+    if (navigator.share && navigator.canShare) {
+      buttons.appendChild(this.createButton('Share', () => this.shareCertificate()));
+    }
+    section.appendChild(buttons);
+
+    return section;
+  }
+
+  createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 8px 18px;
+      background: ${primary ? ACCENT : 'transparent'};
+      color: ${primary ? '#222' : ACCENT};
+      border: 1px solid ${ACCENT};
+      border-radius: 6px;
+      font-family: 'Courier New', monospace;
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  updateCertificate() {
+    this.certificate = this.drawCertificate();
+    if (this.preview) {
+      this.preview.src = this.certificate.toDataURL('image/png');
+    }
+  }
+
+  drawCertificate() {
+    const summary = this.summary;
+    const canvas = document.createElement('canvas');
+    canvas.width = CERTIFICATE_WIDTH;
+    canvas.height = CERTIFICATE_HEIGHT;
+    const context = canvas.getContext('2d');
+    const centre = CERTIFICATE_WIDTH / 2;
+
+    context.fillStyle = '#0b1a20';
+    context.fillRect(0, 0, CERTIFICATE_WIDTH, CERTIFICATE_HEIGHT);
+    context.strokeStyle = ACCENT;
+    context.lineWidth = 12;
+    context.strokeRect(24, 24, CERTIFICATE_WIDTH - 48, CERTIFICATE_HEIGHT - 48);
+    context.lineWidth = 2;
+    context.strokeRect(44, 44, CERTIFICATE_WIDTH - 88, CERTIFICATE_HEIGHT - 88);
+
+    context.textAlign = 'center';
+    context.textBaseline = 'alphabetic';
+
+    context.fillStyle = GREEN;
+    context.font = 'bold 54px "Courier New", monospace';
+    context.fillText(summary.outcome === 'timeUp' ? 'Certificate of Participation' : 'Certificate of Completion', centre, 120);
+
+    let y = 150;
+    if (this.snapshot) {
+      const height = 240;
+      const width = Math.round(height * this.snapshot.width / this.snapshot.height);
+      context.drawImage(this.snapshot, centre - width / 2, y, width, height);
+      context.strokeStyle = ACCENT;
+      context.strokeRect(centre - width / 2, y, width, height);
+      y += height;
+    }
+
+    context.fillStyle = '#cccccc';
+    context.font = '28px "Courier New", monospace';
+    context.fillText('This certifies that', centre, y + 60);
+
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 48px "Courier New", monospace';
+    context.fillText(this.playerName.trim() || 'A Treasure Hunter', centre, y + 120, CERTIFICATE_WIDTH - 160);
+
+    context.fillStyle = '#cccccc';
+    context.font = '28px "Courier New", monospace';
+    const verb = summary.outcome === 'timeUp' ? 'took part in' : 'completed';
+    context.fillText(`${verb} ${summary.huntTitle}`, centre, y + 170, CERTIFICATE_WIDTH - 160);
+    context.fillText(`at ${summary.siteName}`, centre, y + 210, CERTIFICATE_WIDTH - 160);
+
+    context.fillStyle = ACCENT;
+    context.font = '24px "Courier New", monospace';
+    const stats = this.getStats().map(([label, value]) => `${label}: ${value}`);
+    context.fillText(stats.slice(0, 2).join('   '), centre, y + 270, CERTIFICATE_WIDTH - 160);
+    context.fillText(stats.slice(2).join('   '), centre, y + 305, CERTIFICATE_WIDTH - 160);
+
+    context.fillStyle = '#999999';
+    context.font = '20px "Courier New", monospace';
+    context.fillText(new Date().toLocaleDateString(), centre, CERTIFICATE_HEIGHT - 70);
+
+    return canvas;
+  }
+
+  getCertificateFileName() {
+    return `certificate-${this.summary.huntId}.png`;
+  }
+
+  getCertificateBlob() {
+    return new Promise((resolve, reject) => {
+      this.certificate.toBlob(blob => blob ? resolve(blob) : reject(new Error('Certificate image could not be created')), 'image/png');
+    });
+  }
+
+  async downloadCertificate() {
+    try {
+      const blob = await this.getCertificateBlob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = this.getCertificateFileName();
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Certificate download failed:', error);
+    }
+  }
+
+  async shareCertificate() {
+    try {
+      const blob = await this.getCertificateBlob();
+      const file = new File([blob], this.getCertificateFileName(), { type: 'image/png' });
+      const data = { files: [file], title: this.summary.huntTitle, text: `${this.getTitle()} ${this.summary.huntTitle}` };
+      if (!navigator.canShare(data)) {
+        await this.downloadCertificate();
+        return;
+      }
+      await navigator.share(data);
+    } catch (error) {
+      // Closing the share sheet rejects with AbortError
+      if (error.name !== 'AbortError') {
+        console.error('Certificate share failed:', error);
+      }
+    }
+  }
+}
+
+export { CompletionScreen };
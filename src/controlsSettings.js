@@ -0,0 +1,236 @@
+// Controls Settings Module
+// Screen for rebinding the keyboard controls. Click a binding, then press the new key:
+// Esc cancels, Backspace/Delete clears the slot. Changes apply and save immediately.
+import { INPUT_ACTIONS, SLOTS_PER_ACTION, getActionDefinition } from './inputActions.js';
+import { gameEvents } from './gameEvents.js';
+
+const ACCENT = '#429fb8';
+
+class ControlsSettings {
+  constructor(inputActions) {
+    this.inputActions = inputActions;
+    this.overlay = null;
+    this.list = null;
+    this.message = null;
+    this.capture = null; // { actionId, slot, button } while waiting for a key
+    this.isOpen = false;
+
+    this.onCaptureKeyDown = this.onCaptureKeyDown.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    gameEvents.on('input:rebound', () => {
+      if (this.isOpen) this.renderBindings();
+    });
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    document.body.style.cursor = 'default';
+    this.inputActions.setEnabled(false);
+
+    this.createOverlay();
+    this.renderBindings();
+    document.addEventListener('keydown', this.onKeyDown);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.cancelCapture();
+    this.isOpen = false;
+    this.inputActions.setEnabled(true);
+    document.removeEventListener('keydown', this.onKeyDown);
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.isOpen;
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'controls-settings';
+    this.overlay.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.95);
+      color: #fff;
+      padding: 20px 24px;
+      border-radius: 12px;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+      z-index: 20000;
+      border: 2px solid ${ACCENT};
+      box-shadow: 0 8px 32px rgba(66, 159, 184, 0.3);
+      width: min(440px, 92vw);
+      max-height: 86vh;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    `;
+    // Clicks inside the screen must not lock the pointer or interact with the scene
+    this.overlay.addEventListener('click', (e) => e.stopPropagation());
+
+    const title = document.createElement('div');
+    title.textContent = 'Controls';
+    title.style.cssText = `color: ${ACCENT}; font-weight: bold; font-size: 18px;`;
+
+    const note = document.createElement('div');
+    note.textContent = 'Click a key to change it. Esc cancels, Backspace clears.';
+    note.style.cssText = 'color: #aaa; font-size: 11px;';
+
+    this.list = document.createElement('div');
+    this.list.style.cssText = 'overflow-y: auto; display: flex; flex-direction: column; gap: 4px;';
+
+    this.message = document.createElement('div');
+    this.message.style.cssText = 'color: #ffaa00; font-size: 11px; min-height: 14px;';
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; justify-content: space-between; gap: 8px;';
+    footer.appendChild(this.createButton('Reset to defaults', () => {
+      this.cancelCapture();
+      this.inputActions.resetBindings();
+      this.showMessage('Default controls restored.');
+    }));
+    footer.appendChild(this.createButton('Close', () => this.close(), true));
+
+    this.overlay.appendChild(title);
+    this.overlay.appendChild(note);
+    this.overlay.appendChild(this.list);
+    this.overlay.appendChild(this.message);
+    this.overlay.appendChild(footer);
+    document.body.appendChild(this.overlay);
+  }
+
+  createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 6px 14px;
+      background: ${primary ? ACCENT : 'transparent'};
+      color: ${primary ? '#222' : ACCENT};
+      border: 1px solid ${ACCENT};
+      border-radius: 6px;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  renderBindings() {
+    if (!this.list) return;
+    this.list.innerHTML = '';
+
+    INPUT_ACTIONS.forEach(action => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+
+      const label = document.createElement('div');
+      label.textContent = action.label;
+      label.style.cssText = 'flex: 1;';
+      row.appendChild(label);
+
+      const bindings = this.inputActions.getBindings(action.id);
+      for (let slot = 0; slot < SLOTS_PER_ACTION; slot++) {
+        const code = bindings[slot];
+        const button = document.createElement('button');
+        button.textContent = code ? this.inputActions.getKeyLabel(code) : '—';
+        button.disabled = !!action.fixed;
+        button.style.cssText = `
+          width: 86px;
+          padding: 4px 6px;
+          background: rgba(66, 159, 184, 0.15);
+          color: ${action.fixed ? '#777' : '#fff'};
+          border: 1px solid rgba(66, 159, 184, 0.4);
+          border-radius: 4px;
+          font-family: 'Courier New', monospace;
+          font-size: 12px;
+          cursor: ${action.fixed ? 'default' : 'pointer'};
+        `;
+        if (!action.fixed) {
+          button.addEventListener('click', () => this.startCapture(action.id, slot, button));
+        }
+        row.appendChild(button);
+      }
+
+      this.list.appendChild(row);
+    });
+  }
+
+  startCapture(actionId, slot, button) {
+    this.cancelCapture();
+    this.capture = { actionId, slot, button };
+    button.textContent = 'Press a key';
+    button.style.borderColor = '#ffaa00';
+    this.showMessage('');
+    // Capture phase so the game's own key handlers never see the key
+    document.addEventListener('keydown', this.onCaptureKeyDown, true);
+  }
+
+  cancelCapture() {
+    if (!this.capture) return;
+    document.removeEventListener('keydown', this.onCaptureKeyDown, true);
+    this.capture = null;
+    this.renderBindings();
+  }
+
+  // Esc closes the screen when no binding is being captured
+  onKeyDown(e) {
+    if (e.code === 'Escape') {
+      this.close();
+    }
+  }
+
+  onCaptureKeyDown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const { actionId, slot } = this.capture;
+    if (e.code === 'Escape') {
+      this.cancelCapture();
+      return;
+    }
+
+    document.removeEventListener('keydown', this.onCaptureKeyDown, true);
+    this.capture = null;
+
+    if (e.code === 'Backspace' || e.code === 'Delete') {
+      this.inputActions.clearBinding(actionId, slot);
+      return;
+    }
+
+    try {
+      const displaced = this.inputActions.rebind(actionId, slot, e.code);
+      if (displaced) {
+        this.showMessage(`${this.inputActions.getKeyLabel(e.code)} was removed from "${getActionDefinition(displaced).label}".`);
+      }
+    } catch (error) {
+      this.showMessage(error.message);
+      this.renderBindings();
+    }
+  }
+
+  showMessage(text) {
+    if (this.message) {
+      this.message.textContent = text;
+    }
+  }
+}
+
+export { ControlsSettings };
@@ -0,0 +1,56 @@
+// Device Profile Module
+// Sorts the device into a quality tier so low-end phones get a splat budget they can hold
+// in memory and draw at a playable frame rate. Override with ?quality=low|medium|high
+// (saved for later visits) to test a tier or rescue a device the detection got wrong.
+import { isMobileDevice } from './mobileControls.js';
+
+const QUALITY_STORAGE_KEY = 'treasureHunt.quality';
+
+// maxSplats: splats kept from the file (the rest are never decoded)
+// coarseSplats: splats decoded before the scene opens; the rest stream in while playing
+// pixelRatio: render resolution relative to CSS pixels (splats are fill-rate bound)
+const DEVICE_TIERS = {
+  low: { maxSplats: 400000, coarseSplats: 60000, pixelRatio: 0.75, antialias: false },
+  medium: { maxSplats: 1200000, coarseSplats: 120000, pixelRatio: 1, antialias: true },
+  high: { maxSplats: 4000000, coarseSplats: 200000, pixelRatio: 1, antialias: true }
+};
+
+function getQualityOverride() {
+  const fromUrl = new URLSearchParams(window.location.search).get('quality');
+  try {
+    if (fromUrl && DEVICE_TIERS[fromUrl]) {
+      window.localStorage.setItem(QUALITY_STORAGE_KEY, fromUrl);
+      return fromUrl;
+    }
+    // ?quality=auto clears a saved override
+    if (fromUrl === 'auto') {
+      window.localStorage.removeItem(QUALITY_STORAGE_KEY);
+      return null;
+    }
+    const saved = window.localStorage.getItem(QUALITY_STORAGE_KEY);
+    return DEVICE_TIERS[saved] ? saved : null;
+  } catch (error) {
+    return DEVICE_TIERS[fromUrl] ? fromUrl : null;
+  }
+}
+
+// deviceMemory (GB, Chromium only) and hardwareConcurrency are coarse but cheap signals
+function detectTier() {
+  const memory = navigator.deviceMemory || null;
+  const cores = navigator.hardwareConcurrency || null;
+
+  if (isMobileDevice()) {
+    if ((memory !== null && memory <= 3) || (cores !== null && cores <= 4)) return 'low';
+    return 'medium';
+  }
+  if (memory !== null && memory <= 4) return 'medium';
+  return 'high';
+}
+
+function getDeviceProfile() {
+  const override = getQualityOverride();
+  const tier = override || detectTier();
+  return { tier, overridden: Boolean(override), ...DEVICE_TIERS[tier] };
+}
+
+export { getDeviceProfile, DEVICE_TIERS };
@@ -0,0 +1,92 @@
+// Editor Panel Module
+// Shared DOM helpers for the authoring tools (hunt editor, boundary editor)
+
+// Floating side panel with a title bar and close button; hidden until the editor is enabled
+function createEditorPanel(id, title, onClose) {
+  const panel = document.createElement('div');
+  panel.id = id;
+  panel.style.cssText = `
+    position: fixed;
+    top: 70px;
+    right: 20px;
+    width: 280px;
+    max-height: calc(100vh - 100px);
+    display: none;
+    flex-direction: column;
+    gap: 8px;
+    padding: 12px;
+    background: rgba(0, 0, 0, 0.85);
+    border: 1px solid #429fb8;
+    border-radius: 8px;
+    color: white;
+    font-family: 'Inter', 'Segoe UI', system-ui, sans-serif;
+    font-size: 12px;
+    z-index: 10001;
+    overflow-y: auto;
+    cursor: default;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    color: #429fb8;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  `;
+  header.textContent = title;
+  header.appendChild(createEditorButton('✕', onClose));
+
+  panel.appendChild(header);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function createEditorButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.cssText = `
+    padding: 4px 8px;
+    background: #429fb8;
+    color: white;
+    border: none;
+    border-radius: 4px;
+    font-size: 11px;
+    cursor: pointer;
+  `;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+function createEditorToolbar(buttons) {
+  const toolbar = document.createElement('div');
+  toolbar.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px;';
+  buttons.forEach(button => toolbar.appendChild(button));
+  return toolbar;
+}
+
+function createEditorNote(text, fontSize = 11) {
+  const note = document.createElement('div');
+  note.style.cssText = `color: rgba(255, 255, 255, 0.55); font-size: ${fontSize}px; line-height: 1.4;`;
+  note.textContent = text;
+  return note;
+}
+
+// Download text as a file (used by the editors' export buttons)
+function downloadTextFile(filename, text, type = 'application/json') {
+  const blob = new Blob([text], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+export { createEditorPanel, createEditorButton, createEditorToolbar, createEditorNote, downloadTextFile };
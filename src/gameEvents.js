@@ -0,0 +1,175 @@
+// Game Events Module
+// Event bus and service registry shared by the game modules. Modules publish what happened
+// (clue:found, hunt:completed, ...) and look up shared systems by name instead of reading
+// window globals. Third-party plugins get the same bus and registry through window.TreasureHunt.
+
+// Known events and the payload fields every emit must provide
+const GAME_EVENTS = {
+  'hunt:started': ['huntId', 'siteId'],
+  'hunt:completed': ['huntId', 'siteId', 'treasuresFound', 'outcome'],  // outcome: 'completed' | 'timeUp'
+  'hunt:reset': ['huntId', 'siteId'],
+  'hunt:timer': ['remaining', 'timeLimit'],
+  'clue:found': ['name', 'level', 'title', 'message'],
+  'hint:shown': ['name', 'tier', 'type', 'cost'],   // tier: index of the newly revealed hint tier
+  'challenge:answered': ['name', 'type', 'correct', 'attempts'],
+  'progress:changed': ['currentLevel', 'treasuresFound', 'totalTreasures'],
+  'player:moved': ['position', 'velocity', 'isGrounded', 'isCrouching'],
+  'input:action': ['action', 'pressed', 'source'],
+  'input:rebound': ['bindings'],
+  'input:gamepad': ['connected', 'id', 'index']
+};
+
+class GameEventBus {
+  constructor(definitions = {}) {
+    this.definitions = new Map(Object.entries(definitions));
+    this.listeners = new Map();
+  }
+
+  // Plugins declare their own events before using them; namespace the name, e.g. 'myplugin:scored'
+  defineEvent(type, fields = []) {
+    if (this.definitions.has(type)) {
+      throw new Error(`Game event "${type}" is already defined`);
+    }
+    this.definitions.set(type, fields);
+  }
+
+  isDefined(type) {
+    return this.definitions.has(type);
+  }
+
+  assertDefined(type) {
+    if (!this.definitions.has(type)) {
+      throw new Error(`Unknown game event "${type}"`);
+    }
+  }
+
+  // Returns a function that removes the listener
+  on(type, listener) {
+    this.assertDefined(type);
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  once(type, listener) {
+    const off = this.on(type, (payload) => {
+      off();
+      listener(payload);
+    });
+    return off;
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  emit(type, payload = {}) {
+    this.assertDefined(type);
+    const missing = this.definitions.get(type).filter(field => !(field in payload));
+    if (missing.length > 0) {
+      throw new Error(`Game event "${type}" is missing: ${missing.join(', ')}`);
+    }
+
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while the event is being delivered
+    [...listeners].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Game event "${type}" listener error:`, error);
+      }
+    });
+  }
+}
+
+// Named shared systems ('physics', 'player', 'game', 'camera', ...), registered by main.js
+class ServiceRegistry {
+  constructor() {
+    this.services = new Map();
+  }
+
+  register(name, service) {
+    this.services.set(name, service);
+    return service;
+  }
+
+  unregister(name) {
+    this.services.delete(name);
+  }
+
+  has(name) {
+    return this.services.has(name);
+  }
+
+  get(name) {
+    if (!this.services.has(name)) {
+      throw new Error(`Service "${name}" is not registered`);
+    }
+    return this.services.get(name);
+  }
+
+  // For callers that can run before the service exists
+  optional(name) {
+    return this.services.has(name) ? this.services.get(name) : null;
+  }
+}
+
+const gameEvents = new GameEventBus(GAME_EVENTS);
+const services = new ServiceRegistry();
+
+// --- PLUGINS ---
+const plugins = new Map();
+
+// plugin: { name, setup({ events, services }) }; setup may return a cleanup function
+function registerPlugin(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+    throw new Error('A plugin needs a name and a setup(api) function');
+  }
+  if (plugins.has(plugin.name)) {
+    throw new Error(`Plugin "${plugin.name}" is already registered`);
+  }
+
+  const cleanup = plugin.setup({ events: gameEvents, services });
+  plugins.set(plugin.name, { plugin, cleanup: typeof cleanup === 'function' ? cleanup : null });
+  console.log(`Plugin registered: ${plugin.name}`);
+}
+
+function unregisterPlugin(name) {
+  const entry = plugins.get(name);
+  if (!entry) return;
+  if (entry.cleanup) {
+    entry.cleanup();
+  }
+  plugins.delete(name);
+}
+
+// The only global the game defines. Plugins loaded before the game can queue themselves
+// in window.TreasureHuntPlugins and are registered here.
+function exposePluginAPI() {
+  const queued = Array.isArray(window.TreasureHuntPlugins) ? window.TreasureHuntPlugins : [];
+
+  window.TreasureHunt = Object.freeze({
+    events: gameEvents,
+    services,
+    eventTypes: Object.keys(GAME_EVENTS),
+    registerPlugin,
+    unregisterPlugin
+  });
+
+  queued.forEach(plugin => {
+    try {
+      registerPlugin(plugin);
+    } catch (error) {
+      console.error('Failed to register queued plugin:', error);
+    }
+  });
+}
+
+export { GAME_EVENTS, GameEventBus, ServiceRegistry, gameEvents, services, registerPlugin, unregisterPlugin, exposePluginAPI };
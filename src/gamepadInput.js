@@ -0,0 +1,176 @@
+// Gamepad Input Module
+// Standard-mapping controllers through the Gamepad API, fed into the shared input actions:
+// left stick moves, right stick looks, buttons drive jump/crouch/interact/hint.
+// The API has no input events, so the first usable pad is polled once per frame; pads can be
+// plugged in and out at any time.
+import { gameEvents } from './gameEvents.js';
+
+const STICK_DEADZONE = 0.15;   // Same radial deadzone as the touch joystick
+const LOOK_SPEED = 2.5;        // Radians per second at full right-stick deflection
+
+// Standard mapping button indices (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_BUTTON_ACTIONS = {
+  0: 'jump',        // A / Cross
+  1: 'crouch',      // B / Circle
+  2: 'interact',    // X / Square
+  3: 'hint',        // Y / Triangle
+  6: 'flyDown',     // Left trigger
+  7: 'interact',    // Right trigger
+  9: 'help'         // Start / Options
+};
+
+const GAMEPAD_LEGEND = [
+  { keys: 'L-Stick', label: 'Move' },
+  { keys: 'R-Stick', label: 'Look' },
+  { keys: 'A', label: 'Jump/Fly' },
+  { keys: 'LT', label: 'Fly Down' },
+  { keys: 'B', label: 'Crouch' },
+  { keys: 'X/RT', label: 'Interact' },
+  { keys: 'Y', label: 'Hint' },
+  { keys: 'Start', label: 'Help' }
+];
+
+// Radial deadzone with a squared response curve for fine aiming near the centre
+function applyDeadzone(x, y) {
+  const magnitude = Math.sqrt(x * x + y * y);
+  if (magnitude < STICK_DEADZONE) {
+    return { x: 0, y: 0 };
+  }
+
+  const normalized = Math.min(1, (magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+  const curved = normalized * normalized;
+  return {
+    x: (x / magnitude) * curved,
+    y: (y / magnitude) * curved
+  };
+}
+
+class GamepadInput {
+  constructor(inputActions) {
+    this.inputActions = inputActions;
+    this.activeIndex = null;
+    this.activeId = null;
+    this.pressedButtons = new Set();
+    this.move = { x: 0, y: 0 };
+    this.lastPollTime = null;
+    this.warnedIds = new Set();
+
+    this.isSupported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    if (!this.isSupported) {
+      console.log('Gamepad API not available');
+      return;
+    }
+
+    inputActions.addMoveSource('gamepad', () => this.move);
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log(`Gamepad connected: ${e.gamepad.id}`);
+      if (this.activeIndex === null) {
+        this.activate(e.gamepad);
+      }
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+      if (e.gamepad.index === this.activeIndex) {
+        this.deactivate();
+      }
+    });
+  }
+
+  isConnected() {
+    return this.activeIndex !== null;
+  }
+
+  getLegend() {
+    return GAMEPAD_LEGEND;
+  }
+
+  activate(gamepad) {
+    if (gamepad.mapping !== 'standard') {
+      if (!this.warnedIds.has(gamepad.id)) {
+        this.warnedIds.add(gamepad.id);
+        console.warn(`Gamepad "${gamepad.id}" has no standard mapping and is ignored`);
+      }
+      return false;
+    }
+
+    this.activeIndex = gamepad.index;
+    this.activeId = gamepad.id;
+    gameEvents.emit('input:gamepad', { connected: true, id: gamepad.id, index: gamepad.index });
+    return true;
+  }
+
+  deactivate() {
+    const id = this.activeId;
+    const index = this.activeIndex;
+    this.releaseButtons();
+    this.move = { x: 0, y: 0 };
+    this.activeIndex = null;
+    this.activeId = null;
+    gameEvents.emit('input:gamepad', { connected: false, id, index });
+  }
+
+  releaseButtons() {
+    this.pressedButtons.forEach(button => {
+      this.inputActions.release(GAMEPAD_BUTTON_ACTIONS[button], this.getHolder(button), 'gamepad');
+    });
+    this.pressedButtons.clear();
+  }
+
+  getHolder(button) {
+    return `gamepad:${this.activeIndex}:${button}`;
+  }
+
+  // Read the active pad once per frame (also picks up pads that never fired gamepadconnected)
+  poll(now) {
+    if (!this.isSupported) return;
+
+    const dt = this.lastPollTime === null ? 0 : Math.min((now - this.lastPollTime) / 1000, 0.1);
+    this.lastPollTime = now;
+
+    const gamepads = navigator.getGamepads();
+    let gamepad = this.activeIndex !== null ? gamepads[this.activeIndex] : null;
+
+    if (this.activeIndex !== null && (!gamepad || !gamepad.connected)) {
+      this.deactivate();
+      gamepad = null;
+    }
+    if (!gamepad) {
+      gamepad = Array.from(gamepads).find(pad => pad && pad.connected && this.activate(pad)) || null;
+      if (!gamepad) return;
+    }
+
+    // The controls screen disables input while it captures keys
+    if (!this.inputActions.enabled) {
+      this.releaseButtons();
+      this.move = { x: 0, y: 0 };
+      return;
+    }
+
+    // Left stick: up is negative on the standard mapping
+    const move = applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+    this.move = { x: move.x, y: -move.y };
+
+    // Right stick: rate-based look
+    const look = applyDeadzone(gamepad.axes[2] || 0, gamepad.axes[3] || 0);
+    if ((look.x !== 0 || look.y !== 0) && dt > 0) {
+      this.inputActions.look(look.x * LOOK_SPEED * dt, look.y * LOOK_SPEED * dt);
+    }
+
+    Object.keys(GAMEPAD_BUTTON_ACTIONS).forEach(key => {
+      const button = Number(key);
+      const state = gamepad.buttons[button];
+      const pressed = !!state && state.pressed;
+      const wasPressed = this.pressedButtons.has(button);
+
+      if (pressed && !wasPressed) {
+        this.pressedButtons.add(button);
+        this.inputActions.press(GAMEPAD_BUTTON_ACTIONS[button], this.getHolder(button), 'gamepad');
+      } else if (!pressed && wasPressed) {
+        this.pressedButtons.delete(button);
+        this.inputActions.release(GAMEPAD_BUTTON_ACTIONS[button], this.getHolder(button), 'gamepad');
+      }
+    });
+  }
+}
+
+export { GamepadInput, GAMEPAD_BUTTON_ACTIONS, applyDeadzone };
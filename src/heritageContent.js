@@ -0,0 +1,39 @@
+// Heritage Content Module
+// Written background on Keshav Narayan Chowk, shown on the landing page and reusable
+// as clue pages: a clue page with { "heritage": "<section id>" } takes its title and text from here.
+
+const HERITAGE_SECTIONS = [
+  {
+    id: 'historical-background',
+    title: 'Historical Background',
+    content: 'The site originally housed Chaukot Durbar, a four-cornered fortress from the Malla period. Before that, it was home to Ratnakar Gumba, a Buddhist monastery. In the 17th century, King Siddhinar Singh Malla handed the monastery over to Hakka Bahal and later installed a statue of Keshav Narayan—an incarnation of Lord Vishnu—at the center of the courtyard, giving the space its current name. By 1734, the area had evolved into a ceremonial palace complex used by the Malla kings, representing the pinnacle of court life in Patan.'
+  },
+  {
+    id: 'architectural-features',
+    title: 'Architectural Features',
+    content: 'Designed in the traditional Nepali chowk style, the courtyard is enclosed by four wings and features ornately carved timber columns and arcades, traditional brickwork and gilded religious motifs, a central shrine dedicated to Keshav Narayan, and a golden window and several decorative elements reflecting Malla craftsmanship. Modern restoration efforts have incorporated structural reinforcements for earthquake resilience while preserving the historical aesthetic.',
+    image: '/pic1.jpg'
+  },
+  {
+    id: 'patan-museum',
+    title: 'The Patan Museum',
+    content: 'Following damage from the 1934 earthquake and subsequent neglect, Keshav Narayan Chowk underwent major restoration beginning in 1982. This joint initiative by the Nepalese and Austrian governments resulted in the establishment of the Patan Museum—Nepal\'s first autonomous public museum and one of the most respected in South Asia. Today, the museum houses bronze sculptures and sacred artifacts, exhibitions on Newar art and culture, and rotating displays and educational programming.'
+  },
+  {
+    id: 'cultural-civic-role',
+    title: 'Cultural and Civic Role',
+    content: 'The courtyard remains a functional cultural space that continues to host religious rituals and seasonal festivals, public gatherings and performances, and workshops and educational events. It serves both as a site of devotion and as a cultural learning center, connecting visitors to the rich heritage of Patan.'
+  },
+  {
+    id: 'present-day-importance',
+    title: 'Present-Day Importance',
+    content: 'As part of the UNESCO World Heritage-listed Patan Durbar Square, Keshav Narayan Chowk is a benchmark in Nepalese heritage conservation. It represents a living tradition where history, architecture, and community intersect. The courtyard is not merely a preserved monument; it is an active civic space that continues to reflect the values and artistry of Nepalese society.',
+    image: '/pic2.webp'
+  }
+];
+
+function getHeritageSection(id) {
+  return HERITAGE_SECTIONS.find(section => section.id === id) || null;
+}
+
+export { HERITAGE_SECTIONS, getHeritageSection };
@@ -0,0 +1,426 @@
+// Hint System Module
+// Tiered hints per clue, revealed one at a time:
+// - text: a written hint (the clue's "hint" text by default)
+// - compass: an arrow on the HUD pointing toward the clue for a while
+// - beacon: a short glowing light column on the clue itself
+// A clue's "hints" list in the hunt definition replaces the default text/compass/beacon tiers.
+// Each newly revealed tier costs points in the scored mode; viewing a revealed tier again is free.
+// The number of tiers used per clue is kept in gameState.hintTiers and saved with the progress.
+import * as THREE from "three";
+import { gameEvents, services } from './gameEvents.js';
+import { renderMarkdownLite } from './clueCard.js';
+
+const HINT_TIER_TYPES = ['text', 'compass', 'beacon'];
+
+// cost: scored-mode penalty; duration: seconds the compass/beacon stays active
+const TIER_DEFAULTS = {
+  text: { cost: 25, duration: 0, text: 'Keep exploring the courtyard!' },
+  compass: { cost: 40, duration: 20, text: 'Follow the arrow at the top of the screen.' },
+  beacon: { cost: 60, duration: 6, text: 'Look for the light rising above the clue.' }
+};
+
+const BEACON_HEIGHT = 6;
+const POPUP_DURATION = 8000;   // Milliseconds before a text hint closes itself
+
+// Hint tiers for one clue: its own "hints" list, or text/compass/beacon built from its "hint"
+function resolveHintTiers(hint, tiers) {
+  const configured = Array.isArray(tiers) && tiers.length > 0 ? tiers :
+    [{ type: 'text', text: hint?.text }, { type: 'compass' }, { type: 'beacon' }];
+
+  return configured.map((tier, index) => {
+    const defaults = TIER_DEFAULTS[tier.type] || TIER_DEFAULTS.text;
+    return {
+      type: TIER_DEFAULTS[tier.type] ? tier.type : 'text',
+      title: tier.title || hint?.title || `Hint ${index + 1}`,
+      text: tier.text || defaults.text,
+      cost: tier.cost ?? defaults.cost,
+      duration: tier.duration ?? defaults.duration
+    };
+  });
+}
+
+// Angle from the player's view direction to the target, positive = to the left (same sense as yaw)
+function getRelativeAngle(from, yaw, to) {
+  const targetYaw = Math.atan2(-(to.x - from.x), -(to.z - from.z));
+  let angle = targetYaw - yaw;
+  while (angle > Math.PI) angle -= Math.PI * 2;
+  while (angle < -Math.PI) angle += Math.PI * 2;
+  return angle;
+}
+
+// "2 o'clock" style direction for places without the HUD arrow (VR panels)
+function toClockDirection(relativeAngle) {
+  const hour = Math.round(-relativeAngle / (Math.PI / 6));
+  return ((hour % 12) + 12) % 12 || 12;
+}
+
+// One hint as escaped markdown-lite, optionally numbered
+function createHintText(text, number = null) {
+  const element = document.createElement('div');
+  if (number === null) {
+    element.style.cssText = 'margin-bottom: 16px;';
+    element.innerHTML = renderMarkdownLite(text);
+    return element;
+  }
+  element.style.cssText = 'margin-bottom: 10px; text-align: left; display: flex; gap: 6px;';
+  const label = document.createElement('span');
+  label.style.cssText = 'color: #00ff88; margin: 6px 0;';
+  label.textContent = `${number}.`;
+  const body = document.createElement('div');
+  body.innerHTML = renderMarkdownLite(text);
+  element.append(label, body);
+  return element;
+}
+
+function createPopupButton(label, colors) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.cssText = `
+    padding: 8px 20px;
+    border-radius: 6px;
+    font-size: 14px;
+    cursor: pointer;
+    font-family: 'Courier New', monospace;
+    ${colors}
+  `;
+  return button;
+}
+
+class HintSystem {
+  // clock: SimulationClock, so compass and beacon time stops while the game is paused
+  constructor(scene, clock) {
+    this.scene = scene;
+    this.clock = clock;
+    this.compass = null;   // { name, timerId }
+    this.beacon = null;    // { name, mesh, timerId }
+    this.compassElement = null;
+    this.popupTimer = null;
+
+    this.createCompass();
+
+    // A found clue no longer needs guidance
+    gameEvents.on('clue:found', ({ name }) => {
+      if (this.compass && this.compass.name === name) this.stopCompass();
+      if (this.beacon && this.beacon.name === name) this.stopBeacon();
+    });
+    gameEvents.on('hunt:completed', () => this.clear());
+    gameEvents.on('hunt:reset', () => this.clear());
+  }
+
+  getTiers(name) {
+    const game = services.optional('game');
+    const hint = game ? game.cubeHints[name] : null;
+    return hint ? hint.tiers : [];
+  }
+
+  getUsedTiers(name) {
+    const game = services.optional('game');
+    return game && game.state.hintTiers ? (game.state.hintTiers[name] || 0) : 0;
+  }
+
+  // Quick hint (Q): the first tier the first time, afterwards the last revealed tier again
+  showHint(name) {
+    const tiers = this.getTiers(name);
+    if (tiers.length === 0) {
+      console.warn('No hint found for cube:', name);
+      return;
+    }
+
+    const used = this.getUsedTiers(name);
+    if (used === 0) {
+      this.revealNextTier(name);
+    } else {
+      this.activateTier(name, tiers[used - 1], used - 1);
+    }
+  }
+
+  // Help: every revealed tier, with a button that pays for the next one
+  showHintPanel(name) {
+    const tiers = this.getTiers(name);
+    if (tiers.length === 0) {
+      console.warn('No hint found for cube:', name);
+      return;
+    }
+
+    // No buttons inside a headset; help goes straight to the next tier
+    const xr = services.optional('xr');
+    if (xr && xr.isPresenting()) {
+      this.revealNextTier(name);
+      return;
+    }
+
+    const used = this.getUsedTiers(name);
+    const revealed = tiers.slice(0, used).map((tier, index) => createHintText(tier.text, index + 1));
+    const next = tiers[used];
+
+    this.showPopup(tiers[0].title, revealed.length > 0 ? revealed : [createHintText('Stuck? Take a hint.')], {
+      footer: next ? `Hint ${used + 1} of ${tiers.length}` : 'No more hints for this clue',
+      action: next ? {
+        label: `Next hint${this.isScored() ? ` (-${next.cost} pts)` : ''}`,
+        onClick: () => this.revealNextTier(name)
+      } : null,
+      autoClose: false
+    });
+  }
+
+  revealNextTier(name) {
+    const game = services.optional('game');
+    const tiers = this.getTiers(name);
+    const used = this.getUsedTiers(name);
+    if (!game || tiers.length === 0) return;
+
+    if (used >= tiers.length) {
+      this.activateTier(name, tiers[tiers.length - 1], tiers.length - 1);
+      return;
+    }
+
+    const tier = tiers[used];
+    game.state.hintTiers = { ...(game.state.hintTiers || {}), [name]: used + 1 };
+    gameEvents.emit('hint:shown', { name, tier: used, type: tier.type, cost: tier.cost });
+    this.activateTier(name, tier, used);
+  }
+
+  activateTier(name, tier, index) {
+    const tiers = this.getTiers(name);
+    const footer = `Hint ${index + 1} of ${tiers.length}`;
+    const xr = services.optional('xr');
+
+    if (tier.type === 'compass') {
+      this.startCompass(name, tier.duration);
+      // The HUD arrow is not visible inside a headset; describe the direction instead
+      if (xr && xr.isPresenting()) {
+        const direction = this.describeDirection(name);
+        xr.showPanel(tier.title, direction ? `${tier.text}\n\n${direction}` : tier.text, { accent: '#00ff88' });
+        return;
+      }
+    } else if (tier.type === 'beacon') {
+      this.startBeacon(name, tier.duration);
+    }
+
+    if (xr && xr.isPresenting()) {
+      xr.showPanel(tier.title, tier.text, { accent: '#00ff88' });
+      return;
+    }
+    this.showPopup(tier.title, [createHintText(tier.text)], { footer });
+  }
+
+  isScored() {
+    const game = services.optional('game');
+    return !!(game && game.mode && game.mode.id === 'scored');
+  }
+
+  getTargetPosition(name) {
+    const target = this.scene.getObjectByName(name);
+    return target ? target.getWorldPosition(new THREE.Vector3()) : null;
+  }
+
+  getPlayerPosition() {
+    const physics = services.optional('physics');
+    return physics ? physics.getPlayerPosition() : null;
+  }
+
+  describeDirection(name) {
+    const from = this.getPlayerPosition();
+    const to = this.getTargetPosition(name);
+    const player = services.optional('player');
+    if (!from || !to || !player) return null;
+
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const hour = toClockDirection(getRelativeAngle(from, player.yaw, to));
+    return `About ${Math.round(distance)} m away, at ${hour} o'clock.`;
+  }
+
+  // --- COMPASS ---
+
+  createCompass() {
+    const compass = document.createElement('div');
+    compass.id = 'hint-compass';
+    compass.style.cssText = `
+      position: fixed;
+      top: 80px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: none;
+      flex-direction: column;
+      align-items: center;
+      gap: 2px;
+      background: rgba(0, 0, 0, 0.6);
+      color: #00ff88;
+      padding: 6px 12px;
+      border-radius: 8px;
+      border: 1px solid rgba(0, 255, 136, 0.3);
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      z-index: 1000;
+      pointer-events: none;
+    `;
+    compass.innerHTML = `
+      <div id="hint-compass-arrow" style="font-size: 28px; line-height: 1; transition: transform 0.1s linear;">▲</div>
+      <div id="hint-compass-distance"></div>
+    `;
+    document.body.appendChild(compass);
+    this.compassElement = compass;
+    this.compassArrow = compass.querySelector('#hint-compass-arrow');
+    this.compassDistance = compass.querySelector('#hint-compass-distance');
+  }
+
+  startCompass(name, duration) {
+    this.stopCompass();
+    this.compass = {
+      name,
+      timerId: this.clock.schedule(duration, () => this.stopCompass())
+    };
+    this.compassElement.style.display = 'flex';
+    this.updateCompass();
+  }
+
+  stopCompass() {
+    if (!this.compass) return;
+    this.clock.cancel(this.compass.timerId);
+    this.compass = null;
+    this.compassElement.style.display = 'none';
+  }
+
+  updateCompass() {
+    const from = this.getPlayerPosition();
+    const to = this.getTargetPosition(this.compass.name);
+    const player = services.optional('player');
+    if (!from || !to || !player) return;
+
+    // CSS rotation is clockwise, the relative angle is counter-clockwise
+    const angle = getRelativeAngle(from, player.yaw, to);
+    this.compassArrow.style.transform = `rotate(${-angle}rad)`;
+    this.compassDistance.textContent = `${Math.round(Math.hypot(to.x - from.x, to.z - from.z))} m`;
+  }
+
+  // --- BEACON ---
+
+  startBeacon(name, duration) {
+    this.stopBeacon();
+    const target = this.getTargetPosition(name);
+    if (!target) return;
+
+    const geometry = new THREE.CylinderGeometry(0.05, 0.25, BEACON_HEIGHT, 16, 1, true);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x00ff88,
+      transparent: true,
+      opacity: 0.6,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'hintBeacon';
+    mesh.position.set(target.x, target.y + BEACON_HEIGHT / 2, target.z);
+    // Visible through walls, and never picked by the click raycast
+    mesh.renderOrder = 999;
+    mesh.raycast = () => {};
+    this.scene.add(mesh);
+
+    this.beacon = {
+      name,
+      mesh,
+      timerId: this.clock.schedule(duration, () => this.stopBeacon())
+    };
+  }
+
+  stopBeacon() {
+    if (!this.beacon) return;
+    this.clock.cancel(this.beacon.timerId);
+    this.scene.remove(this.beacon.mesh);
+    this.beacon.mesh.geometry.dispose();
+    this.beacon.mesh.material.dispose();
+    this.beacon = null;
+  }
+
+  // Called every frame from the animation loop
+  update() {
+    if (this.compass) {
+      this.updateCompass();
+    }
+    if (this.beacon) {
+      const pulse = 0.5 + 0.5 * Math.sin(this.clock.getElapsed() * 6);
+      this.beacon.mesh.material.opacity = 0.3 + 0.4 * pulse;
+    }
+  }
+
+  clear() {
+    this.stopCompass();
+    this.stopBeacon();
+    this.hidePopup();
+  }
+
+  // --- POPUP ---
+
+  // content: elements from createHintText; options: { footer, action: { label, onClick }, autoClose }
+  // Titles, hint text and labels come from hunt files, so everything is set as text or escaped
+  showPopup(title, content, options = {}) {
+    this.hidePopup();
+
+    const hintPopup = document.createElement('div');
+    hintPopup.id = 'hint-popup';
+    hintPopup.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.95);
+      color: #429fb8;
+      padding: 24px 32px;
+      border-radius: 12px;
+      font-family: 'Courier New', monospace;
+      font-size: 16px;
+      z-index: 20000;
+      border: 2px solid #429fb8;
+      box-shadow: 0 8px 32px rgba(66, 159, 184, 0.3);
+      text-align: center;
+      max-width: 400px;
+      line-height: 1.4;
+    `;
+
+    const titleElement = document.createElement('div');
+    titleElement.style.cssText = 'font-weight: bold; font-size: 18px; margin-bottom: 12px; color: #00ff88;';
+    titleElement.textContent = title;
+    hintPopup.append(titleElement, ...content);
+
+    if (options.footer) {
+      const footer = document.createElement('div');
+      footer.style.cssText = 'font-size: 12px; color: #aaa; margin-bottom: 12px;';
+      footer.textContent = options.footer;
+      hintPopup.appendChild(footer);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: center; gap: 8px;';
+    if (options.action) {
+      const nextButton = createPopupButton(options.action.label, 'background: transparent; color: #00ff88; border: 1px solid #00ff88;');
+      nextButton.id = 'next-hint-btn';
+      nextButton.onclick = options.action.onClick;
+      buttons.appendChild(nextButton);
+    }
+    const closeButton = createPopupButton('Close', 'background: #429fb8; color: #222; border: none;');
+    closeButton.id = 'close-hint-btn';
+    buttons.appendChild(closeButton);
+    hintPopup.appendChild(buttons);
+
+    // Buttons must not lock the pointer or interact with the scene
+    hintPopup.addEventListener('click', (e) => e.stopPropagation());
+
+    document.body.appendChild(hintPopup);
+    closeButton.onclick = () => this.hidePopup();
+    if (options.autoClose !== false) {
+      this.popupTimer = setTimeout(() => this.hidePopup(), POPUP_DURATION);
+    }
+  }
+
+  hidePopup() {
+    clearTimeout(this.popupTimer);
+    this.popupTimer = null;
+    const existingHint = document.getElementById('hint-popup');
+    if (existingHint) {
+      existingHint.remove();
+    }
+  }
+}
+
+export { HintSystem, HINT_TIER_TYPES, resolveHintTiers };
@@ -0,0 +1,260 @@
+// Hunt Definition Module
+// Loads treasure hunts from external JSON files so new hunts can ship without code changes
+import { validateAgainstSchema } from './schemaValidator.js';
+import { OBSTACLE_SCHEMA, BOUNDING_BOX_SCHEMA, validateObstacleShape } from './siteRegistry.js';
+import { getHeritageSection } from './heritageContent.js';
+import { isLocalAssetPath } from './clueCard.js';
+import { CHALLENGE_TYPES, validateChallenge } from './clueChallenges.js';
+import { HINT_TIER_TYPES } from './hintSystem.js';
+
+const DEFAULT_HUNT_URL = '/hunts/keshav-narayan-chowk.json';
+const DEFAULT_TIME_LIMIT = 600;
+
+// Schema for hunt definition files (see schemaValidator.js for supported types)
+const HUNT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'clues'],
+  properties: {
+    id: { type: 'string' },
+    version: { type: 'number' },
+    title: { type: 'string' },
+    gameMode: { type: 'string', enum: ['sequential', 'free-order', 'timed', 'scored'] },
+    timeLimit: { type: 'number', min: 1 },   // Seconds, for the timed mode
+    startMessage: { type: 'string' },
+    endMessage: { type: 'string' },
+    defaults: {
+      type: 'object',
+      properties: {
+        size: { type: 'vec3' },
+        opacity: { type: 'number', min: 0, max: 1 },
+        pickupRadius: { type: 'number', min: 0 }
+      }
+    },
+    clues: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'title', 'message', 'position'],
+        properties: {
+          name: { type: 'string' },
+          title: { type: 'string' },
+          message: { type: 'string' },
+          hint: {
+            type: 'object',
+            required: ['text'],
+            properties: {
+              title: { type: 'string' },
+              text: { type: 'string' }
+            }
+          },
+          // Hint tiers revealed one by one; without it: hint text, then compass, then beacon
+          hints: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['type'],
+              properties: {
+                type: { type: 'string', enum: HINT_TIER_TYPES },
+                title: { type: 'string' },
+                text: { type: 'string' },
+                cost: { type: 'number', min: 0 },       // Points lost in the scored mode
+                duration: { type: 'number', min: 1 }    // Seconds the compass or beacon stays on
+              }
+            }
+          },
+          // Clue card pages; "heritage" fills title/text/image from heritageContent.js
+          pages: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                text: { type: 'string' },
+                heritage: { type: 'string' },
+                image: { type: 'string' },
+                imageAlt: { type: 'string' },
+                audio: { type: 'string' }
+              }
+            }
+          },
+          learnMore: {
+            type: 'object',
+            required: ['url'],
+            properties: {
+              url: { type: 'string' },
+              label: { type: 'string' }
+            }
+          },
+          // Question to answer before the clue counts as found (see clueChallenges.js).
+          // VR players can answer quizzes; riddles and observations have to be typed in flat mode.
+          challenge: {
+            type: 'object',
+            required: ['type', 'question'],
+            properties: {
+              type: { type: 'string', enum: CHALLENGE_TYPES },
+              question: { type: 'string' },
+              choices: { type: 'array', items: { type: 'string' } },
+              correctChoice: { type: 'number', min: 0 },
+              answers: { type: 'array', items: { type: 'string' } },
+              image: { type: 'string' },
+              wrongFeedback: { type: 'string' },
+              maxAttempts: { type: 'number', min: 1 },
+              lockoutSeconds: { type: 'number', min: 0 }
+            }
+          },
+          position: { type: 'vec3' },
+          rotation: { type: 'vec3' },
+          scale: { type: 'vec3' },
+          size: { type: 'vec3' },
+          color: { type: 'color' },
+          opacity: { type: 'number', min: 0, max: 1 },
+          pickupRadius: { type: 'number', min: 0 }
+        }
+      }
+    },
+    // Optional layout overrides written by the hunt editor; they replace the site's own
+    obstacles: { type: 'array', items: OBSTACLE_SCHEMA },
+    boundingBox: BOUNDING_BOX_SCHEMA
+  }
+};
+
+function validateHuntDefinition(definition) {
+  const errors = [];
+  validateAgainstSchema(definition, HUNT_SCHEMA, 'hunt', errors);
+
+  if (Array.isArray(definition?.clues)) {
+    const seen = new Set();
+    definition.clues.forEach((clue, index) => {
+      if (clue && seen.has(clue.name)) {
+        errors.push(`hunt.clues[${index}].name "${clue.name}" is used more than once`);
+      }
+      seen.add(clue?.name);
+      if (Array.isArray(clue?.pages)) {
+        clue.pages.forEach((page, pageIndex) => validateCluePage(page, `hunt.clues[${index}].pages[${pageIndex}]`, errors));
+      }
+      validateChallenge(clue?.challenge, `hunt.clues[${index}].challenge`, errors);
+    });
+  }
+
+  if (Array.isArray(definition?.obstacles)) {
+    definition.obstacles.forEach((obstacle, index) => {
+      if (obstacle) validateObstacleShape(obstacle, `hunt.obstacles[${index}]`, errors);
+    });
+  }
+
+  return errors;
+}
+
+function validateCluePage(page, path, errors) {
+  if (!page || typeof page !== 'object') return;
+  if (page.heritage !== undefined && !getHeritageSection(page.heritage)) {
+    errors.push(`${path}.heritage "${page.heritage}" is not a known heritage section`);
+  }
+  if (page.text === undefined && page.heritage === undefined && page.image === undefined) {
+    errors.push(`${path} needs text, an image or a heritage section`);
+  }
+  ['image', 'audio'].forEach(field => {
+    if (typeof page[field] === 'string' && !isLocalAssetPath(page[field])) {
+      errors.push(`${path}.${field} must be a path inside public/, not a URL`);
+    }
+  });
+}
+
+// Apply defaults and derive progression data (level = position in the clue list)
+function normalizeHuntDefinition(definition) {
+  const defaults = definition.defaults || {};
+
+  const clues = definition.clues.map((clue, index) => ({
+    name: clue.name,
+    title: clue.title,
+    message: clue.message,
+    hint: {
+      title: clue.hint?.title || `Clue ${index + 1}`,
+      text: clue.hint?.text || 'Keep exploring the courtyard!'
+    },
+    hints: clue.hints || null,
+    pages: clue.pages || null,
+    learnMore: clue.learnMore || null,
+    challenge: clue.challenge || null,
+    position: clue.position,
+    rotation: clue.rotation || [0, 0, 0],
+    scale: clue.scale || [1, 1, 1],
+    size: clue.size || defaults.size || [0.25, 0.25, 0.25],
+    color: parseInt((clue.color || '#00ff88').slice(1), 16),
+    opacity: clue.opacity ?? defaults.opacity ?? 0.8,
+    pickupRadius: clue.pickupRadius ?? defaults.pickupRadius ?? 3.0,
+    level: index
+  }));
+
+  return {
+    id: definition.id,
+    version: definition.version || 1,
+    title: definition.title || definition.id,
+    gameMode: definition.gameMode || 'sequential',
+    timeLimit: definition.timeLimit || DEFAULT_TIME_LIMIT,
+    startMessage: definition.startMessage || 'Find the hidden clues!',
+    endMessage: definition.endMessage || "Congratulations! You've completed the game!",
+    clues,
+    obstacles: definition.obstacles || null,
+    boundingBox: definition.boundingBox || null
+  };
+}
+
+// A shared link must not load hunt text from elsewhere: only JSON files under
+// this site's /hunts/ folder are accepted. Returns the path, or null.
+function sanitizeHuntUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url, window.location.href);
+    if (parsed.origin !== window.location.origin || !parsed.pathname.startsWith('/hunts/')) return null;
+    return parsed.pathname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Hunt file can be overridden with ?hunt=/hunts/other.json
+function resolveHuntUrl(defaultUrl = DEFAULT_HUNT_URL) {
+  try {
+    const override = new URLSearchParams(window.location.search).get('hunt');
+    if (!override) return defaultUrl;
+    const safeUrl = sanitizeHuntUrl(override);
+    if (!safeUrl) {
+      console.warn(`Ignoring ?hunt=${override}: hunts must be files under /hunts/ on this site`);
+    }
+    return safeUrl || defaultUrl;
+  } catch (error) {
+    return defaultUrl;
+  }
+}
+
+async function loadHuntDefinition(url = resolveHuntUrl()) {
+  console.log('Loading hunt definition:', url);
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load hunt definition ${url} (HTTP ${response.status})`);
+  }
+
+  let definition;
+  try {
+    definition = await response.json();
+  } catch (error) {
+    throw new Error(`Hunt definition ${url} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateHuntDefinition(definition);
+  if (errors.length > 0) {
+    console.error('Hunt definition validation errors:', errors);
+    throw new Error(`Invalid hunt definition ${url}:\n- ${errors.join('\n- ')}`);
+  }
+
+  const hunt = normalizeHuntDefinition(definition);
+  console.log(`Hunt "${hunt.title}" loaded with ${hunt.clues.length} clues`);
+  return hunt;
+}
+
+export { HUNT_SCHEMA, DEFAULT_HUNT_URL, validateHuntDefinition, normalizeHuntDefinition, sanitizeHuntUrl, resolveHuntUrl, loadHuntDefinition };
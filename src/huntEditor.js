@@ -0,0 +1,730 @@
+// Hunt Editor Module
+// Authoring mode for placing clues, obstacles and the boundary box with transform gizmos.
+// Every edit is undoable and the whole layout exports as a hunt definition file.
+import * as THREE from "three";
+import { validateHuntDefinition } from './huntDefinition.js';
+import { createEditorPanel, createEditorButton, createEditorToolbar, createEditorNote, downloadTextFile } from './editorPanel.js';
+
+const HISTORY_LIMIT = 100;
+const CLICK_MOVE_TOLERANCE = 4; // px a pointer may travel and still count as a click
+const EXPORT_PRECISION = 4;
+
+function round(value) {
+  const factor = 10 ** EXPORT_PRECISION;
+  return Math.round(value * factor) / factor;
+}
+
+function roundVector(values) {
+  return values.map(round);
+}
+
+function toHexColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+class HuntEditor {
+  // options: {
+  //   getHunt() -> loaded hunt, getLayout() -> { clues, obstacles, boundary },
+  //   createClue(clueData) -> mesh added to the scene, removeClue(mesh), insertClue(mesh, index),
+  //   onLook(dx, dy), onLayoutChanged()
+  // }
+  constructor(scene, camera, renderer, options) {
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.options = options;
+
+    this.isActive = false;
+    this.selected = null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.dragStartState = null;
+    this.pointerDown = null;
+    this.gizmoPressed = false;
+    this.savedClueVisibility = new Map();
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    // Gizmos are loaded on demand (see load) so players never download editor code
+    this.transformControls = null;
+    this.gizmoHelper = null;
+
+    this.panel = null;
+    this.inspector = null;
+    this.statusLine = null;
+    this.createPanel();
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onContextMenu = (e) => e.preventDefault();
+  }
+
+  // Fetch the transform gizmos; only called when the page is opened with ?editor
+  async load() {
+    if (this.transformControls) return;
+    const { TransformControls } = await import('three/examples/jsm/controls/TransformControls.js');
+    this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
+    this.transformControls.setSize(0.8);
+    this.gizmoHelper = this.transformControls.getHelper();
+    this.setupTransformControls();
+  }
+
+  setupTransformControls() {
+    const controls = this.transformControls;
+
+    controls.addEventListener('mouseDown', () => {
+      this.gizmoPressed = true;
+      if (controls.object) {
+        this.dragStartState = this.captureState(controls.object);
+      }
+    });
+
+    controls.addEventListener('mouseUp', () => {
+      const object = controls.object;
+      if (object && this.dragStartState) {
+        this.pushStateChange(object, this.dragStartState, this.captureState(object), `${controls.mode} ${object.name}`);
+      }
+      this.dragStartState = null;
+    });
+
+    // Keep the inspector numbers live while dragging
+    controls.addEventListener('objectChange', () => {
+      this.refreshTransformFields();
+    });
+  }
+
+  // --- ACTIVATION ---
+
+  toggle() {
+    if (this.isActive) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.isActive;
+  }
+
+  enable() {
+    if (this.isActive) return;
+    if (!this.transformControls) {
+      console.warn('Hunt editor is not loaded; open the page with ?editor');
+      return;
+    }
+    this.isActive = true;
+
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    document.body.style.cursor = 'default';
+
+    // Show every clue so hidden and collected ones can be edited too
+    this.savedClueVisibility.clear();
+    this.options.getLayout().clues.forEach(cube => {
+      this.savedClueVisibility.set(cube, cube.material.visible);
+      cube.material.visible = true;
+    });
+
+    this.scene.add(this.gizmoHelper);
+    this.panel.style.display = 'flex';
+
+    document.addEventListener('keydown', this.onKeyDown);
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointermove', this.onPointerMove);
+    canvas.addEventListener('pointerup', this.onPointerUp);
+    canvas.addEventListener('contextmenu', this.onContextMenu);
+
+    this.renderInspector();
+    this.setStatus('Click an object to select it. Right-drag to look around, WASD to move.');
+    console.log('Hunt editor enabled');
+  }
+
+  disable() {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    this.select(null);
+    this.scene.remove(this.gizmoHelper);
+    this.panel.style.display = 'none';
+
+    this.options.getLayout().clues.forEach(cube => {
+      if (this.savedClueVisibility.has(cube)) {
+        cube.material.visible = this.savedClueVisibility.get(cube);
+      }
+    });
+    this.savedClueVisibility.clear();
+
+    document.removeEventListener('keydown', this.onKeyDown);
+    const canvas = this.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointermove', this.onPointerMove);
+    canvas.removeEventListener('pointerup', this.onPointerUp);
+    canvas.removeEventListener('contextmenu', this.onContextMenu);
+
+    console.log('Hunt editor disabled');
+  }
+
+  // --- SELECTION ---
+
+  getEditableObjects() {
+    const layout = this.options.getLayout();
+    const objects = [...layout.clues, ...layout.obstacles];
+    if (layout.boundary) objects.push(layout.boundary);
+    return objects;
+  }
+
+  getObjectKind(object) {
+    if (!object) return null;
+    if (object.userData.isClueCube) return 'clue';
+    if (object.userData.isBoundaryCube) return 'boundary';
+    return 'obstacle';
+  }
+
+  select(object) {
+    this.selected = object;
+    if (object) {
+      this.transformControls.attach(object);
+    } else {
+      this.transformControls.detach();
+    }
+    this.renderInspector();
+  }
+
+  pickObject(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    // The boundary box encloses everything, so it is only picked when nothing else is hit
+    const hits = this.raycaster.intersectObjects(this.getEditableObjects(), false);
+    const preferred = hits.find(hit => !hit.object.userData.isBoundaryCube);
+    return preferred ? preferred.object : (hits[0] ? hits[0].object : null);
+  }
+
+  onPointerDown(e) {
+    this.pointerDown = { x: e.clientX, y: e.clientY, button: e.button };
+  }
+
+  onPointerMove(e) {
+    // Right mouse button looks around while the pointer stays free for the gizmos
+    if (this.pointerDown && this.pointerDown.button === 2) {
+      this.options.onLook(e.movementX, e.movementY);
+    }
+  }
+
+  onPointerUp(e) {
+    const down = this.pointerDown;
+    const usedGizmo = this.gizmoPressed;
+    this.pointerDown = null;
+    this.gizmoPressed = false;
+    if (!down || down.button !== 0 || usedGizmo) return;
+
+    const moved = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+    if (moved > CLICK_MOVE_TOLERANCE) return;
+
+    this.select(this.pickObject(e.clientX, e.clientY));
+  }
+
+  onKeyDown(e) {
+    const target = e.target;
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) return;
+
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (ctrl && e.code === 'KeyZ') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (ctrl && e.code === 'KeyY') {
+      e.preventDefault();
+      this.redo();
+    } else if (ctrl && e.code === 'KeyE') {
+      e.preventDefault();
+      this.exportHunt();
+    } else if (e.code === 'Digit1') {
+      this.setMode('translate');
+    } else if (e.code === 'Digit2') {
+      this.setMode('rotate');
+    } else if (e.code === 'Digit3') {
+      this.setMode('scale');
+    } else if (e.code === 'Delete' || e.code === 'Backspace') {
+      this.deleteSelectedClue();
+    } else if (e.code === 'Escape') {
+      this.select(null);
+    }
+  }
+
+  setMode(mode) {
+    this.transformControls.setMode(mode);
+    this.renderInspector();
+  }
+
+  // --- STATE & HISTORY ---
+
+  captureState(object) {
+    return {
+      position: object.position.toArray(),
+      rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
+      scale: object.scale.toArray(),
+      name: object.name,
+      userData: {
+        ...object.userData,
+        hint: object.userData.hint ? { ...object.userData.hint } : undefined
+      }
+    };
+  }
+
+  applyState(object, state) {
+    object.position.fromArray(state.position);
+    object.rotation.set(...state.rotation);
+    object.scale.fromArray(state.scale);
+    object.name = state.name;
+    object.userData = {
+      ...state.userData,
+      hint: state.userData.hint ? { ...state.userData.hint } : undefined
+    };
+    if (object.userData.obstacleConfig) {
+      object.userData.obstacleConfig.color = object.userData.color;
+    }
+
+    // Material mirrors the colour and opacity stored in userData
+    if (object.userData.color !== undefined) {
+      object.material.color.setHex(object.userData.color);
+    }
+    if (object.userData.opacity !== undefined) {
+      object.material.opacity = object.userData.opacity;
+    }
+    object.updateMatrixWorld(true);
+  }
+
+  pushCommand(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.afterChange(command.label);
+  }
+
+  pushStateChange(object, before, after, label) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    this.pushCommand({
+      label,
+      undo: () => this.applyState(object, before),
+      redo: () => this.applyState(object, after)
+    });
+  }
+
+  // Apply a change to the selected object as one undoable step
+  editSelected(label, mutate) {
+    const object = this.selected;
+    if (!object) return;
+    const before = this.captureState(object);
+    const next = this.captureState(object);
+    mutate(next);
+    this.applyState(object, next);
+    this.pushStateChange(object, before, this.captureState(object), label);
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return;
+    command.undo();
+    this.redoStack.push(command);
+    this.afterChange(`Undo ${command.label}`);
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return;
+    command.redo();
+    this.undoStack.push(command);
+    this.afterChange(`Redo ${command.label}`);
+  }
+
+  afterChange(message) {
+    // Undoing an add/delete may have removed the selected object from the scene
+    if (this.selected && !this.selected.parent) {
+      this.select(null);
+    } else {
+      this.renderInspector();
+    }
+    this.options.onLayoutChanged();
+    this.setStatus(message);
+  }
+
+  // --- CLUE MANAGEMENT ---
+
+  addClue() {
+    const layout = this.options.getLayout();
+    const names = new Set(layout.clues.map(cube => cube.name));
+    let number = layout.clues.length + 1;
+    while (names.has(`clue${number}`)) number++;
+
+    // Drop the new clue two metres in front of the camera
+    const direction = new THREE.Vector3();
+    this.camera.getWorldDirection(direction);
+    const position = this.camera.position.clone().addScaledVector(direction, 2);
+
+    const cube = this.options.createClue({
+      name: `clue${number}`,
+      title: `Clue ${number}`,
+      message: 'Describe what the player discovers here.',
+      hint: { title: `Clue ${number}`, text: 'Describe where to look.' },
+      position: position.toArray(),
+      rotation: [0, 0, 0],
+      scale: [1, 1, 1],
+      size: [0.25, 0.25, 0.25],
+      color: 0x00ff88,
+      opacity: 0.8,
+      pickupRadius: 3.0,
+      level: layout.clues.length
+    });
+    cube.material.visible = true;
+    this.savedClueVisibility.set(cube, false);
+
+    const index = layout.clues.indexOf(cube);
+    this.pushCommand({
+      label: `add ${cube.name}`,
+      undo: () => this.options.removeClue(cube),
+      redo: () => this.options.insertClue(cube, index)
+    });
+    this.select(cube);
+  }
+
+  deleteSelectedClue() {
+    const cube = this.selected;
+    if (this.getObjectKind(cube) !== 'clue') {
+      this.setStatus('Only clues can be deleted');
+      return;
+    }
+
+    const index = this.options.getLayout().clues.indexOf(cube);
+    this.select(null);
+    this.options.removeClue(cube);
+    this.pushCommand({
+      label: `delete ${cube.name}`,
+      undo: () => this.options.insertClue(cube, index),
+      redo: () => this.options.removeClue(cube)
+    });
+  }
+
+  // --- EXPORT ---
+
+  getGeometrySize(object) {
+    const params = object.geometry.parameters || {};
+    return roundVector([params.width ?? 1, params.height ?? 1, params.depth ?? 1]);
+  }
+
+  buildHuntDefinition() {
+    const hunt = this.options.getHunt();
+    const layout = this.options.getLayout();
+
+    const clues = layout.clues.map((cube, index) => {
+      const data = cube.userData;
+      return {
+        name: cube.name,
+        title: data.title,
+        message: data.message,
+        ...(data.pages ? { pages: data.pages } : {}),
+        ...(data.learnMore ? { learnMore: data.learnMore } : {}),
+        ...(data.challenge ? { challenge: data.challenge } : {}),
+        hint: {
+          title: data.hint?.title || `Clue ${index + 1}`,
+          text: data.hint?.text || 'Keep exploring the courtyard!'
+        },
+        ...(data.hints ? { hints: data.hints } : {}),
+        position: roundVector(cube.position.toArray()),
+        rotation: roundVector([cube.rotation.x, cube.rotation.y, cube.rotation.z]),
+        scale: roundVector(cube.scale.toArray()),
+        size: this.getGeometrySize(cube),
+        color: toHexColor(data.color),
+        opacity: round(data.opacity),
+        pickupRadius: round(data.pickupRadius ?? 3.0)
+      };
+    });
+
+    const obstacles = layout.obstacles.map(object => {
+      const config = object.userData.obstacleConfig || {};
+      const obstacle = {
+        name: object.name,
+        type: config.type || 'impenetrable',
+        shape: config.shape || 'box'
+      };
+      if (obstacle.shape === 'capsule') {
+        obstacle.radius = config.radius;
+        obstacle.height = config.height;
+      } else if (obstacle.shape === 'convexHull') {
+        obstacle.points = config.points;
+      } else {
+        obstacle.size = config.size || this.getGeometrySize(object);
+      }
+      return {
+        ...obstacle,
+        position: roundVector(object.position.toArray()),
+        rotation: roundVector([object.rotation.x, object.rotation.y, object.rotation.z]),
+        scale: roundVector(object.scale.toArray()),
+        color: toHexColor(object.userData.color),
+        opacity: round(object.material.opacity),
+        friction: config.friction ?? 0,
+        restitution: config.restitution ?? 0
+      };
+    });
+
+    const definition = {
+      id: hunt.id,
+      version: hunt.version,
+      title: hunt.title,
+      gameMode: hunt.gameMode,
+      ...(hunt.gameMode === 'timed' ? { timeLimit: hunt.timeLimit } : {}),
+      startMessage: hunt.startMessage,
+      endMessage: hunt.endMessage,
+      clues,
+      obstacles
+    };
+
+    if (layout.boundary) {
+      const box = layout.boundary;
+      definition.boundingBox = {
+        size: this.getGeometrySize(box),
+        position: roundVector(box.position.toArray()),
+        rotation: roundVector([box.rotation.x, box.rotation.y, box.rotation.z]),
+        scale: roundVector(box.scale.toArray()),
+        color: toHexColor(box.userData.color),
+        opacity: round(box.material.opacity),
+        visible: box.material.visible
+      };
+    }
+
+    return definition;
+  }
+
+  exportHunt() {
+    const definition = this.buildHuntDefinition();
+    const errors = validateHuntDefinition(definition);
+    if (errors.length > 0) {
+      console.error('Exported hunt is invalid:', errors);
+      this.setStatus(`Cannot export: ${errors[0]}`);
+      return null;
+    }
+
+    downloadTextFile(`${definition.id}.json`, JSON.stringify(definition, null, 2) + '\n');
+
+    console.log('Hunt exported:', definition);
+    this.setStatus(`Exported ${definition.id}.json (${definition.clues.length} clues)`);
+    return definition;
+  }
+
+  // --- PANEL ---
+
+  createPanel() {
+    const panel = createEditorPanel('hunt-editor-panel', 'Hunt Editor', () => this.disable());
+
+    const toolbar = createEditorToolbar([
+      createEditorButton('Add clue', () => this.addClue()),
+      createEditorButton('Undo', () => this.undo()),
+      createEditorButton('Redo', () => this.redo()),
+      createEditorButton('Export JSON', () => this.exportHunt())
+    ]);
+
+    this.inspector = document.createElement('div');
+    this.inspector.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+
+    this.statusLine = createEditorNote('');
+
+    panel.appendChild(toolbar);
+    panel.appendChild(this.inspector);
+    panel.appendChild(this.statusLine);
+    panel.appendChild(createEditorNote('1/2/3: move/rotate/scale · Ctrl+Z / Ctrl+Shift+Z: undo/redo · Ctrl+E: export · Del: delete clue', 10));
+    this.panel = panel;
+  }
+
+  createField(label, input) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; flex-direction: column; gap: 2px; color: rgba(255, 255, 255, 0.7);';
+    row.textContent = label;
+    input.style.cssText = `
+      background: rgba(255, 255, 255, 0.08);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      padding: 3px 5px;
+      font-size: 12px;
+      font-family: inherit;
+      min-width: 0;
+    `;
+    row.appendChild(input);
+    return row;
+  }
+
+  createTextField(label, value, onChange, multiline = false) {
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    input.value = value ?? '';
+    if (multiline) input.rows = 3;
+    input.addEventListener('change', () => onChange(input.value));
+    return this.createField(label, input);
+  }
+
+  createNumberField(label, value, onChange, step = 0.05) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = step;
+    input.value = round(value);
+    input.addEventListener('change', () => {
+      const number = parseFloat(input.value);
+      if (Number.isFinite(number)) onChange(number);
+    });
+    return this.createField(label, input);
+  }
+
+  createColorField(label, value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = toHexColor(value);
+    input.addEventListener('change', () => onChange(parseInt(input.value.slice(1), 16)));
+    return this.createField(label, input);
+  }
+
+  createVectorRow(label, key, values) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: grid; grid-template-columns: repeat(3, 1fr); gap: 4px;';
+    ['x', 'y', 'z'].forEach((axis, i) => {
+      const field = this.createNumberField(`${label} ${axis}`, values[i], (number) => {
+        this.editSelected(`${label.toLowerCase()} ${this.selected.name}`, state => {
+          state[key][i] = number;
+        });
+      });
+      field.dataset.vectorKey = key;
+      field.dataset.axis = i;
+      row.appendChild(field);
+    });
+    return row;
+  }
+
+  renderInspector() {
+    if (!this.inspector) return;
+    this.inspector.innerHTML = '';
+
+    const modes = document.createElement('div');
+    modes.style.cssText = 'display: flex; gap: 4px;';
+    ['translate', 'rotate', 'scale'].forEach(mode => {
+      const button = createEditorButton(mode, () => this.setMode(mode));
+      if (this.transformControls.mode === mode) {
+        button.style.background = '#2a6b7c';
+      }
+      modes.appendChild(button);
+    });
+    this.inspector.appendChild(modes);
+
+    const object = this.selected;
+    if (!object) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'color: rgba(255, 255, 255, 0.5);';
+      empty.textContent = 'Nothing selected';
+      this.inspector.appendChild(empty);
+      return;
+    }
+
+    const kind = this.getObjectKind(object);
+    const data = object.userData;
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'font-weight: 600; color: #429fb8;';
+    heading.textContent = `${kind}: ${object.name}`;
+    this.inspector.appendChild(heading);
+
+    if (kind !== 'boundary') {
+      this.inspector.appendChild(this.createTextField('Name', object.name, (value) => {
+        const name = value.trim();
+        const taken = this.getEditableObjects().some(other => other !== object && other.name === name);
+        if (!name || taken) {
+          this.setStatus(`Name "${name}" is empty or already used`);
+          this.renderInspector();
+          return;
+        }
+        this.editSelected(`rename ${object.name}`, state => { state.name = name; });
+      }));
+    }
+
+    this.inspector.appendChild(this.createVectorRow('Position', 'position', object.position.toArray()));
+    this.inspector.appendChild(this.createVectorRow('Rotation', 'rotation', [object.rotation.x, object.rotation.y, object.rotation.z]));
+    this.inspector.appendChild(this.createVectorRow('Scale', 'scale', object.scale.toArray()));
+
+    if (kind === 'clue') {
+      this.inspector.appendChild(this.createTextField('Title', data.title, (value) => {
+        this.editSelected(`edit ${object.name}`, state => { state.userData.title = value; });
+      }));
+      this.inspector.appendChild(this.createTextField('Message', data.message, (value) => {
+        this.editSelected(`edit ${object.name}`, state => { state.userData.message = value; });
+      }, true));
+      this.inspector.appendChild(this.createTextField('Hint title', data.hint?.title, (value) => {
+        this.editSelected(`edit ${object.name}`, state => {
+          state.userData.hint = { ...(state.userData.hint || {}), title: value };
+        });
+      }));
+      this.inspector.appendChild(this.createTextField('Hint text', data.hint?.text, (value) => {
+        this.editSelected(`edit ${object.name}`, state => {
+          state.userData.hint = { ...(state.userData.hint || {}), text: value };
+        });
+      }, true));
+      this.inspector.appendChild(this.createNumberField('Pickup radius', data.pickupRadius ?? 3.0, (value) => {
+        this.editSelected(`edit ${object.name}`, state => { state.userData.pickupRadius = Math.max(0, value); });
+      }, 0.1));
+    }
+
+    this.inspector.appendChild(this.createColorField('Colour', data.color ?? 0xffffff, (value) => {
+      this.editSelected(`colour ${object.name}`, state => { state.userData.color = value; });
+    }));
+    this.inspector.appendChild(this.createNumberField('Opacity', data.opacity ?? object.material.opacity, (value) => {
+      this.editSelected(`opacity ${object.name}`, state => {
+        state.userData.opacity = THREE.MathUtils.clamp(value, 0, 1);
+      });
+    }, 0.05));
+
+    if (kind === 'clue') {
+      this.inspector.appendChild(createEditorButton('Delete clue', () => this.deleteSelectedClue()));
+    }
+  }
+
+  // Update only the numeric transform inputs (full re-render would steal focus mid-drag)
+  refreshTransformFields() {
+    const object = this.selected;
+    if (!object || !this.inspector) return;
+
+    const values = {
+      position: object.position.toArray(),
+      rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
+      scale: object.scale.toArray()
+    };
+    this.inspector.querySelectorAll('[data-vector-key]').forEach(field => {
+      const input = field.querySelector('input');
+      input.value = round(values[field.dataset.vectorKey][field.dataset.axis]);
+    });
+  }
+
+  setStatus(message) {
+    if (this.statusLine) {
+      this.statusLine.textContent = message;
+    }
+  }
+
+  destroy() {
+    this.disable();
+    if (this.transformControls) {
+      this.transformControls.dispose();
+    }
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
+
+export { HuntEditor };
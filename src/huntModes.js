@@ -0,0 +1,316 @@
+// Hunt Modes Module
+// Rules for the hunt's gameMode: which clues can be collected, when the hunt is over,
+// what the progress display shows and what the completion screen adds to its summary.
+// - sequential: clues in hunt order (the original game)
+// - free-order: clues in any order
+// - timed: clues in hunt order against a countdown (hunt.timeLimit seconds)
+// - scored: clues in hunt order; points for speed, cheaper hints and a shorter walk
+// Timers run on the simulation clock, so they stop while the game is paused.
+import { gameEvents } from './gameEvents.js';
+
+const TIMER_TICK = 1;            // Seconds between countdown updates
+
+// Scored mode: every clue is worth BASE points, adjusted by how it was found;
+// every hint tier subtracts its own cost (see hintSystem.js)
+const SCORE_BASE = 100;
+const SCORE_SPEED_WINDOW = 60;   // One bonus point per second faster than this
+const SCORE_METRES_PER_POINT = 5;
+const SCORE_MINIMUM = 10;
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+class SequentialMode {
+  // context: { clock, stats (HuntStats, walked distance), onTimeUp }
+  constructor(hunt, context = {}) {
+    this.hunt = hunt;
+    this.context = context;
+  }
+
+  get id() {
+    return 'sequential';
+  }
+
+  isClueAvailable(level, state) {
+    return level === state.currentLevel;
+  }
+
+  // Record a collected clue; currentLevel always points at the next clue to look for
+  collect(level, state) {
+    if (state.completedLevels.includes(level)) return;
+    state.completedLevels.push(level);
+    state.treasuresFound = state.completedLevels.length;
+    state.currentLevel = this.getNextLevel(state);
+  }
+
+  getNextLevel(state) {
+    return state.currentLevel + 1;
+  }
+
+  isComplete(state) {
+    return state.completedLevels.length >= state.totalTreasures;
+  }
+
+  // { text, percentage, detail } for the HUD progress display
+  getProgressDisplay(progress) {
+    return {
+      text: `Treasures: ${progress.treasuresFound}/${progress.totalTreasures}`,
+      percentage: progress.totalTreasures > 0 ? (progress.treasuresFound / progress.totalTreasures) * 100 : 0,
+      detail: ''
+    };
+  }
+
+  // Extra completion-screen rows, [[label, value], ...]
+  getResultRows() {
+    return [];
+  }
+
+  start() {}
+
+  stop() {}
+
+  reset() {
+    this.stop();
+  }
+
+  // Mode-specific save data
+  serialize() {
+    return null;
+  }
+
+  restore() {}
+}
+
+class FreeOrderMode extends SequentialMode {
+  get id() {
+    return 'free-order';
+  }
+
+  isClueAvailable(level, state) {
+    return !state.completedLevels.includes(level);
+  }
+
+  // Hints and help point at the first clue not collected yet
+  getNextLevel(state) {
+    for (let level = 0; level < state.totalTreasures; level++) {
+      if (!state.completedLevels.includes(level)) return level;
+    }
+    return state.totalTreasures;
+  }
+
+  getProgressDisplay(progress) {
+    const display = super.getProgressDisplay(progress);
+    display.detail = 'Any order';
+    return display;
+  }
+}
+
+class TimedMode extends SequentialMode {
+  constructor(hunt, context = {}) {
+    super(hunt, context);
+    this.timeLimit = hunt.timeLimit;
+    this.remaining = this.timeLimit;
+    this.timerId = null;
+    this.timedOut = false;
+  }
+
+  get id() {
+    return 'timed';
+  }
+
+  start() {
+    if (this.timerId !== null || this.timedOut) return;
+    const clock = this.context.clock;
+    this.timerId = clock.schedule(TIMER_TICK, () => this.tick(), true);
+    this.emitTimer();
+  }
+
+  stop() {
+    if (this.timerId !== null) {
+      this.context.clock.cancel(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  reset() {
+    this.stop();
+    this.remaining = this.timeLimit;
+    this.timedOut = false;
+  }
+
+  tick() {
+    this.remaining = Math.max(0, this.remaining - TIMER_TICK);
+    this.emitTimer();
+
+    if (this.remaining <= 0) {
+      this.stop();
+      this.timedOut = true;
+      if (this.context.onTimeUp) {
+        this.context.onTimeUp();
+      }
+    }
+  }
+
+  emitTimer() {
+    gameEvents.emit('hunt:timer', { remaining: this.remaining, timeLimit: this.timeLimit });
+  }
+
+  getProgressDisplay(progress) {
+    const display = super.getProgressDisplay(progress);
+    display.detail = this.timedOut ? "Time's up" : `Time left: ${formatTime(this.remaining)}`;
+    return display;
+  }
+
+  getResultRows() {
+    return [
+      ['Time limit', formatTime(this.timeLimit)],
+      ['Time left', formatTime(this.remaining)]
+    ];
+  }
+
+  serialize() {
+    return { remaining: this.remaining, timedOut: this.timedOut };
+  }
+
+  restore(saved) {
+    if (!saved) return;
+    this.remaining = Math.min(this.timeLimit, Math.max(0, saved.remaining ?? this.timeLimit));
+    this.timedOut = !!saved.timedOut;
+  }
+}
+
+class ScoredMode extends SequentialMode {
+  constructor(hunt, context = {}) {
+    super(hunt, context);
+    this.unsubscribe = [];
+    this.resetStats();
+  }
+
+  get id() {
+    return 'scored';
+  }
+
+  resetStats() {
+    this.score = 0;
+    this.clueScores = [];
+    this.totalHints = 0;
+    // Counters since the last collected clue
+    this.clueStartTime = null;
+    this.clueHints = 0;
+    this.clueHintCost = 0;
+    // Walking is tracked by HuntStats; a clue's distance is its route length since the clue began
+    this.clueRouteStart = null;
+    this.savedClueDistance = 0;
+  }
+
+  start() {
+    if (this.unsubscribe.length > 0) return;
+    if (this.clueStartTime === null) {
+      this.clueStartTime = this.context.clock.getElapsed();
+    }
+    if (this.clueRouteStart === null) {
+      this.clueRouteStart = this.context.stats.routeLength - this.savedClueDistance;
+    }
+
+    this.unsubscribe.push(gameEvents.on('hint:shown', ({ cost }) => {
+      this.clueHints++;
+      this.clueHintCost += cost;
+      this.totalHints++;
+    }));
+  }
+
+  stop() {
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+  }
+
+  reset() {
+    this.stop();
+    this.resetStats();
+  }
+
+  getClueDistance() {
+    if (this.clueRouteStart === null) return this.savedClueDistance;
+    return this.context.stats.routeLength - this.clueRouteStart;
+  }
+
+  collect(level, state) {
+    if (state.completedLevels.includes(level)) return;
+
+    const now = this.context.clock.getElapsed();
+    const seconds = now - (this.clueStartTime ?? now);
+    const distance = this.getClueDistance();
+    const points = Math.max(SCORE_MINIMUM, Math.round(
+      SCORE_BASE +
+      Math.max(0, SCORE_SPEED_WINDOW - seconds) -
+      this.clueHintCost -
+      distance / SCORE_METRES_PER_POINT
+    ));
+    this.clueScores.push({ level, points, seconds, hints: this.clueHints, distance });
+    this.score += points;
+
+    this.clueStartTime = now;
+    this.clueHints = 0;
+    this.clueHintCost = 0;
+    this.clueRouteStart = this.context.stats.routeLength;
+    this.savedClueDistance = 0;
+
+    super.collect(level, state);
+  }
+
+  getProgressDisplay(progress) {
+    const display = super.getProgressDisplay(progress);
+    display.detail = `Score: ${this.score}`;
+    return display;
+  }
+
+  getResultRows() {
+    return [['Score', String(this.score)]];
+  }
+
+  serialize() {
+    return {
+      score: this.score,
+      clueScores: this.clueScores,
+      totalHints: this.totalHints,
+      clueHints: this.clueHints,
+      clueHintCost: this.clueHintCost,
+      clueDistance: this.getClueDistance()
+    };
+  }
+
+  // The clue timer restarts on resume; time spent away from the game is not counted
+  restore(saved) {
+    if (!saved) return;
+    this.score = saved.score ?? 0;
+    this.clueScores = Array.isArray(saved.clueScores) ? saved.clueScores : [];
+    this.totalHints = saved.totalHints ?? 0;
+    this.clueHints = saved.clueHints ?? 0;
+    this.clueHintCost = saved.clueHintCost ?? 0;
+    this.savedClueDistance = saved.clueDistance ?? 0;
+    this.clueStartTime = null;
+    this.clueRouteStart = null;
+  }
+}
+
+const HUNT_MODES = {
+  'sequential': SequentialMode,
+  'free-order': FreeOrderMode,
+  'timed': TimedMode,
+  'scored': ScoredMode
+};
+
+function createHuntMode(hunt, context = {}) {
+  const Mode = HUNT_MODES[hunt.gameMode];
+  if (!Mode) {
+    console.warn(`Unknown hunt mode "${hunt.gameMode}", using sequential`);
+    return new SequentialMode(hunt, context);
+  }
+  console.log(`Hunt mode: ${hunt.gameMode}`);
+  return new Mode(hunt, context);
+}
+
+export { HUNT_MODES, createHuntMode, formatTime };
@@ -0,0 +1,77 @@
+// Hunt Stats Module
+// Tracks one hunt run for the completion screen: play time, hints used and route length.
+// Play time is simulation time, so pauses and time away from the tab are not counted.
+// routeLength is the one walk tracker; the scored hunt mode reads its per-clue distances from it.
+import { gameEvents } from './gameEvents.js';
+
+const MAX_WALK_STEP = 2;   // Larger jumps between updates are respawns or teleports, not walking
+
+class HuntStats {
+  constructor(clock) {
+    this.clock = clock;
+    this.unsubscribe = [];
+    this.reset();
+  }
+
+  reset() {
+    this.stop();
+    this.playTime = 0;        // Seconds banked from earlier sessions
+    this.startedAt = null;    // Clock time when the current session started
+    this.hintsUsed = 0;
+    this.routeLength = 0;
+    this.lastPosition = null;
+  }
+
+  start() {
+    if (this.startedAt !== null) return;
+    this.startedAt = this.clock.getElapsed();
+    this.unsubscribe.push(gameEvents.on('hint:shown', () => this.hintsUsed++));
+    this.unsubscribe.push(gameEvents.on('player:moved', ({ position }) => this.trackRoute(position)));
+  }
+
+  stop() {
+    if (this.startedAt !== null) {
+      this.playTime = this.getPlayTime();
+      this.startedAt = null;
+    }
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+    this.lastPosition = null;
+  }
+
+  getPlayTime() {
+    return this.playTime + (this.startedAt !== null ? this.clock.getElapsed() - this.startedAt : 0);
+  }
+
+  // Horizontal distance only; jumping and flying do not lengthen the route
+  trackRoute(position) {
+    if (this.lastPosition) {
+      const step = Math.hypot(position.x - this.lastPosition.x, position.z - this.lastPosition.z);
+      if (step < MAX_WALK_STEP) {
+        this.routeLength += step;
+      }
+    }
+    this.lastPosition = { x: position.x, z: position.z };
+  }
+
+  getSummary() {
+    return {
+      playTime: this.getPlayTime(),
+      hintsUsed: this.hintsUsed,
+      routeLength: this.routeLength
+    };
+  }
+
+  serialize() {
+    return { playTime: this.getPlayTime(), hintsUsed: this.hintsUsed, routeLength: this.routeLength };
+  }
+
+  restore(saved) {
+    if (!saved) return;
+    this.playTime = Math.max(0, saved.playTime ?? 0);
+    this.hintsUsed = saved.hintsUsed ?? 0;
+    this.routeLength = saved.routeLength ?? 0;
+  }
+}
+
+export { HuntStats };
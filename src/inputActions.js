@@ -0,0 +1,368 @@
+// Input Actions Module
+// Maps keyboard keys, mouse and touch joysticks onto named game actions (move, look, jump, ...).
+// Keys are bound by KeyboardEvent.code, i.e. by physical position, so the default WASD block stays
+// under the left hand on AZERTY keyboards as well (it is labelled ZQSD there). Bindings can be
+// changed from the controls screen and are saved to localStorage.
+import { gameEvents, services } from './gameEvents.js';
+
+const BINDINGS_STORAGE_KEY = 'treasureHunt.inputBindings';
+const BINDINGS_VERSION = 1;
+const SLOTS_PER_ACTION = 2;
+const KEY_LOOK_SPEED = 1.8; // Radians per second when looking around with bound keys
+
+// Actions in the order the legend and the controls screen list them.
+// fixed actions cannot be rebound; legend is the short HUD label.
+const INPUT_ACTIONS = [
+  { id: 'moveForward', label: 'Move forward', defaults: ['KeyW', 'ArrowUp'] },
+  { id: 'moveBackward', label: 'Move backward', defaults: ['KeyS', 'ArrowDown'] },
+  { id: 'moveLeft', label: 'Move left', defaults: ['KeyA', 'ArrowLeft'] },
+  { id: 'moveRight', label: 'Move right', defaults: ['KeyD', 'ArrowRight'] },
+  { id: 'lookLeft', label: 'Look left', defaults: [] },
+  { id: 'lookRight', label: 'Look right', defaults: [] },
+  { id: 'lookUp', label: 'Look up', defaults: [] },
+  { id: 'lookDown', label: 'Look down', defaults: [] },
+  { id: 'jump', label: 'Jump / fly up', legend: 'Jump/Fly', defaults: ['Space'] },
+  { id: 'flyDown', label: 'Fly down', legend: 'Fly Down', defaults: ['ShiftLeft', 'ShiftRight'] },
+  { id: 'crouch', label: 'Crouch (hold)', legend: 'Crouch', defaults: ['KeyC'] },
+  { id: 'interact', label: 'Interact', legend: 'Interact', defaults: ['KeyE'] },
+  { id: 'hint', label: 'Quick hint', legend: 'Hint', defaults: ['KeyQ'] },
+  { id: 'help', label: 'Hints / help', legend: 'Help', defaults: ['KeyH'] },
+  { id: 'toggleMinimap', label: 'Show/hide minimap', legend: 'Map', defaults: ['KeyM'] },
+  { id: 'toggleCompass', label: 'Show/hide compass', defaults: ['KeyN'] },
+  { id: 'screenshot', label: 'Photo mode / capture', legend: 'Photo', defaults: ['F2'] },
+  { id: 'releasePointer', label: 'Release cursor', legend: 'Cursor Out', defaults: ['Escape'], fixed: true }
+];
+
+const MOVE_ACTIONS = ['moveForward', 'moveLeft', 'moveBackward', 'moveRight'];
+
+// Labels for non-character keys (character keys use the keyboard layout when the browser exposes it)
+const KEY_LABELS = {
+  Space: 'Space',
+  ShiftLeft: 'Shift',
+  ShiftRight: 'R-Shift',
+  ControlLeft: 'Ctrl',
+  ControlRight: 'R-Ctrl',
+  AltLeft: 'Alt',
+  AltRight: 'AltGr',
+  MetaLeft: 'Meta',
+  MetaRight: 'R-Meta',
+  Escape: 'Esc',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Backspace: 'Backspace',
+  CapsLock: 'Caps',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+function getActionDefinition(actionId) {
+  return INPUT_ACTIONS.find(action => action.id === actionId) || null;
+}
+
+function defaultSlots(action) {
+  const slots = action.defaults.slice(0, SLOTS_PER_ACTION);
+  while (slots.length < SLOTS_PER_ACTION) slots.push(null);
+  return slots;
+}
+
+class InputActions {
+  constructor() {
+    this.bindings = this.loadBindings();   // action id -> [code | null, ...] (one entry per slot)
+    this.codeToAction = new Map();
+    this.rebuildLookup();
+
+    this.activeActions = new Map();        // action id -> Set of holders ('keyboard:KeyW', 'mouse', ...)
+    this.pressedKeys = new Set();
+    this.moveSources = new Map();          // name -> () => { x, y } analog movement (joysticks)
+    this.enabled = true;
+    this.layoutMap = null;
+    this.lastUpdateTime = null;
+  }
+
+  // --- BINDINGS ---
+
+  loadBindings() {
+    const bindings = {};
+    INPUT_ACTIONS.forEach(action => {
+      bindings[action.id] = defaultSlots(action);
+    });
+
+    try {
+      const raw = window.localStorage.getItem(BINDINGS_STORAGE_KEY);
+      const saved = raw ? JSON.parse(raw) : null;
+      if (saved && saved.version === BINDINGS_VERSION && saved.bindings) {
+        INPUT_ACTIONS.forEach(action => {
+          const slots = saved.bindings[action.id];
+          if (action.fixed || !Array.isArray(slots)) return;
+          const restored = [];
+          for (let i = 0; i < SLOTS_PER_ACTION; i++) {
+            restored.push(typeof slots[i] === 'string' ? slots[i] : null);
+          }
+          bindings[action.id] = restored;
+        });
+      }
+    } catch (error) {
+      console.warn('Failed to read saved key bindings, using defaults:', error);
+    }
+
+    return bindings;
+  }
+
+  saveBindings() {
+    try {
+      window.localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify({
+        version: BINDINGS_VERSION,
+        bindings: this.bindings
+      }));
+    } catch (error) {
+      console.warn('Failed to save key bindings:', error);
+    }
+  }
+
+  rebuildLookup() {
+    this.codeToAction.clear();
+    INPUT_ACTIONS.forEach(action => {
+      this.bindings[action.id].forEach(code => {
+        if (code) this.codeToAction.set(code, action.id);
+      });
+    });
+  }
+
+  getBindings(actionId) {
+    return this.bindings[actionId] ? [...this.bindings[actionId]] : [];
+  }
+
+  getActionForCode(code) {
+    return this.codeToAction.get(code) || null;
+  }
+
+  // Bind a key to one slot of an action. A key can only drive one action, so it is taken
+  // from whichever action had it; returns that action's id (or null).
+  rebind(actionId, slot, code) {
+    const action = getActionDefinition(actionId);
+    if (!action || action.fixed) {
+      throw new Error(`Action "${actionId}" cannot be rebound`);
+    }
+    if (slot < 0 || slot >= SLOTS_PER_ACTION) {
+      throw new Error(`Binding slot ${slot} is out of range`);
+    }
+
+    const previousOwner = this.getActionForCode(code);
+    if (previousOwner && getActionDefinition(previousOwner).fixed) {
+      throw new Error(`${this.getKeyLabel(code)} is reserved for ${getActionDefinition(previousOwner).label}`);
+    }
+    if (previousOwner) {
+      this.bindings[previousOwner] = this.bindings[previousOwner].map(bound => bound === code ? null : bound);
+    }
+
+    this.bindings[actionId][slot] = code;
+    this.applyBindingChange();
+    return previousOwner && previousOwner !== actionId ? previousOwner : null;
+  }
+
+  clearBinding(actionId, slot) {
+    const action = getActionDefinition(actionId);
+    if (!action || action.fixed) return;
+    this.bindings[actionId][slot] = null;
+    this.applyBindingChange();
+  }
+
+  resetBindings() {
+    INPUT_ACTIONS.forEach(action => {
+      this.bindings[action.id] = defaultSlots(action);
+    });
+    this.applyBindingChange();
+  }
+
+  applyBindingChange() {
+    this.rebuildLookup();
+    this.releaseAll();
+    this.saveBindings();
+    gameEvents.emit('input:rebound', { bindings: this.bindings });
+  }
+
+  // --- KEY LABELS ---
+
+  // Use the real keyboard layout for labels where the browser supports it (Chromium)
+  async loadKeyboardLayout() {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+    try {
+      this.layoutMap = await navigator.keyboard.getLayoutMap();
+      gameEvents.emit('input:rebound', { bindings: this.bindings });
+    } catch (error) {
+      console.warn('Keyboard layout unavailable, using key codes for labels:', error);
+    }
+  }
+
+  getKeyLabel(code) {
+    if (!code) return '';
+    const layoutKey = this.layoutMap ? this.layoutMap.get(code) : null;
+    if (layoutKey && layoutKey.trim()) return layoutKey.toUpperCase();
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+  }
+
+  // HUD legend rows generated from the live bindings: [{ keys, label }]
+  getLegend() {
+    const primary = (actionId) => this.bindings[actionId].find(code => code) || null;
+    const labels = (actionId) => this.bindings[actionId].filter(code => code).map(code => this.getKeyLabel(code));
+    const legend = [];
+
+    const moveKeys = MOVE_ACTIONS.map(primary);
+    if (moveKeys.every(code => code)) {
+      const moveLabels = moveKeys.map(code => this.getKeyLabel(code));
+      legend.push({
+        keys: moveLabels.every(label => label.length === 1) ? moveLabels.join('') : moveLabels.join('/'),
+        label: 'Move'
+      });
+    }
+
+    const lookKeys = ['lookLeft', 'lookRight', 'lookUp', 'lookDown'].map(primary).filter(code => code);
+    legend.push({
+      keys: ['Mouse', ...lookKeys.map(code => this.getKeyLabel(code))].join('/'),
+      label: 'Look'
+    });
+
+    INPUT_ACTIONS.filter(action => action.legend).forEach(action => {
+      const keys = labels(action.id);
+      if (action.id === 'interact') keys.unshift('Click');
+      if (keys.length > 0) {
+        legend.push({ keys: keys.join('/'), label: action.legend });
+      }
+    });
+
+    return legend;
+  }
+
+  // --- ACTION STATE ---
+
+  // Keyboard handlers return true when the key drives an action
+  handleKeyDown(event) {
+    if (!this.enabled) return false;
+    const actionId = this.getActionForCode(event.code);
+    if (!actionId) return false;
+
+    // Ctrl/Cmd combinations belong to the browser and the editors
+    if (event.ctrlKey || event.metaKey) return false;
+
+    // Ignore auto-repeat
+    if (this.pressedKeys.has(event.code)) return true;
+    this.pressedKeys.add(event.code);
+    this.press(actionId, `keyboard:${event.code}`, 'keyboard');
+    return true;
+  }
+
+  handleKeyUp(event) {
+    if (!this.pressedKeys.delete(event.code)) return false;
+    const actionId = this.getActionForCode(event.code);
+    if (actionId) {
+      this.release(actionId, `keyboard:${event.code}`, 'keyboard');
+    }
+    return true;
+  }
+
+  // holder identifies what keeps the action down, so two keys bound to one action release correctly
+  press(actionId, holder, source) {
+    if (!this.activeActions.has(actionId)) {
+      this.activeActions.set(actionId, new Set());
+    }
+    const holders = this.activeActions.get(actionId);
+    const wasActive = holders.size > 0;
+    holders.add(holder);
+
+    if (!wasActive) {
+      gameEvents.emit('input:action', { action: actionId, pressed: true, source });
+    }
+  }
+
+  release(actionId, holder, source) {
+    const holders = this.activeActions.get(actionId);
+    if (!holders || !holders.delete(holder)) return;
+
+    if (holders.size === 0) {
+      gameEvents.emit('input:action', { action: actionId, pressed: false, source });
+    }
+  }
+
+  // One-shot action from a click or tap
+  trigger(actionId, source) {
+    this.press(actionId, source, source);
+    this.release(actionId, source, source);
+  }
+
+  releaseAll() {
+    this.pressedKeys.clear();
+    [...this.activeActions.keys()].forEach(actionId => {
+      const holders = this.activeActions.get(actionId);
+      if (holders.size === 0) return;
+      holders.clear();
+      gameEvents.emit('input:action', { action: actionId, pressed: false, source: 'system' });
+    });
+  }
+
+  // Disabled while the controls screen captures keys
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.releaseAll();
+    }
+  }
+
+  isPressed(actionId) {
+    const holders = this.activeActions.get(actionId);
+    return !!holders && holders.size > 0;
+  }
+
+  // --- MOVE AND LOOK ---
+
+  // Analog movement sources (touch joystick, gamepad) return { x: right, y: forward }
+  addMoveSource(name, read) {
+    this.moveSources.set(name, read);
+  }
+
+  removeMoveSource(name) {
+    this.moveSources.delete(name);
+  }
+
+  // Combined movement for this step; an analog source that is being used overrides the keys
+  getMoveVector() {
+    for (const read of this.moveSources.values()) {
+      const value = read();
+      if (value && (value.x !== 0 || value.y !== 0)) {
+        return { forward: value.y, right: value.x };
+      }
+    }
+
+    return {
+      forward: (this.isPressed('moveForward') ? 1 : 0) - (this.isPressed('moveBackward') ? 1 : 0),
+      right: (this.isPressed('moveRight') ? 1 : 0) - (this.isPressed('moveLeft') ? 1 : 0)
+    };
+  }
+
+  // Turn the view by screen-space deltas in radians (mouse, touch drag, look keys)
+  look(deltaX, deltaY) {
+    const player = services.get('player');
+    player.yaw -= deltaX;
+    player.pitch -= deltaY;
+    player.pitch = Math.max(-Math.PI/2, Math.min(Math.PI/2, player.pitch));
+  }
+
+  // Per-frame update for held look keys
+  update(now) {
+    const dt = this.lastUpdateTime === null ? 0 : Math.min((now - this.lastUpdateTime) / 1000, 0.1);
+    this.lastUpdateTime = now;
+
+    const x = (this.isPressed('lookRight') ? 1 : 0) - (this.isPressed('lookLeft') ? 1 : 0);
+    const y = (this.isPressed('lookDown') ? 1 : 0) - (this.isPressed('lookUp') ? 1 : 0);
+    if ((x !== 0 || y !== 0) && dt > 0) {
+      this.look(x * KEY_LOOK_SPEED * dt, y * KEY_LOOK_SPEED * dt);
+    }
+  }
+}
+
+export { INPUT_ACTIONS, SLOTS_PER_ACTION, InputActions, getActionDefinition };
@@ -1,5 +1,9 @@
 // Landing Page Module for Treasure Hunt
 import LoadingScreen from './loadingScreen.js';
+import { loadSiteRegistry, findSite } from './siteRegistry.js';
+import { loadHuntDefinition, resolveHuntUrl } from './huntDefinition.js';
+import { loadProgress } from './progressStore.js';
+import { HERITAGE_SECTIONS } from './heritageContent.js';
 
 // --- ASSET LOADING UTILITY ---
 function loadAssetWithFallback(primaryPath, fallbackPath = null, type = 'image') {
@@ -30,8 +34,28 @@ function loadAssetWithFallback(primaryPath, fallbackPath = null, type = 'image')
 }
 
 // --- VIDEO LOADING UTILITY FOR VERCEL ---
+// The path that worked last time is tried first, so repeat visits (and the
+// service worker's cached copy) skip probing the whole list
+const VIDEO_PATH_KEY = 'treasureHunt.videoPath';
+
+function getRememberedVideoPath() {
+  try {
+    return window.localStorage.getItem(VIDEO_PATH_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+function rememberVideoPath(path) {
+  try {
+    window.localStorage.setItem(VIDEO_PATH_KEY, path);
+  } catch (error) {
+    // Storage unavailable (private browsing); probing again next time is fine
+  }
+}
+
 function createVideoLoader() {
-  const videoPaths = [
+  const fallbackPaths = [
     '/Adobe Express - IQWPE3043 (1).mp4',
     './Adobe Express - IQWPE3043 (1).mp4',
     '/Adobe_Express_IQWPE3043.mp4',
@@ -46,6 +70,10 @@ function createVideoLoader() {
     '/assets/Adobe Express - IQWPE3043 (1).mp4',
     './assets/Adobe Express - IQWPE3043 (1).mp4'
   ];
+  const rememberedPath = getRememberedVideoPath();
+  const videoPaths = rememberedPath && fallbackPaths.includes(rememberedPath)
+    ? [rememberedPath, ...fallbackPaths.filter(path => path !== rememberedPath)]
+    : fallbackPaths;
 
   return {
     async loadVideo(videoElement, onSuccess, onError) {
@@ -81,6 +109,7 @@ function createVideoLoader() {
         // Set up success handler
         const onLoadedData = () => {
           console.log(`Video loaded successfully: ${videoPath}`);
+          rememberVideoPath(videoPath);
           videoElement.removeEventListener('loadeddata', onLoadedData);
           videoElement.removeEventListener('error', onVideoError);
           onSuccess && onSuccess(videoElement);
@@ -105,9 +134,15 @@ function createVideoLoader() {
 }
 
 class LandingPage {
-  constructor() {
+  // options.onStart(loadingScreen, siteId, { resume }) launches the game
+  constructor(options = {}) {
+    this.onStart = options.onStart || null;
     this.isVisible = true;
     this.landingOverlay = null;
+    this.selectedSiteId = null;
+    this.selectedSite = null;
+    this.hasSavedGame = false;
+    this.saveLookup = 0;
     this.createLandingPage();
     this.addResponsiveStyles();
   }
@@ -448,13 +483,14 @@ class LandingPage {
       letter-spacing: 2px;
     `;
 
-    // Main title
+    // Main title (site lines are replaced when a site is picked)
     const title = document.createElement('h1');
     title.innerHTML = `
       <div style="font-size: 48px; font-weight: 700; margin-bottom: 10px; line-height: 1.1;">TREASURE HUNT</div>
-      <div style="font-size: 48px; font-weight: 700; color: #429fb8; line-height: 1.1;">IN KESHAV NARAYAN</div>
-      <div style="font-size: 48px; font-weight: 700; line-height: 1.1;">CHOWK</div>
+      <div class="hero-site-line" style="font-size: 48px; font-weight: 700; color: #429fb8; line-height: 1.1;">IN KESHAV NARAYAN</div>
+      <div class="hero-site-line" style="font-size: 48px; font-weight: 700; line-height: 1.1;">CHOWK</div>
     `;
+    this.heroTitle = title;
     title.style.cssText = `
       margin-bottom: 30px;
       line-height: 1.1;
@@ -500,28 +536,45 @@ class LandingPage {
       playButton.style.boxShadow = '0 4px 16px rgba(66, 159, 184, 0.3)';
     });
 
-    playButton.addEventListener('click', async () => {
-      this.hide();
-      // Show loading screen immediately and start the game
-      const loadingScreen = new LoadingScreen();
-      loadingScreen.show();
-      loadingScreen.updateProgress(0);
-      
-      if (window.startGame) {
-        try {
-          await window.startGame(loadingScreen);
-        } catch (error) {
-          console.error('Failed to start game:', error);
-          loadingScreen.hide();
-        }
-      }
+    playButton.addEventListener('click', () => {
+      // Continue the saved hunt when there is one
+      this.launchGame({ resume: this.hasSavedGame });
     });
+    this.playButton = playButton;
+
+    // Secondary "new game" action, only shown when a save exists for the selected site
+    const newGameButton = document.createElement('button');
+    newGameButton.textContent = 'NEW GAME';
+    newGameButton.style.cssText = `
+      display: none;
+      margin: 16px auto 0 auto;
+      background: transparent;
+      color: rgba(255, 255, 255, 0.8);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      padding: 10px 28px;
+      font-size: 14px;
+      font-weight: 600;
+      border-radius: 8px;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    `;
+    newGameButton.addEventListener('click', () => {
+      this.launchGame({ resume: false });
+    });
+    this.newGameButton = newGameButton;
+
+    // Site picker (filled once the site registry loads)
+    const sitePicker = this.createSitePicker();
 
     // Assemble hero section
     mainContent.appendChild(subtitle);
     mainContent.appendChild(title);
     mainContent.appendChild(description);
+    mainContent.appendChild(sitePicker);
     mainContent.appendChild(playButton);
+    mainContent.appendChild(newGameButton);
     contentOverlay.appendChild(mainContent);
     
     // Add fallback background first, then video, then content
@@ -533,6 +586,148 @@ class LandingPage {
     return heroSection;
   }
 
+  createSitePicker() {
+    const picker = document.createElement('div');
+    picker.className = 'site-picker';
+    picker.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 12px;
+      margin-bottom: 30px;
+    `;
+
+    loadSiteRegistry()
+      .then(registry => {
+        const defaultSite = findSite(registry);
+        this.selectedSiteId = defaultSite.id;
+
+        registry.sites.forEach(site => {
+          const card = document.createElement('button');
+          card.className = 'site-card';
+          card.dataset.siteId = site.id;
+          card.style.cssText = `
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid rgba(255, 255, 255, 0.15);
+            border-radius: 8px;
+            padding: 10px 16px;
+            color: #ffffff;
+            font-family: inherit;
+            text-align: left;
+            cursor: pointer;
+            transition: all 0.2s ease;
+            min-width: 160px;
+          `;
+
+          const name = document.createElement('div');
+          name.textContent = site.name;
+          name.style.cssText = `
+            font-size: 14px;
+            font-weight: 600;
+          `;
+
+          const location = document.createElement('div');
+          location.textContent = site.location || '';
+          location.style.cssText = `
+            font-size: 11px;
+            color: rgba(255, 255, 255, 0.6);
+            margin-top: 2px;
+          `;
+
+          card.appendChild(name);
+          card.appendChild(location);
+          card.addEventListener('click', () => this.selectSite(site));
+          picker.appendChild(card);
+        });
+
+        this.selectSite(defaultSite);
+      })
+      .catch(error => {
+        console.error('Failed to load site registry:', error);
+        picker.style.display = 'none';
+      });
+
+    return picker;
+  }
+
+  selectSite(site) {
+    this.selectedSiteId = site.id;
+    this.selectedSite = site;
+
+    // Highlight the selected card
+    this.landingOverlay.querySelectorAll('.site-card').forEach(card => {
+      const isSelected = card.dataset.siteId === site.id;
+      card.style.borderColor = isSelected ? '#429fb8' : 'rgba(255, 255, 255, 0.15)';
+      card.style.background = isSelected ? 'rgba(66, 159, 184, 0.2)' : 'rgba(255, 255, 255, 0.05)';
+    });
+
+    // Update the hero title lines for the chosen site
+    if (this.heroTitle) {
+      const lines = site.heroTitle || [`IN ${site.name.toUpperCase()}`];
+      const lineElements = this.heroTitle.querySelectorAll('.hero-site-line');
+      lineElements.forEach((element, index) => {
+        element.textContent = lines[index] || '';
+        element.style.display = lines[index] ? 'block' : 'none';
+      });
+    }
+
+    this.updateSaveButtons();
+    console.log('Site selected:', site.id);
+  }
+
+  // Switch the play button between "Play now" and "Continue" depending on saved progress.
+  // Saves are keyed by hunt id, so load the hunt PLAY will start (site default or ?hunt=).
+  async updateSaveButtons() {
+    const site = this.selectedSite;
+    const lookup = ++this.saveLookup;
+    let save = null;
+    if (site) {
+      try {
+        const hunt = await loadHuntDefinition(resolveHuntUrl(site.hunt));
+        save = loadProgress(site.id, hunt.id);
+        // A save from another version of the hunt is discarded on start, so it can't be continued
+        if (save && save.huntVersion !== hunt.version) save = null;
+      } catch (error) {
+        console.warn('Could not check saved progress:', error);
+      }
+    }
+    // Another site was picked while this one was loading
+    if (lookup !== this.saveLookup) return;
+
+    this.hasSavedGame = !!save;
+    if (this.playButton) {
+      this.playButton.textContent = save ? 'CONTINUE' : 'PLAY NOW';
+      this.playButton.title = save ? `Saved ${new Date(save.savedAt).toLocaleString()}` : '';
+    }
+    if (this.newGameButton) {
+      this.newGameButton.style.display = save ? 'block' : 'none';
+    }
+  }
+
+  async launchGame(options = {}) {
+    this.hide();
+    // Show loading screen immediately and start the game
+    const loadingScreen = new LoadingScreen();
+    loadingScreen.show();
+    loadingScreen.updateProgress(0);
+    
+    if (this.onStart) {
+      try {
+        await this.onStart(loadingScreen, this.selectedSiteId, options);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          // Loading was cancelled: back to the landing page
+          loadingScreen.hide();
+          loadingScreen.destroy();
+          this.show();
+          return;
+        }
+        console.error('Failed to start game:', error);
+        loadingScreen.hide();
+      }
+    }
+  }
+
   createKeshavSection() {
     const keshavSection = document.createElement('section');
     keshavSection.style.cssText = `
@@ -652,30 +847,8 @@ class LandingPage {
       gap: 30px;
     `;
 
-    const contentSections = [
-      {
-        title: 'Historical Background',
-        content: 'The site originally housed Chaukot Durbar, a four-cornered fortress from the Malla period. Before that, it was home to Ratnakar Gumba, a Buddhist monastery. In the 17th century, King Siddhinar Singh Malla handed the monastery over to Hakka Bahal and later installed a statue of Keshav Narayan—an incarnation of Lord Vishnu—at the center of the courtyard, giving the space its current name. By 1734, the area had evolved into a ceremonial palace complex used by the Malla kings, representing the pinnacle of court life in Patan.'
-      },
-      {
-        title: 'Architectural Features',
-        content: 'Designed in the traditional Nepali chowk style, the courtyard is enclosed by four wings and features ornately carved timber columns and arcades, traditional brickwork and gilded religious motifs, a central shrine dedicated to Keshav Narayan, and a golden window and several decorative elements reflecting Malla craftsmanship. Modern restoration efforts have incorporated structural reinforcements for earthquake resilience while preserving the historical aesthetic.'
-      },
-      {
-        title: 'The Patan Museum',
-        content: 'Following damage from the 1934 earthquake and subsequent neglect, Keshav Narayan Chowk underwent major restoration beginning in 1982. This joint initiative by the Nepalese and Austrian governments resulted in the establishment of the Patan Museum—Nepal\'s first autonomous public museum and one of the most respected in South Asia. Today, the museum houses bronze sculptures and sacred artifacts, exhibitions on Newar art and culture, and rotating displays and educational programming.'
-      },
-      {
-        title: 'Cultural and Civic Role',
-        content: 'The courtyard remains a functional cultural space that continues to host religious rituals and seasonal festivals, public gatherings and performances, and workshops and educational events. It serves both as a site of devotion and as a cultural learning center, connecting visitors to the rich heritage of Patan.'
-      },
-      {
-        title: 'Present-Day Importance',
-        content: 'As part of the UNESCO World Heritage-listed Patan Durbar Square, Keshav Narayan Chowk is a benchmark in Nepalese heritage conservation. It represents a living tradition where history, architecture, and community intersect. The courtyard is not merely a preserved monument; it is an active civic space that continues to reflect the values and artistry of Nepalese society.'
-      }
-    ];
-
-    contentSections.forEach(section => {
+    // Same sections are available to hunts as clue pages (see heritageContent.js)
+    HERITAGE_SECTIONS.forEach(section => {
       const card = document.createElement('div');
       card.className = 'content-card';
       card.style.cssText = `
@@ -754,15 +927,7 @@ class LandingPage {
     });
 
     ctaButton.addEventListener('click', () => {
-      this.hide();
-      // Show loading screen immediately and start the game
-      const loadingScreen = new LoadingScreen();
-      loadingScreen.show();
-      loadingScreen.updateProgress(0);
-      
-      if (window.startGame) {
-        window.startGame(loadingScreen);
-      }
+      this.launchGame({ resume: this.hasSavedGame });
     });
 
     ctaSection.appendChild(ctaTitle);
@@ -824,7 +989,11 @@ class LandingPage {
 
   show() {
     this.isVisible = true;
+    clearTimeout(this.hideTimeout);
     this.landingOverlay.style.display = 'flex';
+    this.landingOverlay.style.opacity = '1';
+    this.landingOverlay.style.transform = 'scale(1)';
+    this.updateSaveButtons();
   }
 
   hide() {
@@ -832,7 +1001,7 @@ class LandingPage {
     this.landingOverlay.style.opacity = '0';
     this.landingOverlay.style.transform = 'scale(0.95)';
     
-    setTimeout(() => {
+    this.hideTimeout = setTimeout(() => {
       this.landingOverlay.style.display = 'none';
     }, 300);
   }
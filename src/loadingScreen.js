@@ -5,6 +5,10 @@ class LoadingScreen {
     this.progress = 0;
     this.loadingOverlay = null;
     this.progressFill = null;
+    this.statusText = null;
+    this.cancelButton = null;
+    this.cancelHandler = null;
+    this.errorPanel = null;
     this.factText = null;
     this.currentFactIndex = 0;
     this.factInterval = null;
@@ -226,6 +230,61 @@ class LoadingScreen {
       pointer-events: none;
     `;
 
+    // Create status line (where the scene is loading from)
+    this.statusText = document.createElement('div');
+    this.statusText.style.cssText = `
+      margin-top: 12px;
+      font-size: 13px;
+      color: rgba(255, 255, 255, 0.6);
+      min-height: 18px;
+      letter-spacing: 0.5px;
+    `;
+
+    // Cancel button (shown while a cancel handler is set)
+    this.cancelButton = this.createButton('Cancel', false);
+    this.cancelButton.style.display = 'none';
+    this.cancelButton.style.marginTop = '20px';
+    this.cancelButton.addEventListener('click', () => {
+      if (this.cancelHandler) this.cancelHandler();
+    });
+
+    // Error panel with Retry / Back (see showError)
+    this.errorPanel = document.createElement('div');
+    this.errorPanel.setAttribute('role', 'alert');
+    this.errorPanel.style.cssText = `
+      display: none;
+      margin-top: 24px;
+      padding: 20px;
+      background: rgba(255, 68, 68, 0.08);
+      border: 1px solid rgba(255, 68, 68, 0.4);
+      border-radius: 12px;
+    `;
+    this.errorMessage = document.createElement('p');
+    this.errorMessage.style.cssText = `
+      margin: 0 0 16px 0;
+      color: #ff8a8a;
+      font-size: 15px;
+      line-height: 1.5;
+    `;
+    this.errorDetails = document.createElement('pre');
+    this.errorDetails.style.cssText = `
+      margin: 0 0 16px 0;
+      color: rgba(255, 255, 255, 0.5);
+      font-size: 11px;
+      text-align: left;
+      white-space: pre-wrap;
+      word-break: break-all;
+      max-height: 90px;
+      overflow-y: auto;
+    `;
+    this.retryButton = this.createButton('Retry', true);
+    this.backButton = this.createButton('Back to start', false);
+    this.backButton.style.marginLeft = '12px';
+    this.errorPanel.appendChild(this.errorMessage);
+    this.errorPanel.appendChild(this.errorDetails);
+    this.errorPanel.appendChild(this.retryButton);
+    this.errorPanel.appendChild(this.backButton);
+
     // Add shimmer animation CSS
     const shimmerStyle = document.createElement('style');
     shimmerStyle.textContent = `
@@ -247,12 +306,73 @@ class LoadingScreen {
     mainContainer.appendChild(title);
     mainContainer.appendChild(factContainer);
     mainContainer.appendChild(progressBar);
+    mainContainer.appendChild(this.statusText);
+    mainContainer.appendChild(this.cancelButton);
+    mainContainer.appendChild(this.errorPanel);
     this.loadingOverlay.appendChild(mainContainer);
 
     // Add to document
     document.body.appendChild(this.loadingOverlay);
   }
 
+  // Buttons match the landing page's play (primary) and new game (secondary) buttons
+  createButton(label, primary) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      background: ${primary ? 'linear-gradient(135deg, #429fb8, #2d7a8a)' : 'transparent'};
+      color: ${primary ? 'white' : 'rgba(255, 255, 255, 0.8)'};
+      border: ${primary ? 'none' : '1px solid rgba(255, 255, 255, 0.3)'};
+      padding: 10px 28px;
+      font-size: 14px;
+      font-weight: 600;
+      border-radius: 8px;
+      cursor: pointer;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    `;
+    return button;
+  }
+
+  // Show a Cancel button that calls handler; pass null to remove it
+  setCancelHandler(handler) {
+    this.cancelHandler = handler;
+    this.cancelButton.style.display = handler ? 'inline-block' : 'none';
+    // The overlay hides the cursor during loading; the button needs it
+    this.loadingOverlay.style.cursor = handler ? 'default' : 'none';
+  }
+
+  // Show a load failure with Retry and Back buttons.
+  // Resolves true when the player retries, false when they go back.
+  showError(message, details = '') {
+    this.setCancelHandler(null);
+    this.stopFactRotation();
+    if (this.loadingAnimationInterval) {
+      clearInterval(this.loadingAnimationInterval);
+      this.loadingAnimationInterval = null;
+    }
+    this.factText.textContent = 'Something went wrong while loading.';
+    this.statusText.textContent = '';
+    this.errorMessage.textContent = message;
+    this.errorDetails.textContent = details;
+    this.errorDetails.style.display = details ? 'block' : 'none';
+    this.errorPanel.style.display = 'block';
+    this.loadingOverlay.style.cursor = 'default';
+
+    return new Promise(resolve => {
+      const finish = (retry) => {
+        this.retryButton.onclick = null;
+        this.backButton.onclick = null;
+        this.errorPanel.style.display = 'none';
+        this.loadingOverlay.style.cursor = 'none';
+        if (retry) this.startFactRotation();
+        resolve(retry);
+      };
+      this.retryButton.onclick = () => finish(true);
+      this.backButton.onclick = () => finish(false);
+    });
+  }
+
   show() {
     this.isVisible = true;
     this.loadingOverlay.style.display = 'flex';
@@ -265,7 +385,7 @@ class LoadingScreen {
     this.showLoadingAnimation();
     
     // Start fact rotation after a short delay
-    setTimeout(() => {
+    this.factStartTimeout = setTimeout(() => {
       this.startFactRotation();
     }, 1000);
   }
@@ -322,6 +442,9 @@ class LoadingScreen {
   // Enhanced method for CDN download progress
   setCDNProgress(progress, status) {
     this.updateProgress(progress);
+    if (status !== undefined) {
+      this.statusText.textContent = status;
+    }
   }
 
 
@@ -343,6 +466,7 @@ class LoadingScreen {
   }
 
   stopFactRotation() {
+    clearTimeout(this.factStartTimeout);
     if (this.factInterval) {
       clearInterval(this.factInterval);
       this.factInterval = null;
@@ -1,11 +1,33 @@
 import * as THREE from "three";
-import { SplatMesh } from "@sparkjsdev/spark";
 import LandingPage from './landingPage.js';
 import LoadingScreen from './loadingScreen.js';
 import { MobileControls } from './mobileControls.js';
-import { RaycastManager, HUDManager, InteractionManager, createCrosshair, showHint } from './uiSystem.js';
-import { PhysicsSystem } from './physicsSystem.js';
+import { RaycastManager, HUDManager, InteractionManager, createCrosshair } from './uiSystem.js';
+import { createPhysicsSystem } from './physicsSystem.js';
 import TopUIIcons from './topUIIcons.js';
+import { loadHuntDefinition, resolveHuntUrl } from './huntDefinition.js';
+import { loadSiteRegistry, findSite, applySiteToConfig, normalizeObstacle, normalizeBoundingBox } from './siteRegistry.js';
+import { saveProgress, loadProgress, clearProgress } from './progressStore.js';
+import { createObstacleGeometry } from './obstacleColliders.js';
+import { loadCollisionProxy } from './collisionProxy.js';
+import { HuntEditor } from './huntEditor.js';
+import { BoundaryEditor } from './boundaryEditor.js';
+import { SimulationClock } from './simulationClock.js';
+import { gameEvents, services, exposePluginAPI } from './gameEvents.js';
+import { InputActions } from './inputActions.js';
+import { ControlsSettings } from './controlsSettings.js';
+import { GamepadInput } from './gamepadInput.js';
+import { XRMode } from './xrMode.js';
+import { createHuntMode } from './huntModes.js';
+import { HuntStats } from './huntStats.js';
+import { CompletionScreen } from './completionScreen.js';
+import { ClueCard, renderMarkdownLite, markdownToPlainText, resolveCluePages } from './clueCard.js';
+import { ClueChallenges } from './clueChallenges.js';
+import { HintSystem, resolveHintTiers } from './hintSystem.js';
+import { PhotoMode } from './photoMode.js';
+import { registerServiceWorker, isSplatCached, isOffline, createOfflineIndicator } from './pwa.js';
+import { loadSplat, formatDownloadStatus, createAbortError, isAbortError } from './splatLoader.js';
+import { getDeviceProfile } from './deviceProfile.js';
 
 // Global error handler to catch browser extension conflicts
 window.addEventListener('error', (event) => {
@@ -23,9 +45,12 @@ window.addEventListener('error', (event) => {
 // Scene Configuration
 const sceneConfig = {
   sceneSettings: {
-    initialPosition: [3.3, -0.1, 0.5],
+    // initialPosition, groundLevel and maxFlyHeight are set from the selected site
+    initialPosition: [0, 0, 0],
+    initialYaw: 0,
+    initialPitch: 0,
     gravity: [0, -9.81, 0],
-    groundLevel: -1.35,
+    groundLevel: 0,
     playerHeight: 1.7,
     crouchHeight: 1.0,
     playerRadius: 0.3,
@@ -39,86 +64,37 @@ const sceneConfig = {
     dragSensitivity: 0.01,
     rotationSensitivity: 0.01
   },
-  splat: {
-    name: "KeshavNarayanChowk",
-    cdnUrl: "https://nhu-ai.netlify.app/KeshavNarayanChowk.splat",
-    localUrl: "/KeshavNarayanChowk.splat",
-    position: [0, 0, 0],
-    rotation: [Math.PI, 0, 0], // 180° rotation around X-axis to fix upside-down orientation
-    scale: [1, 1, 1]
-  },
+  // Selected site, splat, walkable area and obstacles come from the site registry (see siteRegistry.js)
+  site: null,
+  splat: null,
+  walkableArea: [],
+  obstacles: [],
+  collisionProxy: null,
   boundingBox: {
     type: "cube",
-    position: [0, 0, 0],
-    rotation: [0, 0, 0],
-    scale: [20, 10, 20], // Large cube to encompass the playable area
-                  color: 0x0066ff, // Blue color for boundary cube
-              opacity: 0.3,
-              visible: true,
-              physicsRadius: 0.5,
-              pushStrength: 8.0,
-              escapeDistance: 2.0,
-              friction: 0.0,
-              restitution: 0.0
+    color: 0x0066ff, // Blue color for boundary cube
+    opacity: 0.3,
+    visible: true,
+    physicsRadius: 0.5,
+    pushStrength: 8.0,
+    escapeDistance: 2.0,
+    friction: 0.0,
+    restitution: 0.0
   },
   treasureHunt: {
-    startMessage: "Find the hidden clues!",
-    endMessage: "Congratulations! You've completed the game!",
-    gameMode: "sequential",
-    clues: [
-      {
-        name: "helloCube",
-        title: "Hello Cube",
-        hint: "Welcome to the treasure hunt! This is your first clue.",
-        position: [2.84, -0.42, -3.30],
-        scale: [0.25, 0.25, 0.25],
-        level: 0
-      },
-      {
-        name: "newCube",
-        title: "Second Clue",
-        hint: "You found the second clue! Keep exploring.",
-        position: [-2.5, -0.42, 2.5],
-        scale: [0.25, 0.25, 0.25],
-        level: 1
-      },
-      {
-        name: "anotherCube2",
-        title: "Final Clue",
-        hint: "Congratulations! You've found all the clues!",
-        position: [0, -0.42, 4.0],
-        scale: [0.25, 0.25, 0.25],
-        level: 2
-      }
-    ]
+    // Clues, hints and progression come from the site's hunt definition file (override with ?hunt=...)
+    definitionUrl: null
   },
-  obstacles: [
-    {
-      name: "redCube",
-      type: "impenetrable",
-      position: [-0.523, 0.082, -3.574],
-      rotation: [0.010, 0.750, 0.000],
-      scale: [1.5, 1.5, 1.5],
-      manipulatable: true,
-      physicsRadius: 0.85,
-      pushStrength: 5.0,
-      escapeDistance: 1.0,
-      friction: 0.0,
-      restitution: 0.0,
-      dragSensitivity: 0.01,
-      rotationSensitivity: 0.01
-    }
-  ],
   physics: {
+    // 'simple' (built-in kinematic integrator) or 'rapier' (falls back to simple if wasm fails)
+    backend: 'simple',
     groundCollider: {
       size: [50, 0.1, 50],
       position: [0, -1.45, 0]
     },
     playerCollider: {
       friction: 0.1,
-      restitution: 0.1,
-      linearDamping: 5.0,
-      angularDamping: 10.0
+      restitution: 0.1
     },
     cubeCollider: {
       size: [0.125, 0.125, 0.125]
@@ -144,27 +120,25 @@ const sceneConfig = {
 // Global variables
 let scene, camera, renderer, splat;
 let mobileControls, physicsSystem, raycastManager, hudManager, interactionManager;
-let linkCubes = [], redCube, purpleCube, boundaryCube;
-let keys = {};
-let yaw = 0, pitch = 0;
-let isGrounded = false, isCrouching = false;
+let linkCubes = [], obstacles = [], boundaryCube, collisionProxy = null;
 
 let crosshair, infoPopup;
-let topUIIcons;
-
-
+const clueCard = new ClueCard();
+let topUIIcons, huntEditor, boundaryEditor, controlsSettings, gamepadInput, xrMode, completionScreen, hintSystem, photoMode;
+
+// Player look and stance state, shared with physics and the controls as the 'player' service
+const player = {
+  yaw: 0,
+  pitch: 0,
+  isGrounded: false,
+  isCrouching: false
+};
+services.register('player', player);
+services.register('config', sceneConfig);
 
-// Player constants
-const PLAYER_HEIGHT = sceneConfig.sceneSettings.playerHeight;
-const CROUCH_HEIGHT = sceneConfig.sceneSettings.crouchHeight;
-const PLAYER_RADIUS = sceneConfig.sceneSettings.playerRadius;
-const CAMERA_OFFSET = sceneConfig.sceneSettings.cameraOffset;
-const MAX_FLY_HEIGHT = sceneConfig.sceneSettings.maxFlyHeight;
-const WALK_SPEED = sceneConfig.sceneSettings.walkSpeed;
-const CROUCH_SPEED = sceneConfig.sceneSettings.crouchSpeed;
-const JUMP_FORCE = sceneConfig.sceneSettings.jumpForce;
-const FLY_SPEED = sceneConfig.sceneSettings.flySpeed;
-const GROUND_LEVEL = sceneConfig.sceneSettings.groundLevel;
+// Keyboard, mouse and joysticks all feed named input actions (rebindable, see inputActions.js)
+const inputActions = new InputActions();
+services.register('input', inputActions);
 
 // Game state
 let gameState = {
@@ -173,39 +147,66 @@ let gameState = {
   isGameComplete: false,
   gameStarted: false,  // Track if game icon has been pressed
   treasuresFound: 0,   // Track number of treasures found
-  totalTreasures: 3    // Total number of treasures in the game
+  totalTreasures: 0,   // Set from the hunt definition once loaded
+  hintTiers: {}        // Hint tiers revealed per clue name (see hintSystem.js)
 };
 
-// Define the progression order
-const cubeProgression = [
-  'helloCube',
-  'newCube', 
-  'anotherCube2'
-];
-
-// Define hints for each cube
-const cubeHints = {
-  'helloCube': {
-    title: "Level 1 - Clue 1",
-    hint: "Look for a green cube near the starting area. It's your first step in this treasure hunt adventure!"
-  },
-  'newCube': {
-    title: "Level 2 - Clue 2", 
-    hint: "Find the yellow cube. It's positioned in a different area of the map. Keep exploring!"
-  },
-  'anotherCube2': {
-    title: "Level 3 - Final Clue",
-    hint: "The purple cube holds the final secret. You're almost at the end of your journey!"
-  }
-};
+// Active hunt definition, progression order and hints (derived from the hunt file)
+let hunt = null;
+let huntMode = null;   // Rules for hunt.gameMode (see huntModes.js)
+let cubeProgression = [];
+let cubeHints = {};
+
+// Hunt state and actions for the UI modules and plugins ('game' service)
+services.register('game', {
+  get state() { return gameState; },
+  get hunt() { return hunt; },
+  get mode() { return huntMode; },
+  get cubeProgression() { return cubeProgression; },
+  get cubeHints() { return cubeHints; },
+  getCurrentClueName: () => cubeProgression[gameState.currentLevel] || null,
+  isCubeClickable,
+  collectClue,
+  startHunt: startTreasureHunt,
+  resetProgress,
+  showHint: (name) => hintSystem && hintSystem.showHint(name),
+  showHintPanel: (name) => hintSystem && hintSystem.showHintPanel(name),
+  showInfoPopup,
+  showProgressionMessage
+});
+
+// Autosave timing
+const AUTOSAVE_INTERVAL = 5000;
+let autosaveInterval = null;
+
+// Loading screen progress: the splat download fills the bar up to here, decoding and setup the rest
+const SPLAT_DOWNLOAD_PROGRESS = 85;
+
+// Splat budget and render resolution for this device (see deviceProfile.js)
+const deviceProfile = getDeviceProfile();
+console.log(`Device quality tier: ${deviceProfile.tier}${deviceProfile.overridden ? ' (override)' : ''}`);
 
 // Animation timing
-let lastTime = 0;
+// Fixed-step clock shared by physics and game timers (pause/resume/time scale)
+const simulationClock = new SimulationClock({ fixedTimeStep: 1 / 60 });
+services.register('simulationClock', simulationClock);
+
+// Play time, hints and route length for the completion screen
+const huntStats = new HuntStats(simulationClock);
+const clueChallenges = new ClueChallenges(simulationClock, inputActions);
 let isAnimationRunning = false;
+let splatDownload = null;   // AbortController of the splat load; streamed splats keep refining under it
+// Set once init() starts building game objects, systems and listeners; those have no
+// teardown, so after that point a failed start can only be retried by reloading the page
+let gameBuilt = false;
 
 // Initialize the application
-async function init(loadingScreen = null) {
+async function init(loadingScreen = null, siteId = null) {
   try {
+    // Resolve the heritage site before anything reads site-specific config
+    const siteRegistry = await loadSiteRegistry();
+    applySiteToConfig(sceneConfig, findSite(siteRegistry, siteId));
+
     // Create scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x87CEEB);
@@ -213,17 +214,21 @@ async function init(loadingScreen = null) {
     // Create camera
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.set(2.842, 2.2, 4.702);
+    services.register('camera', camera);
 
-    // Initialize global yaw and pitch variables
-    window.yaw = yaw;
-    window.pitch = pitch;
+    // Initialize the look direction from the site's spawn view
+    player.yaw = sceneConfig.sceneSettings.initialYaw;
+    player.pitch = sceneConfig.sceneSettings.initialPitch;
 
     // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer = new THREE.WebGLRenderer({ antialias: deviceProfile.antialias });
+    renderer.setPixelRatio(deviceProfile.pixelRatio);
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.body.appendChild(renderer.domElement);
+    services.register('scene', scene);
+    services.register('renderer', renderer);
 
     // Add lighting
     const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
@@ -236,9 +241,15 @@ async function init(loadingScreen = null) {
     directionalLight.shadow.mapSize.height = 2048;
     scene.add(directionalLight);
 
+    // Load the hunt definition before anything depends on it
+    await loadHunt();
+
     // Load SPLAT mesh with loading screen
     await loadSplatMesh(loadingScreen);
 
+    // Load the site's collision proxy mesh (optional)
+    await loadSiteCollisionProxy();
+
     // Create game objects
     createGameObjects();
 
@@ -250,336 +261,263 @@ async function init(loadingScreen = null) {
 
     console.log('Initialization complete, starting animation loop...');
   } catch (error) {
-    console.error('Failed to initialize game:', error);
+    if (!isAbortError(error)) {
+      console.error('Failed to initialize game:', error);
+    }
     throw error;
   }
 }
 
+// Load the hunt definition and derive progression and hints from it
+async function loadHunt() {
+  // An explicit ?hunt= parameter (same-site /hunts/ files only) wins over the site's default hunt
+  hunt = await loadHuntDefinition(resolveHuntUrl(sceneConfig.treasureHunt.definitionUrl));
+  sceneConfig.treasureHunt.hunt = hunt;
 
+  cubeProgression = hunt.clues.map(clue => clue.name);
+  cubeHints = {};
+  hunt.clues.forEach(clue => {
+    cubeHints[clue.name] = { title: clue.hint.title, hint: clue.hint.text, tiers: resolveHintTiers(clue.hint, clue.hints) };
+  });
+
+  gameState.totalTreasures = hunt.clues.length;
+  huntMode = createHuntMode(hunt, {
+    clock: simulationClock,
+    stats: huntStats,
+    onTimeUp: () => finishHunt('timeUp')
+  });
+
+  // Layouts exported from the hunt editor carry their own obstacles and boundary box
+  if (hunt.obstacles) {
+    sceneConfig.obstacles = hunt.obstacles.map(normalizeObstacle);
+  }
+  if (hunt.boundingBox) {
+    sceneConfig.boundingBox = normalizeBoundingBox(hunt.boundingBox, sceneConfig.boundingBox);
+  }
+}
+
+// A missing or broken proxy only costs accuracy, so the game continues without it
+async function loadSiteCollisionProxy() {
+  collisionProxy = null;
+  if (!sceneConfig.collisionProxy) return;
+
+  try {
+    collisionProxy = await loadCollisionProxy(sceneConfig.collisionProxy, sceneConfig.splat);
+  } catch (error) {
+    console.warn('Collision proxy failed to load, using flat ground only:', error);
+  }
+}
+
+// Download and decode the site's splat. Tries a cached copy first, then the CDN, then the
+// local file. On failure the loading screen offers Retry; Back/Cancel rejects with an AbortError.
 async function loadSplatMesh(loadingScreen = null) {
-  return new Promise(async (resolve, reject) => {
+  for (;;) {
+    const controller = new AbortController();
+    splatDownload = controller;
+    if (loadingScreen) {
+      loadingScreen.setCancelHandler(() => controller.abort());
+      loadingScreen.setCDNProgress(0, 'Looking for the 3D scene');
+    }
+
     try {
-      console.log('Attempting to load SPLAT mesh...');
-      if (loadingScreen) {
-        loadingScreen.setCDNProgress(5);
-      }
-      
-      // Always try CDN first (compulsory)
-      try {
-        if (loadingScreen) {
-          loadingScreen.setCDNProgress(15);
-        }
-        
-        console.log('Creating SplatMesh with CDN URL:', sceneConfig.splat.cdnUrl);
-        splat = new SplatMesh({ 
-          url: sceneConfig.splat.cdnUrl,
-          onLoad: () => {
-            console.log('SPLAT file loaded successfully from CDN');
-            if (loadingScreen) {
-              loadingScreen.setCDNProgress(85);
-            }
-            
-            // Complete the setup and resolve
-            completeSplatSetup(loadingScreen, resolve);
-          },
-          onProgress: (progress) => {
-            if (loadingScreen) {
-              const percentage = Math.round(progress * 100);
-              const adjustedProgress = 15 + (percentage * 0.7); // Scale progress from 15% to 85%
-              loadingScreen.setCDNProgress(adjustedProgress);
-            }
-          }
-        });
-      } catch (cdnError) {
-        console.warn('CDN failed, trying local fallback:', cdnError);
-        if (loadingScreen) {
-          loadingScreen.setCDNProgress(45);
-        }
-        
-        // Fallback to local file as last option
-        try {
-          if (loadingScreen) {
-            loadingScreen.setCDNProgress(55);
-          }
-          
-          console.log('Creating SplatMesh with local URL:', sceneConfig.splat.localUrl);
-          splat = new SplatMesh({ 
-            url: sceneConfig.splat.localUrl,
-            onLoad: () => {
-              console.log('SPLAT file loaded successfully from local fallback');
-              if (loadingScreen) {
-                loadingScreen.setCDNProgress(85);
-              }
-              
-              // Complete the setup and resolve
-              completeSplatSetup(loadingScreen, resolve);
-            },
-            onProgress: (progress) => {
-              if (loadingScreen) {
-                const percentage = Math.round(progress * 100);
-                const adjustedProgress = 55 + (percentage * 0.3); // Scale progress from 55% to 85%
-                loadingScreen.setCDNProgress(adjustedProgress);
-              }
-            }
-          });
-        } catch (localError) {
-          console.error('Both CDN and local fallback failed:', localError);
-          if (loadingScreen) {
-            loadingScreen.setCDNProgress(0);
-          }
-          reject(new Error('Failed to load 3D model from both CDN and local sources'));
-          return;
-        }
-      }
+      splat = await downloadSplat(loadingScreen, controller.signal);
+      break;
     } catch (error) {
+      if (isAbortError(error) || !loadingScreen) throw error;
       console.error('Failed to load SPLAT mesh:', error);
-      if (loadingScreen) {
-        loadingScreen.setCDNProgress(0);
+      const [message, ...details] = error.message.split('\n');
+      const retry = await loadingScreen.showError(message, details.join('\n'));
+      if (!retry) throw createAbortError();
+    }
+  }
+
+  if (loadingScreen) {
+    loadingScreen.setCancelHandler(null);
+  }
+  await completeSplatSetup(loadingScreen);
+}
+
+async function downloadSplat(loadingScreen, signal) {
+  // A copy saved by the service worker loads without touching the network
+  const cachedUrl = await findCachedSplatUrl();
+  if (!cachedUrl && isOffline()) {
+    throw new Error('You are offline and this site has not been saved on this device yet. Reconnect and retry.');
+  }
+
+  const urls = [...new Set([cachedUrl, sceneConfig.splat.cdnUrl, sceneConfig.splat.localUrl].filter(Boolean))];
+  let statusPrefix = '';
+  const { mesh, url, refined } = await loadSplat(urls, {
+    signal,
+    progressive: sceneConfig.splat.progressive,
+    format: sceneConfig.splat.format,
+    maxSplats: deviceProfile.maxSplats,
+    coarseSplats: deviceProfile.coarseSplats,
+    onSource: (url, index) => {
+      console.log('Loading SPLAT file from:', url);
+      if (url === cachedUrl) {
+        statusPrefix = 'Loading saved copy (offline ready)';
+      } else {
+        statusPrefix = index === 0 ? 'Downloading 3D scene' : 'Trying backup copy of the 3D scene';
       }
-      reject(error);
+      if (loadingScreen) loadingScreen.setCDNProgress(0, statusPrefix);
+    },
+    onProgress: (progress) => {
+      if (!loadingScreen) return;
+      // A streamed splat opens once `target` bytes are in; without a Content-Length or
+      // target only the byte count is known, so the bar stays where it is
+      const goal = Math.min(progress.target || Infinity, progress.total || Infinity);
+      const percentage = goal !== Infinity ? Math.min(1, progress.loaded / goal) * SPLAT_DOWNLOAD_PROGRESS : loadingScreen.progress;
+      loadingScreen.setCDNProgress(percentage, `${statusPrefix}: ${formatDownloadStatus(progress)}`);
+    },
+    onDecode: () => {
+      if (loadingScreen) loadingScreen.setCDNProgress(SPLAT_DOWNLOAD_PROGRESS, 'Preparing 3D scene');
     }
   });
-}
+  console.log('SPLAT file loaded successfully from', url);
 
-// Helper function to complete splat setup
-async function completeSplatSetup(loadingScreen, resolve) {
-  try {
-    if (loadingScreen) {
-      loadingScreen.setCDNProgress(90);
+  // Streamed splats keep refining in the background; a failure there keeps what arrived
+  refined.catch(error => {
+    if (!isAbortError(error)) {
+      console.warn('Splat streaming stopped early, keeping the splats loaded so far:', error);
     }
-    
-    splat.position.set(...sceneConfig.splat.position);
-    splat.rotation.set(...sceneConfig.splat.rotation);
-    splat.scale.set(...sceneConfig.splat.scale);
-    scene.add(splat);
-    window.splat = splat;
-    console.log('SPLAT mesh added to scene');
-    
-    if (loadingScreen) {
-      loadingScreen.setCDNProgress(95);
+  });
+  return mesh;
+}
+
+// First splat URL (CDN, then local) the service worker already holds, or null
+async function findCachedSplatUrl() {
+  for (const url of [sceneConfig.splat.cdnUrl, sceneConfig.splat.localUrl]) {
+    if (await isSplatCached(url)) {
+      console.log('Found cached SPLAT file:', url);
+      return url;
     }
-    
+  }
+  return null;
+}
+
+// Place the decoded splat in the scene
+async function completeSplatSetup(loadingScreen) {
+  splat.position.set(...sceneConfig.splat.position);
+  splat.rotation.set(...sceneConfig.splat.rotation);
+  splat.scale.set(...sceneConfig.splat.scale);
+  scene.add(splat);
+  services.register('splat', splat);
+  console.log('SPLAT mesh added to scene');
+
+  if (loadingScreen) {
+    loadingScreen.setCDNProgress(100, 'Ready');
     // Small delay to show the final progress
     await new Promise(resolve => setTimeout(resolve, 200));
-    
-    if (loadingScreen) {
-      loadingScreen.setCDNProgress(100);
-    }
-    
-    // Resolve the promise when splat is fully loaded and ready
-    resolve();
-  } catch (error) {
-    console.error('Failed to complete splat setup:', error);
-    reject(error);
   }
 }
 
+// Create one clue cube from a (normalized) hunt clue
+function createClueCube(clue) {
+  const geometry = new THREE.BoxGeometry(clue.size[0], clue.size[1], clue.size[2]);
+  const material = new THREE.MeshLambertMaterial({ 
+    color: clue.color,
+    transparent: true,
+    opacity: clue.opacity,
+    visible: false  // Start hidden until game icon is pressed
+  });
+  
+  const cube = new THREE.Mesh(geometry, material);
+  cube.position.set(...clue.position);
+  cube.rotation.set(...clue.rotation);
+  cube.scale.set(...clue.scale);
+  cube.name = clue.name;
+  cube.userData = {
+    title: clue.title,
+    message: clue.message,
+    pages: clue.pages,
+    learnMore: clue.learnMore,
+    challenge: clue.challenge,
+    hasPhysics: true,
+    level: clue.level,
+    color: clue.color,
+    opacity: clue.opacity,
+    pickupRadius: clue.pickupRadius,
+    hint: { ...clue.hint },
+    hints: clue.hints,
+    isClueCube: true  // Mark as clue cube for identification
+  };
+  
+  scene.add(cube);
+  linkCubes.push(cube);
+  
+  console.log(`Created ${clue.name} cube with color: #${clue.color.toString(16).padStart(6, '0')}`);
+  return cube;
+}
+
 // Create game objects
 function createGameObjects() {
-  // Create clue cubes with distinct colors
-  const clueColors = [
-    0x00ff88, // Green for first clue
-    0xff8800, // Orange for second clue  
-    0x8800ff  // Purple for final clue
-  ];
-  
-  sceneConfig.treasureHunt.clues.forEach((clue, index) => {
-    const geometry = new THREE.BoxGeometry(clue.scale[0], clue.scale[1], clue.scale[2]);
+  gameBuilt = true;
+
+  // Create clue cubes from the hunt definition
+  hunt.clues.forEach(createClueCube);
+
+  // Create obstacles from the site configuration - FIXED positions (not manipulatable)
+  sceneConfig.obstacles.forEach(obstacleConfig => {
+    const geometry = createObstacleGeometry(obstacleConfig);
     const material = new THREE.MeshLambertMaterial({ 
-      color: clueColors[index],
+      color: obstacleConfig.color,
       transparent: true,
-      opacity: 0.8,
-      visible: false  // Start hidden until game icon is pressed
+      opacity: obstacleConfig.opacity,
+      visible: true
     });
     
-    const cube = new THREE.Mesh(geometry, material);
-    cube.position.set(clue.position[0], clue.position[1], clue.position[2]);
-    cube.name = clue.name;
-    cube.userData = {
-      title: clue.title,
-      url: clue.hint,
-      hasPhysics: true,
-      level: clue.level,
-      color: clueColors[index],
-      isClueCube: true  // Mark as clue cube for identification
+    const obstacle = new THREE.Mesh(geometry, material);
+    obstacle.name = obstacleConfig.name;
+    obstacle.position.set(...obstacleConfig.position);
+    obstacle.rotation.set(...obstacleConfig.rotation);
+    obstacle.scale.set(...obstacleConfig.scale);
+    obstacle.userData = {
+      isImpenetrable: true,
+      obstacleConfig,
+      friction: obstacleConfig.friction,
+      restitution: obstacleConfig.restitution,
+      color: obstacleConfig.color
     };
     
-    scene.add(cube);
-    linkCubes.push(cube);
-    
-    // Store reference to purple cube (anotherCube2) for manipulation
-    if (clue.name === 'anotherCube2') {
-      purpleCube = cube;
-      window.purpleCube = purpleCube;
-      
-      // Apply the provided configuration
-      purpleCube.position.set(-0.097, -0.114, 0.209);
-      purpleCube.rotation.set(-0.03, 0.6, 0);
-      purpleCube.scale.set(0.4, 0.4, 0.4);
-      
-      // Update physics properties
-      purpleCube.userData.physicsRadius = 0.25;
-      purpleCube.userData.pushStrength = 2.0;
-      purpleCube.userData.escapeDistance = 0.5;
-      purpleCube.userData.friction = 0.1;
-      purpleCube.userData.restitution = 0.3;
-      
-      // Ensure the level is preserved for clickability
-      purpleCube.userData.level = clue.level;
-      purpleCube.userData.title = clue.title;
-      purpleCube.userData.url = clue.hint;
-      purpleCube.userData.isClueCube = true;
-      
-      console.log('Purple cube configuration applied:', {
-        position: [-0.097, -0.114, 0.209],
-        rotation: [-0.03, 0.6, 0],
-        scale: [0.4, 0.4, 0.4],
-        physicsRadius: 0.25,
-        pushStrength: 2.0,
-        escapeDistance: 0.5,
-        friction: 0.1,
-        restitution: 0.3,
-        level: purpleCube.userData.level,
-        title: purpleCube.userData.title
-      });
-    }
-    
-    // Apply configuration to yellow cube (newCube)
-    if (clue.name === 'newCube') {
-      // Apply the provided configuration
-      cube.position.set(-2.177, -0.036, 2.713);
-      cube.rotation.set(-3.14, 0.91, 0);
-      cube.scale.set(0.5, 0.5, 0.5);
-      
-      // Update physics properties
-      cube.userData.physicsRadius = 0.25;
-      cube.userData.pushStrength = 2.0;
-      cube.userData.escapeDistance = 0.5;
-      cube.userData.friction = 0.1;
-      cube.userData.restitution = 0.3;
-      
-      console.log('Yellow cube configuration applied:', {
-        position: [-2.177, -0.036, 2.713],
-        rotation: [-3.14, 0.91, 0],
-        scale: [0.5, 0.5, 0.5],
-        physicsRadius: 0.25,
-        pushStrength: 2.0,
-        escapeDistance: 0.5,
-        friction: 0.1,
-        restitution: 0.3
-      });
-    }
-    
-    // Apply configuration to green cube (helloCube)
-    if (clue.name === 'helloCube') {
-      // Apply the provided configuration
-      cube.position.set(2.842, -0.428, -0.298);
-      cube.rotation.set(0, 0.75, 0);
-      cube.scale.set(1, 1, 1);
-      
-      // Update physics properties
-      cube.userData.physicsRadius = 0.25;
-      cube.userData.pushStrength = 2.0;
-      cube.userData.escapeDistance = 0.5;
-      cube.userData.friction = 0.1;
-      cube.userData.restitution = 0.3;
-      
-      console.log('Green cube configuration applied:', {
-        position: [2.842, -0.428, -0.298],
-        rotation: [0, 0.75, 0],
-        physicsRadius: 0.25,
-        pushStrength: 2.0,
-        escapeDistance: 0.5,
-        friction: 0.1,
-        restitution: 0.3
-      });
-    }
-    
-    console.log(`Created ${clue.name} cube with color: #${clueColors[index].toString(16)}`);
+    scene.add(obstacle);
+    obstacles.push(obstacle);
+    console.log(`Obstacle ${obstacleConfig.name} created at`, obstacleConfig.position);
   });
-
-  // Create red cube obstacle - FIXED position (not manipulatable)
-  const redGeometry = new THREE.BoxGeometry(
-    sceneConfig.obstacles[0].scale[0], 
-    sceneConfig.obstacles[0].scale[1], 
-    sceneConfig.obstacles[0].scale[2]
-  );
-  const redMaterial = new THREE.MeshLambertMaterial({ 
-    color: 0xff0000,  // Bright red color
-    transparent: true,
-    opacity: 0.9,     // More visible
-    visible: true     // Make it visible
-  });
-  
-  redCube = new THREE.Mesh(redGeometry, redMaterial);
-  redCube.position.set(-0.516, 0.08, -0.588);
-  redCube.rotation.set(0.01, 0.75, 0);
-  redCube.userData = {
-    isImpenetrable: true,
-    physicsRadius: 0.85,
-    pushStrength: 5.0,
-    escapeDistance: 1.0,
-    friction: 0.0,
-    restitution: 0.0,
-    color: 0xff0000
-  };
-  
-  scene.add(redCube);
-  window.redCube = redCube;
-  window.linkCubes = linkCubes;
   
-  console.log('Red cube created with configuration:', {
-    position: redCube.position,
-    rotation: redCube.rotation,
-    scale: redCube.scale,
-    userData: redCube.userData,
-    opacity: redMaterial.opacity,
-    visible: redMaterial.visible,
-    color: redMaterial.color
-  });
+  services.register('clues', linkCubes);
+  services.register('obstacles', obstacles);
 
-  // Create boundary cube - MANIPULATABLE boundary
+  // Create boundary cube from the site configuration (optional)
   const boundaryConfig = sceneConfig.boundingBox;
-  const boundaryGeometry = new THREE.BoxGeometry(
-    boundaryConfig.scale[0], 
-    boundaryConfig.scale[1], 
-    boundaryConfig.scale[2]
-  );
-  const boundaryMaterial = new THREE.MeshLambertMaterial({ 
-    color: boundaryConfig.color,
-    transparent: true,
-    opacity: boundaryConfig.opacity,
-    visible: boundaryConfig.visible
-  });
-  
-              boundaryCube = new THREE.Mesh(boundaryGeometry, boundaryMaterial);
-            // Set the exact position, rotation, and scale from your values
-            boundaryCube.position.set(0.1520446116331677, 0.03227039436318551, 0.3619356272375776);
-            boundaryCube.rotation.set(3.1700000000000004, 5.57, 0);
-            boundaryCube.scale.set(0.30735686772502346, 0.2525417069709226, 0.2760043589410565);
-            boundaryCube.name = "boundaryCube";
-              boundaryCube.userData = {
-              isImpenetrable: true,
-              isBoundaryCube: true,
-              physicsRadius: boundaryConfig.physicsRadius,
-              pushStrength: boundaryConfig.pushStrength,
-              escapeDistance: boundaryConfig.escapeDistance,
-              friction: boundaryConfig.friction,
-              restitution: boundaryConfig.restitution,
-              color: boundaryConfig.color
-            };
-  
-  scene.add(boundaryCube);
-  window.boundaryCube = boundaryCube;
-  
-  
-  
-  console.log('All cubes created!');
-  console.log('- Green cube (helloCube): First clue (hidden until game starts)');
-  console.log('- Yellow cube (newCube): Second clue (hidden until game starts)');
-  console.log('- Purple cube (anotherCube2): Final clue (hidden until game starts)');
-  console.log('- Red cube: Fixed impenetrable obstacle (always visible)');
+  if (boundaryConfig) {
+    const boundaryGeometry = new THREE.BoxGeometry(...boundaryConfig.size);
+    const boundaryMaterial = new THREE.MeshLambertMaterial({ 
+      color: boundaryConfig.color,
+      transparent: true,
+      opacity: boundaryConfig.opacity,
+      visible: boundaryConfig.visible
+    });
+    
+    boundaryCube = new THREE.Mesh(boundaryGeometry, boundaryMaterial);
+    boundaryCube.position.set(...boundaryConfig.position);
+    boundaryCube.rotation.set(...boundaryConfig.rotation);
+    boundaryCube.scale.set(...boundaryConfig.scale);
+    boundaryCube.name = "boundaryCube";
+    boundaryCube.userData = {
+      isImpenetrable: true,
+      isBoundaryCube: true,
+      physicsRadius: boundaryConfig.physicsRadius,
+      pushStrength: boundaryConfig.pushStrength,
+      escapeDistance: boundaryConfig.escapeDistance,
+      friction: boundaryConfig.friction,
+      restitution: boundaryConfig.restitution,
+      color: boundaryConfig.color
+    };
+    
+    scene.add(boundaryCube);
+  }
   
+  console.log(`All cubes created! ${hunt.clues.length} clue cubes (hidden until game starts) and ${obstacles.length} obstacle(s)`);
 }
 
 
@@ -593,9 +531,12 @@ async function initializeSystems() {
     let physicsRetries = 3;
     while (physicsRetries > 0) {
       try {
-        physicsSystem = new PhysicsSystem(scene, sceneConfig);
-        await physicsSystem.initialize();
-        console.log('Physics system initialized successfully');
+        physicsSystem = await createPhysicsSystem(scene, sceneConfig);
+        physicsSystem.setObstacles(obstacles);
+        if (collisionProxy) {
+          physicsSystem.setCollisionProxy(collisionProxy);
+        }
+        console.log(`Physics system initialized successfully (${physicsSystem.backend})`);
         break;
       } catch (physicsError) {
         console.error(`Physics initialization failed (${4 - physicsRetries}/3):`, physicsError);
@@ -610,30 +551,54 @@ async function initializeSystems() {
       }
     }
     
-    // Set global physics state variables
-    window.isGrounded = false;
-    window.isCrouching = false;
-    window.PLAYER_HEIGHT = PLAYER_HEIGHT;
-    window.PLAYER_RADIUS = PLAYER_RADIUS;
-    window.CROUCH_HEIGHT = CROUCH_HEIGHT;
-    window.CAMERA_OFFSET = CAMERA_OFFSET;
-    window.MAX_FLY_HEIGHT = MAX_FLY_HEIGHT;
-    window.WALK_SPEED = WALK_SPEED;
-    window.CROUCH_SPEED = CROUCH_SPEED;
-    window.JUMP_FORCE = JUMP_FORCE;
-    window.FLY_SPEED = FLY_SPEED;
-    window.GROUND_LEVEL = GROUND_LEVEL;
+    if (physicsSystem) {
+      services.register('physics', physicsSystem);
+    }
+    player.isGrounded = false;
+    player.isCrouching = false;
 
     // Initialize mobile controls
     console.log('Initializing mobile controls...');
     mobileControls = new MobileControls(renderer, camera, scene, sceneConfig);
-    window.mobileControls = mobileControls;
+    services.register('mobileControls', mobileControls);
+    inputActions.addMoveSource('touchJoystick', () => mobileControls.getMovementInput());
+    
+    // Key rebinding screen; key labels follow the keyboard layout where the browser exposes it
+    controlsSettings = new ControlsSettings(inputActions);
+    services.register('controlsSettings', controlsSettings);
+    inputActions.loadKeyboardLayout();
+    
+    // Controllers (museum kiosks) feed the same actions; polled every frame
+    gamepadInput = new GamepadInput(inputActions);
+    services.register('gamepad', gamepadInput);
 
     // Initialize UI systems
     console.log('Initializing UI systems...');
     raycastManager = new RaycastManager(camera, scene);
+    if (collisionProxy) {
+      raycastManager.setCollisionProxy(collisionProxy);
+    }
     hudManager = new HUDManager();
     interactionManager = new InteractionManager(raycastManager, hudManager);
+    services.register('hud', hudManager);
+    
+    // Tiered hints: text, then a HUD compass, then a beacon on the clue
+    hintSystem = new HintSystem(scene, simulationClock);
+    services.register('hints', hintSystem);
+    
+    // VR headsets: the Enter VR button only appears when immersive sessions are supported
+    xrMode = new XRMode(renderer, scene, camera, { raycastManager, interactionManager });
+    services.register('xr', xrMode);
+    
+    // End-of-hunt summary and certificate; "Explore freely" just closes it
+    completionScreen = new CompletionScreen({
+      onPlayAgain: playAgain
+    });
+    services.register('completionScreen', completionScreen);
+    
+    // Free camera for pictures of the site; captures go to the in-browser gallery
+    photoMode = new PhotoMode(renderer, scene, camera, { clock: simulationClock, input: inputActions });
+    services.register('photoMode', photoMode);
     
     // Update mobile controls with the managers
     if (mobileControls && mobileControls.updateManagers) {
@@ -642,39 +607,76 @@ async function initializeSystems() {
 
     // Create crosshair
     crosshair = createCrosshair(sceneConfig);
-    window.camera = camera;
-    window.sceneConfig = sceneConfig;
-
-    // Setup global functions
-    window.showInfoPopup = showInfoPopup;
-    window.advanceGameState = advanceGameState;
-    window.showProgressionMessage = showProgressionMessage;
-    window.isCubeClickable = isCubeClickable;
-    window.isNewCube = isNewCube;
-    window.startTreasureHunt = startTreasureHunt;
-    window.showHint = showHint;
-    window.cubeHints = cubeHints;
-    window.gameState = gameState;
-    window.updateProgressBar = () => {
-      if (hudManager && hudManager.updateProgressBar) {
-        hudManager.updateProgressBar();
-      }
-    };
-    
-    // Expose red cube functions globally (for collision detection)
-    window.wouldCollideWithRedCube = wouldCollideWithRedCube;
-    window.applyCollisionPushback = applyCollisionPushback;
-    window.forcePlayerOutOfRedCube = forcePlayerOutOfRedCube;
-    
-    // Expose movement system to physics
-    window.keys = keys;
-    window.getMoveInput = getMoveInput;
-    window.moveDir = { forward: 0, right: 0 };
     
     // Initialize Top UI Icons
     console.log('Initializing top UI icons...');
     topUIIcons = new TopUIIcons();
-    window.topUIIcons = topUIIcons;
+    services.register('topUIIcons', topUIIcons);
+    
+    // Hunt editor (toggled from the top UI when the page is opened with ?editor)
+    huntEditor = new HuntEditor(scene, camera, renderer, {
+      getHunt: () => hunt,
+      getLayout: () => ({ clues: linkCubes, obstacles, boundary: boundaryCube || null }),
+      createClue: (clue) => {
+        const cube = createClueCube(clue);
+        syncHuntLayout();
+        return cube;
+      },
+      removeClue: (cube) => {
+        scene.remove(cube);
+        linkCubes.splice(linkCubes.indexOf(cube), 1);
+        syncHuntLayout();
+      },
+      insertClue: (cube, index) => {
+        scene.add(cube);
+        linkCubes.splice(index, 0, cube);
+        syncHuntLayout();
+      },
+      onLook: (dx, dy) => applyLookDelta(dx, dy),
+      onLayoutChanged: () => {
+        syncHuntLayout();
+        if (physicsSystem) {
+          physicsSystem.setObstacles(obstacles);
+        }
+      }
+    });
+    
+    if (topUIIcons.isEditorEnabled()) {
+      try {
+        await huntEditor.load();
+      } catch (error) {
+        console.warn('Hunt editor gizmos failed to load:', error);
+      }
+    }
+    
+    // Walkable-area editor; changes apply to physics immediately and export as site config
+    boundaryEditor = new BoundaryEditor(scene, camera, renderer, {
+      getWalkableArea: () => sceneConfig.walkableArea,
+      getGroundLevel: () => sceneConfig.sceneSettings.groundLevel,
+      getSiteId: () => sceneConfig.site.id,
+      onAreaChanged: (polygons) => {
+        sceneConfig.walkableArea = polygons;
+        if (physicsSystem) {
+          physicsSystem.setWalkableArea(polygons);
+        }
+      },
+      onLook: (dx, dy) => applyLookDelta(dx, dy)
+    });
+    
+    // Only one editor is active at a time
+    services.register('editors', {
+      huntEditor,
+      boundaryEditor,
+      isEditing,
+      toggleHuntEditor: () => {
+        boundaryEditor.disable();
+        return huntEditor.toggle();
+      },
+      toggleBoundaryEditor: () => {
+        huntEditor.disable();
+        return boundaryEditor.toggle();
+      }
+    });
     
     console.log('All systems initialized successfully');
     
@@ -685,79 +687,134 @@ async function initializeSystems() {
   }
 }
 
-// Setup event listeners
-function setupEventListeners() {
-  // Keyboard events
-  document.addEventListener('keydown', (e) => {
-    keys[e.code] = true;
-    
-    if (e.code === 'KeyC') {
-      isCrouching = !isCrouching;
-      window.isCrouching = isCrouching;
-    }
-    
-    if (e.code === 'Escape') {
+// Rebuild progression and hints after the editor adds, removes, renames or reorders clues
+function syncHuntLayout() {
+  cubeProgression.length = 0;
+  Object.keys(cubeHints).forEach(name => delete cubeHints[name]);
+  
+  linkCubes.forEach((cube, index) => {
+    cube.userData.level = index;
+    cubeProgression.push(cube.name);
+    const hint = {
+      title: cube.userData.hint?.title || `Clue ${index + 1}`,
+      text: cube.userData.hint?.text || ''
+    };
+    cubeHints[cube.name] = { title: hint.title, hint: hint.text, tiers: resolveHintTiers(hint, cube.userData.hints) };
+  });
+  
+  gameState.totalTreasures = linkCubes.length;
+  emitProgressChanged();
+}
+
+function isEditing() {
+  return (huntEditor && huntEditor.isActive) || (boundaryEditor && boundaryEditor.isActive);
+}
+
+// Mouse-look shared by pointer lock and the editors' right-drag
+function applyLookDelta(dx, dy) {
+  const sensitivity = sceneConfig.sceneSettings.mouseSensitivity;
+  inputActions.look(dx * sensitivity, dy * sensitivity);
+}
+
+// React to discrete input actions from any source (keyboard, mouse, plugins).
+// Held actions (move, jump, fly down, crouch) are polled by physics instead.
+function handleInputAction({ action, pressed }) {
+  if (!pressed) return;
+  
+  switch (action) {
+    case 'releasePointer':
       document.exitPointerLock();
       document.body.style.cursor = 'default';
-    }
-
-    // UI shortcuts
-    if (e.code === 'KeyH' && !e.ctrlKey) { // Press H for help/hint
+      break;
+    case 'help': // Help/hint for the current clue
       if (topUIIcons) {
         topUIIcons.handleHelpClick();
       }
-    }
-    
-    if (e.code === 'KeyQ') { // Press Q for quick hint
-      const gameState = window.gameState || { currentLevel: 0 };
-      const cubeProgression = ['helloCube', 'newCube', 'anotherCube2'];
+      break;
+    case 'hint': { // Quick hint
       const currentCubeName = cubeProgression[gameState.currentLevel];
-      
-      if (currentCubeName && window.showHint) {
-        window.showHint(currentCubeName);
+      if (currentCubeName && hintSystem) {
+        hintSystem.showHint(currentCubeName);
       }
+      break;
     }
-    
-    if (e.code === 'F2') { // Press F2 for screenshot
+    case 'toggleMinimap':
+      if (hudManager) {
+        hudManager.toggleNavigation('minimap');
+      }
+      break;
+    case 'toggleCompass':
+      if (hudManager) {
+        hudManager.toggleNavigation('compass');
+      }
+      break;
+    case 'screenshot':
       if (topUIIcons) {
         topUIIcons.handleCameraClick();
       }
-    }
-
-
-
-    
+      break;
+    case 'interact':
+      if (isEditing()) break;
+      try {
+        // Keys, buttons and pointer-lock clicks all aim with the centre crosshair
+        raycastManager.mouse.set(0, 0);
+        const hitInfo = raycastManager.update();
+        const playerPos = physicsSystem ? physicsSystem.getPlayerPosition() : { x: 0, y: 0, z: 0 };
+        interactionManager.handleClick(hitInfo, playerPos);
+      } catch (error) {
+        console.warn('Click interaction error:', error);
+      }
+      break;
+  }
+}
 
+// Setup event listeners
+function setupEventListeners() {
+  // Keyboard events
+  document.addEventListener('keydown', (e) => {
+    // Typing into editor fields must not move the player
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
     
+    inputActions.handleKeyDown(e);
   });
 
   document.addEventListener('keyup', (e) => {
-    keys[e.code] = false;
+    inputActions.handleKeyUp(e);
+  });
+  
+  // Keys released while the window is unfocused never send keyup
+  window.addEventListener('blur', () => inputActions.releaseAll());
+  
+  gameEvents.on('input:action', handleInputAction);
+
+  // Reloading the page must not clear a challenge lockout or give back a hint
+  gameEvents.on('challenge:answered', ({ correct }) => {
+    if (!correct) saveCurrentProgress();
+  });
+  gameEvents.on('hint:shown', () => saveCurrentProgress());
+
+  gameEvents.on('input:gamepad', ({ connected, id }) => {
+    if (topUIIcons) {
+      topUIIcons.showNotification(connected ? 'Controller connected' : 'Controller disconnected', id);
+    }
   });
 
   // Mouse events
   document.addEventListener('mousemove', (e) => {
     if (document.pointerLockElement === document.body) {
-      yaw -= e.movementX * sceneConfig.sceneSettings.mouseSensitivity;
-      pitch -= e.movementY * sceneConfig.sceneSettings.mouseSensitivity;
-      pitch = Math.max(-Math.PI/2, Math.min(Math.PI/2, pitch));
-      window.yaw = yaw;
-      window.pitch = pitch;
+      applyLookDelta(e.movementX, e.movementY);
     }
   });
 
   document.addEventListener('click', (e) => {
+    // The editors and photo mode use the free pointer
+    if (isEditing() || (photoMode && photoMode.isActive)) return;
+    
     if (document.pointerLockElement !== document.body) {
       document.body.requestPointerLock();
       document.body.style.cursor = 'none';
     } else {
-      try {
-        const hitInfo = raycastManager.update();
-        const playerPos = physicsSystem ? physicsSystem.getPlayerPosition() : { x: 0, y: 0, z: 0 };
-        interactionManager.handleClick(hitInfo, playerPos);
-      } catch (error) {
-        console.warn('Click interaction error:', error);
-      }
+      inputActions.trigger('interact', 'mouse');
     }
   });
 
@@ -789,6 +846,16 @@ function setupEventListeners() {
 
 
 
+  // Hidden tabs should not accumulate simulation time (hunt timers included)
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      simulationClock.pause();
+    } else if (!photoMode || !photoMode.isActive) {
+      // Photo mode keeps the game paused until it is closed
+      simulationClock.resume();
+    }
+  });
+
   // Window resize
   window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -815,27 +882,47 @@ function setupEventListeners() {
 // Animation loop
 function animate() {
   try {
-    requestAnimationFrame(animate);
-    
-    const currentTime = performance.now();
-    const deltaTime = Math.min((currentTime - lastTime) / 1000, 1/30); // Cap delta time
-    lastTime = currentTime;
+    const now = performance.now();
+    const isPresenting = !!xrMode && xrMode.isPresenting();
+    if (gamepadInput) {
+      gamepadInput.poll(now);
+    }
+    if (isPresenting) {
+      xrMode.pollInput();
+    }
+    inputActions.update(now);
     
-    // Update physics system with error handling
-    if (physicsSystem && physicsSystem.isInitialized) {
-      try {
-        physicsSystem.update(deltaTime);
-      } catch (physicsError) {
-        console.warn('Physics update error:', physicsError);
+    // Run the fixed physics steps that are due, then interpolate the camera between them
+    const alpha = simulationClock.advance(now, (stepTime) => {
+      if (physicsSystem && physicsSystem.isInitialized) {
+        try {
+          physicsSystem.update(stepTime);
+        } catch (physicsError) {
+          console.warn('Physics update error:', physicsError);
+        }
       }
+    });
+    if (isPresenting) {
+      // The headset owns the camera; the rig follows the player instead
+      xrMode.update(alpha);
+    } else if (photoMode && photoMode.isActive) {
+      photoMode.update(now);
+    } else if (physicsSystem && physicsSystem.isInitialized) {
+      physicsSystem.updateCamera(alpha);
+    }
+    if (hintSystem) {
+      hintSystem.update();
+    }
+    if (hudManager && !isPresenting) {
+      hudManager.updateNavigation();
     }
     
-    // Update interaction system with error handling
-    if (interactionManager && physicsSystem) {
+    // Update interaction system with error handling (controller rays replace the crosshair in VR)
+    if (interactionManager && physicsSystem && !isEditing() && !isPresenting) {
       try {
         const currentVel = physicsSystem.getPlayerVelocity();
         const currentPos = physicsSystem.getPlayerPosition();
-        interactionManager.update(currentPos, isGrounded, isCrouching, currentVel);
+        interactionManager.update(currentPos, player.isGrounded, player.isCrouching, currentVel);
       } catch (interactionError) {
         console.warn('Interaction update error:', interactionError);
       }
@@ -874,82 +961,177 @@ function animate() {
       }
     }
   } catch (error) {
+    // The renderer keeps calling animate() on the next frame
     console.error('Animation loop error:', error);
-    // Continue animation even if there's an error, but wait a bit
-    setTimeout(() => animate(), 16);
-  }
-}
-
-// Movement input function
-function getMoveInput() {
-  try {
-    // Desktop keyboard input
-    window.moveDir.forward = (keys['KeyW'] ? 1 : 0) - (keys['KeyS'] ? 1 : 0);
-    window.moveDir.right = (keys['KeyD'] ? 1 : 0) - (keys['KeyA'] ? 1 : 0);
-    
-    // Mobile joystick input
-    if (mobileControls && mobileControls.isMobile && mobileControls.isLandscape) {
-      try {
-        const mobileInput = mobileControls.getMovementInput();
-        // Override keyboard input with joystick input on mobile
-        window.moveDir.forward = mobileInput.y;
-        window.moveDir.right = mobileInput.x;
-        
-        // Camera input is now handled by touch drag, no need to store it
-      } catch (mobileInputError) {
-        console.warn('Mobile input error:', mobileInputError);
-      }
-    }
-  } catch (error) {
-    console.warn('Get move input error:', error);
-    window.moveDir.forward = 0;
-    window.moveDir.right = 0;
   }
 }
 
 // Game logic functions
 function isCubeClickable(cube) {
   if (!cube || !cube.userData || cube.userData.level === undefined) return false;
-  // Only clickable if game has started AND it's the current level
-  return gameState.gameStarted && cube.userData.level === gameState.currentLevel;
+  // Only clickable while the hunt runs, and only when the hunt mode allows this clue now
+  return gameState.gameStarted && !gameState.isGameComplete &&
+    !!huntMode && huntMode.isClueAvailable(cube.userData.level, gameState);
 }
 
-function isNewCube(cube) {
-  return cube && cube.userData && cube.userData.title === 'Second Clue';
+// Show a clickable clue's message and move on to the next one; challenge clues must be answered first
+function collectClue(cube) {
+  const challenge = cube.userData.challenge;
+  if (!challenge) {
+    revealClue(cube);
+    return;
+  }
+  
+  if (xrMode && xrMode.isPresenting()) {
+    presentChallengeInXR(cube);
+    return;
+  }
+  clueCard.hide();
+  clueChallenges.present(cube.name, challenge, () => {
+    // The hunt may have ended (time up) while the question was open
+    if (gameState.isGameComplete) return;
+    revealClue(cube);
+  });
 }
 
-function advanceGameState() {
-  if (gameState.currentLevel < cubeProgression.length) {
-    gameState.currentLevel++;
-    gameState.completedLevels.push(gameState.currentLevel - 1);
-    gameState.treasuresFound++;
-    
-    // Update progress bar if it exists
-    if (window.updateProgressBar) {
-      window.updateProgressBar();
+// In VR a quiz is answered by pointing at a choice on an in-world panel; typed answers need flat mode
+function presentChallengeInXR(cube, feedback = '') {
+  const { title, challenge } = cube.userData;
+  if (challenge.type !== 'quiz') {
+    xrMode.showPanel(title, 'This clue asks you to type an answer. Exit VR to answer it.');
+    return;
+  }
+
+  const locked = clueChallenges.getLockRemaining(cube.name);
+  if (locked > 0) {
+    xrMode.showPanel(title, `Too many wrong answers. Look around and try again in ${Math.ceil(locked)}s.`);
+    return;
+  }
+
+  xrMode.showPanel(title, markdownToPlainText(challenge.question), {
+    choices: challenge.choices,
+    feedback,
+    onChoice: (index) => {
+      // The hunt may have ended (time up) while the question was open
+      if (gameState.isGameComplete) return;
+      const result = clueChallenges.answer(cube.name, challenge, index);
+      if (result.correct) {
+        revealClue(cube);
+      } else if (result.lockedFor > 0) {
+        xrMode.showPanel(title, `Too many wrong answers. Look around and try again in ${Math.ceil(result.lockedFor)}s.`);
+      } else {
+        const attempts = `${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left`;
+        presentChallengeInXR(cube, `${challenge.wrongFeedback || 'Not quite.'} ${attempts}.`);
+      }
     }
+  });
+}
+
+function revealClue(cube) {
+  const { title, message, pages, learnMore } = cube.userData;
+  showClueCard({ title, message, pages, learnMore });
+  
+  gameEvents.emit('clue:found', {
+    name: cube.name,
+    level: cube.userData.level,
+    title,
+    message
+  });
+  advanceGameState(cube.userData.level, { title, message });
+}
+
+// Clue content as a paged card, or as an in-world panel inside a headset
+function showClueCard(clue) {
+  if (infoPopup) {
+    infoPopup.remove();
   }
+  if (xrMode && xrMode.isPresenting()) {
+    const text = resolveCluePages(clue).map(page => markdownToPlainText(page.text)).join('\n\n');
+    xrMode.showPanel(clue.title, text);
+    return;
+  }
+  clueCard.show(clue);
+}
+
+// finalClue: { title, message } of the clue being collected, repeated on the completion screen
+function advanceGameState(level, finalClue = null) {
+  if (gameState.isGameComplete) return;
   
-  if (gameState.currentLevel >= cubeProgression.length) {
-    gameState.isGameComplete = true;
-    gameState.treasuresFound = gameState.totalTreasures;
-    
-    // Update progress bar for final treasure
-    if (window.updateProgressBar) {
-      window.updateProgressBar();
-    }
+  huntMode.collect(level, gameState);
+  emitProgressChanged();
+  
+  if (huntMode.isComplete(gameState)) {
+    finishHunt('completed', finalClue);
+  } else {
+    saveCurrentProgress();
   }
 }
 
-function showInfoPopup(title, url) {
+// End the hunt: all clues found, or the timed mode ran out of time
+function finishHunt(outcome, finalClue = null) {
+  if (gameState.isGameComplete) return;
+  
+  gameState.isGameComplete = true;
+  huntMode.stop();
+  huntStats.stop();
+  clueChallenges.close();
+  emitProgressChanged();
+  gameEvents.emit('hunt:completed', {
+    huntId: hunt.id,
+    siteId: sceneConfig.site.id,
+    treasuresFound: gameState.treasuresFound,
+    outcome
+  });
+  
+  // The final clue card stays open underneath for "Explore freely"
+  if (completionScreen) {
+    completionScreen.show({
+      outcome,
+      huntId: hunt.id,
+      huntTitle: hunt.title,
+      siteName: sceneConfig.site.name,
+      endMessage: hunt.endMessage,
+      finalClue,
+      cluesFound: gameState.completedLevels.length,
+      totalClues: gameState.totalTreasures,
+      ...huntStats.getSummary(),
+      modeResults: huntMode.getResultRows()
+    });
+  }
+  saveCurrentProgress();
+}
+
+// "Play again" on the completion screen
+function playAgain() {
+  resetProgress();
+  startTreasureHunt();
+}
+
+function emitProgressChanged() {
+  gameEvents.emit('progress:changed', {
+    currentLevel: gameState.currentLevel,
+    treasuresFound: gameState.treasuresFound,
+    totalTreasures: gameState.totalTreasures
+  });
+}
+
+function showInfoPopup(title, message) {
   try {
-    // Remove existing popup if any
+    // DOM popups are not visible inside a headset
+    if (xrMode && xrMode.isPresenting()) {
+      xrMode.showPanel(title, message);
+      return;
+    }
+    
+    // Remove existing popup or clue card if any
     if (infoPopup) {
       infoPopup.remove();
     }
+    clueCard.hide();
     
     const color = '#429fb8';
     infoPopup = document.createElement('div');
+    infoPopup.id = 'info-popup';
     infoPopup.style.cssText = `
       position: fixed;
       top: 50%;
@@ -967,9 +1149,18 @@ function showInfoPopup(title, url) {
       text-align: center;
     `;
     
-    infoPopup.innerHTML = `<div style="font-weight:bold;font-size:22px;margin-bottom:10px;">${title}</div><div>${url}</div><br><button id="close-popup-btn" style="margin-top:10px;padding:6px 18px;background:${color};color:#222;border:none;border-radius:6px;font-size:15px;cursor:pointer;">Close</button>`;
+    // Messages come from hunt files: the title is plain text, the message markdown-lite (escaped)
+    const titleElement = document.createElement('div');
+    titleElement.style.cssText = 'font-weight:bold;font-size:22px;margin-bottom:10px;';
+    titleElement.textContent = title;
+    const messageElement = document.createElement('div');
+    messageElement.innerHTML = renderMarkdownLite(message);
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.style.cssText = `margin-top:20px;padding:6px 18px;background:${color};color:#222;border:none;border-radius:6px;font-size:15px;cursor:pointer;`;
+    closeButton.onclick = () => infoPopup.remove();
+    infoPopup.append(titleElement, messageElement, closeButton);
     document.body.appendChild(infoPopup);
-    document.getElementById('close-popup-btn').onclick = () => infoPopup.remove();
   } catch (error) {
     console.error('Show info popup error:', error);
   }
@@ -983,129 +1174,173 @@ function showProgressionMessage() {
 function startTreasureHunt() {
   if (!gameState.gameStarted) {
     gameState.gameStarted = true;
-    
-    // Make all clue cubes visible
-    linkCubes.forEach(cube => {
-      if (cube.userData && cube.userData.isClueCube) {
-        cube.material.visible = true;
-        cube.material.opacity = 0.8;
-      }
-    });
-    
-    // Show progress bar
-    if (hudManager && hudManager.showProgressBar) {
-      hudManager.showProgressBar();
-      hudManager.updateProgressBar();
-    }
+    setClueCubesVisible(true);
     
     // Show notification that game has started
-    showInfoPopup("Treasure Hunt Started!", "Find the hidden clues! Start with the green cube.");
+    showInfoPopup("Treasure Hunt Started!", hunt.startMessage);
+    huntMode.start();
+    huntStats.start();
+    saveCurrentProgress();
+    gameEvents.emit('hunt:started', { huntId: hunt.id, siteId: sceneConfig.site.id });
     
     console.log('Treasure hunt started - clue cubes are now visible and interactable');
   }
 }
 
-// Red Cube Collision Detection System
-function wouldCollideWithRedCube(newX, newY, newZ) {
-  if (!redCube || !redCube.userData) return false;
-  
-  const redPos = redCube.position;
-  const dx = newX - redPos.x;
-  const dy = newY - redPos.y;
-  const dz = newZ - redPos.z;
-  
-  // Calculate distance to cube center
-  const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+// Show or hide the clue cubes and the progress bar together
+function setClueCubesVisible(visible) {
+  linkCubes.forEach(cube => {
+    if (cube.userData && cube.userData.isClueCube) {
+      cube.material.visible = visible;
+      cube.material.opacity = cube.userData.opacity;
+    }
+  });
   
-  // Check if player would be too close to cube (MUCH larger safety margin)
-  const cubeRadius = redCube.userData.physicsRadius || 0.85;
-  const playerRadius = PLAYER_RADIUS;
-  const safeDistance = cubeRadius + playerRadius + 0.2; // Much larger safety margin
+  if (hudManager) {
+    if (visible) {
+      hudManager.showProgressBar();
+      hudManager.updateProgressBar();
+    } else {
+      hudManager.hideProgressBar();
+    }
+  }
+}
+
+// --- SAVE / RESTORE ---
+
+function saveCurrentProgress() {
+  if (!sceneConfig.site || !hunt) return;
   
-  return distance < safeDistance;
+  const position = physicsSystem ? physicsSystem.getPlayerPosition() : null;
+  saveProgress(sceneConfig.site.id, hunt.id, {
+    huntVersion: hunt.version,
+    gameState: {
+      currentLevel: gameState.currentLevel,
+      completedLevels: [...gameState.completedLevels],
+      isGameComplete: gameState.isGameComplete,
+      gameStarted: gameState.gameStarted,
+      treasuresFound: gameState.treasuresFound,
+      hintTiers: { ...gameState.hintTiers }
+    },
+    mode: huntMode ? huntMode.serialize() : null,
+    stats: huntStats.serialize(),
+    challenges: clueChallenges.serialize(),
+    player: position ? {
+      position: { x: position.x, y: position.y, z: position.z },
+      yaw: player.yaw,
+      pitch: player.pitch
+    } : null
+  });
 }
 
-// Apply STRONG pushback when collision detected - TRULY IMPENETRABLE
-function applyCollisionPushback(playerPos) {
-  if (!redCube || !redCube.userData) return;
+function restoreSavedProgress() {
+  const save = loadProgress(sceneConfig.site.id, hunt.id);
+  if (!save) {
+    console.log('No saved progress found, starting a new game');
+    return false;
+  }
   
-  const redPos = redCube.position;
-  const dx = playerPos.x - redPos.x;
-  const dy = playerPos.y - redPos.y;
-  const dz = playerPos.z - redPos.z;
+  // Clue layout may have changed since the save was written
+  if (save.huntVersion !== hunt.version || save.gameState.currentLevel > hunt.clues.length) {
+    console.warn('Saved progress belongs to a different hunt version, starting a new game');
+    clearProgress(sceneConfig.site.id, hunt.id);
+    return false;
+  }
   
-  const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+  Object.assign(gameState, save.gameState, { totalTreasures: hunt.clues.length });
+  huntMode.restore(save.mode);
+  huntStats.restore(save.stats);
+  clueChallenges.restore(save.challenges);
   
-  if (distance < 1.5 && distance > 0.01) { // Larger detection range
-    // Calculate pushback direction (away from cube)
-    const pushStrength = redCube.userData.pushStrength || 5.0;
-    const pushX = (dx / distance) * pushStrength;
-    const pushZ = (dz / distance) * pushStrength;
-    
-    // Add bounce effect - increase pushback strength for more bounce
-    const bounceMultiplier = 1.5; // Makes the bounce more pronounced
-    const bounceX = pushX * bounceMultiplier;
-    const bounceZ = pushZ * bounceMultiplier;
-    
-    // Apply STRONG pushback with bounce
-    if (physicsSystem && physicsSystem.setPlayerVelocity) {
-      const currentVel = physicsSystem.getPlayerVelocity();
-      physicsSystem.setPlayerVelocity({
-        x: bounceX,
-        y: currentVel.y,
-        z: bounceZ
-      });
+  if (save.player) {
+    if (physicsSystem) {
+      physicsSystem.setPlayerPosition(save.player.position);
+      physicsSystem.setPlayerVelocity({ x: 0, y: 0, z: 0 });
     }
+    player.yaw = save.player.yaw;
+    player.pitch = save.player.pitch;
   }
+  
+  if (gameState.gameStarted) {
+    setClueCubesVisible(true);
+    if (!gameState.isGameComplete) {
+      huntMode.start();
+      huntStats.start();
+    }
+  }
+  
+  console.log('Saved progress restored:', save.gameState);
+  return true;
 }
 
-// EMERGENCY: Force player out if somehow inside red cube
-function forcePlayerOutOfRedCube(playerPos) {
-  if (!redCube || !redCube.userData) return;
+// Reset the hunt back to the beginning and respawn the player
+function resetProgress() {
+  if (sceneConfig.site && hunt) {
+    clearProgress(sceneConfig.site.id, hunt.id);
+  }
   
-  const redPos = redCube.position;
-  const dx = playerPos.x - redPos.x;
-  const dy = playerPos.y - redPos.y;
-  const dz = playerPos.z - redPos.z;
+  Object.assign(gameState, {
+    currentLevel: 0,
+    completedLevels: [],
+    isGameComplete: false,
+    gameStarted: false,
+    treasuresFound: 0,
+    hintTiers: {}
+  });
+  if (huntMode) {
+    huntMode.reset();
+  }
+  huntStats.reset();
+  clueChallenges.reset();
+  setClueCubesVisible(false);
+  clueCard.hide();
   
-  const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+  if (physicsSystem) {
+    const spawn = sceneConfig.sceneSettings.initialPosition;
+    physicsSystem.setPlayerPosition({ x: spawn[0], y: spawn[1], z: spawn[2] });
+    physicsSystem.setPlayerVelocity({ x: 0, y: 0, z: 0 });
+  }
+  player.yaw = sceneConfig.sceneSettings.initialYaw;
+  player.pitch = sceneConfig.sceneSettings.initialPitch;
   
-  // If player is inside or very close to cube center
-  if (distance < 0.5) {
-    console.log("EMERGENCY: Forcing player out of red cube!");
-    
-    // Calculate escape direction (away from cube center)
-    const escapeDistance = redCube.userData.escapeDistance || 1.0;
-    const escapeX = (dx / distance) * escapeDistance;
-    const escapeZ = (dz / distance) * escapeDistance;
-    
-    // Force player to safe position
-    const safeX = redPos.x + escapeX;
-    const safeZ = redPos.z + escapeZ;
-    
-    if (physicsSystem && physicsSystem.setPlayerPosition) {
-      physicsSystem.setPlayerPosition({
-        x: safeX,
-        y: playerPos.y,
-        z: safeZ
-      });
-      
-      // Stop all movement
-      physicsSystem.setPlayerVelocity({ x: 0, y: 0, z: 0 });
+  emitProgressChanged();
+  gameEvents.emit('hunt:reset', { huntId: hunt ? hunt.id : null, siteId: sceneConfig.site ? sceneConfig.site.id : null });
+  console.log('Treasure hunt progress reset');
+}
+
+function startAutosave() {
+  if (autosaveInterval) clearInterval(autosaveInterval);
+  autosaveInterval = setInterval(saveCurrentProgress, AUTOSAVE_INTERVAL);
+  
+  // Mobile browsers may evict the tab without warning once it is hidden
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      saveCurrentProgress();
     }
-  }
+  });
+
+  window.addEventListener('pagehide', saveCurrentProgress);
 }
 
 // Start game function with better error handling
-async function startGame(loadingScreen) {
+async function startGame(loadingScreen, siteId = null, options = {}) {
   try {
     console.log('Starting game with loading screen...');
     
     // Initialize the game with loading screen
-    await init(loadingScreen);
+    await init(loadingScreen, siteId);
+    
+    // Continue a saved hunt or start over
+    if (options.resume) {
+      restoreSavedProgress();
+    } else {
+      clearProgress(sceneConfig.site.id, hunt.id);
+    }
+    startAutosave();
     
     // Start animation loop AFTER initialization is complete
-    animate();
+    // (the renderer's loop also drives frames while a VR session is active)
+    renderer.setAnimationLoop(animate);
     
     // Show top UI icons after game is loaded
     if (topUIIcons) {
@@ -1122,22 +1357,58 @@ async function startGame(loadingScreen) {
     
     console.log('Game started successfully!');
   } catch (error) {
+    // Cancelled while loading: drop the half-built scene, the landing page takes over again
+    if (isAbortError(error)) {
+      console.log('Game start cancelled');
+      discardScene();
+      throw error;
+    }
     console.error('Failed to start game:', error);
-    if (loadingScreen) {
-      loadingScreen.hide();
+    discardScene();
+    if (!loadingScreen) return;
+
+    // Broken or missing hunt files land here: explain, then retry or go back like a cancel
+    const [message, ...details] = error.message.split('\n');
+    const retry = await loadingScreen.showError(`The treasure hunt could not be started. ${message}`, details.join('\n'));
+    if (gameBuilt) {
+      // Systems and listeners from this attempt are still registered; start over from a clean page
+      window.location.reload();
+      return;
+    }
+    if (retry) {
+      return startGame(loadingScreen, siteId, options);
     }
-    // Don't re-throw error to prevent crash
+    throw createAbortError();
+  }
+}
+
+// Undo the renderer and scene created by init() before the game started.
+// Only complete before createGameObjects(); later failures reload the page instead (see gameBuilt)
+function discardScene() {
+  // Stop a streamed splat from refining a mesh that is about to be disposed
+  if (splatDownload) {
+    splatDownload.abort();
+    splatDownload = null;
+  }
+  if (renderer) {
+    renderer.setAnimationLoop(null);
+    renderer.dispose();
+    renderer.domElement.remove();
+  }
+  if (splat && splat.dispose) {
+    splat.dispose();
   }
+  scene = camera = renderer = splat = null;
+  ['scene', 'camera', 'renderer', 'splat'].forEach(name => services.unregister(name));
 }
 
 
 
-// Make startGame available globally
-window.startGame = startGame;
+// Plugins reach the game through window.TreasureHunt (events and services only)
+exposePluginAPI();
 
-const landingPage = new LandingPage();
+// Offline support: cache the app, splat and media for repeat visits
+registerServiceWorker();
+createOfflineIndicator();
 
-console.log("TRULY IMPENETRABLE red cube physics loaded - 100% solid barrier with emergency protection");
-console.log("Boundary cube collision system active - impenetrable boundary");
-console.log("Professional movement system with gravity, ground collision, and height limits");
-console.log("Game ready - click the game icon to start the treasure hunt!");
\ No newline at end of file
+const landingPage = new LandingPage({ onStart: startGame });
@@ -0,0 +1,287 @@
+// Minimap Module
+// Orientation aids owned by the HUD (see HUDManager in uiSystem.js):
+// - Minimap: north-up plan of the walkable area, obstacle footprints, found clues and the player
+// - CompassStrip: heading tape along the top edge with the cardinal directions
+// North is -Z in scene coordinates, the direction the camera faces at yaw 0.
+import { services } from './gameEvents.js';
+
+const MAP_SIZE = 160;        // CSS pixels
+const MAP_PADDING = 10;      // Pixels between the walkable area and the map edge
+const STRIP_WIDTH = 320;
+const STRIP_HEIGHT = 28;
+const STRIP_DEGREES = 120;   // Field of view covered by the compass strip
+const CARDINALS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Compass bearing in degrees (0 = north, 90 = east) of the look direction for a yaw
+function yawToBearing(yaw) {
+  const degrees = -yaw * 180 / Math.PI;
+  return ((degrees % 360) + 360) % 360;
+}
+
+// Convex outline of points on the ground plane (monotone chain), for obstacle footprints
+function convexHull2D(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.z - b.z);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+  const lower = [];
+  const upper = [];
+  sorted.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  });
+  sorted.slice().reverse().forEach(point => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  });
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function createHudCanvas(width, height, cssText) {
+  const canvas = document.createElement('canvas');
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.cssText = `width: ${width}px; height: ${height}px; ${cssText}`;
+  const context = canvas.getContext('2d');
+  context.scale(ratio, ratio);
+  return { canvas, context };
+}
+
+class Minimap {
+  constructor() {
+    const { canvas, context } = createHudCanvas(MAP_SIZE, MAP_SIZE, `
+      position: fixed;
+      bottom: 90px;
+      right: 20px;
+      background: rgba(0, 0, 0, 0.6);
+      border: 1px solid rgba(66, 159, 184, 0.3);
+      border-radius: 8px;
+      backdrop-filter: blur(5px);
+      z-index: 1000;
+      pointer-events: none;
+    `);
+    canvas.id = 'hud-minimap';
+    document.body.appendChild(canvas);
+    this.canvas = canvas;
+    this.context = context;
+
+    this.boundary = null;    // Walkable area the current bounds were fitted to
+    this.bounds = null;      // { minX, minZ, scale }
+  }
+
+  setVisible(visible) {
+    this.canvas.style.display = visible ? 'block' : 'none';
+  }
+
+  // Fit the map to the walkable area; recomputed when the boundary editor replaces it
+  fitBounds(polygons) {
+    this.boundary = polygons;
+    const points = polygons.flatMap(polygon => polygon.outer);
+    if (points.length === 0) {
+      this.bounds = null;
+      return;
+    }
+
+    const xs = points.map(point => point[0]);
+    const zs = points.map(point => point[1]);
+    const [minX, maxX, minZ, maxZ] = [Math.min(...xs), Math.max(...xs), Math.min(...zs), Math.max(...zs)];
+    // Same scale on both axes, area centred in the map
+    const inner = MAP_SIZE - MAP_PADDING * 2;
+    const scale = inner / Math.max(maxX - minX, maxZ - minZ, 1);
+    this.bounds = {
+      minX: (minX + maxX) / 2 - inner / 2 / scale,
+      minZ: (minZ + maxZ) / 2 - inner / 2 / scale,
+      scale
+    };
+  }
+
+  toMap(x, z) {
+    return [
+      MAP_PADDING + (x - this.bounds.minX) * this.bounds.scale,
+      MAP_PADDING + (z - this.bounds.minZ) * this.bounds.scale
+    ];
+  }
+
+  drawRing(ring) {
+    const ctx = this.context;
+    ring.forEach(([x, z], index) => {
+      const [mx, my] = this.toMap(x, z);
+      if (index === 0) ctx.moveTo(mx, my); else ctx.lineTo(mx, my);
+    });
+    ctx.closePath();
+  }
+
+  update() {
+    const physics = services.optional('physics');
+    const player = services.optional('player');
+    if (!physics || !player) return;
+
+    const polygons = physics.polygonBoundary || [];
+    if (polygons !== this.boundary) {
+      this.fitBounds(polygons);
+    }
+
+    const ctx = this.context;
+    ctx.clearRect(0, 0, MAP_SIZE, MAP_SIZE);
+    if (!this.bounds) return;
+
+    // Walkable area, holes cut out
+    ctx.beginPath();
+    polygons.forEach(polygon => {
+      this.drawRing(polygon.outer);
+      (polygon.holes || []).forEach(hole => this.drawRing(hole));
+    });
+    ctx.fillStyle = 'rgba(66, 159, 184, 0.15)';
+    ctx.fill('evenodd');
+    ctx.strokeStyle = '#429fb8';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    this.drawObstacles(physics);
+    this.drawFoundClues();
+    this.drawPlayer(physics.getPlayerPosition(), player.yaw);
+    this.drawNorth();
+  }
+
+  drawObstacles(physics) {
+    const ctx = this.context;
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 136, 0, 0.45)';
+    ctx.strokeStyle = 'rgba(255, 136, 0, 0.45)';
+    ctx.lineCap = 'round';
+    physics.obstacleColliders.colliders.forEach(collider => {
+      ctx.beginPath();
+      if (collider.type === 'capsule') {
+        // Seen from above a capsule is its segment widened by the radius (a dot when upright)
+        const [sx, sy] = this.toMap(collider.start.x, collider.start.z);
+        const [ex, ey] = this.toMap(collider.end.x, collider.end.z);
+        ctx.lineWidth = Math.max(3, collider.radius * 2 * this.bounds.scale);
+        ctx.moveTo(sx, sy);
+        // A zero-length round-capped line draws nothing in some browsers
+        ctx.lineTo(ex, ey + (sx === ex && sy === ey ? 0.01 : 0));
+        ctx.stroke();
+      } else {
+        const hull = convexHull2D(collider.getCorners());
+        this.drawRing(hull.map(point => [point.x, point.z]));
+        ctx.fill();
+      }
+    });
+    ctx.restore();
+  }
+
+  drawFoundClues() {
+    const game = services.optional('game');
+    const scene = services.optional('scene');
+    if (!game || !scene) return;
+
+    const ctx = this.context;
+    game.state.completedLevels.forEach(level => {
+      const cube = scene.getObjectByName(game.cubeProgression[level]);
+      if (!cube) return;
+      const [mx, my] = this.toMap(cube.position.x, cube.position.z);
+      ctx.beginPath();
+      ctx.arc(mx, my, 4, 0, Math.PI * 2);
+      ctx.fillStyle = `#${cube.userData.color.toString(16).padStart(6, '0')}`;
+      ctx.fill();
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    });
+  }
+
+  // Triangle pointing along the look direction
+  drawPlayer(position, yaw) {
+    const ctx = this.context;
+    const [mx, my] = this.toMap(position.x, position.z);
+    ctx.save();
+    ctx.translate(mx, my);
+    ctx.rotate(-yaw);
+    ctx.beginPath();
+    ctx.moveTo(0, -7);
+    ctx.lineTo(5, 5);
+    ctx.lineTo(0, 2);
+    ctx.lineTo(-5, 5);
+    ctx.closePath();
+    ctx.fillStyle = '#00ff88';
+    ctx.fill();
+    ctx.restore();
+  }
+
+  drawNorth() {
+    const ctx = this.context;
+    ctx.fillStyle = '#fff';
+    ctx.font = "bold 10px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    ctx.fillText('N', MAP_SIZE / 2, 10);
+  }
+}
+
+class CompassStrip {
+  constructor() {
+    const { canvas, context } = createHudCanvas(STRIP_WIDTH, STRIP_HEIGHT, `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.6);
+      border: 1px solid rgba(66, 159, 184, 0.3);
+      border-radius: 6px;
+      backdrop-filter: blur(5px);
+      z-index: 1000;
+      pointer-events: none;
+    `);
+    canvas.id = 'hud-compass';
+    document.body.appendChild(canvas);
+    this.canvas = canvas;
+    this.context = context;
+    this.lastBearing = null;
+  }
+
+  setVisible(visible) {
+    this.canvas.style.display = visible ? 'block' : 'none';
+  }
+
+  update() {
+    const player = services.optional('player');
+    if (!player) return;
+
+    // Only redraw when the heading changed noticeably
+    const bearing = yawToBearing(player.yaw);
+    if (this.lastBearing !== null && Math.abs(bearing - this.lastBearing) < 0.2) return;
+    this.lastBearing = bearing;
+
+    const ctx = this.context;
+    const pixelsPerDegree = STRIP_WIDTH / STRIP_DEGREES;
+    ctx.clearRect(0, 0, STRIP_WIDTH, STRIP_HEIGHT);
+    ctx.textAlign = 'center';
+
+    // Ticks every 15 degrees, labels every 45
+    const first = Math.ceil((bearing - STRIP_DEGREES / 2) / 15) * 15;
+    for (let degrees = first; degrees <= bearing + STRIP_DEGREES / 2; degrees += 15) {
+      const x = STRIP_WIDTH / 2 + (degrees - bearing) * pixelsPerDegree;
+      const heading = ((degrees % 360) + 360) % 360;
+      const isLabel = heading % 45 === 0;
+
+      ctx.fillStyle = isLabel ? '#429fb8' : 'rgba(255, 255, 255, 0.4)';
+      ctx.fillRect(x - 0.5, STRIP_HEIGHT - (isLabel ? 8 : 5), 1, isLabel ? 8 : 5);
+      if (isLabel) {
+        const label = CARDINALS[heading / 45];
+        ctx.fillStyle = label === 'N' ? '#ff6666' : (label.length === 1 ? '#fff' : '#aaa');
+        ctx.font = `bold ${label.length === 1 ? 13 : 10}px 'Courier New', monospace`;
+        ctx.fillText(label, x, 14);
+      }
+    }
+
+    // Centre marker
+    ctx.fillStyle = '#00ff88';
+    ctx.beginPath();
+    ctx.moveTo(STRIP_WIDTH / 2 - 5, 0);
+    ctx.lineTo(STRIP_WIDTH / 2 + 5, 0);
+    ctx.lineTo(STRIP_WIDTH / 2, 6);
+    ctx.closePath();
+    ctx.fill();
+  }
+}
+
+export { Minimap, CompassStrip, yawToBearing, convexHull2D };
@@ -1,5 +1,6 @@
 // Mobile Controls Module
 import * as THREE from "three";
+import { services } from './gameEvents.js';
 
 // Mobile Movement Joystick System
 class MobileJoystick {
@@ -153,6 +154,14 @@ class MobileJoystick {
   }
 }
 
+// Phones and tablets (also used by deviceProfile.js before the controls exist)
+function isMobileDevice() {
+  return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
+         (window.innerWidth <= 768 && window.innerHeight <= 1024) ||
+         ('ontouchstart' in window) ||
+         (navigator.maxTouchPoints > 0);
+}
+
  // Mobile Controls Manager
  class MobileControls {
    constructor(renderer, camera, scene, sceneConfig, raycastManager = null, physicsSystem = null, interactionManager = null) {
@@ -178,10 +187,7 @@ class MobileJoystick {
    }
   
   detectMobile() {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
-           (window.innerWidth <= 768 && window.innerHeight <= 1024) ||
-           ('ontouchstart' in window) ||
-           (navigator.maxTouchPoints > 0);
+    return isMobileDevice();
   }
   
      initialize() {
@@ -463,19 +469,10 @@ class MobileJoystick {
          // Adjust sensitivity for mobile (higher sensitivity)
          const sensitivity = this.sceneConfig.sceneSettings.mouseSensitivity * 3; // Increased sensitivity
          
-         // Update global camera rotation variables
-         if (typeof window.yaw !== 'undefined' && typeof window.pitch !== 'undefined') {
-           window.yaw -= deltaX * sensitivity;
-           window.pitch -= deltaY * sensitivity;
-           
-           // Clamp pitch to prevent over-rotation
-           window.pitch = Math.max(-Math.PI/2, Math.min(Math.PI/2, window.pitch));
-           
-           // Update global references
-           if (typeof yaw !== 'undefined' && typeof pitch !== 'undefined') {
-             yaw = window.yaw;
-             pitch = window.pitch;
-           }
+         // Feed the shared look action (clamps pitch)
+         const input = services.optional('input');
+         if (input) {
+           input.look(deltaX * sensitivity, deltaY * sensitivity);
          }
          
          // Update last touch position
@@ -596,10 +593,7 @@ class MobileJoystick {
     return object.userData && (
       object.userData.isClueCube || 
       object.userData.isNewCube || 
-      object.userData.isInteractive ||
-      object.name === 'helloCube' ||
-      object.name === 'newCube' ||
-      object.name === 'anotherCube2'
+      object.userData.isInteractive
     );
   }
   
@@ -727,4 +721,4 @@ class MobileJoystick {
    }
 }
 
-export { MobileControls, MobileJoystick };
\ No newline at end of file
+export { MobileControls, MobileJoystick, isMobileDevice };
\ No newline at end of file
@@ -0,0 +1,393 @@
+// Obstacle Collider Module
+// Oriented boxes, capsules and convex hulls built from each obstacle's actual transform.
+// The player is a vertical capsule; contacts are resolved by pushing out along the contact
+// normal and removing the velocity component into the surface, so the player slides.
+import * as THREE from "three";
+
+const CONTACT_ITERATIONS = 4;
+const CLOSEST_POINT_ITERATIONS = 3;
+const WALKABLE_NORMAL_Y = 0.7; // Contacts with a normal steeper than this count as standing on top
+
+// Closest point on segment [a, b] to point p
+function closestPointOnSegment(p, a, b, target) {
+  const ab = new THREE.Vector3().subVectors(b, a);
+  const lengthSq = ab.lengthSq();
+  const t = lengthSq > 0 ? THREE.MathUtils.clamp(ab.dot(new THREE.Vector3().subVectors(p, a)) / lengthSq, 0, 1) : 0;
+  return target.copy(a).addScaledVector(ab, t);
+}
+
+// --- ORIENTED BOX ---
+class OrientedBoxCollider {
+  constructor(object, size) {
+    this.type = 'box';
+    this.object = object;
+    this.localHalfExtents = new THREE.Vector3(size[0] / 2, size[1] / 2, size[2] / 2);
+    this.center = new THREE.Vector3();
+    this.axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    this.halfExtents = new THREE.Vector3();
+    this.update();
+  }
+
+  // Re-read the object's world transform (obstacles can be moved in the editor)
+  update() {
+    this.object.updateMatrixWorld(true);
+    const matrix = this.object.matrixWorld;
+    this.center.setFromMatrixPosition(matrix);
+    matrix.extractBasis(this.axes[0], this.axes[1], this.axes[2]);
+    this.halfExtents.set(
+      this.localHalfExtents.x * this.axes[0].length(),
+      this.localHalfExtents.y * this.axes[1].length(),
+      this.localHalfExtents.z * this.axes[2].length()
+    );
+    this.axes.forEach(axis => axis.normalize());
+  }
+
+  closestPoint(point, target = new THREE.Vector3()) {
+    const d = new THREE.Vector3().subVectors(point, this.center);
+    target.copy(this.center);
+    this.axes.forEach((axis, i) => {
+      const extent = this.halfExtents.getComponent(i);
+      const distance = THREE.MathUtils.clamp(d.dot(axis), -extent, extent);
+      target.addScaledVector(axis, distance);
+    });
+    return target;
+  }
+
+  containsPoint(point) {
+    const d = new THREE.Vector3().subVectors(point, this.center);
+    return this.axes.every((axis, i) => Math.abs(d.dot(axis)) <= this.halfExtents.getComponent(i));
+  }
+
+  // For a point inside the box: the nearest face normal and the distance to it
+  penetration(point) {
+    const d = new THREE.Vector3().subVectors(point, this.center);
+    let best = { normal: new THREE.Vector3(0, 1, 0), depth: Infinity };
+    this.axes.forEach((axis, i) => {
+      const along = d.dot(axis);
+      const depth = this.halfExtents.getComponent(i) - Math.abs(along);
+      if (depth < best.depth) {
+        best = { normal: axis.clone().multiplyScalar(along >= 0 ? 1 : -1), depth };
+      }
+    });
+    return best;
+  }
+
+  // World-space corners, used for drawing footprints
+  getCorners() {
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+      const corner = this.center.clone();
+      corner.addScaledVector(this.axes[0], (i & 1 ? 1 : -1) * this.halfExtents.x);
+      corner.addScaledVector(this.axes[1], (i & 2 ? 1 : -1) * this.halfExtents.y);
+      corner.addScaledVector(this.axes[2], (i & 4 ? 1 : -1) * this.halfExtents.z);
+      corners.push(corner);
+    }
+    return corners;
+  }
+}
+
+// --- CAPSULE (segment along the object's local Y axis) ---
+class CapsuleCollider {
+  constructor(object, radius, height) {
+    this.type = 'capsule';
+    this.object = object;
+    this.localRadius = radius;
+    this.localHalfSegment = Math.max(0, height / 2 - radius);
+    this.start = new THREE.Vector3();
+    this.end = new THREE.Vector3();
+    this.radius = radius;
+    this.update();
+  }
+
+  update() {
+    this.object.updateMatrixWorld(true);
+    const matrix = this.object.matrixWorld;
+    this.start.set(0, -this.localHalfSegment, 0).applyMatrix4(matrix);
+    this.end.set(0, this.localHalfSegment, 0).applyMatrix4(matrix);
+    const scale = new THREE.Vector3().setFromMatrixScale(matrix);
+    this.radius = this.localRadius * Math.max(scale.x, scale.z);
+  }
+
+  closestPoint(point, target = new THREE.Vector3()) {
+    closestPointOnSegment(point, this.start, this.end, target);
+    const offset = new THREE.Vector3().subVectors(point, target);
+    const distance = offset.length();
+    if (distance > this.radius) {
+      target.addScaledVector(offset, this.radius / distance);
+    } else {
+      target.copy(point);
+    }
+    return target;
+  }
+
+  containsPoint(point) {
+    const axisPoint = closestPointOnSegment(point, this.start, this.end, new THREE.Vector3());
+    return axisPoint.distanceTo(point) <= this.radius;
+  }
+
+  penetration(point) {
+    const axisPoint = closestPointOnSegment(point, this.start, this.end, new THREE.Vector3());
+    const offset = new THREE.Vector3().subVectors(point, axisPoint);
+    const distance = offset.length();
+    const normal = distance > 1e-6 ? offset.divideScalar(distance) : new THREE.Vector3(1, 0, 0);
+    return { normal, depth: this.radius - distance };
+  }
+}
+
+// --- CONVEX HULL ---
+// Builds hull faces from a small point set by brute force (done once, fine for < 64 points)
+function buildConvexHullFaces(points) {
+  const faces = [];
+  const epsilon = 1e-5;
+  const seenPlanes = [];
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      for (let k = j + 1; k < points.length; k++) {
+        const normal = new THREE.Vector3()
+          .subVectors(points[j], points[i])
+          .cross(new THREE.Vector3().subVectors(points[k], points[i]));
+        if (normal.lengthSq() < epsilon) continue;
+        normal.normalize();
+        let constant = -normal.dot(points[i]);
+
+        // Keep the plane only if every point is on one side of it
+        let above = 0, below = 0;
+        points.forEach(p => {
+          const distance = normal.dot(p) + constant;
+          if (distance > epsilon) above++;
+          else if (distance < -epsilon) below++;
+        });
+        if (above > 0 && below > 0) continue;
+        if (above > 0) {
+          normal.negate();
+          constant = -constant;
+        }
+
+        if (seenPlanes.some(plane => plane.normal.dot(normal) > 1 - epsilon && Math.abs(plane.constant - constant) < epsilon)) {
+          continue;
+        }
+        const plane = new THREE.Plane(normal, constant);
+        seenPlanes.push(plane);
+
+        // Order the face's points around its centroid
+        const facePoints = points.filter(p => Math.abs(plane.distanceToPoint(p)) <= epsilon);
+        const centroid = facePoints.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(facePoints.length);
+        const u = new THREE.Vector3().subVectors(facePoints[0], centroid).normalize();
+        const v = new THREE.Vector3().crossVectors(normal, u);
+        facePoints.sort((a, b) => {
+          const da = new THREE.Vector3().subVectors(a, centroid);
+          const db = new THREE.Vector3().subVectors(b, centroid);
+          return Math.atan2(da.dot(v), da.dot(u)) - Math.atan2(db.dot(v), db.dot(u));
+        });
+
+        faces.push({ plane, points: facePoints });
+      }
+    }
+  }
+
+  return faces;
+}
+
+class ConvexHullCollider {
+  constructor(object, localPoints) {
+    this.type = 'convexHull';
+    this.object = object;
+    const unique = [];
+    localPoints.forEach(p => {
+      const point = Array.isArray(p) ? new THREE.Vector3(...p) : p.clone();
+      if (!unique.some(existing => existing.distanceToSquared(point) < 1e-10)) {
+        unique.push(point);
+      }
+    });
+    this.localFaces = buildConvexHullFaces(unique);
+    this.faces = [];
+    this.update();
+  }
+
+  update() {
+    this.object.updateMatrixWorld(true);
+    const matrix = this.object.matrixWorld;
+    this.faces = this.localFaces.map(face => {
+      const points = face.points.map(p => p.clone().applyMatrix4(matrix));
+      const triangles = [];
+      for (let i = 1; i < points.length - 1; i++) {
+        triangles.push(new THREE.Triangle(points[0], points[i], points[i + 1]));
+      }
+      const plane = new THREE.Plane().setFromCoplanarPoints(points[0], points[1], points[2]);
+      // Keep normals pointing outwards after mirroring transforms
+      if (plane.normal.dot(face.plane.normal.clone().transformDirection(matrix)) < 0) plane.negate();
+      return { plane, triangles, points };
+    });
+  }
+
+  containsPoint(point) {
+    return this.faces.every(face => face.plane.distanceToPoint(point) <= 0);
+  }
+
+  closestPoint(point, target = new THREE.Vector3()) {
+    if (this.containsPoint(point)) {
+      return target.copy(point);
+    }
+    let bestDistance = Infinity;
+    const candidate = new THREE.Vector3();
+    this.faces.forEach(face => {
+      face.triangles.forEach(triangle => {
+        triangle.closestPointToPoint(point, candidate);
+        const distance = candidate.distanceToSquared(point);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          target.copy(candidate);
+        }
+      });
+    });
+    return target;
+  }
+
+  penetration(point) {
+    let best = { normal: new THREE.Vector3(0, 1, 0), depth: Infinity };
+    this.faces.forEach(face => {
+      const depth = -face.plane.distanceToPoint(point);
+      if (depth < best.depth) {
+        best = { normal: face.plane.normal.clone(), depth };
+      }
+    });
+    return best;
+  }
+
+  getCorners() {
+    return this.faces.flatMap(face => face.points);
+  }
+}
+
+// --- GEOMETRY / COLLIDER FACTORIES ---
+
+// Visual geometry for an obstacle config (shape: box | capsule | convexHull)
+function createObstacleGeometry(config) {
+  switch (config.shape) {
+    case 'capsule': {
+      const length = Math.max(0, config.height - 2 * config.radius);
+      return new THREE.CapsuleGeometry(config.radius, length, 4, 12);
+    }
+    case 'convexHull': {
+      const points = config.points.map(p => new THREE.Vector3(...p));
+      const positions = [];
+      buildConvexHullFaces(points).forEach(face => {
+        for (let i = 1; i < face.points.length - 1; i++) {
+          [face.points[0], face.points[i], face.points[i + 1]].forEach(p => positions.push(p.x, p.y, p.z));
+        }
+      });
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      geometry.computeVertexNormals();
+      return geometry;
+    }
+    default:
+      return new THREE.BoxGeometry(...config.size);
+  }
+}
+
+function createColliderForObject(object, config = {}) {
+  switch (config.shape) {
+    case 'capsule':
+      return new CapsuleCollider(object, config.radius, config.height);
+    case 'convexHull':
+      return new ConvexHullCollider(object, config.points);
+    default: {
+      // Fall back to the mesh's own box geometry when no size was configured
+      const params = object.geometry && object.geometry.parameters;
+      const size = config.size || (params ? [params.width, params.height, params.depth] : [1, 1, 1]);
+      return new OrientedBoxCollider(object, size);
+    }
+  }
+}
+
+// --- COLLIDER SET ---
+class ObstacleColliderSet {
+  constructor() {
+    this.colliders = [];
+  }
+
+  // objects: meshes with userData.obstacleConfig (from sceneConfig.obstacles)
+  setObstacles(objects) {
+    this.colliders = objects.map(object => createColliderForObject(object, object.userData.obstacleConfig));
+    console.log(`Obstacle colliders built: ${this.colliders.map(c => c.type).join(', ') || 'none'}`);
+  }
+
+  update() {
+    this.colliders.forEach(collider => collider.update());
+  }
+
+  // Contact between the player capsule (segment a-b, radius) and one collider
+  findContact(collider, a, b, radius) {
+    const segmentPoint = new THREE.Vector3().addVectors(a, b).multiplyScalar(0.5);
+    const surfacePoint = new THREE.Vector3();
+
+    // Alternate closest points between segment and collider until they settle
+    for (let i = 0; i < CLOSEST_POINT_ITERATIONS; i++) {
+      collider.closestPoint(segmentPoint, surfacePoint);
+      closestPointOnSegment(surfacePoint, a, b, segmentPoint);
+    }
+
+    if (collider.containsPoint(segmentPoint)) {
+      const { normal, depth } = collider.penetration(segmentPoint);
+      return { normal, depth: depth + radius };
+    }
+
+    collider.closestPoint(segmentPoint, surfacePoint);
+    const offset = new THREE.Vector3().subVectors(segmentPoint, surfacePoint);
+    const distance = offset.length();
+    if (distance >= radius || distance < 1e-6) return null;
+
+    return { normal: offset.divideScalar(distance), depth: radius - distance };
+  }
+
+  // Push the player capsule out of every obstacle and slide the velocity along the surfaces.
+  // position/velocity are plain {x, y, z} objects and are modified in place.
+  resolvePlayer(position, velocity, radius, height) {
+    const result = { collided: false, grounded: false };
+    if (this.colliders.length === 0) return result;
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const v = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
+
+    for (let iteration = 0; iteration < CONTACT_ITERATIONS; iteration++) {
+      let resolvedAny = false;
+      a.set(position.x, position.y, position.z);
+      b.set(position.x, position.y + Math.max(0, height - 2 * radius), position.z);
+
+      for (const collider of this.colliders) {
+        const contact = this.findContact(collider, a, b, radius);
+        if (!contact) continue;
+
+        position.x += contact.normal.x * contact.depth;
+        position.y += contact.normal.y * contact.depth;
+        position.z += contact.normal.z * contact.depth;
+        a.addScaledVector(contact.normal, contact.depth);
+        b.addScaledVector(contact.normal, contact.depth);
+
+        // Remove only the part of the velocity that points into the surface
+        const into = v.dot(contact.normal);
+        if (into < 0) v.addScaledVector(contact.normal, -into);
+
+        if (contact.normal.y > WALKABLE_NORMAL_Y) result.grounded = true;
+        result.collided = true;
+        resolvedAny = true;
+      }
+
+      if (!resolvedAny) break;
+    }
+
+    velocity.x = v.x;
+    velocity.y = v.y;
+    velocity.z = v.z;
+    return result;
+  }
+}
+
+export {
+  OrientedBoxCollider, CapsuleCollider, ConvexHullCollider, ObstacleColliderSet,
+  createObstacleGeometry, createColliderForObject, buildConvexHullFaces,
+  closestPointOnSegment, WALKABLE_NORMAL_Y
+};
@@ -0,0 +1,659 @@
+// Photo Mode Module
+// Freezes the game and hands the camera to a free-fly photo camera:
+// - WASD/arrows move, Space/Shift rise and sink, drag to look, wheel zooms
+// - the side panel sets field of view, roll and an optional frame, and opens the gallery
+// - F2 (or the "screenshot" key) and the Capture button save the view to the gallery (photoStore.js)
+// The simulation clock is paused, so physics, hunt timers and hints wait until photo mode ends.
+import * as THREE from "three";
+import { services } from './gameEvents.js';
+import { savePhoto, listPhotos, deletePhoto } from './photoStore.js';
+
+const ACCENT = '#429fb8';
+const MOVE_SPEED = 2;          // Metres per second
+const MAX_DISTANCE = 15;       // The photo camera stays near the spot photo mode started from
+const LOOK_SENSITIVITY = 0.004;
+const FOV_RANGE = [20, 100];
+const MAX_ROLL = 45;           // Degrees
+const JPEG_QUALITY = 0.92;
+
+const MOVE_KEYS = {
+  KeyW: 'forward', ArrowUp: 'forward',
+  KeyS: 'backward', ArrowDown: 'backward',
+  KeyA: 'left', ArrowLeft: 'left',
+  KeyD: 'right', ArrowRight: 'right',
+  Space: 'up',
+  ShiftLeft: 'down', ShiftRight: 'down'
+};
+
+// Frames drawn over the view; guides only show on screen, the others are part of the photo
+const FRAMES = {
+  none: { label: 'No frame' },
+  thirds: { label: 'Rule of thirds', guide: true },
+  postcard: { label: 'Postcard' },
+  letterbox: { label: 'Cinema' }
+};
+
+// Everything the HUD puts on screen; hidden with a stylesheet so inline styles stay untouched
+const HUD_SELECTORS = [
+  '#hud-controls', '#hud-crosshair', '#crosshair', '#progress-bar-container',
+  '#hud-minimap', '#hud-compass', '#hint-compass', '#hint-popup',
+  '.top-ui-container', '.ui-notification', '.joystick', '#enter-vr', '#clue-card', '#info-popup'
+];
+
+function drawFrame(context, width, height, frame, caption) {
+  const unit = Math.min(width, height);
+
+  if (frame === 'thirds') {
+    context.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    context.lineWidth = Math.max(1, unit / 600);
+    context.beginPath();
+    [1, 2].forEach(i => {
+      context.moveTo(width * i / 3, 0);
+      context.lineTo(width * i / 3, height);
+      context.moveTo(0, height * i / 3);
+      context.lineTo(width, height * i / 3);
+    });
+    context.stroke();
+  } else if (frame === 'postcard') {
+    const border = unit * 0.04;
+    const bottom = unit * 0.12;
+    context.fillStyle = '#f7f3ea';
+    context.fillRect(0, 0, width, border);
+    context.fillRect(0, 0, border, height);
+    context.fillRect(width - border, 0, border, height);
+    context.fillRect(0, height - bottom, width, bottom);
+    context.fillStyle = '#333333';
+    context.font = `italic ${Math.round(bottom * 0.4)}px Georgia, serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(caption, width / 2, height - bottom / 2);
+  } else if (frame === 'letterbox') {
+    // 2.39:1 picture area
+    const bar = Math.max(0, (height - width / 2.39) / 2);
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, width, bar);
+    context.fillRect(0, height - bar, width, bar);
+    if (bar > unit * 0.04) {
+      context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      context.font = `${Math.round(unit * 0.025)}px 'Courier New', monospace`;
+      context.textAlign = 'right';
+      context.textBaseline = 'middle';
+      context.fillText(caption, width - unit * 0.03, height - bar / 2);
+    }
+  }
+}
+
+class PhotoMode {
+  // options: { clock, input }
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.clock = options.clock;
+    this.input = options.input;
+
+    this.isActive = false;
+    this.frame = 'none';
+    this.keys = new Set();
+    this.savedCamera = null;
+    this.wasPaused = false;
+    this.lastTime = null;
+    this.drag = null;
+    this.galleryUrls = [];
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onResize = this.onResize.bind(this);
+
+    this.addStyles();
+  }
+
+  addStyles() {
+    if (document.getElementById('photo-mode-styles')) return;
+    const styleSheet = document.createElement('style');
+    styleSheet.id = 'photo-mode-styles';
+    styleSheet.textContent = `${HUD_SELECTORS.map(selector => `body.photo-mode ${selector}`).join(',\n')} {
+      visibility: hidden !important;
+    }`;
+    document.head.appendChild(styleSheet);
+  }
+
+  toggle() {
+    if (this.isActive) {
+      this.exit();
+    } else {
+      this.enter();
+    }
+  }
+
+  enter() {
+    if (this.isActive) return;
+    const xr = services.optional('xr');
+    if (xr && xr.isPresenting()) {
+      xr.showPanel('Photo mode', 'Photo mode is not available in VR. Use your headset\'s own capture button.');
+      return;
+    }
+
+    this.isActive = true;
+    this.wasPaused = this.clock.paused;
+    this.clock.pause();
+    this.input.setEnabled(false);
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    document.body.style.cursor = 'grab';
+    document.body.classList.add('photo-mode');
+
+    // Start from the player's view
+    this.savedCamera = {
+      position: this.camera.position.clone(),
+      quaternion: this.camera.quaternion.clone(),
+      fov: this.camera.fov
+    };
+    const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.yaw = euler.y;
+    this.pitch = euler.x;
+    this.roll = 0;
+    this.origin = this.camera.position.clone();
+    this.lastTime = null;
+
+    this.createOverlay();
+    this.createPanel();
+
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    this.renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    this.renderer.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    window.addEventListener('resize', this.onResize);
+    console.log('Photo mode on');
+  }
+
+  exit() {
+    if (!this.isActive) return;
+    this.isActive = false;
+    this.closeGallery();
+
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    this.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    this.renderer.domElement.removeEventListener('wheel', this.onWheel);
+    window.removeEventListener('resize', this.onResize);
+    this.keys.clear();
+    this.drag = null;
+
+    this.overlay.remove();
+    this.panel.remove();
+    this.overlay = null;
+    this.panel = null;
+    this.fovControl = null;
+    this.status = null;
+
+    this.camera.position.copy(this.savedCamera.position);
+    this.camera.quaternion.copy(this.savedCamera.quaternion);
+    this.camera.fov = this.savedCamera.fov;
+    this.camera.updateProjectionMatrix();
+
+    document.body.classList.remove('photo-mode');
+    document.body.style.cursor = 'default';
+    this.input.setEnabled(true);
+    // A game that was already paused (hidden tab) stays paused
+    if (!this.wasPaused) {
+      this.clock.resume();
+    }
+    console.log('Photo mode off');
+  }
+
+  // --- INPUT ---
+
+  onKeyDown(e) {
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+
+    if (e.code === 'Escape') {
+      if (this.gallery) {
+        this.closeGallery();
+      } else {
+        this.exit();
+      }
+      return;
+    }
+    if (this.input.getBindings('screenshot').includes(e.code)) {
+      e.preventDefault();
+      this.capture();
+      return;
+    }
+    if (MOVE_KEYS[e.code]) {
+      e.preventDefault();
+      this.keys.add(MOVE_KEYS[e.code]);
+    }
+  }
+
+  onKeyUp(e) {
+    if (MOVE_KEYS[e.code]) {
+      this.keys.delete(MOVE_KEYS[e.code]);
+    }
+  }
+
+  onPointerDown(e) {
+    this.drag = { x: e.clientX, y: e.clientY };
+    document.body.style.cursor = 'grabbing';
+  }
+
+  onPointerMove(e) {
+    if (!this.drag) return;
+    this.yaw -= (e.clientX - this.drag.x) * LOOK_SENSITIVITY;
+    this.pitch = THREE.MathUtils.clamp(this.pitch - (e.clientY - this.drag.y) * LOOK_SENSITIVITY, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+    this.drag = { x: e.clientX, y: e.clientY };
+  }
+
+  onPointerUp() {
+    if (!this.drag) return;
+    this.drag = null;
+    document.body.style.cursor = 'grab';
+  }
+
+  onWheel(e) {
+    e.preventDefault();
+    this.setFov(this.camera.fov + Math.sign(e.deltaY) * 2);
+  }
+
+  onResize() {
+    if (this.overlay) {
+      this.drawOverlay();
+    }
+  }
+
+  setFov(fov) {
+    this.camera.fov = THREE.MathUtils.clamp(fov, FOV_RANGE[0], FOV_RANGE[1]);
+    this.camera.updateProjectionMatrix();
+    if (this.fovControl) {
+      this.fovControl.slider.value = String(Math.round(this.camera.fov));
+      this.fovControl.refresh();
+    }
+  }
+
+  // --- CAMERA ---
+
+  // Called every frame from the animation loop instead of the player camera update
+  update(now) {
+    const delta = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, 0.1);
+    this.lastTime = now;
+
+    this.camera.rotation.set(this.pitch, this.yaw, this.roll * Math.PI / 180, 'YXZ');
+
+    const move = new THREE.Vector3();
+    const forward = new THREE.Vector3(-Math.sin(this.yaw) * Math.cos(this.pitch), Math.sin(this.pitch), -Math.cos(this.yaw) * Math.cos(this.pitch));
+    const right = new THREE.Vector3(Math.cos(this.yaw), 0, -Math.sin(this.yaw));
+    if (this.keys.has('forward')) move.add(forward);
+    if (this.keys.has('backward')) move.sub(forward);
+    if (this.keys.has('right')) move.add(right);
+    if (this.keys.has('left')) move.sub(right);
+    if (this.keys.has('up')) move.y += 1;
+    if (this.keys.has('down')) move.y -= 1;
+    if (move.lengthSq() === 0) return;
+
+    this.camera.position.addScaledVector(move.normalize(), MOVE_SPEED * delta);
+    // Stay inside the reconstructed part of the scene
+    const offset = this.camera.position.clone().sub(this.origin);
+    if (offset.length() > MAX_DISTANCE) {
+      this.camera.position.copy(this.origin).add(offset.setLength(MAX_DISTANCE));
+    }
+  }
+
+  // --- CAPTURE ---
+
+  getCaption() {
+    const config = services.optional('config');
+    const siteName = config && config.site ? config.site.name : '';
+    const date = new Date().toLocaleDateString();
+    return siteName ? `${siteName} · ${date}` : date;
+  }
+
+  // Render one frame and copy it; the WebGL buffer is only readable right after drawing
+  capture() {
+    try {
+      this.renderer.render(this.scene, this.camera);
+      const source = this.renderer.domElement;
+      const canvas = document.createElement('canvas');
+      canvas.width = source.width;
+      canvas.height = source.height;
+      const context = canvas.getContext('2d');
+      context.drawImage(source, 0, 0);
+      if (!FRAMES[this.frame].guide) {
+        drawFrame(context, canvas.width, canvas.height, this.frame, this.getCaption());
+      }
+
+      this.flash();
+      canvas.toBlob(async (blob) => {
+        if (!blob) {
+          this.showStatus('Could not create the photo');
+          return;
+        }
+        try {
+          const config = services.optional('config');
+          await savePhoto({
+            blob,
+            siteId: config && config.site ? config.site.id : null,
+            siteName: config && config.site ? config.site.name : null,
+            width: canvas.width,
+            height: canvas.height
+          });
+          this.showStatus('Photo saved to the gallery');
+          if (this.gallery) {
+            this.renderGallery();
+          }
+        } catch (error) {
+          console.error('Failed to save photo:', error);
+          this.showStatus('Could not save the photo');
+        }
+      }, 'image/jpeg', JPEG_QUALITY);
+    } catch (error) {
+      console.error('Photo capture failed:', error);
+      this.showStatus('Photo capture failed');
+    }
+  }
+
+  flash() {
+    const flash = document.createElement('div');
+    flash.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: #fff;
+      opacity: 0.8;
+      z-index: 20001;
+      pointer-events: none;
+      transition: opacity 0.4s ease-out;
+    `;
+    document.body.appendChild(flash);
+    requestAnimationFrame(() => {
+      flash.style.opacity = '0';
+    });
+    setTimeout(() => flash.remove(), 450);
+  }
+
+  showStatus(message) {
+    if (!this.status) return;
+    this.status.textContent = message;
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      if (this.status) this.status.textContent = '';
+    }, 3000);
+  }
+
+  // --- UI ---
+
+  // Full-window canvas previewing the frame, below the panel
+  createOverlay() {
+    this.overlay = document.createElement('canvas');
+    this.overlay.id = 'photo-mode-overlay';
+    this.overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      z-index: 19000;
+      pointer-events: none;
+    `;
+    document.body.appendChild(this.overlay);
+    this.drawOverlay();
+  }
+
+  drawOverlay() {
+    const ratio = window.devicePixelRatio || 1;
+    this.overlay.width = Math.round(window.innerWidth * ratio);
+    this.overlay.height = Math.round(window.innerHeight * ratio);
+    const context = this.overlay.getContext('2d');
+    context.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    drawFrame(context, this.overlay.width, this.overlay.height, this.frame, this.getCaption());
+  }
+
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'photo-mode-panel';
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      width: 220px;
+      background: rgba(0, 0, 0, 0.8);
+      color: #fff;
+      padding: 14px 16px;
+      border-radius: 10px;
+      border: 1px solid ${ACCENT};
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      z-index: 20000;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    `;
+    // Panel clicks must not start a camera drag or reach the scene
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+    this.panel.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+    const title = document.createElement('div');
+    title.textContent = 'Photo mode';
+    title.style.cssText = `color: ${ACCENT}; font-weight: bold; font-size: 15px;`;
+    this.panel.appendChild(title);
+
+    const help = document.createElement('div');
+    help.style.cssText = 'color: #aaa; line-height: 1.4;';
+    help.textContent = 'Drag to look, WASD to move, Space/Shift up and down, wheel to zoom.';
+    this.panel.appendChild(help);
+
+    this.fovControl = this.createSlider('Field of view', FOV_RANGE[0], FOV_RANGE[1], Math.round(this.camera.fov), (value) => this.setFov(value));
+    this.createSlider('Roll', -MAX_ROLL, MAX_ROLL, 0, (value) => {
+      this.roll = value;
+    });
+
+    const frameLabel = document.createElement('label');
+    frameLabel.textContent = 'Frame';
+    frameLabel.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
+    const frameSelect = document.createElement('select');
+    frameSelect.style.cssText = `background: #111; color: #fff; border: 1px solid ${ACCENT}; border-radius: 4px; padding: 4px; font-family: inherit;`;
+    Object.entries(FRAMES).forEach(([id, frame]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = frame.guide ? `${frame.label} (guide)` : frame.label;
+      frameSelect.appendChild(option);
+    });
+    frameSelect.value = this.frame;
+    frameSelect.addEventListener('change', () => {
+      this.frame = frameSelect.value;
+      this.drawOverlay();
+    });
+    frameLabel.appendChild(frameSelect);
+    this.panel.appendChild(frameLabel);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+    const screenshotKeys = this.input.getBindings('screenshot').filter(code => code).map(code => this.input.getKeyLabel(code));
+    buttons.appendChild(this.createButton(`Capture${screenshotKeys.length ? ` (${screenshotKeys[0]})` : ''}`, () => this.capture(), true));
+    buttons.appendChild(this.createButton('Gallery', () => this.openGallery()));
+    buttons.appendChild(this.createButton('Exit (Esc)', () => this.exit()));
+    this.panel.appendChild(buttons);
+
+    this.status = document.createElement('div');
+    this.status.style.cssText = 'min-height: 14px; color: #00ff88;';
+    this.panel.appendChild(this.status);
+
+    document.body.appendChild(this.panel);
+  }
+
+  createSlider(label, min, max, value, onChange) {
+    const wrapper = document.createElement('label');
+    wrapper.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
+    const text = document.createElement('span');
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.value = String(value);
+    slider.style.cssText = `accent-color: ${ACCENT};`;
+    const refresh = () => {
+      text.textContent = `${label}: ${slider.value}°`;
+    };
+    slider.addEventListener('input', () => {
+      onChange(Number(slider.value));
+      refresh();
+    });
+    refresh();
+    wrapper.appendChild(text);
+    wrapper.appendChild(slider);
+    this.panel.appendChild(wrapper);
+    // refresh() updates the label after the value is set from elsewhere (wheel zoom)
+    return { slider, refresh };
+  }
+
+  createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 5px 10px;
+      background: ${primary ? ACCENT : 'transparent'};
+      color: ${primary ? '#222' : ACCENT};
+      border: 1px solid ${ACCENT};
+      border-radius: 6px;
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // --- GALLERY ---
+
+  openGallery() {
+    if (this.gallery) return;
+    this.gallery = document.createElement('div');
+    this.gallery.id = 'photo-gallery';
+    this.gallery.style.cssText = `
+      position: fixed;
+      inset: 5vh 5vw;
+      background: rgba(0, 0, 0, 0.95);
+      color: #fff;
+      border: 2px solid ${ACCENT};
+      border-radius: 12px;
+      padding: 16px 20px;
+      font-family: 'Courier New', monospace;
+      z-index: 20002;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    `;
+    this.gallery.addEventListener('click', (e) => e.stopPropagation());
+    this.gallery.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+    const title = document.createElement('div');
+    title.textContent = 'Gallery';
+    title.style.cssText = `color: ${ACCENT}; font-weight: bold; font-size: 18px;`;
+    header.appendChild(title);
+    header.appendChild(this.createButton('Close', () => this.closeGallery(), true));
+    this.gallery.appendChild(header);
+
+    this.galleryGrid = document.createElement('div');
+    this.galleryGrid.style.cssText = `
+      flex: 1;
+      overflow-y: auto;
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+      gap: 12px;
+      align-content: start;
+    `;
+    this.gallery.appendChild(this.galleryGrid);
+    document.body.appendChild(this.gallery);
+
+    this.renderGallery();
+  }
+
+  closeGallery() {
+    if (!this.gallery) return;
+    this.revokeGalleryUrls();
+    this.gallery.remove();
+    this.gallery = null;
+    this.galleryGrid = null;
+  }
+
+  revokeGalleryUrls() {
+    this.galleryUrls.forEach(url => URL.revokeObjectURL(url));
+    this.galleryUrls = [];
+  }
+
+  async renderGallery() {
+    let photos;
+    try {
+      photos = await listPhotos();
+    } catch (error) {
+      console.error('Failed to load photos:', error);
+      photos = null;
+    }
+    if (!this.galleryGrid) return;
+
+    this.revokeGalleryUrls();
+    this.galleryGrid.innerHTML = '';
+    if (!photos || photos.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'color: #aaa;';
+      empty.textContent = photos ? 'No photos yet. Press Capture to take one.' : 'Photos cannot be stored in this browser.';
+      this.galleryGrid.appendChild(empty);
+      return;
+    }
+
+    photos.forEach(photo => {
+      const url = URL.createObjectURL(photo.blob);
+      this.galleryUrls.push(url);
+
+      const card = document.createElement('div');
+      card.style.cssText = 'display: flex; flex-direction: column; gap: 6px; background: rgba(66, 159, 184, 0.1); border-radius: 8px; padding: 8px;';
+
+      const image = document.createElement('img');
+      image.src = url;
+      image.alt = photo.siteName ? `Photo of ${photo.siteName}` : 'Photo';
+      image.style.cssText = 'width: 100%; aspect-ratio: 16 / 10; object-fit: cover; border-radius: 4px;';
+      card.appendChild(image);
+
+      const info = document.createElement('div');
+      info.style.cssText = 'font-size: 11px; color: #aaa;';
+      info.textContent = new Date(photo.createdAt).toLocaleString();
+      card.appendChild(info);
+
+      const actions = document.createElement('div');
+      actions.style.cssText = 'display: flex; gap: 6px;';
+      actions.appendChild(this.createButton('Download', () => this.downloadPhoto(photo, url), true));
+      actions.appendChild(this.createButton('Delete', async () => {
+        if (!window.confirm('Delete this photo?')) return;
+        try {
+          await deletePhoto(photo.id);
+        } catch (error) {
+          console.error('Failed to delete photo:', error);
+        }
+        this.renderGallery();
+      }));
+      card.appendChild(actions);
+
+      this.galleryGrid.appendChild(card);
+    });
+  }
+
+  downloadPhoto(photo, url) {
+    const stamp = new Date(photo.createdAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${photo.siteId || 'photo'}-${stamp}.jpg`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+}
+
+export { PhotoMode, FRAMES, drawFrame };
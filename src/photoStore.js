@@ -0,0 +1,61 @@
+// Photo Store Module
+// Keeps photo-mode captures in IndexedDB (images are too large for localStorage).
+// Each photo: { id, blob, siteId, siteName, width, height, createdAt }
+
+const DB_NAME = 'treasureHunt.photos';
+const DB_VERSION = 1;
+const STORE_NAME = 'photos';
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failure (private browsing, blocked upgrade)
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+// Run one request in its own transaction and resolve with its result
+async function runRequest(mode, createRequest) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Photo store transaction aborted'));
+  });
+}
+
+// Resolves with the new photo's id
+function savePhoto(photo) {
+  return runRequest('readwrite', store => store.add({ ...photo, createdAt: Date.now() }));
+}
+
+// Newest first
+async function listPhotos() {
+  const photos = await runRequest('readonly', store => store.getAll());
+  return photos.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function deletePhoto(id) {
+  return runRequest('readwrite', store => store.delete(id));
+}
+
+export { savePhoto, listPhotos, deletePhoto };
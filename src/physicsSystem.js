@@ -1,5 +1,11 @@
 
 import * as THREE from "three";
+import { ObstacleColliderSet } from './obstacleColliders.js';
+import { isPointInRing, getAllRings } from './walkableArea.js';
+import { gameEvents, services } from './gameEvents.js';
+
+const BOUNDARY_ITERATIONS = 4; // Enough passes to settle into corners between two edges
+const BOUNDARY_EPSILON = 1e-4;
 
 
 class PhysicsSystem {
@@ -7,38 +13,37 @@ class PhysicsSystem {
     this.scene = scene;
     this.sceneConfig = sceneConfig;
     this.isInitialized = false;
+    this.backend = 'simple';
     
-    // Player physics state
+    // Player physics state (previousPosition is the state before the last step, for render interpolation)
     this.playerPosition = { x: 0, y: 0, z: 0 };
+    this.previousPosition = { x: 0, y: 0, z: 0 };
     this.playerVelocity = { x: 0, y: 0, z: 0 };
     this.playerAcceleration = { x: 0, y: 0, z: 0 };
     
     // Physics constants
     this.gravity = -9.81;
-    this.groundLevel = -1.35;
+    this.groundLevel = sceneConfig.sceneSettings.groundLevel;
     this.friction = 0.8;
     this.airResistance = 0.98;
     
     // Collision objects
     this.collisionObjects = [];
-    this.redCubePosition = { x: 0, y: -0.42, z: 0 };
-    this.redCubeRadius = 0.85;
-    
-    // Polygon boundary for player movement
-    this.polygonBoundary = [
-      [4.35, -0.1],
-      [0.6, -4.06], 
-      [-4.15, 0.34],
-      [-0.15, 4.5]
-    ];
+    this.obstacleColliders = new ObstacleColliderSet();
+    this.collisionProxy = null; // Optional per-site proxy mesh (see collisionProxy.js)
     
-    // Physics timing
-    this.lastUpdate = 0;
-    this.fixedTimeStep = 1/60; // 60 FPS
+    // Polygon boundary for player movement (walkable area of the selected site).
+    // List of { outer, holes } polygons, see walkableArea.js
+    this.polygonBoundary = sceneConfig.walkableArea;
     
     // State flags
     this.isGrounded = false;
     this.isCrouching = false;
+    
+    // Look state and input actions shared with the controls (registered by main.js)
+    this.player = services.get('player');
+    this.input = services.get('input');
+    this.lastPublishedPosition = null;
   }
 
   async initialize() {
@@ -49,15 +54,7 @@ class PhysicsSystem {
       // Set initial player position
       const spawnPos = this.sceneConfig.sceneSettings.initialPosition;
       this.playerPosition = { x: spawnPos[0], y: spawnPos[1], z: spawnPos[2] };
-      
-      // Initialize red cube position
-      if (window.redCube) {
-        this.redCubePosition = {
-          x: window.redCube.position.x,
-          y: window.redCube.position.y,
-          z: window.redCube.position.z
-        };
-      }
+      this.previousPosition = { ...this.playerPosition };
       
       // Create collision boundaries
       this.createCollisionBoundaries();
@@ -80,53 +77,50 @@ class PhysicsSystem {
     this.collisionObjects = boundaries;
   }
 
-  // Check if a point is inside the polygon using ray casting algorithm
+  // Inside the walkable area = inside some polygon's outer ring and none of its holes
   isPointInPolygon(point) {
-    const x = point.x;
-    const z = point.z; // Using z as y coordinate for 2D polygon
-    const polygon = this.polygonBoundary;
+    const polygons = this.polygonBoundary;
+    if (!polygons || polygons.length === 0) return true;
     
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const xi = polygon[i][0];
-      const zi = polygon[i][1];
-      const xj = polygon[j][0];
-      const zj = polygon[j][1];
-      
-      if (((zi > z) !== (zj > z)) && (x < (xj - xi) * (z - zi) / (zj - zi) + xi)) {
-        inside = !inside;
-      }
-    }
-    
-    return inside;
+    return polygons.some(polygon =>
+      isPointInRing(point.x, point.z, polygon.outer) &&
+      !polygon.holes.some(hole => isPointInRing(point.x, point.z, hole))
+    );
   }
 
-  // Find the closest point on polygon boundary to a given point
+  // Find the closest point on any polygon or hole edge to a given point
   findClosestPointOnPolygon(point) {
     const x = point.x;
     const z = point.z;
-    const polygon = this.polygonBoundary;
+    const rings = getAllRings(this.polygonBoundary || []);
     
-    let closestPoint = { x: polygon[0][0], z: polygon[0][1] };
+    let closestPoint = { x, z };
     let minDistance = Infinity;
     
-    // Check distance to each polygon edge
-    for (let i = 0; i < polygon.length; i++) {
-      const p1 = { x: polygon[i][0], z: polygon[i][1] };
-      const p2 = { x: polygon[(i + 1) % polygon.length][0], z: polygon[(i + 1) % polygon.length][1] };
-      
-      const closestOnEdge = this.closestPointOnLineSegment(point, p1, p2);
-      const distance = Math.sqrt((x - closestOnEdge.x) ** 2 + (z - closestOnEdge.z) ** 2);
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestPoint = closestOnEdge;
+    // Check distance to each ring edge
+    rings.forEach(ring => {
+      for (let i = 0; i < ring.length; i++) {
+        const p1 = { x: ring[i][0], z: ring[i][1] };
+        const p2 = { x: ring[(i + 1) % ring.length][0], z: ring[(i + 1) % ring.length][1] };
+        
+        const closestOnEdge = this.closestPointOnLineSegment(point, p1, p2);
+        const distance = Math.sqrt((x - closestOnEdge.x) ** 2 + (z - closestOnEdge.z) ** 2);
+        
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestPoint = { ...closestOnEdge, edgeStart: p1, edgeEnd: p2, distance };
+        }
       }
-    }
+    });
     
     return closestPoint;
   }
 
+  // Replace the walkable area (used by the boundary editor)
+  setWalkableArea(polygons) {
+    this.polygonBoundary = polygons;
+  }
+
   // Find closest point on a line segment to a given point
   closestPointOnLineSegment(point, lineStart, lineEnd) {
     const A = point.x - lineStart.x;
@@ -155,36 +149,85 @@ class PhysicsSystem {
     return { x: xx, z: zz };
   }
 
-  // Check polygon boundary collision
+  // Normal of the closest edge pointing into the walkable area (used when the point lies on the edge)
+  getInwardEdgeNormal(closest) {
+    const dx = closest.edgeEnd.x - closest.edgeStart.x;
+    const dz = closest.edgeEnd.z - closest.edgeStart.z;
+    const length = Math.sqrt(dx * dx + dz * dz) || 1;
+    const normal = { x: -dz / length, z: dx / length };
+    
+    const probe = { x: closest.x + normal.x * 0.01, z: closest.z + normal.z * 0.01 };
+    return this.isPointInPolygon(probe) ? normal : { x: -normal.x, z: -normal.z };
+  }
+
+  // Keep the player centre inside the walkable area, inset by PLAYER_RADIUS from every edge.
+  // Returns the corrected position and the inward normals of the edges that were hit.
   checkPolygonBoundaryCollision(position) {
-    const playerRadius = window.PLAYER_RADIUS || 0.3;
+    const playerRadius = this.sceneConfig.sceneSettings.playerRadius;
+    const polygons = this.polygonBoundary;
+    if (!polygons || polygons.length === 0) {
+      return { collision: false, position, normals: [] };
+    }
+    
+    const corrected = { ...position };
+    const normals = [];
     
-    // Check if player center is inside polygon
-    if (this.isPointInPolygon(position)) {
-      return { collision: false, position: position };
+    for (let i = 0; i < BOUNDARY_ITERATIONS; i++) {
+      const inside = this.isPointInPolygon(corrected);
+      const closest = this.findClosestPointOnPolygon(corrected);
+      if (inside && closest.distance >= playerRadius - BOUNDARY_EPSILON) break;
+      
+      let normal;
+      if (closest.distance > 1e-6) {
+        const dx = (corrected.x - closest.x) / closest.distance;
+        const dz = (corrected.z - closest.z) / closest.distance;
+        normal = inside ? { x: dx, z: dz } : { x: -dx, z: -dz };
+      } else {
+        normal = this.getInwardEdgeNormal(closest);
+      }
+      
+      // Place the centre exactly one radius inside the edge (or corner)
+      corrected.x = closest.x + normal.x * playerRadius;
+      corrected.z = closest.z + normal.z * playerRadius;
+      normals.push(normal);
     }
     
-    // Player is outside polygon - BLOCK MOVEMENT COMPLETELY
-    // Don't allow any movement outside the polygon boundary
+    // No valid spot nearby (e.g. a gap narrower than the player): stay where we were
+    if (!this.isPointInPolygon(corrected)) {
+      return {
+        collision: true,
+        blocked: true,
+        position: { x: this.playerPosition.x, y: position.y, z: this.playerPosition.z },
+        normals
+      };
+    }
     
-    console.log('POLYGON BOUNDARY BLOCKED:', {
-      playerPos: { x: position.x.toFixed(3), z: position.z.toFixed(3) },
-      message: 'Movement blocked - cannot pass through polygon boundary'
+    return { collision: normals.length > 0, position: corrected, normals };
+  }
+
+  // Remove the velocity component pointing out through each boundary edge, leaving the tangent part
+  slideVelocityAlongBoundary(velocity, boundary) {
+    if (boundary.blocked) {
+      velocity.x = 0;
+      velocity.z = 0;
+      return;
+    }
+    boundary.normals.forEach(normal => {
+      const into = velocity.x * normal.x + velocity.z * normal.z;
+      if (into < 0) {
+        velocity.x -= into * normal.x;
+        velocity.z -= into * normal.z;
+      }
     });
-    
-    // Return collision with current position (no movement allowed)
-    return {
-      collision: true,
-      position: this.playerPosition, // Keep current position, don't move
-      pushback: { x: 0, y: 0, z: 0 } // No pushback, just block movement
-    };
   }
 
-  // Update physics simulation
+  // Advance the simulation by one fixed step (driven by SimulationClock)
   update(dt) {
     if (!this.isInitialized) return;
 
     try {
+      this.previousPosition = { ...this.playerPosition };
+      
       // Handle movement input
       this.handleMovement(dt);
       
@@ -212,176 +255,80 @@ class PhysicsSystem {
         z: this.playerPosition.z + this.playerVelocity.z * dt
       };
       
-      // Check polygon boundary collision first
-      const polygonCollision = this.checkPolygonBoundaryCollision(newPosition);
-      if (polygonCollision.collision) {
-        console.log('POLYGON BOUNDARY COLLISION: Preventing movement outside polygon');
-        this.playerPosition = polygonCollision.position;
-        this.playerVelocity.x = polygonCollision.pushback.x;
-        this.playerVelocity.y = polygonCollision.pushback.y;
-        this.playerVelocity.z = polygonCollision.pushback.z;
-      } else {
-        // Check red cube collision
-        if (this.wouldCollideWithRedCube(newPosition.x, newPosition.y, newPosition.z)) {
-          console.log('RED CUBE COLLISION DETECTED!');
-          // Stop horizontal movement and apply pushback
-          this.playerVelocity.x = 0;
-          this.playerVelocity.z = 0;
-          this.applyCollisionPushback();
-        } else {
-          // Apply movement if no collision
-          this.playerPosition = newPosition;
-        }
+      this.playerPosition = newPosition;
+      
+      // Resolve obstacle contacts - pushes the capsule out and slides along surfaces
+      const settings = this.sceneConfig.sceneSettings;
+      this.obstacleColliders.update();
+      const capsuleHeight = this.isCrouching ? settings.crouchHeight : settings.playerHeight;
+      const obstacleContact = this.obstacleColliders.resolvePlayer(
+        this.playerPosition, this.playerVelocity, settings.playerRadius, capsuleHeight
+      );
+      if (this.collisionProxy) {
+        const proxyContact = this.collisionProxy.resolvePlayer(
+          this.playerPosition, this.playerVelocity, settings.playerRadius, capsuleHeight
+        );
+        obstacleContact.grounded = obstacleContact.grounded || proxyContact.grounded;
+      }
+      
+      // Walkable area is applied last so nothing can push the player outside it
+      const boundary = this.checkPolygonBoundaryCollision(this.playerPosition);
+      if (boundary.collision) {
+        this.playerPosition = boundary.position;
+        this.slideVelocityAlongBoundary(this.playerVelocity, boundary);
       }
       
       // Ground collision (always check this last)
-      if (this.playerPosition.y <= this.groundLevel + window.PLAYER_RADIUS) {
-        this.playerPosition.y = this.groundLevel + window.PLAYER_RADIUS;
+      if (this.playerPosition.y <= this.groundLevel + settings.playerRadius) {
+        this.playerPosition.y = this.groundLevel + settings.playerRadius;
         this.playerVelocity.y = 0;
         this.isGrounded = true;
       } else {
-        this.isGrounded = false;
+        // Standing on top of an obstacle also counts as grounded
+        this.isGrounded = obstacleContact.grounded;
       }
       
       // Handle crouching
       this.handleCrouching();
       
-      // Update global state
-      window.isGrounded = this.isGrounded;
-      
-      // Emergency: Force player out if somehow inside red cube
-      this.forcePlayerOutOfRedCube();
-      
-      // Update camera position
-      this.updateCamera();
+      this.publishPlayerState();
       
     } catch (error) {
       console.error('Physics update error:', error);
     }
   }
 
-  // Red cube collision detection
-  wouldCollideWithRedCube(newX, newY, newZ) {
-    if (!window.redCube || !window.redCube.userData) return false;
-    
-    const redPos = window.redCube.position;
-    const dx = newX - redPos.x;
-    const dy = newY - redPos.y;
-    const dz = newZ - redPos.z;
-    
-    // Calculate distance to cube center
-    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    // Check if player would be too close to cube (MUCH larger safety margin)
-    const cubeRadius = window.redCube.userData.physicsRadius || 0.85;
-    const playerRadius = window.PLAYER_RADIUS;
-    const safeDistance = cubeRadius + playerRadius + 0.5; // Increased safety margin for better detection
-    
-    // Debug logging for collision detection
-    if (distance < safeDistance + 0.5) { // Log when getting close
-      console.log('Collision check:', {
-        distance: distance.toFixed(3),
-        safeDistance: safeDistance.toFixed(3),
-        cubeRadius: cubeRadius,
-        playerRadius: playerRadius,
-        willCollide: distance < safeDistance,
-        newPos: { x: newX.toFixed(3), y: newY.toFixed(3), z: newZ.toFixed(3) },
-        redCubePos: { x: redPos.x.toFixed(3), y: redPos.y.toFixed(3), z: redPos.z.toFixed(3) }
-      });
-    }
-    
-    return distance < safeDistance;
+  // Share grounded/crouch state with the controls and announce movement
+  publishPlayerState() {
+    this.player.isGrounded = this.isGrounded;
+    
+    const last = this.lastPublishedPosition;
+    if (last && this.vectorsEqual(last, this.playerPosition)) return;
+    this.lastPublishedPosition = { ...this.playerPosition };
+    
+    gameEvents.emit('player:moved', {
+      position: this.lastPublishedPosition,
+      velocity: { ...this.playerVelocity },
+      isGrounded: this.isGrounded,
+      isCrouching: this.isCrouching
+    });
   }
 
-  // Apply STRONG pushback when collision detected
-  applyCollisionPushback() {
-    if (!window.redCube || !window.redCube.userData) return;
-    
-    const redPos = window.redCube.position;
-    const dx = this.playerPosition.x - redPos.x;
-    const dy = this.playerPosition.y - redPos.y;
-    const dz = this.playerPosition.z - redPos.z;
-    
-    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    if (distance < 1.5 && distance > 0.01) { // Larger detection range
-      // Calculate pushback direction (away from cube)
-      const pushStrength = window.redCube.userData.pushStrength || 5.0;
-      const pushX = (dx / distance) * pushStrength;
-      const pushZ = (dz / distance) * pushStrength;
-      
-      // Add bounce effect - increase pushback strength for more bounce
-      const bounceMultiplier = 3.0; // Much stronger bounce effect
-      const bounceX = pushX * bounceMultiplier;
-      const bounceZ = pushZ * bounceMultiplier;
-      
-      // Apply STRONG pushback with bounce
-      this.playerVelocity.x = bounceX;
-      this.playerVelocity.z = bounceZ;
-      
-      // Debug logging
-      console.log('BOUNCE EFFECT APPLIED:', {
-        distance: distance.toFixed(3),
-        pushStrength: pushStrength,
-        bounceMultiplier: bounceMultiplier,
-        bounceX: bounceX.toFixed(3),
-        bounceZ: bounceZ.toFixed(3),
-        playerPos: { x: this.playerPosition.x.toFixed(3), z: this.playerPosition.z.toFixed(3) },
-        redCubePos: { x: redPos.x.toFixed(3), z: redPos.z.toFixed(3) }
-      });
-    }
+  // Build colliders for the scene's obstacle meshes
+  setObstacles(objects) {
+    this.obstacleColliders.setObstacles(objects);
   }
 
-  // EMERGENCY: Force player out if somehow inside red cube
-  forcePlayerOutOfRedCube() {
-    if (!window.redCube || !window.redCube.userData) return;
-    
-    const redPos = window.redCube.position;
-    const dx = this.playerPosition.x - redPos.x;
-    const dy = this.playerPosition.y - redPos.y;
-    const dz = this.playerPosition.z - redPos.z;
-    
-    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    // If player is inside or very close to cube center
-    if (distance < 0.5) {
-      console.log("EMERGENCY: Forcing player out of red cube!");
-      
-      // Calculate escape direction (away from cube center)
-      const escapeDistance = window.redCube.userData.escapeDistance || 1.0;
-      const escapeX = (dx / distance) * escapeDistance;
-      const escapeZ = (dz / distance) * escapeDistance;
-      
-      // Force player to safe position
-      const safeX = redPos.x + escapeX;
-      const safeZ = redPos.z + escapeZ;
-      
-      this.playerPosition.x = safeX;
-      this.playerPosition.z = safeZ;
-      
-      // Stop all movement
-      this.playerVelocity.x = 0;
-      this.playerVelocity.z = 0;
-    }
-  }
-
-  // Update red cube physics (for manipulation)
-  updateRedCubePhysics(redCube) {
-    if (!redCube || !redCube.userData) return;
-    
-    // Update the red cube position in physics system
-    this.redCubePosition = {
-      x: redCube.position.x,
-      y: redCube.position.y,
-      z: redCube.position.z
-    };
-    
-    console.log('Red cube physics updated:', this.redCubePosition);
+  // Collide against the site's proxy mesh in addition to the flat ground
+  setCollisionProxy(proxy) {
+    this.collisionProxy = proxy;
   }
 
   // Set player position (for emergency situations)
   setPlayerPosition(position) {
     this.playerPosition = { ...position };
+    // Teleports must not be interpolated
+    this.previousPosition = { ...position };
   }
 
   // Set player velocity (for pushback)
@@ -389,76 +336,46 @@ class PhysicsSystem {
     this.playerVelocity = { ...velocity };
   }
 
-  checkRedCubeCollision(position) {
-    const dx = position.x - this.redCubePosition.x;
-    const dy = position.y - this.redCubePosition.y;
-    const dz = position.z - this.redCubePosition.z;
-    
-    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-    const minDistance = this.redCubeRadius + window.PLAYER_RADIUS + 0.1;
-    
-    if (distance < minDistance) {
-      // Calculate pushback
-      const pushbackStrength = 8.0;
-      const pushbackX = (dx / distance) * pushbackStrength;
-      const pushbackZ = (dz / distance) * pushbackStrength;
-      
-      // Move player away from cube
-      const safeDistance = minDistance + 0.1;
-      const safePosition = {
-        x: this.redCubePosition.x + (dx / distance) * safeDistance,
-        y: position.y,
-        z: this.redCubePosition.z + (dz / distance) * safeDistance
-      };
-      
-      return {
-        collision: true,
-        position: safePosition,
-        pushback: { x: pushbackX, y: 0, z: pushbackZ }
-      };
-    }
-    
-    return { collision: false, position: position };
+  // Shift the player horizontally outside the simulation step (e.g. walking around in room-scale VR).
+  // The walkable boundary still applies; the interpolation start moves too so nothing jumps back.
+  movePlayerBy(dx, dz) {
+    const target = { x: this.playerPosition.x + dx, y: this.playerPosition.y, z: this.playerPosition.z + dz };
+    const boundary = this.checkPolygonBoundaryCollision(target);
+    const moved = {
+      x: boundary.position.x - this.playerPosition.x,
+      z: boundary.position.z - this.playerPosition.z
+    };
+
+    this.playerPosition = { ...this.playerPosition, x: this.playerPosition.x + moved.x, z: this.playerPosition.z + moved.z };
+    this.previousPosition = { ...this.previousPosition, x: this.previousPosition.x + moved.x, z: this.previousPosition.z + moved.z };
+    return moved;
   }
 
   checkGroundCollision() {
-    return Math.abs(this.playerPosition.y - (this.groundLevel + window.PLAYER_RADIUS)) < 0.1;
+    return Math.abs(this.playerPosition.y - (this.groundLevel + this.sceneConfig.sceneSettings.playerRadius)) < 0.1;
   }
 
   handleCrouching() {
-    const keys = window.keys || {};
-    if (keys['KeyC'] && !this.isCrouching && this.isGrounded) {
+    const crouchHeld = this.input.isPressed('crouch');
+    if (crouchHeld && !this.isCrouching && this.isGrounded) {
       this.isCrouching = true;
-      window.isCrouching = true;
-    } else if (!keys['KeyC'] && this.isCrouching) {
+      this.player.isCrouching = true;
+    } else if (!crouchHeld && this.isCrouching) {
       this.isCrouching = false;
-      window.isCrouching = false;
+      this.player.isCrouching = false;
     }
   }
 
   handleMovement(dt) {
-    const moveDir = { forward: 0, right: 0 };
-    
-    // Get movement input from the main file's system
-    if (window.getMoveInput) {
-      window.getMoveInput();
-      moveDir.forward = window.moveDir ? window.moveDir.forward : 0;
-      moveDir.right = window.moveDir ? window.moveDir.right : 0;
-    } else {
-      // Fallback to direct key access
-      const keys = window.keys || {};
-      if (keys['KeyW']) moveDir.forward += 1;
-      if (keys['KeyS']) moveDir.forward -= 1;
-      if (keys['KeyA']) moveDir.right -= 1;
-      if (keys['KeyD']) moveDir.right += 1;
-    }
+    const moveDir = this.input.getMoveVector();
+    const settings = this.sceneConfig.sceneSettings;
     
     // Calculate movement direction
     if (Math.abs(moveDir.forward) > 0.1 || Math.abs(moveDir.right) > 0.1) {
-      const speed = this.isCrouching ? window.CROUCH_SPEED : window.WALK_SPEED;
+      const speed = this.isCrouching ? settings.crouchSpeed : settings.walkSpeed;
       
       // Calculate movement direction in world space using yaw
-      const yaw = window.yaw || 0;
+      const yaw = this.player.yaw;
       const forward = new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw));
       const right = new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw));
       
@@ -479,41 +396,44 @@ class PhysicsSystem {
 
 
   handleVerticalMovement(dt) {
-    const keys = window.keys || {};
+    const settings = this.sceneConfig.sceneSettings;
     
     // Professional vertical movement with controlled flying
-    if (keys['Space']) {
+    if (this.input.isPressed('jump')) {
       if (this.isGrounded) {
-        this.playerVelocity.y = window.JUMP_FORCE;
-      } else if (this.playerPosition.y < window.MAX_FLY_HEIGHT) {
-        this.playerVelocity.y = Math.max(this.playerVelocity.y, window.FLY_SPEED);
+        this.playerVelocity.y = settings.jumpForce;
+      } else if (this.playerPosition.y < settings.maxFlyHeight) {
+        this.playerVelocity.y = Math.max(this.playerVelocity.y, settings.flySpeed);
       }
-    } else if (keys['ShiftLeft'] || keys['ShiftRight']) {
+    } else if (this.input.isPressed('flyDown')) {
       if (!this.isGrounded) {
-        this.playerVelocity.y = -window.FLY_SPEED;
+        this.playerVelocity.y = -settings.flySpeed;
       }
     }
     
     // Clamp Y position
-    if (this.playerPosition.y > window.MAX_FLY_HEIGHT + window.PLAYER_HEIGHT/2) {
-      this.playerPosition.y = window.MAX_FLY_HEIGHT + window.PLAYER_HEIGHT/2;
+    if (this.playerPosition.y > settings.maxFlyHeight + settings.playerHeight/2) {
+      this.playerPosition.y = settings.maxFlyHeight + settings.playerHeight/2;
       if (this.playerVelocity.y > 0) {
         this.playerVelocity.y = 0;
       }
     }
   }
 
-  updateCamera() {
-    if (window.camera) {
-      window.camera.position.set(
-        this.playerPosition.x,
-        this.playerPosition.y + (this.isCrouching ? window.CROUCH_HEIGHT/2 : window.PLAYER_HEIGHT/2) + window.CAMERA_OFFSET,
-        this.playerPosition.z
+  // Place the camera between the last two physics steps (alpha from SimulationClock)
+  updateCamera(alpha = 1) {
+    const camera = services.optional('camera');
+    if (camera) {
+      const settings = this.sceneConfig.sceneSettings;
+      const from = this.previousPosition;
+      const to = this.playerPosition;
+      camera.position.set(
+        from.x + (to.x - from.x) * alpha,
+        from.y + (to.y - from.y) * alpha + (this.isCrouching ? settings.crouchHeight/2 : settings.playerHeight/2) + settings.cameraOffset,
+        from.z + (to.z - from.z) * alpha
       );
       
-      if (window.yaw !== undefined && window.pitch !== undefined) {
-        window.camera.rotation.set(window.pitch, window.yaw, 0, 'YXZ');
-      }
+      camera.rotation.set(this.player.pitch, this.player.yaw, 0, 'YXZ');
     }
   }
 
@@ -541,4 +461,38 @@ class PhysicsSystem {
   }
 }
 
-export { PhysicsSystem };
\ No newline at end of file
+// Backend comes from sceneConfig.physics.backend ('simple' or 'rapier'), overridable with ?physics=...
+function resolvePhysicsBackend(sceneConfig) {
+  let backend = sceneConfig.physics.backend || 'simple';
+  try {
+    backend = new URLSearchParams(window.location.search).get('physics') || backend;
+  } catch (error) {
+    // Keep the configured backend
+  }
+  return backend;
+}
+
+// Create and initialize the configured physics backend.
+// Rapier is loaded on demand; if its wasm fails to initialise the simple system is used instead.
+async function createPhysicsSystem(scene, sceneConfig) {
+  const backend = resolvePhysicsBackend(sceneConfig);
+
+  if (backend === 'rapier') {
+    try {
+      const { RapierPhysicsSystem } = await import('./rapierPhysicsSystem.js');
+      const rapierSystem = new RapierPhysicsSystem(scene, sceneConfig);
+      await rapierSystem.initialize();
+      return rapierSystem;
+    } catch (error) {
+      console.warn('Rapier physics unavailable, falling back to simple physics:', error);
+    }
+  } else if (backend !== 'simple') {
+    console.warn(`Unknown physics backend "${backend}", using simple physics`);
+  }
+
+  const simpleSystem = new PhysicsSystem(scene, sceneConfig);
+  await simpleSystem.initialize();
+  return simpleSystem;
+}
+
+export { PhysicsSystem, createPhysicsSystem };
\ No newline at end of file
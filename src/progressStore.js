@@ -0,0 +1,53 @@
+// Progress Store Module
+// Saves treasure-hunt progress to localStorage, keyed per site and hunt
+
+const STORAGE_PREFIX = 'treasureHunt.save.';
+const SAVE_VERSION = 1;
+
+function storageKey(siteId, huntId) {
+  return `${STORAGE_PREFIX}${siteId}.${huntId}`;
+}
+
+// localStorage can throw (private browsing, quota), so every access is guarded
+function readEntry(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    if (!raw) return null;
+    const save = JSON.parse(raw);
+    return save && save.version === SAVE_VERSION ? save : null;
+  } catch (error) {
+    console.warn('Failed to read saved progress:', error);
+    return null;
+  }
+}
+
+function saveProgress(siteId, huntId, data) {
+  try {
+    const save = {
+      version: SAVE_VERSION,
+      siteId,
+      huntId,
+      savedAt: Date.now(),
+      ...data
+    };
+    window.localStorage.setItem(storageKey(siteId, huntId), JSON.stringify(save));
+    return true;
+  } catch (error) {
+    console.warn('Failed to save progress:', error);
+    return false;
+  }
+}
+
+function loadProgress(siteId, huntId) {
+  return readEntry(storageKey(siteId, huntId));
+}
+
+function clearProgress(siteId, huntId) {
+  try {
+    window.localStorage.removeItem(storageKey(siteId, huntId));
+  } catch (error) {
+    console.warn('Failed to clear saved progress:', error);
+  }
+}
+
+export { saveProgress, loadProgress, clearProgress };
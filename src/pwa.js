@@ -0,0 +1,75 @@
+// PWA Module
+// Installable, offline-capable app: registers the service worker (public/sw.js),
+// answers whether a splat is already in its cache and shows an offline badge.
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// Production builds only: in the dev server a caching worker would serve stale modules
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !(import.meta.env && import.meta.env.PROD)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      .then(registration => console.log('Service worker registered:', registration.scope))
+      .catch(error => console.warn('Service worker registration failed:', error));
+
+    // The hashed build assets were fetched before the worker existed; hand it the list
+    navigator.serviceWorker.ready
+      .then(registration => {
+        if (!registration.active) return;
+        const urls = performance.getEntriesByType('resource').map(entry => entry.name);
+        registration.active.postMessage({ type: 'cache-loaded-assets', urls });
+      })
+      .catch(error => console.warn('Could not cache loaded assets:', error));
+  });
+}
+
+// True when the service worker has a full copy of the file, so loading it needs no network
+async function isSplatCached(url) {
+  if (!url || !window.caches) return false;
+  try {
+    return Boolean(await window.caches.match(new URL(url, window.location.href).href));
+  } catch (error) {
+    console.warn('Could not check the splat cache:', error);
+    return false;
+  }
+}
+
+function isOffline() {
+  return navigator.onLine === false;
+}
+
+// Small badge under the compass strip while the device has no connection
+function createOfflineIndicator() {
+  const indicator = document.createElement('div');
+  indicator.id = 'offline-indicator';
+  indicator.textContent = 'Offline - playing from saved copy';
+  indicator.style.cssText = `
+    position: fixed;
+    top: 56px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: rgba(0, 0, 0, 0.75);
+    color: #ffcc66;
+    border: 1px solid rgba(255, 204, 102, 0.5);
+    border-radius: 6px;
+    padding: 6px 12px;
+    font-family: 'Courier New', monospace;
+    font-size: 12px;
+    backdrop-filter: blur(5px);
+    z-index: 10001;
+    pointer-events: none;
+    display: none;
+  `;
+  document.body.appendChild(indicator);
+
+  const update = () => {
+    indicator.style.display = isOffline() ? 'block' : 'none';
+  };
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+  return indicator;
+}
+
+export { registerServiceWorker, isSplatCached, isOffline, createOfflineIndicator };
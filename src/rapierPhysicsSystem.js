@@ -0,0 +1,304 @@
+import * as THREE from "three";
+import { PhysicsSystem } from './physicsSystem.js';
+
+// Character controller tuning
+const CONTROLLER_OFFSET = 0.01;
+const MAX_SLOPE_CLIMB_ANGLE = 45 * Math.PI / 180;
+const MIN_SLOPE_SLIDE_ANGLE = 30 * Math.PI / 180;
+const AUTOSTEP_HEIGHT = 0.3;
+const AUTOSTEP_MIN_WIDTH = 0.2;
+const SNAP_TO_GROUND_DISTANCE = 0.1;
+
+// Rapier-backed physics with the same interface as PhysicsSystem.
+// The player is a kinematic capsule moved by Rapier's character controller;
+// input, flying, crouching and camera handling are inherited unchanged.
+class RapierPhysicsSystem extends PhysicsSystem {
+  constructor(scene, sceneConfig) {
+    super(scene, sceneConfig);
+    this.backend = 'rapier';
+
+    this.RAPIER = null;
+    this.world = null;
+    this.playerBody = null;
+    this.playerCollider = null;
+    this.characterController = null;
+    this.groundCollider = null;
+    this.obstacleObjects = [];
+    this.obstacleRapierColliders = [];
+    this.proxyCollider = null;
+    this.colliderHalfHeight = 0;
+  }
+
+  async initialize() {
+    try {
+      console.log('Initializing Rapier Physics System...');
+
+      // The compat build embeds the wasm, so no separate fetch is needed
+      const module = await import('@dimforge/rapier3d-compat');
+      const RAPIER = module.default || module;
+      await RAPIER.init();
+      this.RAPIER = RAPIER;
+
+      this.world = new RAPIER.World({ x: 0, y: this.gravity, z: 0 });
+
+      const spawnPos = this.sceneConfig.sceneSettings.initialPosition;
+      this.playerPosition = { x: spawnPos[0], y: spawnPos[1], z: spawnPos[2] };
+      this.previousPosition = { ...this.playerPosition };
+
+      this.createGroundCollider();
+      this.createPlayer();
+      this.createCollisionBoundaries();
+
+      // Obstacles may have been handed over before the world existed
+      if (this.obstacleObjects.length > 0) {
+        this.buildObstacleColliders();
+      }
+      if (this.collisionProxy) {
+        this.buildProxyCollider();
+      }
+
+      this.isInitialized = true;
+      console.log('Rapier Physics System initialized successfully!');
+    } catch (error) {
+      console.error('Failed to initialize Rapier physics system:', error);
+      this.destroy();
+      throw error;
+    }
+  }
+
+  createGroundCollider() {
+    const { size, position } = this.sceneConfig.physics.groundCollider;
+    const desc = this.RAPIER.ColliderDesc.cuboid(size[0] / 2, size[1] / 2, size[2] / 2)
+      .setTranslation(position[0], position[1], position[2]);
+    this.groundCollider = this.world.createCollider(desc);
+  }
+
+  createPlayer() {
+    const RAPIER = this.RAPIER;
+    const settings = this.sceneConfig.sceneSettings;
+    const playerConfig = this.sceneConfig.physics.playerCollider;
+
+    this.colliderHalfHeight = this.getHalfHeight(settings.playerHeight, settings.playerRadius);
+    const center = this.getColliderCenter();
+
+    // Kinematic bodies ignore damping; update() slows the player with airResistance instead
+    const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+      .setTranslation(center.x, center.y, center.z);
+    this.playerBody = this.world.createRigidBody(bodyDesc);
+
+    const colliderDesc = RAPIER.ColliderDesc.capsule(this.colliderHalfHeight, settings.playerRadius)
+      .setFriction(playerConfig.friction)
+      .setRestitution(playerConfig.restitution);
+    this.playerCollider = this.world.createCollider(colliderDesc, this.playerBody);
+
+    const controller = this.world.createCharacterController(CONTROLLER_OFFSET);
+    controller.setSlideEnabled(true);
+    controller.setMaxSlopeClimbAngle(MAX_SLOPE_CLIMB_ANGLE);
+    controller.setMinSlopeSlideAngle(MIN_SLOPE_SLIDE_ANGLE);
+    controller.enableAutostep(AUTOSTEP_HEIGHT, AUTOSTEP_MIN_WIDTH, false);
+    controller.enableSnapToGround(SNAP_TO_GROUND_DISTANCE);
+    controller.setApplyImpulsesToDynamicBodies(true);
+    this.characterController = controller;
+  }
+
+  // playerPosition is the centre of the capsule's lower sphere, as in PhysicsSystem
+  getHalfHeight(height, radius) {
+    return Math.max(0, height - 2 * radius) / 2;
+  }
+
+  getColliderCenter() {
+    return {
+      x: this.playerPosition.x,
+      y: this.playerPosition.y + this.colliderHalfHeight,
+      z: this.playerPosition.z
+    };
+  }
+
+  // Resize the capsule when crouching and teleport the body if playerPosition was changed directly
+  syncPlayerBody() {
+    const settings = this.sceneConfig.sceneSettings;
+    const height = this.isCrouching ? settings.crouchHeight : settings.playerHeight;
+    const halfHeight = this.getHalfHeight(height, settings.playerRadius);
+    if (halfHeight !== this.colliderHalfHeight) {
+      this.colliderHalfHeight = halfHeight;
+      this.playerCollider.setHalfHeight(halfHeight);
+    }
+
+    const expected = this.getColliderCenter();
+    const current = this.playerBody.translation();
+    const drift = Math.abs(expected.x - current.x) + Math.abs(expected.y - current.y) + Math.abs(expected.z - current.z);
+    if (drift > 1e-4) {
+      this.playerBody.setTranslation(expected, true);
+    }
+  }
+
+  update(dt) {
+    if (!this.isInitialized) return;
+
+    try {
+      this.previousPosition = { ...this.playerPosition };
+      this.handleMovement(dt);
+      this.handleVerticalMovement(dt);
+
+      // Gravity and air resistance match the simple system
+      this.playerVelocity.y += this.gravity * dt;
+      this.playerVelocity.x *= this.airResistance;
+      this.playerVelocity.z *= this.airResistance;
+
+      const desired = {
+        x: this.playerVelocity.x * dt,
+        y: this.playerVelocity.y * dt,
+        z: this.playerVelocity.z * dt
+      };
+
+      // The walkable area still limits horizontal movement; slide along its edges
+      const target = {
+        x: this.playerPosition.x + desired.x,
+        y: this.playerPosition.y + desired.y,
+        z: this.playerPosition.z + desired.z
+      };
+      const boundary = this.checkPolygonBoundaryCollision(target);
+      if (boundary.collision) {
+        desired.x = boundary.position.x - this.playerPosition.x;
+        desired.z = boundary.position.z - this.playerPosition.z;
+        this.slideVelocityAlongBoundary(this.playerVelocity, boundary);
+      }
+
+      this.syncPlayerBody();
+      this.characterController.computeColliderMovement(this.playerCollider, desired);
+      const movement = this.characterController.computedMovement();
+
+      this.playerPosition = {
+        x: this.playerPosition.x + movement.x,
+        y: this.playerPosition.y + movement.y,
+        z: this.playerPosition.z + movement.z
+      };
+      this.playerBody.setNextKinematicTranslation(this.getColliderCenter());
+
+      this.world.timestep = dt;
+      this.world.step();
+
+      this.isGrounded = this.characterController.computedGrounded();
+      if (this.isGrounded && this.playerVelocity.y < 0) {
+        this.playerVelocity.y = 0;
+      }
+      // Stop rising when something overhead blocked the move
+      if (desired.y > 0 && movement.y < desired.y * 0.5) {
+        this.playerVelocity.y = 0;
+      }
+
+      this.handleCrouching();
+      this.publishPlayerState();
+
+    } catch (error) {
+      console.error('Rapier physics update error:', error);
+    }
+  }
+
+  // Obstacle meshes become fixed Rapier colliders matching their shape
+  setObstacles(objects) {
+    this.obstacleObjects = objects.slice();
+    if (this.world) {
+      this.buildObstacleColliders();
+    }
+  }
+
+  buildObstacleColliders() {
+    this.obstacleRapierColliders.forEach(collider => this.world.removeCollider(collider, false));
+    this.obstacleRapierColliders = [];
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    this.obstacleObjects.forEach(object => {
+      object.updateMatrixWorld(true);
+      object.matrixWorld.decompose(position, quaternion, scale);
+
+      const config = object.userData.obstacleConfig || {};
+      const desc = this.createObstacleColliderDesc(object, config, scale);
+      if (!desc) {
+        console.warn(`Could not build a Rapier collider for obstacle ${object.name}`);
+        return;
+      }
+
+      desc.setTranslation(position.x, position.y, position.z)
+        .setRotation({ x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w })
+        .setFriction(config.friction ?? 0)
+        .setRestitution(config.restitution ?? 0);
+      this.obstacleRapierColliders.push(this.world.createCollider(desc));
+    });
+
+    console.log(`Rapier obstacle colliders built: ${this.obstacleRapierColliders.length}`);
+  }
+
+  createObstacleColliderDesc(object, config, scale) {
+    const ColliderDesc = this.RAPIER.ColliderDesc;
+
+    switch (config.shape) {
+      case 'capsule': {
+        const radius = config.radius * Math.max(scale.x, scale.z);
+        const halfHeight = Math.max(0, config.height * scale.y - 2 * radius) / 2;
+        return ColliderDesc.capsule(halfHeight, radius);
+      }
+      case 'convexHull': {
+        const points = new Float32Array(config.points.length * 3);
+        config.points.forEach((point, i) => {
+          points[i * 3] = point[0] * scale.x;
+          points[i * 3 + 1] = point[1] * scale.y;
+          points[i * 3 + 2] = point[2] * scale.z;
+        });
+        return ColliderDesc.convexHull(points);
+      }
+      case 'box':
+      default: {
+        const params = object.geometry && object.geometry.parameters;
+        const size = config.size || (params ? [params.width, params.height, params.depth] : [1, 1, 1]);
+        return ColliderDesc.cuboid(size[0] * scale.x / 2, size[1] * scale.y / 2, size[2] * scale.z / 2);
+      }
+    }
+  }
+
+  // The proxy mesh becomes a fixed trimesh collider
+  setCollisionProxy(proxy) {
+    super.setCollisionProxy(proxy);
+    if (this.world) {
+      this.buildProxyCollider();
+    }
+  }
+
+  buildProxyCollider() {
+    if (this.proxyCollider) {
+      this.world.removeCollider(this.proxyCollider, false);
+      this.proxyCollider = null;
+    }
+    if (!this.collisionProxy) return;
+
+    const { vertices, indices } = this.collisionProxy.getTriangleMesh();
+    this.proxyCollider = this.world.createCollider(this.RAPIER.ColliderDesc.trimesh(vertices, indices));
+    console.log('Rapier collision proxy collider built');
+  }
+
+  setPlayerPosition(position) {
+    super.setPlayerPosition(position);
+    if (this.playerBody) {
+      this.playerBody.setTranslation(this.getColliderCenter(), true);
+    }
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.world) {
+      this.world.free();
+    }
+    this.world = null;
+    this.playerBody = null;
+    this.playerCollider = null;
+    this.characterController = null;
+    this.groundCollider = null;
+    this.obstacleRapierColliders = [];
+    this.proxyCollider = null;
+  }
+}
+
+export { RapierPhysicsSystem };
@@ -0,0 +1,85 @@
+// Schema Validator Module
+// Minimal JSON schema checks for content files (hunts, site registry)
+// Supported types: object, array, string, number, boolean, vec3, vec2, color, oneOf
+
+// Validate a value against a schema node, collecting readable error messages
+function validateAgainstSchema(value, schema, path, errors) {
+  switch (schema.type) {
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          validateAgainstSchema(value[key], propertySchema, `${path}.${key}`, errors);
+        }
+      });
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+      break;
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        errors.push(`${path} must be a non-empty string`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number`);
+      } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        errors.push(`${path} must be between ${schema.min ?? '-∞'} and ${schema.max ?? '∞'}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false`);
+      }
+      break;
+    case 'vec2':
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        errors.push(`${path} must be an array of 2 numbers`);
+      }
+      break;
+    case 'vec3':
+      if (!Array.isArray(value) || value.length !== 3 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        errors.push(`${path} must be an array of 3 numbers`);
+      }
+      break;
+    case 'color':
+      if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+        errors.push(`${path} must be a hex colour like "#00ff88"`);
+      }
+      break;
+    case 'oneOf': {
+      // Passes when any alternative validates cleanly
+      const matches = schema.options.some(option => {
+        const optionErrors = [];
+        validateAgainstSchema(value, option, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matches) {
+        errors.push(`${path} ${schema.description || 'does not match any allowed form'}`);
+      }
+      break;
+    }
+    default:
+      errors.push(`${path} has unknown schema type "${schema.type}"`);
+  }
+}
+
+export { validateAgainstSchema };
@@ -0,0 +1,111 @@
+// Simulation Clock Module
+// Fixed-timestep accumulator shared by physics and game timers.
+// Rendering interpolates between the last two physics steps using the returned alpha,
+// so movement and jump arcs are identical on 60 Hz and 120 Hz displays.
+
+class SimulationClock {
+  constructor(options = {}) {
+    this.fixedTimeStep = options.fixedTimeStep || 1 / 60;
+    this.maxFrameTime = options.maxFrameTime || 0.25;   // Ignore longer gaps (tab switches, breakpoints)
+    this.maxStepsPerFrame = options.maxStepsPerFrame || 8;
+
+    this.elapsed = 0;        // Simulated seconds since start (affected by pause and time scale)
+    this.accumulator = 0;
+    this.timeScale = 1;
+    this.paused = false;
+    this.lastRealTime = null;
+
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  // Advance by real time and run as many fixed steps as are due.
+  // Returns the interpolation factor (0..1) between the previous and current step.
+  advance(now, step) {
+    if (this.lastRealTime === null) {
+      this.lastRealTime = now;
+    }
+    const frameTime = Math.min((now - this.lastRealTime) / 1000, this.maxFrameTime);
+    this.lastRealTime = now;
+
+    if (this.paused) {
+      return this.getAlpha();
+    }
+
+    this.accumulator += frameTime * this.timeScale;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+      step(this.fixedTimeStep);
+      this.elapsed += this.fixedTimeStep;
+      this.accumulator -= this.fixedTimeStep;
+      this.runDueTimers();
+      steps++;
+    }
+
+    // Fell too far behind: drop the backlog rather than spiral
+    if (steps === this.maxStepsPerFrame) {
+      this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+    }
+
+    return this.getAlpha();
+  }
+
+  getAlpha() {
+    return this.accumulator / this.fixedTimeStep;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    // Time spent paused must not be simulated on the next frame
+    this.lastRealTime = null;
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+
+  getElapsed() {
+    return this.elapsed;
+  }
+
+  // --- GAME TIMERS (simulation time, so they stop while paused) ---
+
+  schedule(delaySeconds, callback, repeat = false) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      due: this.elapsed + delaySeconds,
+      interval: repeat ? delaySeconds : 0,
+      callback
+    });
+    return id;
+  }
+
+  cancel(id) {
+    this.timers.delete(id);
+  }
+
+  runDueTimers() {
+    this.timers.forEach((timer, id) => {
+      if (timer.due > this.elapsed) return;
+
+      if (timer.interval > 0) {
+        timer.due += timer.interval;
+      } else {
+        this.timers.delete(id);
+      }
+
+      try {
+        timer.callback();
+      } catch (error) {
+        console.error('Simulation timer error:', error);
+      }
+    });
+  }
+}
+
+export { SimulationClock };
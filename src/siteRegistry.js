@@ -0,0 +1,274 @@
+// Site Registry Module
+// Each heritage site bundles its splat, walkable area, ground level, spawn, obstacles and hunt
+import { validateAgainstSchema } from './schemaValidator.js';
+import { WALKABLE_AREA_SCHEMA, normalizeWalkableArea } from './walkableArea.js';
+
+const SITE_REGISTRY_URL = '/sites/index.json';
+
+const OBSTACLE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'position'],
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string' },
+    shape: { type: 'string', enum: ['box', 'capsule', 'convexHull'] },
+    size: { type: 'vec3' },
+    radius: { type: 'number', min: 0 },
+    height: { type: 'number', min: 0 },
+    points: { type: 'array', minItems: 4, items: { type: 'vec3' } },
+    position: { type: 'vec3' },
+    rotation: { type: 'vec3' },
+    scale: { type: 'vec3' },
+    color: { type: 'color' },
+    opacity: { type: 'number', min: 0, max: 1 },
+    friction: { type: 'number' },
+    restitution: { type: 'number' }
+  }
+};
+
+const BOUNDING_BOX_SCHEMA = {
+  type: 'object',
+  required: ['size', 'position'],
+  properties: {
+    size: { type: 'vec3' },
+    position: { type: 'vec3' },
+    rotation: { type: 'vec3' },
+    scale: { type: 'vec3' },
+    color: { type: 'color' },
+    opacity: { type: 'number', min: 0, max: 1 },
+    visible: { type: 'boolean' }
+  }
+};
+
+const SITE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'splat', 'spawn', 'groundLevel', 'walkableArea', 'hunt'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    location: { type: 'string' },
+    description: { type: 'string' },
+    heroTitle: { type: 'array', items: { type: 'string' } },
+    splat: {
+      type: 'object',
+      required: ['cdnUrl'],
+      properties: {
+        name: { type: 'string' },
+        cdnUrl: { type: 'string' },
+        localUrl: { type: 'string' },
+        // Stream .splat files and open the scene on a coarse subset (needs an importance-sorted file)
+        progressive: { type: 'boolean' },
+        // Only needed when the URLs have no extension; otherwise detected from the file
+        format: { type: 'string', enum: ['splat', 'ksplat', 'ply', 'spz'] },
+        position: { type: 'vec3' },
+        rotation: { type: 'vec3' },
+        scale: { type: 'vec3' }
+      }
+    },
+    spawn: {
+      type: 'object',
+      required: ['position'],
+      properties: {
+        position: { type: 'vec3' },
+        yaw: { type: 'number' },
+        pitch: { type: 'number' }
+      }
+    },
+    groundLevel: { type: 'number' },
+    maxFlyHeight: { type: 'number' },
+    walkableArea: WALKABLE_AREA_SCHEMA,
+    obstacles: { type: 'array', items: OBSTACLE_SCHEMA },
+    // Optional low-poly OBJ/glTF mesh for collisions; position/rotation/scale are relative to the splat
+    collisionProxy: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string' },
+        format: { type: 'string', enum: ['obj', 'gltf', 'glb'] },
+        position: { type: 'vec3' },
+        rotation: { type: 'vec3' },
+        scale: { type: 'vec3' }
+      }
+    },
+    boundingBox: BOUNDING_BOX_SCHEMA,
+    hunt: { type: 'string' }
+  }
+};
+
+const REGISTRY_SCHEMA = {
+  type: 'object',
+  required: ['sites'],
+  properties: {
+    defaultSite: { type: 'string' },
+    sites: { type: 'array', minItems: 1, items: SITE_SCHEMA }
+  }
+};
+
+// Each collider shape needs its own dimensions
+function validateObstacleShape(obstacle, path, errors) {
+  const shape = obstacle.shape || 'box';
+  const required = {
+    box: ['size'],
+    capsule: ['radius', 'height'],
+    convexHull: ['points']
+  }[shape] || [];
+
+  required.forEach(key => {
+    if (obstacle[key] === undefined) {
+      errors.push(`${path}.${key} is required for shape "${shape}"`);
+    }
+  });
+  if (shape === 'capsule' && obstacle.height < 2 * obstacle.radius) {
+    errors.push(`${path}.height must be at least twice the radius`);
+  }
+}
+
+function validateSiteRegistry(registry) {
+  const errors = [];
+  validateAgainstSchema(registry, REGISTRY_SCHEMA, 'registry', errors);
+
+  if (errors.length === 0) {
+    const ids = registry.sites.map(site => site.id);
+    ids.forEach((id, index) => {
+      if (ids.indexOf(id) !== index) {
+        errors.push(`registry.sites[${index}].id "${id}" is used more than once`);
+      }
+    });
+    if (registry.defaultSite && !ids.includes(registry.defaultSite)) {
+      errors.push(`registry.defaultSite "${registry.defaultSite}" does not match any site`);
+    }
+
+    registry.sites.forEach((site, siteIndex) => {
+      (site.obstacles || []).forEach((obstacle, index) => {
+        validateObstacleShape(obstacle, `registry.sites[${siteIndex}].obstacles[${index}]`, errors);
+      });
+    });
+  }
+
+  return errors;
+}
+
+// Cache the registry so the landing page and the game share one request
+let registryPromise = null;
+
+function loadSiteRegistry(url = SITE_REGISTRY_URL) {
+  if (!registryPromise) {
+    registryPromise = (async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to load site registry ${url} (HTTP ${response.status})`);
+      }
+
+      const registry = await response.json();
+      const errors = validateSiteRegistry(registry);
+      if (errors.length > 0) {
+        console.error('Site registry validation errors:', errors);
+        throw new Error(`Invalid site registry ${url}:\n- ${errors.join('\n- ')}`);
+      }
+
+      console.log(`Site registry loaded with ${registry.sites.length} site(s)`);
+      return registry;
+    })();
+
+    // Allow a retry after a failed load
+    registryPromise.catch(() => {
+      registryPromise = null;
+    });
+  }
+  return registryPromise;
+}
+
+// Pick a site by id, falling back to ?site=..., then the registry default
+function findSite(registry, siteId = null) {
+  let requestedId = siteId;
+  if (!requestedId) {
+    try {
+      requestedId = new URLSearchParams(window.location.search).get('site');
+    } catch (error) {
+      requestedId = null;
+    }
+  }
+
+  const site = registry.sites.find(entry => entry.id === requestedId) ||
+               registry.sites.find(entry => entry.id === registry.defaultSite) ||
+               registry.sites[0];
+
+  if (requestedId && site.id !== requestedId) {
+    console.warn(`Unknown site "${requestedId}", using "${site.id}"`);
+  }
+  return site;
+}
+
+function parseColor(hex, fallback) {
+  return hex ? parseInt(hex.slice(1), 16) : fallback;
+}
+
+// Obstacle entry (site or hunt file) with defaults applied and colour parsed
+function normalizeObstacle(obstacle) {
+  return {
+    type: 'impenetrable',
+    shape: 'box',
+    rotation: [0, 0, 0],
+    scale: [1, 1, 1],
+    opacity: 0.9,
+    friction: 0.0,
+    restitution: 0.0,
+    ...obstacle,
+    color: parseColor(obstacle.color, 0xff0000)
+  };
+}
+
+function normalizeBoundingBox(boundingBox, base) {
+  return {
+    ...base,
+    rotation: [0, 0, 0],
+    scale: [1, 1, 1],
+    ...boundingBox,
+    color: parseColor(boundingBox.color, base.color)
+  };
+}
+
+// Copy the selected site's values into the scene configuration used by init()
+function applySiteToConfig(sceneConfig, site) {
+  sceneConfig.site = { id: site.id, name: site.name, location: site.location || '' };
+
+  sceneConfig.splat = {
+    name: site.splat.name || site.id,
+    cdnUrl: site.splat.cdnUrl,
+    localUrl: site.splat.localUrl || site.splat.cdnUrl,
+    progressive: site.splat.progressive !== false,
+    format: site.splat.format || null,
+    position: site.splat.position || [0, 0, 0],
+    rotation: site.splat.rotation || [0, 0, 0],
+    scale: site.splat.scale || [1, 1, 1]
+  };
+
+  sceneConfig.sceneSettings.initialPosition = site.spawn.position;
+  sceneConfig.sceneSettings.initialYaw = site.spawn.yaw || 0;
+  sceneConfig.sceneSettings.initialPitch = site.spawn.pitch || 0;
+  sceneConfig.sceneSettings.groundLevel = site.groundLevel;
+  if (site.maxFlyHeight !== undefined) {
+    sceneConfig.sceneSettings.maxFlyHeight = site.maxFlyHeight;
+  }
+  sceneConfig.physics.groundCollider.position = [0, site.groundLevel - 0.1, 0];
+
+  sceneConfig.walkableArea = normalizeWalkableArea(site.walkableArea);
+
+  sceneConfig.obstacles = (site.obstacles || []).map(normalizeObstacle);
+
+  sceneConfig.collisionProxy = site.collisionProxy ? { ...site.collisionProxy } : null;
+
+  sceneConfig.boundingBox = site.boundingBox ?
+    normalizeBoundingBox(site.boundingBox, sceneConfig.boundingBox) : null;
+
+  // The site's default hunt; loadHunt() lets a ?hunt= parameter override it (see resolveHuntUrl)
+  sceneConfig.treasureHunt.definitionUrl = site.hunt;
+
+  console.log(`Site "${site.name}" applied to scene configuration`);
+}
+
+export {
+  SITE_REGISTRY_URL, SITE_SCHEMA, OBSTACLE_SCHEMA, BOUNDING_BOX_SCHEMA,
+  validateSiteRegistry, validateObstacleShape, normalizeObstacle, normalizeBoundingBox,
+  loadSiteRegistry, findSite, applySiteToConfig
+};
@@ -0,0 +1,378 @@
+// Splat Loader Module
+// Downloads a site's splat with real byte progress, a stall timeout and URL fallback,
+// then hands the bytes to Spark's SplatMesh. Cancelling goes through an AbortSignal.
+// .splat files are decoded while they stream: the scene opens on a coarse subset and
+// refines as the rest arrives, up to the device's splat budget (see deviceProfile.js).
+// .ksplat, .ply and .spz are downloaded whole and decoded by Spark; the format comes from
+// the site config, the file's magic bytes or its extension (see detectSplatFormat).
+import * as THREE from "three";
+import { SplatMesh, PackedSplats } from "@sparkjsdev/spark";
+
+const STALL_TIMEOUT = 20000;      // ms without receiving any data before a download is abandoned
+const SPEED_WINDOW = 3000;        // ms of recent samples used for the download speed
+const SPLAT_RECORD_BYTES = 32;    // .splat: position 3xf32, scale 3xf32, RGBA 4xu8, rotation 4xu8
+const REFINE_INTERVAL = 250;      // ms between GPU uploads while splats stream in
+const KSPLAT_HEADER_BYTES = 4096;
+
+// Formats Spark can decode (values match Spark's file types); only .splat streams
+const SPLAT_FORMATS = ['splat', 'ksplat', 'ply', 'spz'];
+
+function createAbortError(message = 'Loading cancelled') {
+  return new DOMException(message, 'AbortError');
+}
+
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(0, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDuration(seconds) {
+  const rounded = Math.max(1, Math.round(seconds));
+  if (rounded < 60) return `${rounded}s`;
+  return `${Math.floor(rounded / 60)}m ${String(rounded % 60).padStart(2, '0')}s`;
+}
+
+// "12.3 MB of 85.0 MB - 2.1 MB/s - about 35s left" (total is 0 when the server sends no length)
+function formatDownloadStatus({ loaded, total, bytesPerSecond, secondsLeft }) {
+  const parts = [total ? `${formatBytes(loaded)} of ${formatBytes(total)}` : `${formatBytes(loaded)} downloaded`];
+  if (bytesPerSecond > 0) parts.push(`${formatBytes(bytesPerSecond)}/s`);
+  if (secondsLeft !== null) parts.push(`about ${formatDuration(secondsLeft)} left`);
+  return parts.join(' - ');
+}
+
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+// Fetch a file, reporting { loaded, total, bytesPerSecond, secondsLeft } as chunks arrive.
+// Resolves with the whole file, or with null when onChunk(chunk, total) consumes the chunks
+// (returning false from onChunk stops the download early).
+// Fails when no data arrives for `timeout` ms; rejects with an AbortError on cancel.
+async function fetchWithProgress(url, { signal = null, timeout = STALL_TIMEOUT, onProgress = null, onChunk = null } = {}) {
+  if (signal && signal.aborted) throw createAbortError();
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  let timedOut = false;
+  let stallTimer = null;
+  const restartStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  };
+
+  try {
+    restartStallTimer();
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+    }
+
+    // A compressed response's Content-Length counts compressed bytes, not what the reader yields
+    const encoding = response.headers.get('Content-Encoding');
+    const total = encoding && encoding !== 'identity' ? 0 : Number(response.headers.get('Content-Length')) || 0;
+
+    if (!response.body) {
+      const buffer = await response.arrayBuffer();
+      if (onProgress) onProgress({ loaded: buffer.byteLength, total: buffer.byteLength, bytesPerSecond: 0, secondsLeft: null });
+      if (!onChunk) return buffer;
+      onChunk(new Uint8Array(buffer), buffer.byteLength);
+      return null;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    const samples = [];   // [time, loaded] pairs for the speed estimate
+    let loaded = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      restartStallTimer();
+      loaded += value.byteLength;
+      if (!onChunk) {
+        chunks.push(value);
+      } else if (onChunk(value, total) === false) {
+        reader.cancel();
+        break;
+      }
+
+      if (onProgress) {
+        const now = performance.now();
+        samples.push([now, loaded]);
+        while (samples.length > 2 && now - samples[0][0] > SPEED_WINDOW) samples.shift();
+        const elapsed = (now - samples[0][0]) / 1000;
+        const bytesPerSecond = elapsed > 0 ? (loaded - samples[0][1]) / elapsed : 0;
+        const secondsLeft = total > loaded && bytesPerSecond > 0 ? (total - loaded) / bytesPerSecond : null;
+        onProgress({ loaded, total, bytesPerSecond, secondsLeft });
+      }
+    }
+
+    return onChunk ? null : concatBytes(chunks).buffer;
+  } catch (error) {
+    if (signal && signal.aborted) throw createAbortError();
+    if (timedOut) throw new Error(`no data received for ${Math.round(timeout / 1000)} seconds`);
+    throw error;
+  } finally {
+    clearTimeout(stallTimer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+function getExtension(url) {
+  const match = /\.([a-z0-9]+)$/i.exec(new URL(url, window.location.href).pathname);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Formats with a signature: ASCII "ply\n" header, gzip stream (.spz is gzipped)
+function detectMagic(bytes) {
+  if (bytes.length >= 4 && bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 && bytes[3] === 0x0a) return 'ply';
+  if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) return 'spz';
+  return null;
+}
+
+// .ksplat header: version 0.x, section and splat counts within their maxima, compression level 0-2
+function looksLikeKsplat(bytes) {
+  if (bytes.length < KSPLAT_HEADER_BYTES || bytes[0] !== 0 || bytes[1] < 1) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, 24);
+  const maxSections = view.getUint32(4, true);
+  const sections = view.getUint32(8, true);
+  const maxSplats = view.getUint32(12, true);
+  const splats = view.getUint32(16, true);
+  return sections > 0 && sections <= maxSections && splats > 0 && splats <= maxSplats && view.getUint16(20, true) <= 2;
+}
+
+// Magic bytes win (a renamed .ply is still a .ply), then a known extension. URLs without an
+// extension fall back to the .ksplat header and, as raw .splat has no header, whole 32-byte
+// records. Returns null when the data is none of the supported formats.
+function detectSplatFormat(url, bytes) {
+  const magic = detectMagic(bytes);
+  if (magic) return magic;
+  const extension = getExtension(url);
+  if (extension) return SPLAT_FORMATS.includes(extension) ? extension : null;
+  if (looksLikeKsplat(bytes)) return 'ksplat';
+  if (bytes.length > 0 && bytes.length % SPLAT_RECORD_BYTES === 0) return 'splat';
+  return null;
+}
+
+function createUnsupportedFormatError(url) {
+  const extension = getExtension(url);
+  const error = new Error(`unsupported splat format${extension ? ` ".${extension}"` : ''}`);
+  error.unsupportedFormat = extension || 'unknown';
+  return error;
+}
+
+// Build a SplatMesh from downloaded bytes; resolves once Spark has decoded them
+async function createSplatMesh(bytes, url, format) {
+  const mesh = new SplatMesh({ fileBytes: bytes, fileType: format, fileName: url.split('/').pop() });
+  try {
+    await mesh.initialized;
+  } catch (error) {
+    if (mesh.dispose) mesh.dispose();
+    throw new Error(`could not decode the splat (${error.message})`);
+  }
+  return mesh;
+}
+
+// Append `count` .splat records from `bytes` to packedSplats
+const decodeScratch = {
+  center: new THREE.Vector3(),
+  scales: new THREE.Vector3(),
+  quaternion: new THREE.Quaternion(),
+  color: new THREE.Color()
+};
+
+function decodeSplatRecords(bytes, count, packedSplats) {
+  const { center, scales, quaternion, color } = decodeScratch;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, count * SPLAT_RECORD_BYTES);
+  for (let i = 0; i < count; i++) {
+    const base = i * SPLAT_RECORD_BYTES;
+    center.set(view.getFloat32(base, true), view.getFloat32(base + 4, true), view.getFloat32(base + 8, true));
+    scales.set(view.getFloat32(base + 12, true), view.getFloat32(base + 16, true), view.getFloat32(base + 20, true));
+    color.setRGB(bytes[base + 24] / 255, bytes[base + 25] / 255, bytes[base + 26] / 255);
+    // Rotation bytes are w, x, y, z mapped from [-1, 1] to [0, 255]
+    quaternion.set(
+      (bytes[base + 29] - 128) / 128,
+      (bytes[base + 30] - 128) / 128,
+      (bytes[base + 31] - 128) / 128,
+      (bytes[base + 28] - 128) / 128
+    ).normalize();
+    packedSplats.pushSplat(center, scales, quaternion, bytes[base + 27] / 255, color);
+  }
+}
+
+// Stream a .splat file into a SplatMesh. The common .splat converters sort splats most
+// significant first, so every prefix of the file is a usable coarse version of the scene:
+// resolves with { mesh, refined } once coarseSplats are decoded; `refined` resolves with the
+// final splat count when the download ends or maxSplats is reached.
+// Resolves with null when the data turns out to be another format (a mislabelled file).
+async function streamSplat(url, { signal, timeout, maxSplats, coarseSplats, onProgress, onDecode }) {
+  let packedSplats = null;
+  let mesh = null;
+  let otherFormat = null;
+  let decoded = 0;
+  let pending = new Uint8Array(0);   // Start of a record split across chunks
+  let lastUpload = 0;
+  let markCoarseReady;
+  const coarseReady = new Promise(resolve => {
+    markCoarseReady = resolve;
+  });
+
+  const upload = () => {
+    packedSplats.needsUpdate = true;
+    // The splat count grew since the mesh was built
+    if (mesh) mesh.updateGenerator?.();
+    lastUpload = performance.now();
+  };
+
+  const onChunk = (chunk, total) => {
+    if (!packedSplats) {
+      otherFormat = detectMagic(chunk);
+      if (otherFormat) return false;
+      // Size the buffers once when the length is known, otherwise let them grow
+      packedSplats = new PackedSplats(total ? { maxSplats: Math.min(Math.floor(total / SPLAT_RECORD_BYTES), maxSplats) } : {});
+    }
+
+    const bytes = pending.byteLength ? concatBytes([pending, chunk]) : chunk;
+    const count = Math.min(Math.floor(bytes.byteLength / SPLAT_RECORD_BYTES), maxSplats - decoded);
+    decodeSplatRecords(bytes, count, packedSplats);
+    decoded += count;
+    pending = bytes.slice(count * SPLAT_RECORD_BYTES);
+
+    if (decoded >= coarseSplats) markCoarseReady();
+    if (mesh && performance.now() - lastUpload > REFINE_INTERVAL) upload();
+    // Past the budget the rest of the file is never downloaded
+    return decoded < maxSplats;
+  };
+
+  // Own controller so a decode failure can stop the download too
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort, { once: true });
+
+  const target = Math.min(coarseSplats, maxSplats) * SPLAT_RECORD_BYTES;
+  const download = fetchWithProgress(url, {
+    signal: controller.signal,
+    timeout,
+    onChunk,
+    // The wait that matters is until the scene opens, so the time left counts to target
+    onProgress: onProgress && (progress => onProgress({
+      ...progress,
+      target,
+      secondsLeft: target > progress.loaded && progress.bytesPerSecond > 0 ? (target - progress.loaded) / progress.bytesPerSecond : null
+    }))
+  });
+  // The caller's signal outlives this download (it also stops the background refinement)
+  const detach = () => {
+    if (signal) signal.removeEventListener('abort', abort);
+  };
+  download.then(detach, detach);
+
+  // Open the scene on the coarse subset, or the whole file when it is smaller than that
+  await Promise.race([coarseReady, download]);
+  if (otherFormat) {
+    console.warn(`${url} holds ${otherFormat} data, loading it without streaming`);
+    return null;
+  }
+  if (decoded === 0) {
+    throw new Error('the file contains no splats');
+  }
+  const refined = download.then(() => {
+    upload();
+    console.log(`Splat streaming finished: ${decoded} splats`);
+    return decoded;
+  });
+  // Failures after this point are the caller's to report through `refined`
+  refined.catch(() => {});
+
+  if (onDecode) onDecode(url);
+  upload();
+  mesh = new SplatMesh({ packedSplats });
+  try {
+    await mesh.initialized;
+  } catch (error) {
+    controller.abort();
+    throw new Error(`could not decode the splat (${error.message})`);
+  }
+  return { mesh, refined };
+}
+
+// Try each URL in order until one downloads and decodes.
+// Callbacks: onSource(url, index) when a URL is tried, onProgress(progress) while downloading
+// (when streaming, progress.target is the byte count needed before the scene can open),
+// onDecode(url) once Spark is building the mesh.
+// progressive: stream .splat files (maxSplats / coarseSplats as in streamSplat).
+// format: one of SPLAT_FORMATS when the URLs don't reveal it; detected when null.
+// Resolves with { mesh, url, refined }; the error after the last URL lists why each one failed.
+async function loadSplat(urls, {
+  signal = null,
+  timeout = STALL_TIMEOUT,
+  progressive = true,
+  format = null,
+  maxSplats = Infinity,
+  coarseSplats = Infinity,
+  onSource = null,
+  onProgress = null,
+  onDecode = null
+} = {}) {
+  const failures = [];
+
+  for (let index = 0; index < urls.length; index++) {
+    const url = urls[index];
+    if (onSource) onSource(url, index);
+    try {
+      if (progressive && (format || getExtension(url)) === 'splat') {
+        const streamed = await streamSplat(url, { signal, timeout, maxSplats, coarseSplats, onProgress, onDecode });
+        if (streamed && signal && signal.aborted) {
+          if (streamed.mesh.dispose) streamed.mesh.dispose();
+          throw createAbortError();
+        }
+        if (streamed) return { mesh: streamed.mesh, url, refined: streamed.refined };
+      }
+
+      const buffer = await fetchWithProgress(url, { signal, timeout, onProgress });
+      if (signal && signal.aborted) throw createAbortError();
+      const bytes = new Uint8Array(buffer);
+      const fileFormat = detectMagic(bytes) || format || detectSplatFormat(url, bytes);
+      if (!fileFormat) throw createUnsupportedFormatError(url);
+      console.log(`Splat format of ${url}: ${fileFormat}`);
+      if (onDecode) onDecode(url);
+      const mesh = await createSplatMesh(buffer, url, fileFormat);
+      if (signal && signal.aborted) {
+        if (mesh.dispose) mesh.dispose();
+        throw createAbortError();
+      }
+      return { mesh, url, refined: Promise.resolve(null) };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Splat failed to load from ${url}:`, error);
+      failures.push({ url, error });
+    }
+  }
+
+  const details = failures.map(({ url, error }) => `${url}: ${error.message}`).join('\n- ');
+  const unsupported = failures.find(({ error }) => error.unsupportedFormat);
+  if (unsupported) {
+    const error = new Error(`The 3D scene is in a file format this viewer cannot open (${unsupported.error.unsupportedFormat}). ` +
+      `Supported formats: ${SPLAT_FORMATS.map(name => `.${name}`).join(', ')}.\n- ${details}`);
+    error.unsupportedFormat = unsupported.error.unsupportedFormat;
+    throw error;
+  }
+  throw new Error(`The 3D scene could not be loaded.\n- ${details}`);
+}
+
+export { loadSplat, fetchWithProgress, detectSplatFormat, formatDownloadStatus, formatBytes, createAbortError, isAbortError, SPLAT_FORMATS, STALL_TIMEOUT };
@@ -1,5 +1,6 @@
 // Top UI Icons Module for Treasure Hunt Game
 // Small clean design matching the reference image
+import { services } from './gameEvents.js';
 
 class TopUIIcons {
     constructor() {
@@ -61,10 +62,56 @@ class TopUIIcons {
         const helpIcon = this.createIcon('help', this.getHelpSVG());
         helpIcon.addEventListener('click', () => this.handleHelpClick());
 
+        // --- Controls Icon (key bindings) ---
+        const controlsIcon = this.createIcon('controls', this.getControlsSVG());
+        controlsIcon.title = 'Controls';
+        controlsIcon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleControlsClick();
+        });
+
+        // --- Camera Icon (photo mode) ---
+        const cameraIcon = this.createIcon('camera', this.getCameraSVG());
+        cameraIcon.title = 'Photo mode';
+        cameraIcon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleCameraClick();
+        });
+
+        // --- Reset Progress Icon ---
+        const resetIcon = this.createIcon('reset', this.getResetSVG());
+        resetIcon.title = 'Reset progress';
+        resetIcon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleResetClick();
+        });
+
         // Assemble UI
         this.uiContainer.appendChild(logoContainer);
         this.uiContainer.appendChild(gameIcon);
         this.uiContainer.appendChild(helpIcon);
+        this.uiContainer.appendChild(controlsIcon);
+        this.uiContainer.appendChild(cameraIcon);
+        this.uiContainer.appendChild(resetIcon);
+
+        // --- Hunt Editor Icon (authoring only, enabled with ?editor) ---
+        if (this.isEditorEnabled()) {
+            const editorIcon = this.createIcon('editor', this.getEditorSVG());
+            editorIcon.title = 'Hunt editor';
+            editorIcon.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleEditorClick();
+            });
+            this.uiContainer.appendChild(editorIcon);
+
+            const boundaryIcon = this.createIcon('boundary', this.getBoundarySVG());
+            boundaryIcon.title = 'Walkable area editor';
+            boundaryIcon.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleBoundaryEditorClick();
+            });
+            this.uiContainer.appendChild(boundaryIcon);
+        }
 
         // Add to document
         document.body.appendChild(this.uiContainer);
@@ -220,29 +267,77 @@ class TopUIIcons {
 
 
 
+    getResetSVG() {
+        return `
+            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 5V1L7 6l5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6H4c0 4.42 3.58 8 8 8s8-3.58 8-8-3.58-8-8-8z"/>
+            </svg>
+        `;
+    }
+
+    getCameraSVG() {
+        return `
+            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path d="M9 3L7.17 5H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2h-3.17L15 3H9zm3 15c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>
+            </svg>
+        `;
+    }
+
+    getEditorSVG() {
+        return `
+            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+            </svg>
+        `;
+    }
+
+    getControlsSVG() {
+        return `
+            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path d="M20 5H4c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm-9 3h2v2h-2V8zm0 3h2v2h-2v-2zM8 8h2v2H8V8zm0 3h2v2H8v-2zm-1 2H5v-2h2v2zm0-3H5V8h2v2zm9 7H8v-2h8v2zm0-4h-2v-2h2v2zm0-3h-2V8h2v2zm3 3h-2v-2h2v2zm0-3h-2V8h2v2z"/>
+            </svg>
+        `;
+    }
+
+    getBoundarySVG() {
+        return `
+            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path d="M4 4h4v2h8V4h4v4h-2v8h2v4h-4v-2H8v2H4v-4h2V8H4V4zm4 4v8h8V8H8z"/>
+            </svg>
+        `;
+    }
+
+    isEditorEnabled() {
+        try {
+            return new URLSearchParams(window.location.search).has('editor');
+        } catch (error) {
+            return false;
+        }
+    }
+
     // --- Event Handlers ---
 
     handleGameClick() {
         console.log('Game icon clicked - Starting treasure hunt');
         
         // Start the treasure hunt game
-        if (window.startTreasureHunt) {
-            window.startTreasureHunt();
+        const game = services.optional('game');
+        if (game) {
+            game.startHunt();
         }
         
         this.showNotification('Treasure Hunt', 'Game started! Find the hidden clues.');
     }
 
     handleHelpClick() {
-        console.log('Help clicked - Show hint for current level');
+        console.log('Help clicked - Show hints for current level');
         
         // Get current level cube name
-        const gameState = window.gameState || { currentLevel: 0 };
-        const cubeProgression = ['helloCube', 'newCube', 'anotherCube2'];
-        const currentCubeName = cubeProgression[gameState.currentLevel];
+        const game = services.optional('game');
+        const currentCubeName = game ? game.getCurrentClueName() : null;
         
-        if (currentCubeName && window.showHint) {
-            window.showHint(currentCubeName);
+        if (currentCubeName) {
+            game.showHintPanel(currentCubeName);
         } else {
             this.showNotification('Help', 'WASD: Move | Mouse: Look around');
         }
@@ -250,6 +345,61 @@ class TopUIIcons {
 
 
 
+    handleControlsClick() {
+        const controlsSettings = services.optional('controlsSettings');
+        if (controlsSettings) {
+            controlsSettings.toggle();
+        }
+    }
+
+    // Camera icon and the screenshot key (F2)
+    handleCameraClick() {
+        const photoMode = services.optional('photoMode');
+        if (photoMode) {
+            photoMode.toggle();
+        }
+    }
+
+    handleEditorClick() {
+        const editors = services.optional('editors');
+        if (!editors) return;
+
+        const active = editors.toggleHuntEditor();
+        this.showNotification('Hunt Editor', active ?
+            'Editor on. Click objects to edit them, export when done.' :
+            'Editor off. Click the scene to resume playing.');
+    }
+
+    handleBoundaryEditorClick() {
+        const editors = services.optional('editors');
+        if (!editors) return;
+
+        const active = editors.toggleBoundaryEditor();
+        this.showNotification('Walkable Area', active ?
+            'Editor on. Click the ground to add points, drag to move them.' :
+            'Editor off. Click the scene to resume playing.');
+    }
+
+    handleResetClick() {
+        console.log('Reset clicked - Clearing saved progress');
+
+        // Release the pointer so the confirmation dialog can be used
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+
+        if (!window.confirm('Reset your treasure hunt progress and start over?')) {
+            return;
+        }
+
+        const game = services.optional('game');
+        if (game) {
+            game.resetProgress();
+        }
+
+        this.showNotification('Progress Reset', 'Your progress has been cleared. Press the game icon to start again.');
+    }
+
     showNotification(title, message) {
         // Remove existing notification
         const existingNotification = document.querySelector('.ui-notification');
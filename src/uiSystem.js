@@ -1,5 +1,10 @@
 // UI System Module
 import * as THREE from "three";
+import { gameEvents, services } from './gameEvents.js';
+import { Minimap, CompassStrip } from './minimap.js';
+
+const NAVIGATION_STORAGE_KEY = 'treasureHunt.navigationHud';
+const SMALL_SCREEN_WIDTH = 600;   // Below this the minimap and compass strip would cover the view
 
 
 class RaycastManager {
@@ -10,9 +15,32 @@ class RaycastManager {
     this.mouse = new THREE.Vector2(0, 0); 
     this.currentHit = null;
     this.raycastDistance = 1000;
+    this.collisionProxy = null;
+    this.groundLevel = services.get('config').sceneSettings.groundLevel;
     this.createAccurateGroundPlane();
   }
 
+  // Surface hits come from the site's proxy mesh when one is loaded
+  setCollisionProxy(proxy) {
+    this.collisionProxy = proxy;
+  }
+
+  buildProxyHitInfo(proxyHit, rayOrigin, rayDirection) {
+    return {
+      hasHit: true,
+      point: proxyHit.point.clone(),
+      localPoint: proxyHit.point.clone(),
+      object: null,
+      distance: proxyHit.distance,
+      normal: proxyHit.normal.clone(),
+      uv: null,
+      worldPosition: proxyHit.point.clone(),
+      objectType: 'surface',
+      rayOrigin: rayOrigin,
+      rayDirection: rayDirection
+    };
+  }
+
   createAccurateGroundPlane() {
     // Create a large invisible plane at exact ground level for precise raycasting
     const groundGeometry = new THREE.PlaneGeometry(200, 200);
@@ -24,7 +52,7 @@ class RaycastManager {
     });
     this.accurateGroundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
     this.accurateGroundPlane.rotation.x = -Math.PI / 2;
-    this.accurateGroundPlane.position.set(0, window.GROUND_LEVEL || -1.35, -3);
+    this.accurateGroundPlane.position.set(0, this.groundLevel, -3);
     this.accurateGroundPlane.name = 'accurate_ground_plane';
     this.scene.add(this.accurateGroundPlane);
   }
@@ -32,6 +60,17 @@ class RaycastManager {
   // Enhanced raycast with proper world coordinate calculation
   performRaycast() {
     this.raycaster.setFromCamera(this.mouse, this.camera);
+    return this.intersectScene();
+  }
+
+  // Same hit logic for an arbitrary world-space ray, e.g. a VR controller
+  raycastFromRay(origin, direction) {
+    this.raycaster.ray.origin.copy(origin);
+    this.raycaster.ray.direction.copy(direction).normalize();
+    return this.intersectScene();
+  }
+
+  intersectScene() {
     this.raycaster.far = this.raycastDistance;
     // Get ray origin and direction in world space
     const rayOrigin = this.raycaster.ray.origin.clone();
@@ -45,6 +84,8 @@ class RaycastManager {
     });
     
     const intersects = this.raycaster.intersectObjects(meshes, true);
+    const proxyHit = this.collisionProxy ?
+      this.collisionProxy.raycast(rayOrigin, rayDirection, this.raycastDistance) : null;
     if (intersects.length > 0) {
       // Find the closest meaningful hit (prioritize interactive objects, then visible objects)
       let bestHit = intersects[0];
@@ -62,14 +103,21 @@ class RaycastManager {
           // Don't break here, keep looking for interactive objects
         }
       }
+      // The proxy surface replaces the flat ground plane and blocks anything behind it,
+      // clue cubes included, so clues can't be clicked through walls
+      if (proxyHit &&
+          (bestHit.object.name === 'accurate_ground_plane' || proxyHit.distance < bestHit.distance)) {
+        return this.buildProxyHitInfo(proxyHit, rayOrigin, rayDirection);
+      }
       // Calculate precise world position accounting for all transformations
       let worldPosition = bestHit.point.clone();
       // If hitting the SPLAT mesh, adjust coordinates relative to its transform
-      if (bestHit.object === window.splat || bestHit.object.parent === window.splat) {
+      const splat = services.optional('splat');
+      if (splat && (bestHit.object === splat || bestHit.object.parent === splat)) {
         // Account for SPLAT position and rotation
         const splatMatrix = new THREE.Matrix4();
-        window.splat.updateMatrixWorld(true);
-        splatMatrix.copy(window.splat.matrixWorld);
+        splat.updateMatrixWorld(true);
+        splatMatrix.copy(splat.matrixWorld);
         // Transform the hit point to world coordinates
         worldPosition.applyMatrix4(splatMatrix);
       }
@@ -86,9 +134,11 @@ class RaycastManager {
         rayOrigin: rayOrigin,
         rayDirection: rayDirection
       };
+    } else if (proxyHit) {
+      return this.buildProxyHitInfo(proxyHit, rayOrigin, rayDirection);
     } else {
       // No hit - calculate precise ground intersection manually
-      const t = ((window.GROUND_LEVEL || -1.35) - rayOrigin.y) / rayDirection.y;
+      const t = (this.groundLevel - rayOrigin.y) / rayDirection.y;
       const groundIntersection = rayOrigin.clone().add(rayDirection.clone().multiplyScalar(t));
       return {
         hasHit: false,
@@ -128,9 +178,17 @@ class RaycastManager {
 class HUDManager {
   constructor() {
     this.elements = {};
+    const mobileControls = services.optional('mobileControls');
+    this.isMobile = !!(mobileControls && mobileControls.isMobile);
     this.createControlsDisplay();
     this.createCrosshair();
     this.createProgressBar();
+    this.createNavigation();
+    
+    gameEvents.on('progress:changed', (progress) => this.updateProgressBar(progress));
+    gameEvents.on('hunt:timer', () => this.updateProgressBar());
+    gameEvents.on('input:rebound', () => this.renderControlsLegend());
+    gameEvents.on('input:gamepad', () => this.renderControlsLegend());
   }
   
   createControlsDisplay() {
@@ -152,45 +210,42 @@ class HUDManager {
       backdrop-filter: blur(5px);
       z-index: 1000;
       min-width: 120px;
-      ${window.mobileControls && window.mobileControls.isMobile ? 'display: none;' : ''}
-    `;
-    display.innerHTML = `
-      <div style="color: #429fb8; font-weight: bold; margin-bottom: 4px; font-size: 11px;">
-        Controls
-      </div>
-      <div style="color: #fff; line-height: 1.1;">
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">WASD:</span> 
-          <span style="color: #fff;">Move</span>
-        </div>
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">Space:</span> 
-          <span style="color: #fff;">Jump/Fly</span>
-        </div>
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">Shift:</span> 
-          <span style="color: #fff;">Fly Down</span>
-        </div>
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">C:</span> 
-          <span style="color: #fff;">Crouch</span>
-        </div>
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">Mouse:</span> 
-          <span style="color: #fff;">Look</span>
-        </div>
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">Click:</span> 
-          <span style="color: #fff;">Interact</span>
-        </div>
-        <div style="margin-bottom: 2px;">
-          <span style="color: #429fb8; font-weight: bold;">ESC:</span> 
-          <span style="color: #fff;">Cursor Out</span>
-        </div>
-      </div>
+      ${this.isMobile ? 'display: none;' : ''}
     `;
     document.body.appendChild(display);
     this.elements.controls = display;
+    this.renderControlsLegend();
+  }
+  
+  // Legend rows come from the live key bindings (see inputActions.js), or the controller layout while one is connected
+  renderControlsLegend() {
+    const display = this.elements.controls;
+    const input = services.optional('input');
+    if (!display || !input) return;
+    
+    const gamepad = services.optional('gamepad');
+    const legend = gamepad && gamepad.isConnected() ? gamepad.getLegend() : input.getLegend();
+    // Key labels come from the keyboard layout map ('<', '&', ...), so they are set as text
+    const title = document.createElement('div');
+    title.style.cssText = 'color: #429fb8; font-weight: bold; margin-bottom: 4px; font-size: 11px;';
+    title.textContent = 'Controls';
+    
+    const rows = document.createElement('div');
+    rows.style.cssText = 'color: #fff; line-height: 1.1;';
+    legend.forEach(({ keys, label }) => {
+      const row = document.createElement('div');
+      row.style.marginBottom = '2px';
+      const keysElement = document.createElement('span');
+      keysElement.style.cssText = 'color: #429fb8; font-weight: bold;';
+      keysElement.textContent = `${keys}: `;
+      const labelElement = document.createElement('span');
+      labelElement.style.color = '#fff';
+      labelElement.textContent = label;
+      row.append(keysElement, labelElement);
+      rows.appendChild(row);
+    });
+    
+    display.replaceChildren(title, rows);
   }
   
   createCrosshair() {
@@ -205,7 +260,7 @@ class HUDManager {
       z-index: 10000;
       width: 20px;
       height: 20px;
-      ${window.mobileControls && window.mobileControls.isMobile ? 'display: block !important;' : ''}
+      ${this.isMobile ? 'display: block !important;' : ''}
     `;
     // Create crosshair elements
     const elements = [
@@ -248,18 +303,15 @@ class HUDManager {
       const dz = playerPosition.z - objPos.z;
       const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
 
-      let threshold = 1.0; // default for helloCube
-      if (window.isNewCube && window.isNewCube(hitInfo.object)) {
-        threshold = 3.0; // clickable for newCube within 3 meters (reduced from 10)
-      } else if (hitInfo.object.name === 'anotherCube2') {
-        threshold = 3.0; // clickable for purple cube within 3 meters
-      }
+      // Pickup radius comes from the hunt definition
+      const threshold = hitInfo.object.userData.pickupRadius ?? 3.0;
       
       // Check if cube is clickable based on game progression
-      const isClickable = window.isCubeClickable && window.isCubeClickable(hitInfo.object);
+      const game = services.optional('game');
+      const isClickable = !!game && game.isCubeClickable(hitInfo.object);
       
-      // Special case: Show circle crosshair for the first cube (helloCube) even before game starts
-      const isFirstCube = hitInfo.object.name === 'helloCube' && hitInfo.object.userData.level === 0;
+      // Special case: Show circle crosshair for the first clue even before game starts
+      const isFirstCube = hitInfo.object.userData.isClueCube && hitInfo.object.userData.level === 0;
       
       if (dist < threshold && (isClickable || isFirstCube)) {
         color = '#ffaa00'; // Yellow for interactive
@@ -414,14 +466,25 @@ class HUDManager {
       transition: width 0.5s ease;
     `;
 
+    // Mode-specific line (time left, score, ...)
+    const progressDetail = document.createElement('div');
+    progressDetail.id = 'progress-detail';
+    progressDetail.style.cssText = `
+      margin-top: 4px;
+      font-size: 11px;
+      color: #00ff88;
+    `;
+
     progressBar.appendChild(progressFill);
     progressContainer.appendChild(progressText);
     progressContainer.appendChild(progressBar);
+    progressContainer.appendChild(progressDetail);
     document.body.appendChild(progressContainer);
 
     this.elements.progressContainer = progressContainer;
     this.elements.progressText = progressText;
     this.elements.progressFill = progressFill;
+    this.elements.progressDetail = progressDetail;
 
     // Hide initially
     this.hideProgressBar();
@@ -441,14 +504,73 @@ class HUDManager {
     }
   }
 
-  updateProgressBar() {
+  // Minimap and compass strip; each can be switched off (saved), both hide on phones and small windows
+  createNavigation() {
+    this.minimap = new Minimap();
+    this.compassStrip = new CompassStrip();
+    this.navigation = { minimap: true, compass: true };
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(NAVIGATION_STORAGE_KEY));
+      if (saved) {
+        this.navigation.minimap = saved.minimap !== false;
+        this.navigation.compass = saved.compass !== false;
+      }
+    } catch (error) {
+      console.warn('Could not read navigation HUD settings:', error);
+    }
+    this.applyNavigationVisibility();
+    window.addEventListener('resize', () => this.applyNavigationVisibility());
+  }
+
+  isSmallScreen() {
+    return this.isMobile || window.innerWidth < SMALL_SCREEN_WIDTH;
+  }
+
+  applyNavigationVisibility() {
+    const allowed = !this.isSmallScreen();
+    this.minimap.setVisible(allowed && this.navigation.minimap);
+    this.compassStrip.setVisible(allowed && this.navigation.compass);
+  }
+
+  // widget: 'minimap' | 'compass'
+  toggleNavigation(widget) {
+    this.navigation[widget] = !this.navigation[widget];
+    this.applyNavigationVisibility();
+    try {
+      window.localStorage.setItem(NAVIGATION_STORAGE_KEY, JSON.stringify(this.navigation));
+    } catch (error) {
+      console.warn('Could not save navigation HUD settings:', error);
+    }
+  }
+
+  // Called every frame from the animation loop
+  updateNavigation() {
+    if (this.isSmallScreen()) return;
+    if (this.navigation.minimap) {
+      this.minimap.update();
+    }
+    if (this.navigation.compass) {
+      this.compassStrip.update();
+    }
+  }
+
+  // progress: { treasuresFound, totalTreasures }, defaults to the current game state.
+  // The hunt mode decides what is shown (treasure count, time left, score).
+  updateProgressBar(progress = null) {
     if (!this.elements.progressText || !this.elements.progressFill) return;
 
-    const gameState = window.gameState || { treasuresFound: 0, totalTreasures: 3 };
-    const percentage = (gameState.treasuresFound / gameState.totalTreasures) * 100;
+    const game = services.optional('game');
+    const gameState = progress || (game ? game.state : { treasuresFound: 0, totalTreasures: 0 });
+    const display = game && game.mode ? game.mode.getProgressDisplay(gameState) : {
+      text: `Treasures: ${gameState.treasuresFound}/${gameState.totalTreasures}`,
+      percentage: gameState.totalTreasures > 0 ? (gameState.treasuresFound / gameState.totalTreasures) * 100 : 0,
+      detail: ''
+    };
 
-    this.elements.progressText.textContent = `Treasures: ${gameState.treasuresFound}/${gameState.totalTreasures}`;
-    this.elements.progressFill.style.width = `${percentage}%`;
+    this.elements.progressText.textContent = display.text;
+    this.elements.progressFill.style.width = `${display.percentage}%`;
+    this.elements.progressDetail.textContent = display.detail;
+    this.elements.progressDetail.style.display = display.detail ? 'block' : 'none';
   }
 }
 
@@ -490,14 +612,14 @@ class InteractionManager {
   }
   
   highlightObject(object, objectType) {
-    if (window.linkCubes && window.linkCubes.includes(object)) {
+    if (object.userData.isClueCube) {
       // Keep the cube transparent, don't change color on hover
       object.userData.isHovered = true;
     }
   }
   
   resetObjectState(object) {
-    if (window.linkCubes && window.linkCubes.includes(object)) {
+    if (object.userData.isClueCube) {
       // Keep the cube transparent, don't change color on hover
       object.userData.isHovered = false;
     }
@@ -514,25 +636,17 @@ class InteractionManager {
       const dz = playerPosition.z - objPos.z;
       const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
 
-      let threshold = 1.0; // default for helloCube
-      if (window.isNewCube && window.isNewCube(hitInfo.object)) {
-        threshold = 3.0; // clickable for newCube within 3 meters (reduced from 10)
-      } else if (hitInfo.object.name === 'anotherCube2') {
-        threshold = 3.0; // clickable for purple cube within 3 meters
-      }
+      // Pickup radius comes from the hunt definition
+      const threshold = userData.pickupRadius ?? 3.0;
       
       // Check if cube is clickable and within distance
-      if (dist < threshold && userData.title && userData.url) {
-        const isClickable = window.isCubeClickable && window.isCubeClickable(hitInfo.object);
+      if (dist < threshold && userData.title && userData.message) {
+        const game = services.optional('game');
+        const isClickable = !!game && game.isCubeClickable(hitInfo.object);
         
         if (isClickable) {
-          // Show popup and advance game state
-          if (window.showInfoPopup) {
-            window.showInfoPopup(userData.title, userData.url);
-          }
-          if (window.advanceGameState) {
-            window.advanceGameState();
-          }
+          // Show the clue and advance game state
+          game.collectClue(hitInfo.object);
           return true;
         } else {
           // Don't show any message when cube isn't available yet
@@ -649,7 +763,7 @@ function updateCrosshairColor(color, intensity = 1) {
   const elements = crosshair.children;
   for (let element of elements) {
     element.style.background = color;
-    element.style.boxShadow = `0 0 ${window.sceneConfig?.ui?.crosshair?.glowRadius * intensity || 4}px ${color}80`;
+    element.style.boxShadow = `0 0 ${services.optional('config')?.ui?.crosshair?.glowRadius * intensity || 4}px ${color}80`;
     element.style.opacity = intensity;
   }
 }
@@ -679,81 +793,4 @@ function animateCrosshairMovement() {
   }, 50);
 }
 
-// Hint system functions
-function showHint(cubeName) {
-  const cubeHints = window.cubeHints || {};
-  const hint = cubeHints[cubeName];
-  
-  if (!hint) {
-    console.warn('No hint found for cube:', cubeName);
-    return;
-  }
-
-  // Remove existing hint popup
-  const existingHint = document.getElementById('hint-popup');
-  if (existingHint) {
-    existingHint.remove();
-  }
-
-  // Create hint popup
-  const hintPopup = document.createElement('div');
-  hintPopup.id = 'hint-popup';
-  hintPopup.style.cssText = `
-    position: fixed;
-    top: 50%;
-    left: 50%;
-    transform: translate(-50%, -50%);
-    background: rgba(0, 0, 0, 0.95);
-    color: #429fb8;
-    padding: 24px 32px;
-    border-radius: 12px;
-    font-family: 'Courier New', monospace;
-    font-size: 16px;
-    z-index: 20000;
-    border: 2px solid #429fb8;
-    box-shadow: 0 8px 32px rgba(66, 159, 184, 0.3);
-    text-align: center;
-    max-width: 400px;
-    line-height: 1.4;
-  `;
-
-  hintPopup.innerHTML = `
-    <div style="font-weight: bold; font-size: 18px; margin-bottom: 12px; color: #00ff88;">
-      ${hint.title}
-    </div>
-    <div style="margin-bottom: 16px;">
-      ${hint.hint}
-    </div>
-    <button id="close-hint-btn" style="
-      padding: 8px 20px;
-      background: #429fb8;
-      color: #222;
-      border: none;
-      border-radius: 6px;
-      font-size: 14px;
-      cursor: pointer;
-      font-family: 'Courier New', monospace;
-    ">Close</button>
-  `;
-
-  // Use popup manager if available, otherwise fallback to manual handling
-  if (window.popupManager) {
-    window.popupManager.showPopup(hintPopup, 'hint-popup');
-  } else {
-    document.body.appendChild(hintPopup);
-    
-    // Add close functionality
-    document.getElementById('close-hint-btn').onclick = () => {
-      hintPopup.remove();
-    };
-
-    // Auto-close after 8 seconds
-    setTimeout(() => {
-      if (hintPopup.parentNode) {
-        hintPopup.remove();
-      }
-    }, 8000);
-  }
-}
-
-export { RaycastManager, HUDManager, InteractionManager, createCrosshair, updateCrosshairColor, animateCrosshairClick, animateCrosshairMovement, showHint };
+export { RaycastManager, HUDManager, InteractionManager, createCrosshair, updateCrosshairColor, animateCrosshairClick, animateCrosshairMovement };
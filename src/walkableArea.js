@@ -0,0 +1,66 @@
+// Walkable Area Module
+// A site's walkable area is a list of polygons on the XZ plane, each with an outer ring and
+// optional holes (walls, the shrine, ...). Sites may still give a single flat list of points.
+
+const RING_SCHEMA = { type: 'array', minItems: 3, items: { type: 'vec2' } };
+
+const WALKABLE_AREA_SCHEMA = {
+  type: 'oneOf',
+  description: 'must be a list of [x, z] points or a list of { outer, holes } polygons',
+  options: [
+    RING_SCHEMA,
+    {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['outer'],
+        properties: {
+          outer: RING_SCHEMA,
+          holes: { type: 'array', items: RING_SCHEMA }
+        }
+      }
+    }
+  ]
+};
+
+function isLegacyRing(area) {
+  return Array.isArray(area) && area.length > 0 && Array.isArray(area[0]) && typeof area[0][0] === 'number';
+}
+
+// Always returns [{ outer: [[x, z], ...], holes: [[[x, z], ...], ...] }, ...] with copied points
+function normalizeWalkableArea(area) {
+  if (!area) return [];
+  const polygons = isLegacyRing(area) ? [{ outer: area }] : area;
+  return polygons.map(polygon => ({
+    outer: polygon.outer.map(point => [point[0], point[1]]),
+    holes: (polygon.holes || []).map(hole => hole.map(point => [point[0], point[1]]))
+  }));
+}
+
+// Ray casting test against one ring
+function isPointInRing(x, z, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0];
+    const zi = ring[i][1];
+    const xj = ring[j][0];
+    const zj = ring[j][1];
+
+    if (((zi > z) !== (zj > z)) && (x < (xj - xi) * (z - zi) / (zj - zi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Every ring of every polygon (outer rings and holes), for boundary distance queries
+function getAllRings(polygons) {
+  const rings = [];
+  polygons.forEach(polygon => {
+    rings.push(polygon.outer);
+    polygon.holes.forEach(hole => rings.push(hole));
+  });
+  return rings;
+}
+
+export { WALKABLE_AREA_SCHEMA, normalizeWalkableArea, isPointInRing, getAllRings };
@@ -0,0 +1,539 @@
+// XR Mode Module
+// Immersive VR through renderer.xr. The camera rides on a rig that follows the physics player,
+// so the walkable boundary and collisions still apply:
+// - left stick moves smoothly (head-relative), right stick snap-turns
+// - grip aims a teleport arc; release to jump to a valid spot inside the walkable area
+// - trigger collects the clue cube under the controller ray, picks the answer under the ray
+//   on a quiz panel, or closes the open panel
+// - A/B (right) jump and hint, X/Y (left) crouch and help
+// Clue messages and hints appear as in-world panels because DOM popups are not visible.
+// Without a headset, use the Immersive Web Emulator browser extension: it exposes
+// navigator.xr, so the Enter VR button appears and the emulated controllers drive everything.
+import * as THREE from "three";
+import { services } from './gameEvents.js';
+import { applyDeadzone } from './gamepadInput.js';
+import { XRPanel } from './xrPanel.js';
+
+const HELPER_LAYER = 5;          // Rays, markers and panels; the scene raycaster only tests layer 0
+const RAY_LENGTH = 10;
+const TELEPORT_RANGE = 15;
+const SNAP_TURN = Math.PI / 6;   // 30 degrees
+const SNAP_ON = 0.6;             // Stick deflection that triggers a turn
+const SNAP_OFF = 0.3;            // ...and must fall back below before the next one
+const PANEL_DURATION = 10000;
+const PANEL_DISTANCE = 1.6;
+
+// xr-standard mapping buttons (0 trigger and 1 grip are handled as select/squeeze events)
+const XR_BUTTON_ACTIONS = {
+  right: { 4: 'jump', 5: 'hint' },
+  left: { 3: 'flyDown', 4: 'crouch', 5: 'help' }
+};
+
+const RAY_COLOR = 0xffffff;
+const RAY_TARGET_COLOR = 0xffaa00;
+const TELEPORT_VALID_COLOR = 0x00ff88;
+const TELEPORT_INVALID_COLOR = 0xff4444;
+
+class XRMode {
+  // options: { raycastManager, interactionManager }
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.raycastManager = options.raycastManager;
+    this.interactionManager = options.interactionManager;
+    this.player = services.get('player');
+    this.input = services.get('input');
+
+    this.session = null;
+    this.button = null;
+    this.rigYaw = 0;
+    this.lastHeadLocal = null;
+    this.controllers = [];
+    this.teleportHand = null;
+    this.teleportTarget = null;
+    this.snapReady = true;
+    this.move = { x: 0, y: 0 };
+    this.pressedButtons = new Set();
+    this.panel = null;
+    this.panelTimer = null;
+    this.onPanelChoice = null;
+    this.panelRaycaster = new THREE.Raycaster();
+    this.panelRaycaster.layers.set(HELPER_LAYER);
+    this.savedFov = camera.fov;
+
+    this.onSessionEnded = this.onSessionEnded.bind(this);
+
+    this.renderer.xr.enabled = true;
+    this.rig = new THREE.Group();
+    this.rig.name = 'xr_rig';
+    this.scene.add(this.rig);
+    this.camera.layers.enable(HELPER_LAYER);
+
+    this.createControllers();
+    this.createTeleportMarker();
+    this.input.addMoveSource('xr', () => this.move);
+    this.checkSupport();
+  }
+
+  async checkSupport() {
+    if (!navigator.xr) {
+      console.log('WebXR not available');
+      return;
+    }
+    try {
+      if (await navigator.xr.isSessionSupported('immersive-vr')) {
+        this.createButton();
+      } else {
+        console.log('Immersive VR not supported on this device');
+      }
+    } catch (error) {
+      console.warn('WebXR support check failed:', error);
+    }
+  }
+
+  createButton() {
+    this.button = document.createElement('button');
+    this.button.id = 'enter-vr';
+    this.button.textContent = 'Enter VR';
+    this.button.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 10px 24px;
+      background: rgba(0, 0, 0, 0.7);
+      color: #429fb8;
+      border: 2px solid #429fb8;
+      border-radius: 8px;
+      font-family: 'Courier New', monospace;
+      font-size: 15px;
+      font-weight: bold;
+      cursor: pointer;
+      z-index: 1000;
+    `;
+    // Must not lock the pointer or interact with the scene behind it
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleSession();
+    });
+    document.body.appendChild(this.button);
+  }
+
+  isPresenting() {
+    return this.renderer.xr.isPresenting;
+  }
+
+  async toggleSession() {
+    if (this.session) {
+      await this.session.end();
+      return;
+    }
+
+    try {
+      const session = await navigator.xr.requestSession('immersive-vr', {
+        optionalFeatures: ['local-floor', 'bounded-floor']
+      });
+      await this.onSessionStarted(session);
+    } catch (error) {
+      console.error('Failed to enter VR:', error);
+    }
+  }
+
+  async onSessionStarted(session) {
+    this.session = session;
+    session.addEventListener('end', this.onSessionEnded);
+
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    this.input.releaseAll();
+
+    // Keep facing where the player was looking on the flat screen
+    this.rigYaw = this.player.yaw;
+    this.lastHeadLocal = null;
+    this.savedFov = this.camera.fov;
+    this.rig.add(this.camera);
+
+    await this.renderer.xr.setSession(session);
+    if (this.button) {
+      this.button.textContent = 'Exit VR';
+    }
+    console.log('Entered VR');
+
+    // There is no start button in the headset
+    const game = services.optional('game');
+    if (game && !game.state.gameStarted) {
+      game.startHunt();
+    }
+  }
+
+  onSessionEnded() {
+    this.session.removeEventListener('end', this.onSessionEnded);
+    this.session = null;
+
+    this.hidePanel();
+    this.endTeleport();
+    this.releaseButtons();
+    this.move = { x: 0, y: 0 };
+    this.input.releaseAll();
+
+    // Back to the flat-screen camera; physics places it again next frame
+    this.rig.remove(this.camera);
+    this.rig.position.set(0, 0, 0);
+    this.rig.rotation.set(0, 0, 0);
+    this.camera.fov = this.savedFov;
+    this.camera.zoom = 1;
+    this.camera.updateProjectionMatrix();
+    this.player.pitch = 0;
+
+    if (this.button) {
+      this.button.textContent = 'Enter VR';
+    }
+    console.log('Exited VR');
+  }
+
+  // --- CONTROLLERS ---
+  createControllers() {
+    for (let i = 0; i < 2; i++) {
+      const controller = this.renderer.xr.getController(i);
+      const ray = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+        new THREE.LineBasicMaterial({ color: RAY_COLOR, transparent: true, opacity: 0.7 })
+      );
+      ray.name = 'xr_ray';
+      ray.scale.z = RAY_LENGTH;
+      ray.layers.set(HELPER_LAYER);
+      controller.add(ray);
+
+      const pointer = new THREE.Mesh(
+        new THREE.ConeGeometry(0.015, 0.08, 12),
+        new THREE.MeshBasicMaterial({ color: 0x429fb8 })
+      );
+      pointer.rotation.x = -Math.PI / 2;
+      pointer.layers.set(HELPER_LAYER);
+      controller.add(pointer);
+
+      const entry = { controller, ray, inputSource: null };
+      controller.addEventListener('connected', (e) => {
+        entry.inputSource = e.data;
+      });
+      controller.addEventListener('disconnected', () => {
+        if (this.teleportHand === entry) {
+          this.endTeleport();
+        }
+        entry.inputSource = null;
+      });
+      controller.addEventListener('selectstart', () => this.onSelect(entry));
+      controller.addEventListener('squeezestart', () => this.startTeleport(entry));
+      controller.addEventListener('squeezeend', () => this.commitTeleport(entry));
+
+      this.rig.add(controller);
+      this.controllers.push(entry);
+    }
+  }
+
+  getControllerRay(entry) {
+    const origin = new THREE.Vector3().setFromMatrixPosition(entry.controller.matrixWorld);
+    const rotation = new THREE.Matrix4().extractRotation(entry.controller.matrixWorld);
+    const direction = new THREE.Vector3(0, 0, -1).applyMatrix4(rotation).normalize();
+    return { origin, direction };
+  }
+
+  // Trigger: answer or close the open panel first, otherwise collect the clue under the ray
+  onSelect(entry) {
+    if (this.panel) {
+      // Pointing at a quiz panel between its answers does nothing; pointing away closes it
+      const pick = this.pickPanelChoice(entry);
+      if (pick && pick.choice === null) return;
+      const onChoice = this.onPanelChoice;
+      this.hidePanel();
+      if (pick && onChoice) {
+        onChoice(pick.choice);
+      }
+      return;
+    }
+
+    const physics = services.optional('physics');
+    if (!this.raycastManager || !this.interactionManager || !physics) return;
+
+    try {
+      const { origin, direction } = this.getControllerRay(entry);
+      const hitInfo = this.raycastManager.raycastFromRay(origin, direction);
+      this.interactionManager.handleClick(hitInfo, physics.getPlayerPosition());
+    } catch (error) {
+      console.warn('XR interaction error:', error);
+    }
+  }
+
+  // Thumbsticks and face buttons, read once per frame before the physics step
+  pollInput() {
+    if (!this.isPresenting()) return;
+
+    this.move = { x: 0, y: 0 };
+    const pressed = new Set();
+
+    this.controllers.forEach(entry => {
+      const source = entry.inputSource;
+      if (!source || !source.gamepad || source.gamepad.mapping !== 'xr-standard') return;
+
+      const gamepad = source.gamepad;
+      const hand = source.handedness === 'left' ? 'left' : 'right';
+      // Thumbstick is on axes 2/3; some runtimes only report 0/1
+      const axisX = gamepad.axes.length >= 4 ? gamepad.axes[2] : (gamepad.axes[0] || 0);
+      const axisY = gamepad.axes.length >= 4 ? gamepad.axes[3] : (gamepad.axes[1] || 0);
+      const stick = applyDeadzone(axisX, axisY);
+
+      if (!this.input.enabled) return;
+
+      if (hand === 'left') {
+        this.move = { x: stick.x, y: -stick.y };
+      } else {
+        this.handleSnapTurn(axisX);
+      }
+
+      const actions = XR_BUTTON_ACTIONS[hand];
+      Object.keys(actions).forEach(key => {
+        const button = gamepad.buttons[Number(key)];
+        if (button && button.pressed) {
+          pressed.add(`${hand}:${key}`);
+        }
+      });
+    });
+
+    // Edge-detect so each press emits one input:action
+    pressed.forEach(holder => {
+      if (!this.pressedButtons.has(holder)) {
+        this.pressedButtons.add(holder);
+        this.input.press(this.getButtonAction(holder), `xr:${holder}`, 'xr');
+      }
+    });
+    [...this.pressedButtons].forEach(holder => {
+      if (!pressed.has(holder)) {
+        this.pressedButtons.delete(holder);
+        this.input.release(this.getButtonAction(holder), `xr:${holder}`, 'xr');
+      }
+    });
+  }
+
+  getButtonAction(holder) {
+    const [hand, button] = holder.split(':');
+    return XR_BUTTON_ACTIONS[hand][button];
+  }
+
+  releaseButtons() {
+    this.pressedButtons.forEach(holder => {
+      this.input.release(this.getButtonAction(holder), `xr:${holder}`, 'xr');
+    });
+    this.pressedButtons.clear();
+  }
+
+  handleSnapTurn(axisX) {
+    if (this.snapReady && Math.abs(axisX) > SNAP_ON) {
+      this.rigYaw -= Math.sign(axisX) * SNAP_TURN;
+      this.snapReady = false;
+    } else if (Math.abs(axisX) < SNAP_OFF) {
+      this.snapReady = true;
+    }
+  }
+
+  // --- RIG ---
+  // Called instead of physicsSystem.updateCamera() while presenting
+  update(alpha = 1) {
+    const physics = services.optional('physics');
+    if (!physics) return;
+
+    // Fresh head pose for this frame (local to the rig)
+    this.renderer.xr.updateCamera(this.camera);
+    const headLocal = this.camera.position;
+    const headEuler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.player.yaw = this.rigYaw + headEuler.y;
+    this.player.pitch = headEuler.x;
+
+    // Walking around the room moves the player too, still limited by the walkable area
+    if (this.lastHeadLocal) {
+      const step = new THREE.Vector3(headLocal.x - this.lastHeadLocal.x, 0, headLocal.z - this.lastHeadLocal.z)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), this.rigYaw);
+      if (step.lengthSq() > 0) {
+        physics.movePlayerBy(step.x, step.z);
+      }
+    }
+    this.lastHeadLocal = headLocal.clone();
+
+    // Put the rig's floor under the player's feet with the head over the player position
+    const settings = services.get('config').sceneSettings;
+    const from = physics.previousPosition;
+    const to = physics.playerPosition;
+    const offset = new THREE.Vector3(headLocal.x, 0, headLocal.z).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.rigYaw);
+    this.rig.position.set(
+      from.x + (to.x - from.x) * alpha - offset.x,
+      from.y + (to.y - from.y) * alpha - settings.playerRadius,
+      from.z + (to.z - from.z) * alpha - offset.z
+    );
+    this.rig.rotation.set(0, this.rigYaw, 0);
+    this.rig.updateMatrixWorld(true);
+
+    this.updateRays(physics);
+    this.updateTeleport(physics);
+  }
+
+  // Shorten each ray to what it points at and highlight collectable clues and panel choices
+  updateRays(physics) {
+    if (!this.raycastManager) return;
+    const game = services.optional('game');
+    const playerPos = physics.getPlayerPosition();
+    let hoveredChoice = null;
+
+    this.controllers.forEach(entry => {
+      if (!entry.inputSource || entry === this.teleportHand) {
+        entry.ray.visible = false;
+        return;
+      }
+      entry.ray.visible = true;
+
+      const pick = this.pickPanelChoice(entry);
+      if (pick) {
+        entry.ray.scale.z = Math.min(pick.distance, RAY_LENGTH);
+        entry.ray.material.color.setHex(pick.choice !== null ? RAY_TARGET_COLOR : RAY_COLOR);
+        if (hoveredChoice === null) hoveredChoice = pick.choice;
+        return;
+      }
+
+      const { origin, direction } = this.getControllerRay(entry);
+      const hit = this.raycastManager.raycastFromRay(origin, direction);
+      entry.ray.scale.z = hit.hasHit ? Math.min(hit.distance, RAY_LENGTH) : RAY_LENGTH;
+
+      let isTarget = false;
+      if (hit.object && game && game.isCubeClickable(hit.object)) {
+        const dist = hit.object.position.distanceTo(new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z));
+        isTarget = dist < (hit.object.userData.pickupRadius ?? 3.0);
+      }
+      entry.ray.material.color.setHex(isTarget ? RAY_TARGET_COLOR : RAY_COLOR);
+    });
+
+    if (this.panel && this.panel.hasChoices()) {
+      this.panel.setHighlightedChoice(hoveredChoice);
+    }
+  }
+
+  // --- TELEPORT ---
+  createTeleportMarker() {
+    this.teleportMarker = new THREE.Mesh(
+      new THREE.RingGeometry(0.25, 0.32, 32),
+      new THREE.MeshBasicMaterial({ color: TELEPORT_VALID_COLOR, side: THREE.DoubleSide, depthTest: false })
+    );
+    this.teleportMarker.name = 'xr_teleport_marker';
+    this.teleportMarker.rotation.x = -Math.PI / 2;
+    this.teleportMarker.renderOrder = 999;
+    this.teleportMarker.layers.set(HELPER_LAYER);
+    this.teleportMarker.visible = false;
+    this.scene.add(this.teleportMarker);
+  }
+
+  startTeleport(entry) {
+    this.teleportHand = entry;
+    this.teleportTarget = null;
+  }
+
+  endTeleport() {
+    this.teleportHand = null;
+    this.teleportTarget = null;
+    this.teleportMarker.visible = false;
+  }
+
+  // Ground under the controller ray: walkable proxy surfaces first, then the flat ground level
+  findTeleportPoint(origin, direction) {
+    const proxy = this.raycastManager ? this.raycastManager.collisionProxy : null;
+    const proxyHit = proxy ? proxy.raycast(origin, direction, TELEPORT_RANGE) : null;
+    if (proxyHit) {
+      // Walls and steep slopes are not teleport targets
+      return proxyHit.normal.y > 0.7 ? proxyHit.point.clone() : null;
+    }
+
+    if (direction.y > -0.05) return null;
+    const groundLevel = services.get('config').sceneSettings.groundLevel;
+    const t = (groundLevel - origin.y) / direction.y;
+    if (t < 0 || t > TELEPORT_RANGE) return null;
+    return origin.clone().addScaledVector(direction, t);
+  }
+
+  updateTeleport(physics) {
+    if (!this.teleportHand) return;
+
+    const { origin, direction } = this.getControllerRay(this.teleportHand);
+    const point = this.findTeleportPoint(origin, direction);
+    if (!point) {
+      this.teleportTarget = null;
+      this.teleportMarker.visible = false;
+      return;
+    }
+
+    const valid = !physics.checkPolygonBoundaryCollision({ x: point.x, y: point.y, z: point.z }).collision;
+    this.teleportTarget = valid ? point : null;
+    this.teleportMarker.position.copy(point);
+    this.teleportMarker.material.color.setHex(valid ? TELEPORT_VALID_COLOR : TELEPORT_INVALID_COLOR);
+    this.teleportMarker.visible = true;
+  }
+
+  commitTeleport(entry) {
+    if (this.teleportHand !== entry) return;
+
+    const physics = services.optional('physics');
+    const target = this.teleportTarget;
+    this.endTeleport();
+    if (!physics || !target) return;
+
+    const playerRadius = services.get('config').sceneSettings.playerRadius;
+    physics.setPlayerPosition({ x: target.x, y: target.y + playerRadius, z: target.z });
+    physics.setPlayerVelocity({ x: 0, y: 0, z: 0 });
+  }
+
+  // --- PANELS ---
+  // In-world replacement for the DOM info and hint popups.
+  // options: { accent, choices, feedback, onChoice(index) }; panels with choices stay until answered
+  showPanel(title, message, options = {}) {
+    this.hidePanel();
+
+    this.panel = new XRPanel(title, message, options);
+    this.onPanelChoice = options.onChoice || null;
+    this.panel.mesh.layers.set(HELPER_LAYER);
+
+    const headPosition = new THREE.Vector3();
+    const headDirection = new THREE.Vector3();
+    this.camera.getWorldPosition(headPosition);
+    this.camera.getWorldDirection(headDirection);
+    this.panel.placeInFront(headPosition, headDirection, PANEL_DISTANCE);
+    this.scene.add(this.panel.mesh);
+    this.panel.mesh.updateMatrixWorld(true);
+
+    if (!this.panel.hasChoices()) {
+      this.panelTimer = setTimeout(() => this.hidePanel(), PANEL_DURATION);
+    }
+  }
+
+  // Where a controller ray meets the open choice panel: { distance, choice } or null
+  pickPanelChoice(entry) {
+    if (!this.panel || !this.panel.hasChoices()) return null;
+
+    const { origin, direction } = this.getControllerRay(entry);
+    this.panelRaycaster.set(origin, direction);
+    this.panelRaycaster.far = RAY_LENGTH;
+    const [hit] = this.panelRaycaster.intersectObject(this.panel.mesh, false);
+    if (!hit) return null;
+    return { distance: hit.distance, choice: this.panel.getChoiceAt(hit.uv) };
+  }
+
+  hidePanel() {
+    if (this.panelTimer) {
+      clearTimeout(this.panelTimer);
+      this.panelTimer = null;
+    }
+    if (this.panel) {
+      this.panel.dispose();
+      this.panel = null;
+    }
+    this.onPanelChoice = null;
+  }
+}
+
+export { XRMode };
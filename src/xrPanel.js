@@ -0,0 +1,192 @@
+// XR Panel Module
+// In-world text panels for immersive mode, where DOM popups are not visible.
+// Text is drawn to a canvas and shown on a plane that floats in front of the player.
+// Panels can list choices below the message (quiz answers), picked with a controller ray.
+import * as THREE from "three";
+
+const CANVAS_WIDTH = 1024;
+const CANVAS_HEIGHT = 512;
+const PANEL_WIDTH = 1.2;   // Metres
+const PADDING = 48;
+const ACCENT = '#429fb8';
+const CHOICE_HEIGHT = 72;
+const CHOICE_GAP = 14;
+const FEEDBACK_HEIGHT = 56;
+
+// Messages may contain simple markup from hunt files; panels show plain text
+function toPlainText(text) {
+  return String(text ?? '')
+    .replace(/<br\s*\/?>|<\/(div|p|tr)>/gi, '\n')
+    .replace(/<\/td>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+}
+
+function wrapText(context, text, maxWidth) {
+  const lines = [];
+  toPlainText(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (context.measureText(candidate).width > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+class XRPanel {
+  // options.accent: border/title colour
+  // options.choices: answer labels listed under the message; options.feedback: line above them
+  constructor(title, message, options = {}) {
+    this.title = title;
+    this.message = message;
+    this.accent = options.accent || ACCENT;
+    this.choices = options.choices || [];
+    this.feedback = options.feedback || '';
+    this.highlightedChoice = null;
+
+    const choicesHeight = this.choices.length > 0 ?
+      FEEDBACK_HEIGHT + this.choices.length * (CHOICE_HEIGHT + CHOICE_GAP) : 0;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = CANVAS_WIDTH;
+    this.canvas.height = CANVAS_HEIGHT + choicesHeight;
+    this.draw();
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+
+    const geometry = new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_WIDTH * this.canvas.height / CANVAS_WIDTH);
+    const material = new THREE.MeshBasicMaterial({
+      map: this.texture,
+      transparent: true,
+      depthTest: false  // Always readable, even when the panel intersects the splat
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.name = 'xr_panel';
+    this.mesh.renderOrder = 1000;
+  }
+
+  hasChoices() {
+    return this.choices.length > 0;
+  }
+
+  // Top edge of choice row i on the canvas
+  getChoiceTop(index) {
+    return CANVAS_HEIGHT - PADDING + FEEDBACK_HEIGHT + index * (CHOICE_HEIGHT + CHOICE_GAP);
+  }
+
+  // Choice under a ray hit's texture coordinate, or null between and outside the rows
+  getChoiceAt(uv) {
+    if (!uv || !this.hasChoices()) return null;
+    const x = uv.x * CANVAS_WIDTH;
+    const y = (1 - uv.y) * this.canvas.height;
+    if (x < PADDING || x > CANVAS_WIDTH - PADDING) return null;
+
+    const index = this.choices.findIndex((choice, i) => y >= this.getChoiceTop(i) && y <= this.getChoiceTop(i) + CHOICE_HEIGHT);
+    return index === -1 ? null : index;
+  }
+
+  // Hover feedback for the choice under the controller ray
+  setHighlightedChoice(index) {
+    if (index === this.highlightedChoice) return;
+    this.highlightedChoice = index;
+    this.draw();
+    this.texture.needsUpdate = true;
+  }
+
+  draw() {
+    const width = CANVAS_WIDTH;
+    const height = this.canvas.height;
+    const context = this.canvas.getContext('2d');
+    context.clearRect(0, 0, width, height);
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    context.strokeStyle = this.accent;
+    context.lineWidth = 8;
+    context.beginPath();
+    context.roundRect(4, 4, width - 8, height - 8, 32);
+    context.fill();
+    context.stroke();
+
+    context.fillStyle = this.accent;
+    context.font = 'bold 52px "Courier New", monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillText(toPlainText(this.title), width / 2, PADDING, width - PADDING * 2);
+
+    context.fillStyle = '#ffffff';
+    context.font = '36px "Courier New", monospace';
+    const lineHeight = 46;
+    const top = PADDING + 90;
+    const maxLines = Math.floor((CANVAS_HEIGHT - top - PADDING - lineHeight) / lineHeight) + 1;
+    const lines = wrapText(context, this.message, width - PADDING * 2);
+    lines.slice(0, maxLines).forEach((line, i) => {
+      const truncated = i === maxLines - 1 && lines.length > maxLines ? `${line}…` : line;
+      context.fillText(truncated, width / 2, top + i * lineHeight);
+    });
+
+    if (this.hasChoices()) {
+      this.drawChoices(context);
+    }
+
+    context.fillStyle = '#999999';
+    context.font = '28px "Courier New", monospace';
+    context.textBaseline = 'bottom';
+    const footer = this.hasChoices() ? 'Point at an answer and pull the trigger' : 'Pull the trigger to close';
+    context.fillText(footer, width / 2, height - PADDING / 2);
+  }
+
+  drawChoices(context) {
+    if (this.feedback) {
+      context.fillStyle = '#ff6666';
+      context.font = '30px "Courier New", monospace';
+      context.textBaseline = 'top';
+      context.fillText(toPlainText(this.feedback), CANVAS_WIDTH / 2, CANVAS_HEIGHT - PADDING, CANVAS_WIDTH - PADDING * 2);
+    }
+
+    context.font = '34px "Courier New", monospace';
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.lineWidth = 3;
+    this.choices.forEach((choice, index) => {
+      const top = this.getChoiceTop(index);
+      const highlighted = index === this.highlightedChoice;
+      context.fillStyle = highlighted ? 'rgba(66, 159, 184, 0.45)' : 'rgba(66, 159, 184, 0.15)';
+      context.strokeStyle = highlighted ? this.accent : 'rgba(66, 159, 184, 0.5)';
+      context.beginPath();
+      context.roundRect(PADDING, top, CANVAS_WIDTH - PADDING * 2, CHOICE_HEIGHT, 12);
+      context.fill();
+      context.stroke();
+
+      context.fillStyle = '#ffffff';
+      context.fillText(`${index + 1}. ${toPlainText(choice)}`, PADDING + 24, top + CHOICE_HEIGHT / 2, CANVAS_WIDTH - PADDING * 2 - 48);
+    });
+    context.textAlign = 'center';
+  }
+
+  // Float the panel in front of the viewer at eye height, facing them
+  placeInFront(headPosition, headDirection, distance = 1.5) {
+    const flat = new THREE.Vector3(headDirection.x, 0, headDirection.z);
+    if (flat.lengthSq() < 1e-6) flat.set(0, 0, -1);
+    flat.normalize();
+
+    this.mesh.position.copy(headPosition).addScaledVector(flat, distance);
+    this.mesh.lookAt(headPosition.x, this.mesh.position.y, headPosition.z);
+  }
+
+  dispose() {
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.texture.dispose();
+  }
+}
+
+export { XRPanel };
@@ -28,10 +28,12 @@ export default defineConfig({
     exclude: ['three', '@sparkjsdev/spark']
   },
   resolve: {
-    alias: {
-      'three': 'https://unpkg.com/three@0.174.0/build/three.module.js',
-      '@sparkjsdev/spark': 'https://sparkjs.dev/releases/spark/0.1.8/spark.module.js'
-    }
+    // Regex aliases so 'three/examples/jsm/...' loaders resolve alongside the bare 'three' import
+    alias: [
+      { find: /^three$/, replacement: 'https://unpkg.com/three@0.174.0/build/three.module.js' },
+      { find: /^three\/examples\/jsm\/(.*)$/, replacement: 'https://unpkg.com/three@0.174.0/examples/jsm/$1' },
+      { find: '@sparkjsdev/spark', replacement: 'https://sparkjs.dev/releases/spark/0.1.8/spark.module.js' }
+    ]
   },
   assetsInclude: ['**/*.mp4', '**/*.webm', '**/*.mov'] // Explicitly include video formats
 }) 
\ No newline at end of file